@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * HD Derivation Benchmark Script
+ *
+ * Times deposit address and private key derivation with a throwaway mnemonic, against the
+ * previous approach of deriving the seed (2048 rounds of PBKDF2) again for every address.
+ * Uses no database and none of the configured keys.
+ *
+ * Usage:
+ *   node scripts/benchmark-hd.js
+ *   node scripts/benchmark-hd.js --count 5000
+ */
+
+require('dotenv').config();
+const bip39 = require('bip39');
+const { HDKey } = require('@scure/bip32');
+const TronWeb = require('tronweb');
+const keystore = require('../src/services/keystoreService');
+const hdWallet = require('../src/services/hdWalletService');
+
+// The per-address seed derivation is slow; time this many addresses and extrapolate
+const BASELINE_SAMPLE = 100;
+
+/**
+ * Derive an address the way hdWalletService did before the chain node was cached
+ * @param {string} mnemonic
+ * @param {number} index
+ * @returns {string} Address
+ */
+function deriveUncached(mnemonic, index) {
+  const seed = bip39.mnemonicToSeedSync(mnemonic);
+  const childKey = HDKey.fromMasterSeed(seed).derive(`m/44'/195'/0'/0/${index}`);
+  return TronWeb.utils.address.fromPrivateKey(Buffer.from(childKey.privateKey).toString('hex'));
+}
+
+/**
+ * Time a function over a number of indexes
+ * @param {number} count - Indexes 0..count-1
+ * @param {function} fn - Called with each index
+ * @returns {object} { totalMs, perAddressMs, results }
+ */
+function time(count, fn) {
+  const results = [];
+  const started = process.hrtime.bigint();
+  for (let index = 0; index < count; index++) {
+    results.push(fn(index));
+  }
+  const totalMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  return { totalMs, perAddressMs: totalMs / count, results };
+}
+
+/**
+ * Print one result line
+ * @param {string} label
+ * @param {object} result - From time()
+ * @param {number} count - Addresses the total is for
+ * @param {object|null} baseline - Result to compare against
+ */
+function report(label, result, count, baseline = null) {
+  const perAddress = `${result.perAddressMs.toFixed(3)} ms/address`.padStart(20);
+  const total = `${Math.round(result.perAddressMs * count)} ms`.padStart(10);
+  const speedup = baseline ? `${Math.round(baseline.perAddressMs / result.perAddressMs)}x faster` : '';
+  console.log(`   ${label.padEnd(34)}${perAddress}${total}   ${speedup}`);
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage:
+  node scripts/benchmark-hd.js [options]
+
+Options:
+  --count <n>   Addresses to derive per case (default: 1000)
+
+Derivation before caching is timed on ${BASELINE_SAMPLE} addresses and extrapolated to <n>.
+`);
+    process.exit(0);
+  }
+
+  const countIndex = args.indexOf('--count');
+  const count = countIndex !== -1 ? parseInt(args[countIndex + 1]) : 1000;
+  if (!Number.isInteger(count) || count < 1) {
+    console.error('❌ --count must be a positive number');
+    process.exit(1);
+  }
+
+  // Throwaway wallet, whatever is configured
+  keystore.lock();
+  const mnemonic = bip39.generateMnemonic(256);
+  process.env.HD_MASTER_MNEMONIC = mnemonic;
+  process.env.HD_ACCOUNT_XPUB = '';
+  hdWallet.clearCache();
+
+  console.log(`\n⏱️  HD derivation benchmark (${count} addresses per case, throwaway 24-word mnemonic)\n`);
+
+  const baselineCount = Math.min(count, BASELINE_SAMPLE);
+  const baseline = time(baselineCount, index => deriveUncached(mnemonic, index));
+  report(`Seed per address (before)`, baseline, count);
+
+  const cold = time(1, index => hdWallet.deriveAddress(index).address);
+  report('First address (derives the seed)', cold, 1);
+
+  const cached = time(count, index => hdWallet.deriveAddress(index).address);
+  report('deriveAddress, mnemonic', cached, count, baseline);
+
+  const mismatch = baseline.results.findIndex((address, index) => address !== cached.results[index]);
+  if (mismatch !== -1) {
+    console.error(`\n❌ Cached derivation disagrees with the uncached one at index ${mismatch}`);
+    process.exit(1);
+  }
+
+  process.env.HD_ACCOUNT_XPUB = hdWallet.getAccountXpub();
+  const watchOnly = time(count, index => hdWallet.deriveAddress(index).address);
+  report('deriveAddress, watch-only xpub', watchOnly, count, baseline);
+  process.env.HD_ACCOUNT_XPUB = '';
+
+  const keys = time(count, (index) => {
+    hdWallet.derivePrivateKey(index).fill(0);
+  });
+  report('derivePrivateKey', keys, count, baseline);
+
+  const batch = time(1, () => hdWallet.deriveAddressBatch(0, count));
+  report(`deriveAddressBatch(0, ${count})`, { perAddressMs: batch.totalMs / count }, count, baseline);
+
+  hdWallet.clearCache();
+  console.log(`\n✅ First ${baselineCount} addresses match the uncached derivation\n`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
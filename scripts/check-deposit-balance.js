@@ -13,11 +13,13 @@ require('dotenv').config();
 const axios = require('axios');
 const db = require('../src/config/db');
 const tronService = require('../src/services/tronService');
+const rateService = require('../src/services/rateService');
+const money = require('../src/utils/money');
 
 const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
 const TRON_API_KEY = process.env.TRON_API_KEY;
 const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
-const USDT_TO_KES_RATE = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
+const USDT_TO_KES_RATE = rateService.getActiveRate().buyRate; // Deposits are credited at the buy rate
 
 // Create axios instance
 const tronApi = axios.create({
@@ -85,7 +87,7 @@ async function getOnChainUsdtBalance(address) {
  */
 function getKesBalance(userId) {
   try {
-    const user = db.prepare('SELECT id, username, balance_kes, tron_address FROM users WHERE id = ?').get(userId);
+    const user = db.prepare('SELECT id, username, balance_cents, tron_address FROM users WHERE id = ?').get(userId);
     
     if (!user) {
       return { error: 'User not found' };
@@ -94,7 +96,7 @@ function getKesBalance(userId) {
     return {
       userId: user.id,
       username: user.username,
-      balance: parseFloat(user.balance_kes || 0),
+      balance: money.centsToKes(user.balance_cents || 0),
       address: user.tron_address,
     };
   } catch (error) {
@@ -108,7 +110,7 @@ function getKesBalance(userId) {
 function getDepositHistory(userId, limit = 10) {
   try {
     const deposits = db.prepare(
-      `SELECT id, tx_hash, usdt_amount, kes_amount, status, created_at, verified_at 
+      `SELECT id, tx_hash, amount_minor, kes_amount_cents, status, created_at, verified_at 
        FROM deposits 
        WHERE user_id = ? 
        ORDER BY created_at DESC 
@@ -118,8 +120,8 @@ function getDepositHistory(userId, limit = 10) {
     return deposits.map(deposit => ({
       id: deposit.id,
       txHash: deposit.tx_hash,
-      usdtAmount: parseFloat(deposit.usdt_amount),
-      kesAmount: parseFloat(deposit.kes_amount),
+      usdtAmount: money.sunToUsdt(deposit.amount_minor),
+      kesAmount: money.centsToKes(deposit.kes_amount_cents),
       status: deposit.status,
       createdAt: deposit.created_at,
       verifiedAt: deposit.verified_at,
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Export Account Xpub Script
+ *
+ * Prints the account-level extended public key (m/44'/195'/0') of HD_MASTER_MNEMONIC.
+ * Run it where the mnemonic is kept and set the output as HD_ACCOUNT_XPUB on the API server,
+ * which can then derive deposit addresses without holding the mnemonic (watch-only mode).
+ *
+ * Usage:
+ *   node scripts/export-xpub.js
+ */
+
+require('dotenv').config();
+const hdWallet = require('../src/services/hdWalletService');
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage:
+  node scripts/export-xpub.js
+
+Prints the account xpub of HD_MASTER_MNEMONIC and the first deposit address derived from it.
+For a mnemonic kept in a keystore, use: node scripts/keystore.js verify
+`);
+    process.exit(0);
+  }
+
+  try {
+    const xpub = hdWallet.getAccountXpub();
+
+    if (process.env.HD_ACCOUNT_XPUB && process.env.HD_ACCOUNT_XPUB !== xpub) {
+      throw new Error('HD_ACCOUNT_XPUB in this environment does not belong to the mnemonic - unset it and run again');
+    }
+
+    const first = hdWallet.deriveAddress(0);
+
+    console.log(`\n🔑 Account xpub (m/44'/195'/0'):\n\n${xpub}\n`);
+    console.log(`   Index 0 address: ${first.address}`);
+    console.log('\nSet it as HD_ACCOUNT_XPUB on the API server and remove HD_MASTER_MNEMONIC there.\n');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Keystore Script
+ *
+ * Creates, rotates and verifies the encrypted keystore the signer unlocks at startup
+ * (see src/services/keystoreService.js). The keystore holds the HD mnemonic, the master
+ * wallet key and the optional energy staking and gas-funding keys, so none of them has to
+ * sit in the environment in plaintext.
+ *
+ * Passphrases are prompted for on the terminal, or read from file descriptors so
+ * they can be piped in by a secrets manager without appearing in argv or the env.
+ *
+ * Usage:
+ *   node scripts/keystore.js create [--generate] [--force]
+ *   node scripts/keystore.js rotate
+ *   node scripts/keystore.js verify
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const keystore = require('../src/services/keystoreService');
+const hdWallet = require('../src/services/hdWalletService');
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+/**
+ * Get the value following a flag
+ * @param {array} args - Command line arguments
+ * @param {string} flag - e.g. '--file'
+ * @returns {string|null}
+ */
+function getOption(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+/**
+ * Read a new passphrase: once from a file descriptor, or twice from the terminal
+ * @param {string|null} fd - File descriptor
+ * @param {string} label - 'passphrase' or 'new passphrase'
+ * @returns {Promise<Buffer>}
+ */
+async function readNewPassphrase(fd, label) {
+  const passphrase = await keystore.readPassphrase({ fd, prompt: `Enter ${label}: ` });
+
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    passphrase.fill(0);
+    throw new Error(`The ${label} must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  if (fd === null) {
+    const confirmation = await keystore.readPassphrase({ prompt: `Repeat ${label}: ` });
+    const matches = confirmation.equals(passphrase);
+    confirmation.fill(0);
+
+    if (!matches) {
+      passphrase.fill(0);
+      throw new Error('Passphrases do not match');
+    }
+  }
+
+  return passphrase;
+}
+
+/**
+ * Read a wallet key from its env var, or prompt for it
+ * @param {string} env - Env var name
+ * @param {string} label - What to prompt for
+ * @returns {Promise<string|null>} Hex key, or null for none
+ */
+async function readWalletKey(env, label) {
+  if (process.env[env]) {
+    return process.env[env];
+  }
+
+  const entered = await keystore.readPassphrase({ prompt: `${label} private key (hex, empty for none): ` });
+  const key = entered.toString('utf8').trim() || null;
+  entered.fill(0);
+  return key;
+}
+
+/**
+ * Create a keystore from HD_MASTER_MNEMONIC and the wallet key env vars, prompts, or a new mnemonic
+ * @param {string} file - Keystore path
+ * @param {array} args - Command line arguments
+ */
+async function create(file, args) {
+  if (fs.existsSync(file) && !args.includes('--force')) {
+    throw new Error(`${file} already exists - use rotate to change its passphrase, or --force to replace it`);
+  }
+
+  let mnemonic = process.env.HD_MASTER_MNEMONIC;
+  let generated = false;
+
+  if (args.includes('--generate')) {
+    mnemonic = hdWallet.generateMnemonic(256);
+    generated = true;
+  } else if (!mnemonic) {
+    const entered = await keystore.readPassphrase({ prompt: 'HD mnemonic: ' });
+    mnemonic = entered.toString('utf8');
+    entered.fill(0);
+  }
+
+  const masterPrivateKey = await readWalletKey('MASTER_WALLET_PRIVATE_KEY', 'Master wallet');
+  const stakingPrivateKey = await readWalletKey('ENERGY_STAKING_PRIVATE_KEY', 'Energy staking wallet');
+  const gasFundingPrivateKey = await readWalletKey('GAS_FUNDING_PRIVATE_KEY', 'Gas-funding wallet');
+
+  const passphrase = await readNewPassphrase(getOption(args, '--passphrase-fd'), 'passphrase');
+
+  let created;
+  try {
+    created = keystore.createKeystore({ mnemonic, masterPrivateKey, stakingPrivateKey, gasFundingPrivateKey }, passphrase);
+  } finally {
+    passphrase.fill(0);
+  }
+
+  keystore.writeKeystoreFile(file, created);
+
+  console.log(`\n🔐 Keystore written to ${file}`);
+  console.log(`   Account xpub:  ${created.accountXpub}`);
+  console.log(`   Master wallet: ${created.masterAddress || '(none)'}`);
+  console.log(`   Staking:       ${created.stakingAddress || '(none)'}`);
+  console.log(`   Gas-funding:   ${created.gasFundingAddress || '(none)'}`);
+
+  if (generated) {
+    console.log('\n⚠️  New mnemonic - write it down and keep it offline, it is not shown again:\n');
+    console.log(`   ${mnemonic}\n`);
+  }
+
+  console.log('\nSet KEYSTORE_PATH for the signer and remove HD_MASTER_MNEMONIC and the wallet private keys');
+  console.log('from its environment. Set the account xpub as HD_ACCOUNT_XPUB on the API server, and the staking');
+  console.log('and gas-funding addresses as ENERGY_STAKING_ADDRESS and GAS_FUNDING_ADDRESS.\n');
+}
+
+/**
+ * Re-encrypt a keystore under a new passphrase
+ * @param {string} file - Keystore path
+ * @param {array} args - Command line arguments
+ */
+async function rotate(file, args) {
+  const current = keystore.readKeystoreFile(file);
+
+  const oldPassphrase = await keystore.readPassphrase({ fd: getOption(args, '--passphrase-fd'), prompt: 'Current passphrase: ' });
+  let newPassphrase;
+  let rotated;
+
+  try {
+    // Check the current passphrase before asking for a new one
+    const opened = keystore.openKeystore(current, oldPassphrase);
+    [opened.seed, opened.masterPrivateKey, opened.stakingPrivateKey, opened.gasFundingPrivateKey].forEach(b => b.fill(0));
+
+    newPassphrase = await readNewPassphrase(getOption(args, '--new-passphrase-fd'), 'new passphrase');
+    rotated = keystore.rotateKeystore(current, oldPassphrase, newPassphrase);
+  } finally {
+    oldPassphrase.fill(0);
+    if (newPassphrase) {
+      newPassphrase.fill(0);
+    }
+  }
+
+  keystore.writeKeystoreFile(file, rotated);
+
+  console.log(`\n🔐 Keystore ${file} re-encrypted under the new passphrase`);
+  console.log('   Restart the signer with the new passphrase.\n');
+}
+
+/**
+ * Unlock a keystore and print what it holds (public parts only)
+ * @param {string} file - Keystore path
+ * @param {array} args - Command line arguments
+ * @returns {boolean} Whether it matches HD_ACCOUNT_XPUB (true if that is not set)
+ */
+async function verify(file, args) {
+  const passphrase = await keystore.readPassphrase({ fd: getOption(args, '--passphrase-fd') });
+
+  let unlocked;
+  try {
+    unlocked = keystore.unlock(file, passphrase);
+  } finally {
+    passphrase.fill(0);
+  }
+
+  try {
+    console.log(`\n🔓 Keystore ${file} unlocked`);
+    console.log(`   Mnemonic:         ${unlocked.wordCount} words`);
+    console.log(`   Account xpub:     ${unlocked.accountXpub}`);
+    console.log(`   Master wallet:    ${unlocked.masterAddress || '(none)'}`);
+    console.log(`   Energy staking:   ${unlocked.stakingAddress || '(none)'}`);
+    console.log(`   Gas-funding:      ${unlocked.gasFundingAddress || '(none)'}`);
+
+    // deriveAddress prefers HD_ACCOUNT_XPUB, so only trust index 0 once the xpub is known to match
+    const xpub = process.env.HD_ACCOUNT_XPUB;
+    if (xpub && xpub !== unlocked.accountXpub) {
+      console.log('\n❌ HD_ACCOUNT_XPUB in this environment does not belong to the keystore mnemonic\n');
+      return false;
+    }
+
+    console.log(`   Index 0 address:  ${hdWallet.deriveAddress(0).address}`);
+    console.log(xpub ? '\n✅ Matches HD_ACCOUNT_XPUB\n' : '');
+    return true;
+  } finally {
+    keystore.lock();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (args.includes('--help') || args.includes('-h') || !['create', 'rotate', 'verify'].includes(command)) {
+    console.log(`
+Usage:
+  node scripts/keystore.js <command> [options]
+
+Commands:
+  create      Encrypt HD_MASTER_MNEMONIC, MASTER_WALLET_PRIVATE_KEY, ENERGY_STAKING_PRIVATE_KEY and
+              GAS_FUNDING_PRIVATE_KEY (prompted for if not set)
+  rotate      Re-encrypt the keystore under a new passphrase
+  verify      Unlock the keystore and print its xpub and addresses
+
+Options:
+  --file <path>               Keystore file (default: KEYSTORE_PATH)
+  --generate                  create: generate a new 24-word mnemonic instead
+  --force                     create: replace an existing keystore
+  --passphrase-fd <fd>        Read the (current) passphrase from a file descriptor
+  --new-passphrase-fd <fd>    rotate: read the new passphrase from a file descriptor
+
+Passphrases are prompted for when no descriptor is given, and must be at least ${MIN_PASSPHRASE_LENGTH} characters.
+Example: node scripts/keystore.js verify --passphrase-fd 3 3< /run/secrets/keystore-passphrase
+`);
+    process.exit(0);
+  }
+
+  const file = getOption(args, '--file') || process.env.KEYSTORE_PATH;
+  if (!file) {
+    console.error('❌ No keystore file - pass --file or set KEYSTORE_PATH');
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'create') {
+      await create(file, args);
+    } else if (command === 'rotate') {
+      await rotate(file, args);
+    } else if (!(await verify(file, args))) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
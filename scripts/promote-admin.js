@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Promote Admin Script
+ *
+ * Sets a user's role directly in the database. Use it to bootstrap the first admin,
+ * who can then manage roles through PUT /api/v1/admin/users/:id/role
+ *
+ * Usage:
+ *   node scripts/promote-admin.js --phone <phone> [--role <role>]
+ *   node scripts/promote-admin.js --username <username> [--role <role>]
+ */
+
+require('dotenv').config();
+const db = require('../src/config/db');
+const { ROLES } = require('../src/config/roles');
+
+/**
+ * Set the role of a user found by phone or username
+ * @param {object} params - { phone, username, role }
+ * @returns {object} Updated user
+ */
+function promoteUser({ phone, username, role = 'admin' }) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}". Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const user = phone
+    ? db.prepare('SELECT id, phone, username, role FROM users WHERE phone = ?').get(phone)
+    : db.prepare('SELECT id, phone, username, role FROM users WHERE username = ?').get(username);
+
+  if (!user) {
+    throw new Error(`User not found: ${phone || username}`);
+  }
+
+  db.prepare("UPDATE users SET role = ?, updated_at = datetime('now') WHERE id = ?").run(role, user.id);
+
+  return { ...user, previousRole: user.role, role };
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage:
+  node scripts/promote-admin.js --phone <phone> [--role <role>]
+  node scripts/promote-admin.js --username <username> [--role <role>]
+
+Roles: ${ROLES.join(', ')} (default: admin)
+
+The user must log in again to receive a token carrying the new role.
+`);
+    process.exit(0);
+  }
+
+  let phone = null;
+  let username = null;
+  let role = 'admin';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--phone' && args[i + 1]) {
+      phone = args[i + 1];
+      i++;
+    } else if (args[i] === '--username' && args[i + 1]) {
+      username = args[i + 1];
+      i++;
+    } else if (args[i] === '--role' && args[i + 1]) {
+      role = args[i + 1];
+      i++;
+    }
+  }
+
+  if (!phone && !username) {
+    console.error('❌ Please provide either --phone or --username');
+    console.log('Use --help for usage information');
+    process.exit(1);
+  }
+
+  try {
+    const user = promoteUser({ phone, username, role });
+    console.log(`✅ ${user.username} (${user.phone}) role changed: ${user.previousRole} -> ${user.role}`);
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  promoteUser,
+};
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Reconcile Script
+ *
+ * Runs a reconciliation of on-chain USDT holdings against the ledger and user balances,
+ * stores the report and prints it. Suitable for cron: the exit code is
+ *   0 - holdings and records reconcile
+ *   1 - discrepancies were found
+ *   2 - the run could not complete
+ *
+ * Usage:
+ *   node scripts/reconcile.js [--skip-tx-checks] [--json]
+ */
+
+require('dotenv').config();
+const reconciliationService = require('../src/services/reconciliationService');
+
+/**
+ * Print a report for humans
+ * @param {object} report - Report from reconciliationService
+ */
+function printReport(report) {
+  console.log('\n' + '='.repeat(70));
+  console.log(`🧮 RECONCILIATION REPORT #${report.id} - ${report.status.toUpperCase()}`);
+  console.log('='.repeat(70));
+
+  if (report.status === 'error') {
+    console.log(`\n❌ ${report.error}`);
+    return;
+  }
+
+  console.log(`\nRate: ${report.sellRate} KES/USDT (sell, rate #${report.rateId})`);
+  console.log(`Addresses checked: ${report.addressesChecked}`);
+  console.log(`Transactions checked: ${report.transactionsChecked}`);
+
+  console.log('\n💰 Holdings');
+  console.log(`   On chain:                ${report.onchainUsdt} USDT`);
+  console.log(`   Ledger USDT assets:      ${report.ledgerUsdt} USDT`);
+
+  console.log('\n📒 Owed');
+  console.log(`   User balances:           ${report.userLiabilitiesKes} KES = ${report.userLiabilitiesUsdt} USDT`);
+  console.log(`   Unsettled withdrawals:   ${report.pendingWithdrawalsUsdt} USDT`);
+  console.log(`   Surplus:                 ${report.surplusUsdt} USDT`);
+
+  if (report.discrepancies.length === 0) {
+    console.log('\n✅ No discrepancies');
+    return;
+  }
+
+  console.log(`\n🚨 ${report.discrepancies.length} discrepancy(ies):`);
+  report.discrepancies.forEach((d) => {
+    console.log(`   - [${d.type}] ${d.message}`);
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage:
+  node scripts/reconcile.js [options]
+
+Options:
+  --skip-tx-checks   Only compare balances; do not look up deposit, sweep and withdrawal transactions
+  --json             Print the report as JSON
+
+Exit codes: 0 reconciled, 1 discrepancies found, 2 run failed
+`);
+    process.exit(0);
+  }
+
+  const report = await reconciliationService.runReconciliation({
+    triggeredBy: 'cli',
+    verifyTransactions: !args.includes('--skip-tx-checks'),
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    console.log('\n' + '='.repeat(70) + '\n');
+  }
+
+  const exitCodes = { ok: 0, mismatch: 1 };
+  process.exit(report.status in exitCodes ? exitCodes[report.status] : 2);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  printReport,
+};
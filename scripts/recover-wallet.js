@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Recover Wallet Script
+ *
+ * Scans the HD wallet's deposit addresses on chain up to the gap limit and reconciles them against
+ * users (see src/services/recoveryService.js): funds at indexes no user holds, users whose stored
+ * address does not match their index, and used indexes that registration would hand out again.
+ * Works with a watch-only HD_ACCOUNT_XPUB; --sweep has the signer sign the recovery sweeps.
+ *
+ * Exit codes:
+ *   0 - every funded or used address is accounted for
+ *   1 - orphaned funds, mismatches, lookup errors or used indexes past next_derivation_index were found
+ *   2 - the scan could not complete (including giving up after too many lookup errors in a row)
+ *
+ * Usage:
+ *   node scripts/recover-wallet.js
+ *   node scripts/recover-wallet.js --gap-limit 50 --json
+ *   node scripts/recover-wallet.js --sweep --min-usdt 5
+ *   node scripts/recover-wallet.js --advance-next-index
+ */
+
+require('dotenv').config();
+const recoveryService = require('../src/services/recoveryService');
+
+/**
+ * Get a non-negative integer following a flag
+ * @param {array} args - Command line arguments
+ * @param {string} flag - e.g. '--start'
+ * @param {number|null} fallback - Value when the flag is absent
+ * @returns {number|null}
+ */
+function getIntOption(args, flag, fallback) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return fallback;
+  }
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${flag} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Print one scan entry
+ * @param {object} e - Scan entry
+ */
+function printEntry(e) {
+  const balances = e.error ? e.error : `${e.usdtBalance} USDT  ${e.trxBalance} TRX  ${e.transactions}${e.moreTransactions ? '+' : ''} tx  ${e.trc20Transfers} TRC20`;
+  console.log(`   #${String(e.index).padEnd(6)} ${e.address}  ${balances}`);
+}
+
+/**
+ * Print a report for humans
+ * @param {object} report - Report from recoveryService.scanAddresses
+ */
+function printReport(report) {
+  console.log('\n' + '='.repeat(70));
+  console.log('🔎 HD WALLET RECOVERY SCAN');
+  console.log('='.repeat(70));
+
+  console.log(`\nIndexes scanned:        ${report.scannedFrom}-${report.scannedTo} (${report.addressesScanned} addresses, gap limit ${report.gapLimit})`);
+  if (report.reachedMaxIndex) {
+    console.log('                        ⚠️  stopped at --max-index before the gap limit was reached');
+  }
+  if (report.stoppedOnErrors) {
+    console.log('                        🚨 stopped after too many addresses in a row could not be read - the scan is incomplete');
+  }
+  console.log(`Last used index:        ${report.lastUsedIndex === null ? '-' : report.lastUsedIndex}`);
+  console.log(`Highest assigned index: ${report.highestAssignedIndex === null ? '-' : report.highestAssignedIndex}`);
+  console.log(`next_derivation_index:  ${report.nextDerivationIndex}${report.suggestedNextIndex > report.nextDerivationIndex ? `  ⚠️  should be at least ${report.suggestedNextIndex}` : ''}`);
+
+  console.log('\n📊 Addresses');
+  Object.entries(report.counts).forEach(([status, count]) => {
+    console.log(`   ${status.padEnd(10)} ${count}`);
+  });
+  console.log(`   Held: ${report.totals.usdt} USDT, ${report.totals.trx} TRX`);
+
+  if (report.orphaned.length > 0) {
+    console.log(`\n🚨 ${report.orphaned.length} orphaned address(es) holding ${report.totals.orphanedUsdt} USDT and ${report.totals.orphanedTrx} TRX:`);
+    report.orphaned.forEach(printEntry);
+  }
+
+  if (report.mismatched.length > 0) {
+    console.log(`\n🚨 ${report.mismatched.length} address(es) not matching the users table:`);
+    report.mismatched.forEach((e) => {
+      printEntry(e);
+      console.log(e.expectedAddress
+        ? `           user ${e.userId} (${e.username}) at this index has ${e.expectedAddress}`
+        : `           address belongs to user ${e.userId} (${e.username}) at another index`);
+    });
+  }
+
+  if (report.errors.length > 0) {
+    console.log(`\n⚠️  ${report.errors.length} address(es) could not be read (treated as used):`);
+    report.errors.forEach(printEntry);
+  }
+
+  const used = report.entries.filter(e => e.status === 'used');
+  if (used.length > 0) {
+    console.log(`\n📭 ${used.length} unassigned address(es) with history but no balance:`);
+    used.forEach(printEntry);
+  }
+
+  if (report.usersWithoutIndex.length > 0) {
+    console.log(`\n⚠️  ${report.usersWithoutIndex.length} user(s) with an address but no derivation index (not checked):`);
+    report.usersWithoutIndex.forEach((u) => {
+      console.log(`   user ${u.userId} (${u.username})  ${u.address}`);
+    });
+  }
+}
+
+/**
+ * Print the outcome of sweeping orphaned addresses
+ * @param {object} results - From recoveryService.sweepOrphans
+ */
+function printSweeps(results) {
+  console.log(`\n🧹 Recovery sweeps${results.dryRun ? ' (dry run)' : ''}: ${results.swept} swept (${results.totalUsdt} USDT), ${results.needsGas} need gas, ${results.failed} failed, ${results.skipped} skipped`);
+  results.details.forEach((d) => {
+    const detail = {
+      swept: `${d.amount} USDT - sweep #${d.sweepId} TX: ${d.txHash}`,
+      would_sweep: `${d.amount} USDT`,
+      needs_gas: d.error,
+      failed: d.error,
+      skipped: d.reason,
+    }[d.status];
+    console.log(`   #${String(d.index).padEnd(6)} ${d.address}  ${d.status}  ${detail}`);
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage:
+  node scripts/recover-wallet.js [options]
+
+Options:
+  --start <index>          First derivation index to scan (default: 0)
+  --gap-limit <n>          Stop after this many consecutive unused indexes (default: RECOVERY_GAP_LIMIT or ${recoveryService.GAP_LIMIT})
+  --max-index <index>      Never scan past this index (default: RECOVERY_MAX_INDEX or ${recoveryService.MAX_INDEX})
+  --max-errors <n>         Give up after this many unreadable addresses in a row (default: RECOVERY_MAX_CONSECUTIVE_ERRORS or ${recoveryService.MAX_CONSECUTIVE_ERRORS})
+  --concurrency <n>        Addresses read at once (default: RECOVERY_CONCURRENCY or ${recoveryService.CONCURRENCY})
+  --json                   Print the report as JSON
+  --sweep                  Sweep orphaned USDT to the consolidation address (signed by the signer)
+  --dry-run                With --sweep: show what would be swept without signing
+  --min-usdt <amount>      With --sweep: skip addresses holding less (default: the USDT minSweep)
+  --advance-next-index     Move next_derivation_index past every used and assigned index
+
+Scanning continues until the gap limit is reached past both the last used address and the
+highest index assigned to a user, so every user's address is always checked.
+
+Exit codes: 0 all accounted for, 1 issues found, 2 scan failed or gave up on lookup errors
+`);
+    process.exit(0);
+  }
+
+  const json = args.includes('--json');
+
+  const minUsdtIndex = args.indexOf('--min-usdt');
+  const minUsdt = minUsdtIndex !== -1 ? parseFloat(args[minUsdtIndex + 1]) : undefined;
+  if (minUsdt !== undefined && !(minUsdt >= 0)) {
+    throw new Error('--min-usdt must be a non-negative amount');
+  }
+
+  const report = await recoveryService.scanAddresses({
+    startIndex: getIntOption(args, '--start', 0),
+    gapLimit: getIntOption(args, '--gap-limit', recoveryService.GAP_LIMIT),
+    maxIndex: getIntOption(args, '--max-index', recoveryService.MAX_INDEX),
+    maxConsecutiveErrors: getIntOption(args, '--max-errors', recoveryService.MAX_CONSECUTIVE_ERRORS) || 1,
+    concurrency: getIntOption(args, '--concurrency', recoveryService.CONCURRENCY) || 1,
+    onProgress: json ? null : ({ scannedTo, lastUsedIndex }) => {
+      console.log(`   ...scanned to index ${scannedTo} (last used: ${lastUsedIndex === -1 ? '-' : lastUsedIndex})`);
+    },
+  });
+
+  const output = { report };
+
+  if (args.includes('--sweep') && report.orphaned.length > 0) {
+    output.sweeps = await recoveryService.sweepOrphans(report.orphaned, { minUsdt, dryRun: args.includes('--dry-run') });
+  }
+
+  if (args.includes('--advance-next-index')) {
+    output.nextIndex = recoveryService.advanceNextIndex(report.suggestedNextIndex);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    printReport(report);
+    if (output.sweeps) {
+      printSweeps(output.sweeps);
+    }
+    if (output.nextIndex) {
+      console.log(`\n⏭️  next_derivation_index: ${output.nextIndex.previous} -> ${output.nextIndex.next}`);
+    }
+    console.log('\n' + '='.repeat(70) + '\n');
+  }
+
+  const nextIndex = output.nextIndex ? output.nextIndex.next : report.nextDerivationIndex;
+  const issues = report.orphaned.length + report.mismatched.length + report.errors.length > 0
+    || report.suggestedNextIndex > nextIndex;
+
+  if (report.stoppedOnErrors) {
+    process.exit(2);
+  }
+
+  process.exit(issues ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(2);
+  });
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Retry Sweeps Script
+ *
+ * Settles in-flight sweeps from their on-chain receipts, then retries failed sweeps.
+ * A retry sweeps the address's current balance of the failed sweep's token as a new sweep linked to
+ * the failed one; only the latest sweep of a token from an address can be retried.
+ *
+ * Usage:
+ *   node scripts/retry-sweeps.js --list
+ *   node scripts/retry-sweeps.js --id <sweepId>
+ *   node scripts/retry-sweeps.js --all
+ */
+
+require('dotenv').config();
+const consolidationService = require('../src/services/consolidationService');
+
+/**
+ * Print the failed sweeps that can be retried
+ * @param {array} sweeps - Sweep rows
+ */
+function printRetryable(sweeps) {
+  if (sweeps.length === 0) {
+    console.log('\n✅ No failed sweeps to retry\n');
+    return;
+  }
+
+  console.log(`\n🔁 ${sweeps.length} failed sweep(s) to retry:`);
+  sweeps.map(consolidationService.formatSweep).forEach((s) => {
+    const owner = s.userId === null ? `index ${s.derivationIndex}` : `user ${s.userId}`;
+    console.log(`   #${s.id}  ${owner}  ${s.fromAddress}  ${s.amount} ${s.token}  failed ${s.failedAt}`);
+    console.log(`         ${s.failureReason}`);
+  });
+  console.log('');
+}
+
+/**
+ * Retry one sweep and print the outcome
+ * @param {number} sweepId - Failed sweep ID
+ * @returns {Promise<boolean>} Whether the retry was broadcast
+ */
+async function retryOne(sweepId) {
+  try {
+    const result = await consolidationService.retrySweep(sweepId);
+
+    if (result.success) {
+      console.log(`✅ Sweep #${sweepId} retried as sweep #${result.sweepId}: ${result.amount} ${result.token} - TX: ${result.txHash}`);
+      return true;
+    }
+
+    console.log(`❌ Retry of sweep #${sweepId} failed${result.sweepId ? ` (sweep #${result.sweepId})` : ''}: ${result.error}`);
+  } catch (error) {
+    console.log(`⚠️  Sweep #${sweepId} not retried: ${error.message}`);
+  }
+
+  return false;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+Usage:
+  node scripts/retry-sweeps.js [options]
+
+Options:
+  --list        List failed sweeps that can be retried
+  --id <id>     Retry one failed sweep
+  --all         Retry every failed sweep that can be retried
+
+In-flight sweeps are settled from their on-chain receipts first.
+Exit codes: 0 all retries broadcast, 1 a retry failed
+`);
+    process.exit(0);
+  }
+
+  const idIndex = args.indexOf('--id');
+  const sweepId = idIndex !== -1 ? parseInt(args[idIndex + 1]) : null;
+
+  if (idIndex !== -1 && !sweepId) {
+    console.error('❌ --id requires a sweep ID');
+    process.exit(1);
+  }
+
+  const settled = await consolidationService.confirmSweeps();
+  if (settled.confirmed || settled.failed) {
+    console.log(`📒 Settled in-flight sweeps: ${settled.confirmed} confirmed, ${settled.failed} failed`);
+  }
+
+  if (args.includes('--list')) {
+    printRetryable(consolidationService.getRetryableSweeps());
+    process.exit(0);
+  }
+
+  const sweepIds = sweepId ? [sweepId] : consolidationService.getRetryableSweeps().map(s => s.id);
+
+  if (sweepIds.length === 0) {
+    console.log('\n✅ No failed sweeps to retry\n');
+    process.exit(0);
+  }
+
+  let allBroadcast = true;
+  for (const id of sweepIds) {
+    if (!(await retryOne(id))) {
+      allBroadcast = false;
+    }
+  }
+
+  process.exit(allBroadcast ? 0 : 1);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  retryOne,
+};
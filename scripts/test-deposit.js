@@ -13,12 +13,15 @@ require('dotenv').config();
 const axios = require('axios');
 const db = require('../src/config/db');
 const tronService = require('../src/services/tronService');
+const rateService = require('../src/services/rateService');
+const tokenService = require('../src/services/tokenService');
+const money = require('../src/utils/money');
 const depositMonitor = require('../src/services/depositMonitor');
 
 const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
 const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
-const USDT_TO_KES_RATE = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
-const MIN_DEPOSIT = parseFloat(process.env.MIN_DEPOSIT_USDT) || 0.1;
+const USDT_TO_KES_RATE = rateService.getActiveRate().buyRate; // Deposits are credited at the buy rate
+const MIN_DEPOSIT = tokenService.getToken('USDT').minDeposit;
 
 const isTestnet = TRON_API_URL.includes('shasta');
 const TESTNET_USDT = 'TG3XXyExBkPp9nzdajDZsozEu4BkaSJozs';
@@ -36,14 +39,14 @@ console.log('='.repeat(70) + '\n');
  * Get user info
  */
 function getUserInfo(userId) {
-  const user = db.prepare('SELECT id, username, balance_kes, tron_address FROM users WHERE id = ?').get(userId);
+  const user = db.prepare('SELECT id, username, balance_cents, tron_address FROM users WHERE id = ?').get(userId);
   if (!user) {
     return null;
   }
   return {
     id: user.id,
     username: user.username,
-    balance: parseFloat(user.balance_kes || 0),
+    balance: money.centsToKes(user.balance_cents || 0),
     address: user.tron_address,
   };
 }
@@ -84,7 +87,7 @@ function checkDatabaseBalance(userId) {
   if (!user) return null;
 
   const deposits = db.prepare(
-    `SELECT id, tx_hash, usdt_amount, kes_amount, status, created_at, verified_at 
+    `SELECT id, tx_hash, amount_minor, kes_amount_cents, status, created_at, verified_at 
      FROM deposits 
      WHERE user_id = ? 
      ORDER BY created_at DESC 
@@ -96,8 +99,8 @@ function checkDatabaseBalance(userId) {
     deposits: deposits.map(d => ({
       id: d.id,
       txHash: d.tx_hash,
-      usdtAmount: parseFloat(d.usdt_amount),
-      kesAmount: parseFloat(d.kes_amount),
+      usdtAmount: money.sunToUsdt(d.amount_minor),
+      kesAmount: money.centsToKes(d.kes_amount_cents),
       status: d.status,
       createdAt: d.created_at,
       verifiedAt: d.verified_at,
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Test Rate Provider Script
+ *
+ * Runs a local stub HTTP rate feed and either:
+ *   - exercises the HTTP provider and rate refresher against it (default), using a
+ *     throwaway database so the real exchange rate is never touched, or
+ *   - keeps serving it (--serve) so a running server can be pointed at it with
+ *     RATE_PROVIDER=http RATE_PROVIDER_URL=http://localhost:<port>/rate
+ *     RATE_PROVIDER_RATE_PATH=data.rate RATE_PROVIDER_TIMESTAMP_PATH=data.timestamp
+ *
+ * Usage:
+ *   node scripts/test-rate-provider.js
+ *   node scripts/test-rate-provider.js --serve [--port 4010] [--rate 130]
+ */
+
+require('dotenv').config();
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Start a stub rate feed
+ * The response is controlled through the returned feed object:
+ *   { rate, timestamp (seconds), status }
+ * @param {number} port - Port to listen on (0 for any free port)
+ * @param {object} feed - Initial feed state
+ * @returns {Promise<object>} { server, feed, url }
+ */
+function startStubFeed(port, feed) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      if (feed.status !== 200) {
+        res.writeHead(feed.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Feed unavailable' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        data: {
+          pair: 'USDT/KES',
+          rate: feed.rate,
+          timestamp: feed.timestamp || Math.floor(Date.now() / 1000),
+        },
+      }));
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+      resolve({ server, feed, url: `http://127.0.0.1:${server.address().port}/rate` });
+    });
+  });
+}
+
+/**
+ * Run the refresher against the stub feed through a series of scenarios
+ */
+async function runScenarios() {
+  const { server, feed, url } = await startStubFeed(0, { rate: 130, timestamp: null, status: 200 });
+
+  // Configure before the services are loaded - they read the environment at require time
+  const dbPath = path.join(os.tmpdir(), `rate-provider-test-${process.pid}.db`);
+  Object.assign(process.env, {
+    DB_PATH: dbPath,
+    USDT_TO_KES_RATE: '130',
+    RATE_PROVIDER: 'http',
+    RATE_PROVIDER_URL: url,
+    RATE_PROVIDER_RATE_PATH: 'data.rate',
+    RATE_PROVIDER_TIMESTAMP_PATH: 'data.timestamp',
+    RATE_MAX_DEVIATION_PERCENT: '5',
+    RATE_MAX_AGE_MS: String(10 * 60 * 1000),
+  });
+
+  const db = require('../src/config/db');
+  const rateService = require('../src/services/rateService');
+  const rateRefresher = require('../src/services/rateRefresher');
+
+  const scenarios = [
+    { name: 'Fresh rate within bounds', feed: { rate: 131 }, expect: { applied: true, rate: 131 } },
+    { name: 'Rate deviates beyond bound', feed: { rate: 150 }, expect: { applied: false, code: 'deviation', rate: 131 } },
+    { name: 'Feed timestamp is stale', feed: { rate: 131.5, timestamp: Math.floor(Date.now() / 1000) - 3600 }, expect: { applied: false, code: 'stale_feed', rate: 131 } },
+    { name: 'Feed is down', feed: { status: 503 }, expect: { applied: false, code: 'provider_error', rate: 131 } },
+    { name: 'Feed recovers', feed: { rate: 131.2 }, expect: { applied: true, rate: 131.2 } },
+  ];
+
+  let failures = 0;
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`🧪 RATE PROVIDER TEST against ${url}`);
+  console.log('='.repeat(70));
+
+  for (const scenario of scenarios) {
+    Object.assign(feed, { rate: 130, timestamp: null, status: 200 }, scenario.feed);
+
+    const result = await rateRefresher.refreshRate();
+    const active = rateService.getActiveRate();
+    const passed = result.applied === scenario.expect.applied
+      && (!scenario.expect.code || result.code === scenario.expect.code)
+      && active.rate === scenario.expect.rate;
+
+    if (!passed) failures++;
+
+    console.log(`\n${passed ? '✅' : '❌'} ${scenario.name}`);
+    console.log(`   Result: ${result.applied ? 'applied' : `refused (${result.code}: ${result.message})`}`);
+    console.log(`   Active rate: ${active.rate} (buy ${active.buyRate}, sell ${active.sellRate}, source ${active.source})`);
+  }
+
+  const alerts = db.prepare("SELECT payload FROM webhook_events WHERE event_type = 'rate.alert' ORDER BY id").all();
+  console.log(`\n🚨 Alerts raised: ${alerts.length}`);
+  alerts.forEach(a => console.log(`   - ${JSON.parse(a.payload).code}`));
+
+  server.close();
+  db.close();
+  for (const suffix of ['', '-wal', '-shm']) {
+    fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log(failures === 0 ? '✅ All scenarios passed' : `❌ ${failures} scenario(s) failed`);
+  console.log('='.repeat(70) + '\n');
+
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage:
+  node scripts/test-rate-provider.js                      Run refresher scenarios against a stub feed
+  node scripts/test-rate-provider.js --serve [options]    Serve a stub feed until stopped
+
+Options:
+  --port <port>   Port for --serve (default: 4010)
+  --rate <rate>   Rate served by --serve (default: 130)
+`);
+    process.exit(0);
+  }
+
+  if (!args.includes('--serve')) {
+    await runScenarios();
+    return;
+  }
+
+  let port = 4010;
+  let rate = 130;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && args[i + 1]) {
+      port = parseInt(args[i + 1]);
+      i++;
+    } else if (args[i] === '--rate' && args[i + 1]) {
+      rate = parseFloat(args[i + 1]);
+      i++;
+    }
+  }
+
+  const { url } = await startStubFeed(port, { rate, timestamp: null, status: 200 });
+  console.log(`📡 Stub rate feed serving ${rate} at ${url} (Ctrl+C to stop)`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startStubFeed,
+};
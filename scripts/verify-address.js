@@ -313,7 +313,7 @@ async function testTransaction(address) {
       console.log(`   ├─ Hash: ${tx.txHash}`);
       console.log(`   ├─ From: ${tx.from}`);
       console.log(`   ├─ To: ${tx.to}`);
-      console.log(`   ├─ Amount: ${tx.value / 1_000_000} USDT`);
+      console.log(`   ├─ Amount: ${tx.value / 10 ** tx.tokenDecimals} ${tx.tokenSymbol}`);
       console.log(`   └─ Time: ${new Date(tx.blockTimestamp).toLocaleString()}`);
       console.log('');
     });
@@ -358,7 +358,7 @@ Examples:
     const config = hdWallet.validateConfig();
     if (!config.valid) {
       console.error(`❌ HD Wallet not configured: ${config.error}`);
-      console.error('   Set HD_MASTER_MNEMONIC environment variable');
+      console.error('   Set HD_ACCOUNT_XPUB or HD_MASTER_MNEMONIC environment variable');
       process.exit(1);
     }
 
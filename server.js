@@ -13,6 +13,21 @@ const adminRoutes = require('./src/routes/adminRoutes');
 
 // Import services
 const depositMonitor = require('./src/services/depositMonitor');
+const webhookService = require('./src/services/webhookService');
+const withdrawalBroadcaster = require('./src/services/withdrawalBroadcaster');
+const rateService = require('./src/services/rateService');
+const rateRefresher = require('./src/services/rateRefresher');
+const sweepScheduler = require('./src/services/sweepScheduler');
+const balanceCache = require('./src/services/balanceCacheService');
+const addressPool = require('./src/services/addressPoolService');
+const keystore = require('./src/services/keystoreService');
+
+// The API server never needs a private key; refuse to run in production with one in the environment
+const plaintextSecrets = keystore.checkPlaintextSecrets();
+if (plaintextSecrets) {
+  console.error(`❌ Server not started: ${plaintextSecrets}`);
+  process.exit(1);
+}
 
 // Initialize express app
 const app = express();
@@ -68,13 +83,49 @@ app.get('/', (req, res) => {
         balance: 'GET /api/v1/wallet/balance',
         transactions: 'GET /api/v1/wallet/transactions',
         exchangeRate: 'GET /api/v1/wallet/exchange-rate',
+        createQuote: 'POST /api/v1/wallet/quotes',
+        quote: 'GET /api/v1/wallet/quotes/:id',
+        withdraw: 'POST /api/v1/wallet/withdraw',
+        withdrawals: 'GET /api/v1/wallet/withdrawals',
+        withdrawal: 'GET /api/v1/wallet/withdrawals/:id',
+        withdrawalInfo: 'GET /api/v1/wallet/withdrawal-info',
       },
       admin: {
         consolidationStatus: 'GET /api/v1/admin/consolidation/status',
+        refreshBalances: 'POST /api/v1/admin/consolidation/balances/refresh',
         sweepAll: 'POST /api/v1/admin/consolidation/sweep',
         sweepUser: 'POST /api/v1/admin/consolidation/sweep/:userId',
         sweepHistory: 'GET /api/v1/admin/consolidation/history',
+        retrySweep: 'POST /api/v1/admin/consolidation/sweeps/:id/retry',
+        sweepRuns: 'GET /api/v1/admin/consolidation/runs',
+        sweepRun: 'GET /api/v1/admin/consolidation/runs/:id',
+        sweepScheduler: 'GET /api/v1/admin/consolidation/scheduler',
+        pauseSweepScheduler: 'POST /api/v1/admin/consolidation/scheduler/pause',
+        resumeSweepScheduler: 'POST /api/v1/admin/consolidation/scheduler/resume',
+        gasReport: 'GET /api/v1/admin/consolidation/gas',
+        gasTopups: 'GET /api/v1/admin/consolidation/gas/topups',
+        energyReport: 'GET /api/v1/admin/energy',
+        energyDelegations: 'GET /api/v1/admin/energy/delegations',
         userWallet: 'GET /api/v1/admin/wallet/:userId',
+        depositMonitor: 'GET /api/v1/admin/deposits/monitor',
+        depositBackfill: 'POST /api/v1/admin/deposits/backfill',
+        withdrawals: 'GET /api/v1/admin/withdrawals',
+        withdrawal: 'GET /api/v1/admin/withdrawals/:id',
+        approveWithdrawal: 'POST /api/v1/admin/withdrawals/:id/approve',
+        rejectWithdrawal: 'POST /api/v1/admin/withdrawals/:id/reject',
+        exchangeRates: 'GET|POST /api/v1/admin/rates',
+        refreshExchangeRate: 'POST /api/v1/admin/rates/refresh',
+        ledgerAccounts: 'GET /api/v1/admin/ledger/accounts',
+        ledgerEntries: 'GET /api/v1/admin/ledger/entries',
+        runReconciliation: 'POST /api/v1/admin/reconciliation/run',
+        reconciliationReports: 'GET /api/v1/admin/reconciliation/reports',
+        reconciliationReport: 'GET /api/v1/admin/reconciliation/reports/:id',
+        userRole: 'PUT /api/v1/admin/users/:id/role',
+        webhookEndpoints: 'GET|POST /api/v1/admin/webhooks/endpoints',
+        disableWebhookEndpoint: 'DELETE /api/v1/admin/webhooks/endpoints/:id',
+        webhookDeliveries: 'GET /api/v1/admin/webhooks/deliveries',
+        webhookDelivery: 'GET /api/v1/admin/webhooks/deliveries/:id',
+        redeliverWebhook: 'POST /api/v1/admin/webhooks/deliveries/:id/redeliver',
       },
     },
   });
@@ -106,23 +157,54 @@ app.listen(PORT, () => {
 ║     Environment: ${process.env.NODE_ENV || 'development'}                  ║
 ╚═══════════════════════════════════════════════════╝
   `);
-  console.log(`💱 Exchange Rate: 1 USDT = ${process.env.USDT_TO_KES_RATE} KES`);
+  const rate = rateService.getActiveRate();
+  console.log(`💱 Exchange Rate: 1 USDT = ${rate.rate} KES (buy ${rate.buyRate}, sell ${rate.sellRate})`);
   console.log(`🌐 API Docs: http://localhost:${PORT}/`);
   
   // Start deposit monitor (auto-detect incoming deposits)
   depositMonitor.start();
+  
+  // Start webhook delivery worker
+  webhookService.start();
+  
+  // Start withdrawal broadcaster (recovers stuck withdrawals first)
+  withdrawalBroadcaster.start();
+  
+  // Start exchange rate refresher (if a rate provider is configured)
+  rateRefresher.start();
+  
+  // Start sweep scheduler (if SWEEP_SCHEDULER_ENABLED=true)
+  sweepScheduler.start();
+  
+  // Start deposit address balance refresher
+  balanceCache.start();
+  
+  // Start deposit address pool (if ADDRESS_POOL_SIZE is set)
+  addressPool.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
   depositMonitor.stop();
+  webhookService.stop();
+  withdrawalBroadcaster.stop();
+  rateRefresher.stop();
+  sweepScheduler.stop();
+  balanceCache.stop();
+  addressPool.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
   depositMonitor.stop();
+  webhookService.stop();
+  withdrawalBroadcaster.stop();
+  rateRefresher.stop();
+  sweepScheduler.stop();
+  balanceCache.stop();
+  addressPool.stop();
   process.exit(0);
 });
 
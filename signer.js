@@ -0,0 +1,169 @@
+require('dotenv').config();
+
+/**
+ * Signer
+ * Separate process that holds the private keys and signs transactions for the API server: token transfers
+ * for sweeps and withdrawals, energy delegations and gas top-ups.
+ * The API builds unsigned transactions and broadcasts what comes back; see src/services/signerService.js
+ * for the signing policy. Listens on a Unix socket (SIGNER_SOCKET) or on loopback HTTP (SIGNER_PORT),
+ * and every request must carry SIGNER_AUTH_TOKEN as a bearer token.
+ *
+ * With KEYSTORE_PATH set, the keys are unlocked from the encrypted keystore at startup; the passphrase
+ * is read from KEYSTORE_PASSPHRASE_FD, or prompted for on the terminal.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const signerService = require('./src/services/signerService');
+const keystore = require('./src/services/keystoreService');
+const hdWallet = require('./src/services/hdWalletService');
+
+const SIGNER_SOCKET = process.env.SIGNER_SOCKET;
+const SIGNER_PORT = parseInt(process.env.SIGNER_PORT) || 7070;
+const SIGNER_AUTH_TOKEN = process.env.SIGNER_AUTH_TOKEN;
+
+const app = express();
+
+app.use(express.json({ limit: '64kb' }));
+
+// Every request must carry the shared token
+app.use((req, res, next) => {
+  const expected = Buffer.from(`Bearer ${SIGNER_AUTH_TOKEN}`);
+  const provided = Buffer.from(req.headers.authorization || '');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      status: false,
+      message: 'Invalid signer token',
+    });
+  }
+
+  next();
+});
+
+// Health check and policy
+app.get('/health', (req, res) => {
+  res.json({
+    status: true,
+    data: signerService.getStatus(),
+  });
+});
+
+// Sign an unsigned transaction
+app.post('/sign', async (req, res) => {
+  try {
+    const result = await signerService.signTransfer({
+      purpose: req.body.purpose,
+      transaction: req.body.transaction,
+      derivationIndex: req.body.derivationIndex,
+      reference: req.body.reference,
+    });
+
+    if (!result.success) {
+      const invalid = result.code === 'invalid_transaction' || result.code === 'invalid_request';
+      return res.status(invalid ? 400 : 403).json({
+        status: false,
+        code: result.code,
+        message: result.error,
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      message: 'Transaction signed',
+      data: { signedTx: result.signedTx },
+    });
+  } catch (error) {
+    console.error('Error signing transaction:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to sign transaction',
+    });
+  }
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    status: false,
+    message: 'Route not found',
+  });
+});
+
+/**
+ * Unlock the keys, check the configuration and start listening
+ */
+const main = async () => {
+  const plaintextSecrets = keystore.checkPlaintextSecrets();
+  if (plaintextSecrets) {
+    console.error(`❌ Signer not started: ${plaintextSecrets}`);
+    process.exit(1);
+  }
+
+  try {
+    const unlocked = await keystore.unlockAtStartup();
+    if (unlocked) {
+      const wallets = [
+        unlocked.masterAddress && `master wallet ${unlocked.masterAddress}`,
+        unlocked.stakingAddress && `staking ${unlocked.stakingAddress}`,
+        unlocked.gasFundingAddress && `gas-funding ${unlocked.gasFundingAddress}`,
+      ].filter(Boolean);
+      console.log(`🔓 Keystore unlocked (${[`${unlocked.wordCount}-word mnemonic`, ...wallets].join(', ')})`);
+    }
+  } catch (error) {
+    console.error(`❌ Signer not started: could not unlock keystore - ${error.message}`);
+    process.exit(1);
+  }
+
+  const config = signerService.validateConfig();
+  if (!SIGNER_AUTH_TOKEN) {
+    config.errors.push('SIGNER_AUTH_TOKEN is not set');
+  }
+
+  if (config.errors.length > 0) {
+    console.error('❌ Signer not started:');
+    config.errors.forEach(error => console.error(`   - ${error}`));
+    hdWallet.clearCache();
+    keystore.lock();
+    process.exit(1);
+  }
+
+  if (SIGNER_SOCKET) {
+    // A socket left behind by a previous run would make listen() fail
+    if (fs.existsSync(SIGNER_SOCKET)) {
+      fs.unlinkSync(SIGNER_SOCKET);
+    }
+
+    app.listen(SIGNER_SOCKET, () => {
+      fs.chmodSync(SIGNER_SOCKET, 0o660);
+      console.log(`✍️ Signer listening on ${SIGNER_SOCKET}`);
+    });
+  } else {
+    app.listen(SIGNER_PORT, '127.0.0.1', () => {
+      console.log(`✍️ Signer listening on 127.0.0.1:${SIGNER_PORT}`);
+    });
+  }
+
+  const { masterAddress, stakingAddress, gasFundingAddress, consolidationAddress, policy } = signerService.getStatus();
+  console.log(`   Master wallet: ${masterAddress}, sweeps to: ${consolidationAddress}`);
+  console.log(`   Withdrawals: max ${policy.maxWithdrawalUsdt} USDT each, ${policy.dailyWithdrawalLimitUsdt} USDT per day` +
+    `${policy.withdrawalAllowlist.length > 0 ? `, ${policy.withdrawalAllowlist.length} allowed destination(s)` : ''}`);
+  console.log(`   Energy staking wallet: ${stakingAddress || 'none'}${stakingAddress ? ` (max ${policy.maxDelegationTrx} TRX per delegation)` : ''}`);
+  console.log(`   Gas-funding wallet: ${gasFundingAddress || 'none'}` +
+    `${gasFundingAddress ? ` (max ${policy.maxGasTopupTrx} TRX each, ${policy.dailyGasTopupLimitTrx} TRX per day)` : ''}`);
+};
+
+// Zero the unlocked keys on the way out
+const shutdown = () => {
+  hdWallet.clearCache();
+  keystore.lock();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+main();
+
+module.exports = app;
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const money = require('../utils/money');
 
 // Database file path
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../../data/usdtpr.db');
@@ -19,6 +20,28 @@ const db = new Database(DB_PATH, {
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Money columns that moved from REAL major units to INTEGER minor units (KES cents, USDT/TRX sun)
+// { table: { newColumn: [oldColumn, minor units per major unit] } }
+const MINOR_UNIT_COLUMNS = {
+  users: { balance_cents: ['balance_kes', 100] },
+  deposits: { amount_minor: ['usdt_amount', 1_000_000], kes_amount_cents: ['kes_amount', 100] },
+  transactions: {
+    amount_cents: ['amount', 100],
+    balance_before_cents: ['balance_before', 100],
+    balance_after_cents: ['balance_after', 100],
+  },
+  sweeps: { amount_minor: ['usdt_amount', 1_000_000] },
+  withdrawals: { kes_amount_cents: ['kes_amount', 100], usdt_amount_sun: ['usdt_amount', 1_000_000], fee_sun: ['fee_trx', 1_000_000] },
+  rate_quotes: { usdt_amount_sun: ['usdt_amount', 1_000_000], kes_amount_cents: ['kes_amount', 100] },
+};
+
+// Minor unit columns renamed once they held any registered token, not only USDT
+// { table: { newColumn: oldColumn } }
+const RENAMED_COLUMNS = {
+  deposits: { amount_minor: 'usdt_amount_sun' },
+  sweeps: { amount_minor: 'usdt_amount_sun' },
+};
+
 // Initialize database schema
 const initializeDatabase = () => {
   const schema = `
@@ -28,28 +51,34 @@ const initializeDatabase = () => {
       phone TEXT NOT NULL UNIQUE,
       username TEXT NOT NULL UNIQUE,
       password_hash TEXT NOT NULL,
-      balance_kes REAL DEFAULT 0.00,
+      balance_cents INTEGER NOT NULL DEFAULT 0,
       referral_code TEXT,
       tron_address TEXT UNIQUE,
       derivation_index INTEGER UNIQUE,
+      role TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user', 'support', 'finance', 'admin')),
       is_active INTEGER DEFAULT 1,
       created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now'))
     );
 
-    -- Deposits table (USDT deposits)
+    -- Deposits table (TRC20 token deposits, see tokens)
     CREATE TABLE IF NOT EXISTS deposits (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       tx_hash TEXT NOT NULL UNIQUE,
       from_address TEXT,
       to_address TEXT,
-      usdt_amount REAL DEFAULT 0,
+      token TEXT NOT NULL DEFAULT 'USDT',
+      amount_minor INTEGER DEFAULT 0, -- In the token's minor unit
       exchange_rate REAL DEFAULT 0,
-      kes_amount REAL DEFAULT 0,
-      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'verifying', 'completed', 'failed', 'rejected')),
+      exchange_rate_id INTEGER,
+      quote_id INTEGER,
+      kes_amount_cents INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'verifying', 'confirming', 'completed', 'failed', 'rejected')),
       failure_reason TEXT,
       block_timestamp INTEGER,
+      block_number INTEGER,
+      confirmations INTEGER DEFAULT 0,
       ip_address TEXT,
       user_agent TEXT,
       verified_at TEXT,
@@ -64,19 +93,55 @@ const initializeDatabase = () => {
       from_currency TEXT NOT NULL,
       to_currency TEXT NOT NULL,
       rate REAL NOT NULL,
+      spread_percent REAL NOT NULL DEFAULT 0,
+      buy_rate REAL NOT NULL,
+      sell_rate REAL NOT NULL,
+      source TEXT DEFAULT 'manual',
+      created_by INTEGER,
       is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now')),
-      UNIQUE(from_currency, to_currency)
+      FOREIGN KEY (created_by) REFERENCES users(id)
     );
 
-    -- Transactions log table (for all balance changes)
+    -- Token registry (TRC20 tokens accepted as deposits; amounts in the token's minor unit)
+    CREATE TABLE IF NOT EXISTS tokens (
+      symbol TEXT PRIMARY KEY,
+      contract_address TEXT NOT NULL UNIQUE,
+      decimals INTEGER NOT NULL,
+      min_deposit_minor INTEGER NOT NULL DEFAULT 0,
+      max_deposit_minor INTEGER, -- NULL for no maximum
+      min_sweep_minor INTEGER NOT NULL DEFAULT 0,
+      rate_currency TEXT NOT NULL, -- Priced from the active <rate_currency>/KES rate
+      is_enabled INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Rate quotes (a buy or sell rate locked for one user until expires_at)
+    CREATE TABLE IF NOT EXISTS rate_quotes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      direction TEXT NOT NULL CHECK(direction IN ('deposit', 'withdrawal')),
+      exchange_rate_id INTEGER NOT NULL,
+      rate REAL NOT NULL,
+      usdt_amount_sun INTEGER,
+      kes_amount_cents INTEGER,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (exchange_rate_id) REFERENCES exchange_rates(id)
+    );
+
+    -- Legacy transactions log (balance changes before the journal; migrated into it by the ledger service)
     CREATE TABLE IF NOT EXISTS transactions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       type TEXT NOT NULL CHECK(type IN ('deposit', 'withdrawal', 'bet', 'win', 'bonus', 'refund')),
-      amount REAL NOT NULL,
-      balance_before REAL NOT NULL,
-      balance_after REAL NOT NULL,
+      amount_cents INTEGER NOT NULL,
+      balance_before_cents INTEGER NOT NULL,
+      balance_after_cents INTEGER NOT NULL,
       reference_id INTEGER,
       reference_type TEXT,
       description TEXT,
@@ -84,6 +149,82 @@ const initializeDatabase = () => {
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    -- Ledger accounts: one per user (KES) plus system accounts per currency
+    -- balance_minor is cached from the postings, in minor units and in the account's normal direction
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL,
+      currency TEXT NOT NULL, -- KES, TRX or a token symbol (see tokens)
+      type TEXT NOT NULL CHECK(type IN ('asset', 'liability', 'equity', 'revenue', 'expense')),
+      user_id INTEGER,
+      balance_minor INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(code, currency),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Journal entries: one per money movement, legs in journal_postings
+    CREATE TABLE IF NOT EXISTS journal_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK(type IN ('deposit', 'withdrawal', 'withdrawal_settlement', 'refund', 'network_fee', 'sweep', 'opening_balance', 'adjustment')),
+      reference_type TEXT,
+      reference_id INTEGER,
+      reverses_entry_id INTEGER,
+      legacy_transaction_id INTEGER UNIQUE,
+      description TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (reverses_entry_id) REFERENCES journal_entries(id)
+    );
+
+    -- Journal postings: signed amounts in minor units (debit positive, credit negative)
+    -- The postings of an entry sum to zero per currency
+    CREATE TABLE IF NOT EXISTS journal_postings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entry_id INTEGER NOT NULL,
+      account_id INTEGER NOT NULL,
+      amount_minor INTEGER NOT NULL,
+      balance_after_minor INTEGER NOT NULL,
+      FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE,
+      FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+    );
+
+    -- Reconciliation reports: on-chain USDT holdings against the ledger and what is owed to users
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'ok', 'mismatch', 'error')),
+      exchange_rate_id INTEGER,
+      sell_rate REAL,
+      onchain_usdt_sun INTEGER,
+      ledger_usdt_sun INTEGER,
+      user_liabilities_cents INTEGER,
+      user_liabilities_usdt_sun INTEGER,
+      pending_withdrawals_usdt_sun INTEGER,
+      surplus_usdt_sun INTEGER,
+      addresses_checked INTEGER DEFAULT 0,
+      transactions_checked INTEGER DEFAULT 0,
+      discrepancy_count INTEGER DEFAULT 0,
+      discrepancies TEXT,
+      balances TEXT,
+      error TEXT,
+      triggered_by TEXT NOT NULL,
+      created_by INTEGER,
+      started_at TEXT DEFAULT (datetime('now')),
+      completed_at TEXT,
+      FOREIGN KEY (exchange_rate_id) REFERENCES exchange_rates(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Transaction hashes already matched on chain by a reconciliation (solidified transfers do not change)
+    CREATE TABLE IF NOT EXISTS reconciliation_verified_txs (
+      tx_hash TEXT PRIMARY KEY,
+      record_type TEXT NOT NULL CHECK(record_type IN ('deposit', 'sweep', 'withdrawal')),
+      record_id INTEGER NOT NULL,
+      report_id INTEGER NOT NULL,
+      verified_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (report_id) REFERENCES reconciliation_reports(id) ON DELETE CASCADE
+    );
+
     -- Processed transaction hashes (extra safety against duplicates)
     CREATE TABLE IF NOT EXISTS processed_tx_hashes (
       tx_hash TEXT PRIMARY KEY,
@@ -99,36 +240,249 @@ const initializeDatabase = () => {
       updated_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- Deposit addresses derived ahead of registration (addressPoolService)
+    CREATE TABLE IF NOT EXISTS address_pool (
+      derivation_index INTEGER PRIMARY KEY,
+      address TEXT NOT NULL,
+      account_xpub TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Block scanner cursors (last block scanned per named cursor)
+    CREATE TABLE IF NOT EXISTS monitor_cursors (
+      name TEXT PRIMARY KEY,
+      block_number INTEGER NOT NULL,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Per-address transaction cursors (high-water mark of transfers seen by the address poller)
+    CREATE TABLE IF NOT EXISTS address_cursors (
+      address TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      last_block_timestamp INTEGER DEFAULT 0,
+      last_tx_hash TEXT,
+      caught_up INTEGER DEFAULT 1,
+      last_checked_at TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
     -- Sweeps table (for tracking fund consolidation)
     CREATE TABLE IF NOT EXISTS sweeps (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
+      user_id INTEGER, -- NULL for recovery sweeps from addresses no user is assigned to
+      derivation_index INTEGER,
       from_address TEXT NOT NULL,
       to_address TEXT NOT NULL,
-      usdt_amount REAL NOT NULL,
+      token TEXT NOT NULL DEFAULT 'USDT',
+      amount_minor INTEGER NOT NULL, -- In the token's minor unit
+      tx_hash TEXT UNIQUE,
+      tx_expiration INTEGER,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'broadcast', 'confirmed', 'failed')),
+      retry_of INTEGER,
+      block_number INTEGER,
+      energy_used INTEGER,
+      bandwidth_used INTEGER,
+      fee_sun INTEGER,
+      failure_reason TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      broadcast_at TEXT,
+      confirmed_at TEXT,
+      failed_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (retry_of) REFERENCES sweeps(id)
+    );
+
+    -- Sweep runs (one row per scheduled, manual or dry-run sweep of all wallets)
+    CREATE TABLE IF NOT EXISTS sweep_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT DEFAULT 'running' CHECK(status IN ('running', 'completed', 'failed')),
+      dry_run INTEGER DEFAULT 0,
+      policy TEXT,
+      eligible_count INTEGER DEFAULT 0,
+      swept_count INTEGER DEFAULT 0,
+      failed_count INTEGER DEFAULT 0,
+      needs_gas_count INTEGER DEFAULT 0,
+      deferred_count INTEGER DEFAULT 0,
+      usdt_amount_sun INTEGER DEFAULT 0,
+      gas_topup_trx_sun INTEGER DEFAULT 0,
+      details TEXT,
+      error TEXT,
+      triggered_by TEXT NOT NULL,
+      created_by INTEGER,
+      started_at TEXT DEFAULT (datetime('now')),
+      completed_at TEXT,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Gas top-ups (TRX sent from the gas-funding wallet to a deposit address so it can be swept)
+    CREATE TABLE IF NOT EXISTS gas_topups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      address TEXT NOT NULL,
+      from_address TEXT,
+      trx_amount_sun INTEGER NOT NULL,
       tx_hash TEXT UNIQUE,
-      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'completed', 'failed')),
+      tx_expiration INTEGER,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'failed')),
+      error TEXT,
+      sweep_run_id INTEGER,
+      sweep_id INTEGER,
       created_at TEXT DEFAULT (datetime('now')),
+      confirmed_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (sweep_run_id) REFERENCES sweep_runs(id),
+      FOREIGN KEY (sweep_id) REFERENCES sweeps(id)
+    );
+
+    -- Cached on-chain balances of deposit addresses (see balanceCacheService)
+    CREATE TABLE IF NOT EXISTS address_balances (
+      address TEXT PRIMARY KEY,
+      user_id INTEGER,
+      usdt_balance_sun INTEGER NOT NULL DEFAULT 0,
+      trx_balance_sun INTEGER NOT NULL DEFAULT 0,
+      refreshed_at TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    -- Cached on-chain balances of deposit addresses in registered tokens other than USDT
+    CREATE TABLE IF NOT EXISTS address_token_balances (
+      address TEXT NOT NULL,
+      token TEXT NOT NULL,
+      balance_minor INTEGER NOT NULL DEFAULT 0, -- In the token's minor unit
+      refreshed_at TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (address, token)
+    );
+
+    -- Energy delegations (Stake 2.0 energy lent to a sending address for one transfer, or the TRX-burning fallback)
+    CREATE TABLE IF NOT EXISTS energy_delegations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purpose TEXT NOT NULL CHECK(purpose IN ('sweep', 'withdrawal')),
+      reference_id INTEGER,
+      receiver_address TEXT NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('delegating', 'delegated', 'reclaimed', 'fallback')),
+      fallback_reason TEXT,
+      energy_required INTEGER,
+      energy_available INTEGER,
+      energy_delegated INTEGER DEFAULT 0,
+      energy_used INTEGER DEFAULT 0,
+      trx_staked_sun INTEGER DEFAULT 0,
+      energy_price_sun INTEGER,
+      trx_saved_sun INTEGER DEFAULT 0,
+      delegate_tx_hash TEXT,
+      transfer_tx_hash TEXT,
+      reclaim_tx_hash TEXT,
+      error TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      reclaimed_at TEXT
+    );
+
+    -- Sweep scheduler switch (single row, survives restarts)
+    CREATE TABLE IF NOT EXISTS sweep_scheduler_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      paused INTEGER DEFAULT 0,
+      pause_reason TEXT,
+      updated_by INTEGER,
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (updated_by) REFERENCES users(id)
+    );
+
     -- Withdrawals table (for tracking user withdrawals)
     CREATE TABLE IF NOT EXISTS withdrawals (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       to_address TEXT NOT NULL,
-      kes_amount REAL NOT NULL,
-      usdt_amount REAL NOT NULL,
+      token TEXT NOT NULL DEFAULT 'USDT', -- Withdrawals are paid in USDT
+      kes_amount_cents INTEGER NOT NULL,
+      usdt_amount_sun INTEGER NOT NULL,
       exchange_rate REAL NOT NULL,
-      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'completed', 'failed')),
+      exchange_rate_id INTEGER,
+      quote_id INTEGER,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('awaiting_approval', 'unverified', 'pending', 'processing', 'broadcast', 'confirmed', 'completed', 'failed', 'rejected')),
       tx_hash TEXT UNIQUE,
+      tx_expiration INTEGER,
+      broadcast_attempts INTEGER DEFAULT 0,
+      block_number INTEGER,
+      energy_used INTEGER,
+      bandwidth_used INTEGER,
+      fee_sun INTEGER,
       failure_reason TEXT,
       created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      broadcast_at TEXT,
+      confirmed_at TEXT,
       completed_at TEXT,
       failed_at TEXT,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    -- Admin decisions on withdrawals held for approval (one per admin per withdrawal)
+    CREATE TABLE IF NOT EXISTS withdrawal_approvals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      withdrawal_id INTEGER NOT NULL,
+      admin_id INTEGER NOT NULL,
+      decision TEXT NOT NULL CHECK(decision IN ('approved', 'rejected')),
+      reason TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(withdrawal_id, admin_id),
+      FOREIGN KEY (withdrawal_id) REFERENCES withdrawals(id) ON DELETE CASCADE,
+      FOREIGN KEY (admin_id) REFERENCES users(id)
+    );
+
+    -- Webhook endpoints (registered by admins, events is a comma-separated filter)
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Webhook outbox (written in the same transaction as the change it describes)
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Webhook deliveries (one per event per matching endpoint)
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      endpoint_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'delivering', 'delivered', 'failed')),
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at TEXT DEFAULT (datetime('now')),
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(event_id, endpoint_id),
+      FOREIGN KEY (event_id) REFERENCES webhook_events(id) ON DELETE CASCADE,
+      FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+    );
+
+    -- Webhook delivery attempts (every HTTP attempt, successful or not)
+    CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delivery_id INTEGER NOT NULL,
+      attempt_number INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      response_body TEXT,
+      duration_ms INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE
+    );
+
     -- Create indexes
     CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone);
     CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -139,11 +493,78 @@ const initializeDatabase = () => {
     CREATE INDEX IF NOT EXISTS idx_deposits_to_address ON deposits(to_address);
     CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
     CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type);
+    CREATE INDEX IF NOT EXISTS idx_withdrawals_status ON withdrawals(status);
+    CREATE INDEX IF NOT EXISTS idx_sweep_runs_status ON sweep_runs(status);
+    CREATE INDEX IF NOT EXISTS idx_sweeps_status ON sweeps(status);
+    CREATE INDEX IF NOT EXISTS idx_sweeps_user_id ON sweeps(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_gas_topups_created_at ON gas_topups(created_at);
+    CREATE INDEX IF NOT EXISTS idx_energy_delegations_status ON energy_delegations(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_energy_delegations_reference ON energy_delegations(purpose, reference_id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference_type, reference_id);
+    CREATE INDEX IF NOT EXISTS idx_journal_postings_entry_id ON journal_postings(entry_id);
+    CREATE INDEX IF NOT EXISTS idx_journal_postings_account_id ON journal_postings(account_id, id);
+    CREATE INDEX IF NOT EXISTS idx_rate_quotes_user ON rate_quotes(user_id, direction, expires_at);
+    CREATE INDEX IF NOT EXISTS idx_withdrawal_approvals_withdrawal_id ON withdrawal_approvals(withdrawal_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id);
   `;
 
   // Execute schema
   db.exec(schema);
 
+  /**
+   * Rebuild a table from its definition in the schema above
+   * SQLite cannot change CHECK constraints or column types in place, so the table
+   * is recreated under a temporary name, rows are copied across and the names swapped
+   * Money columns still in major units (see MINOR_UNIT_COLUMNS) are converted on the way, and renamed
+   * columns (see RENAMED_COLUMNS) are copied from their old name
+   * @param {string} table - Table name
+   * @param {object} columnMap - Optional { newColumn: 'SQL expression over the old columns' }
+   */
+  const rebuildTable = (table, columnMap = {}) => {
+    const definition = schema.match(new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(([\\s\\S]*?)\\n    \\);`));
+    if (!definition) {
+      throw new Error(`No schema definition found for table ${table}`);
+    }
+
+    const oldColumns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+
+    for (const [column, [oldColumn, scale]] of Object.entries(MINOR_UNIT_COLUMNS[table] || {})) {
+      if (!oldColumns.includes(column) && oldColumns.includes(oldColumn) && !columnMap[column]) {
+        columnMap = { ...columnMap, [column]: `CAST(ROUND(${oldColumn} * ${scale}) AS INTEGER)` };
+      }
+    }
+
+    for (const [column, oldColumn] of Object.entries(RENAMED_COLUMNS[table] || {})) {
+      if (!oldColumns.includes(column) && oldColumns.includes(oldColumn) && !columnMap[column]) {
+        columnMap = { ...columnMap, [column]: oldColumn };
+      }
+    }
+
+    db.pragma('foreign_keys = OFF');
+    try {
+      db.transaction(() => {
+        db.exec(`CREATE TABLE ${table}_new (${definition[1]})`);
+
+        const newColumns = db.prepare(`PRAGMA table_info(${table}_new)`).all().map(col => col.name);
+        const targets = newColumns.filter(col => columnMap[col] || oldColumns.includes(col));
+        const sources = targets.map(col => columnMap[col] || col);
+
+        db.exec(`INSERT INTO ${table}_new (${targets.join(', ')}) SELECT ${sources.join(', ')} FROM ${table}`);
+        db.exec(`DROP TABLE ${table}`);
+        db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+      })();
+    } finally {
+      db.pragma('foreign_keys = ON');
+    }
+
+    // Recreate the indexes dropped with the old table
+    db.exec(schema);
+  };
+
+  const tableSql = (table) => db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table).sql;
+
   // Migration for existing databases: Add tron_address and derivation_index columns if they don't exist
   const userColumns = db.prepare("PRAGMA table_info(users)").all();
   const columnNames = userColumns.map(col => col.name);
@@ -161,6 +582,139 @@ const initializeDatabase = () => {
     console.log('✅ Added derivation_index column to users table');
   }
 
+  if (!columnNames.includes('role')) {
+    db.exec("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user', 'support', 'finance', 'admin'))");
+    console.log('✅ Added role column to users table');
+  }
+
+  // Migration: sweep runs record the TRX sent to deposit addresses as gas
+  const sweepRunColumns = db.prepare('PRAGMA table_info(sweep_runs)').all().map(col => col.name);
+
+  if (!sweepRunColumns.includes('gas_topup_trx_sun')) {
+    db.exec('ALTER TABLE sweep_runs ADD COLUMN gas_topup_trx_sun INTEGER DEFAULT 0');
+    console.log('✅ Added gas_topup_trx_sun column to sweep_runs table');
+  }
+
+  // Migration: gas top-ups record when their transaction expires, so dropped ones can be failed
+  const gasTopupColumns = db.prepare('PRAGMA table_info(gas_topups)').all().map(col => col.name);
+
+  if (!gasTopupColumns.includes('tx_expiration')) {
+    db.exec('ALTER TABLE gas_topups ADD COLUMN tx_expiration INTEGER');
+    console.log('✅ Added tx_expiration column to gas_topups table');
+  }
+
+  // Migration: sweeps are recorded before signing and tracked through broadcast to an on-chain receipt
+  // Sweeps recorded as 'completed' were broadcast successfully and are treated as confirmed
+  if (!tableSql('sweeps').includes("'broadcast'")) {
+    rebuildTable('sweeps', {
+      status: "CASE status WHEN 'completed' THEN 'confirmed' ELSE status END",
+      updated_at: 'created_at',
+      confirmed_at: "CASE status WHEN 'completed' THEN created_at END",
+    });
+    console.log('✅ Migrated sweeps table for lifecycle tracking');
+  }
+
+  // Migration: sweeps record the derivation index they were signed with, and recovery sweeps have no user
+  if (!tableSql('sweeps').includes('derivation_index')) {
+    rebuildTable('sweeps', {
+      derivation_index: '(SELECT derivation_index FROM users WHERE users.id = sweeps.user_id)',
+    });
+    console.log('✅ Migrated sweeps table for recovery sweeps');
+  }
+
+  // Migration: deposits gained the 'confirming' status plus block_number/confirmations for confirmation tracking
+  if (!tableSql('deposits').includes("'confirming'")) {
+    rebuildTable('deposits');
+    console.log('✅ Migrated deposits table for confirmation tracking');
+  }
+
+  // Migration: withdrawals gained the 'processing' status and broadcast tracking for the async broadcaster.
+  // The synchronous flow could send a withdrawal and crash before recording it, so its 'pending' rows become
+  // 'unverified' and are only queued once the broadcaster finds no transfer paying them
+  if (!tableSql('withdrawals').includes("'processing'")) {
+    rebuildTable('withdrawals', {
+      status: "CASE status WHEN 'pending' THEN 'unverified' ELSE status END",
+      updated_at: 'created_at',
+    });
+    console.log('✅ Migrated withdrawals table for queued broadcasting');
+  }
+
+  // Migration: withdrawals gained 'broadcast'/'confirmed' statuses and receipt resource usage
+  if (!tableSql('withdrawals').includes("'broadcast'")) {
+    rebuildTable('withdrawals');
+    console.log('✅ Migrated withdrawals table for on-chain confirmation tracking');
+  }
+
+  // Migration: withdrawals gained the 'awaiting_approval' and 'rejected' statuses
+  if (!tableSql('withdrawals').includes("'awaiting_approval'")) {
+    rebuildTable('withdrawals');
+    console.log('✅ Migrated withdrawals table for admin approval');
+  }
+
+  // Migration: withdrawals gained the 'unverified' status for sends the synchronous flow may not have recorded
+  if (!tableSql('withdrawals').includes("'unverified'")) {
+    rebuildTable('withdrawals');
+    console.log('✅ Migrated withdrawals table for send verification');
+  }
+
+  // Migration: webhook deliveries gained the 'delivering' status, claimed for the duration of an attempt
+  if (!tableSql('webhook_deliveries').includes("'delivering'")) {
+    rebuildTable('webhook_deliveries');
+    console.log('✅ Migrated webhook_deliveries table for delivery claims');
+  }
+
+  // Migration: exchange_rates keeps every rate as history (one active row per pair) with buy/sell rates
+  if (!tableSql('exchange_rates').includes('buy_rate')) {
+    rebuildTable('exchange_rates', { buy_rate: 'rate', sell_rate: 'rate', created_at: 'updated_at' });
+    console.log('✅ Migrated exchange_rates table for rate history');
+  }
+
+  // Migration: deposits and sweeps hold the amount of their token, so their amount columns lost the USDT name
+  for (const [table, columns] of Object.entries(RENAMED_COLUMNS)) {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    if (Object.values(columns).some(oldColumn => existing.includes(oldColumn))) {
+      rebuildTable(table);
+      console.log(`✅ Renamed ${table} amount columns`);
+    }
+  }
+
+  // Migration: money columns moved to integer minor units, rounded to the nearest unit
+  for (const [table, columns] of Object.entries(MINOR_UNIT_COLUMNS)) {
+    if (!tableSql(table).includes(Object.keys(columns)[0])) {
+      rebuildTable(table);
+      console.log(`✅ Migrated ${table} table to integer minor units`);
+    }
+  }
+
+  // Rate and quote references on deposits and withdrawals
+  for (const table of ['deposits', 'withdrawals']) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    for (const column of ['exchange_rate_id', 'quote_id']) {
+      if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} INTEGER`);
+        console.log(`✅ Added ${column} column to ${table} table`);
+      }
+    }
+  }
+
+  // Token symbol on deposits, sweeps and withdrawals (everything before the token registry was USDT)
+  for (const table of ['deposits', 'sweeps', 'withdrawals']) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    if (!columns.includes('token')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN token TEXT NOT NULL DEFAULT 'USDT'`);
+      console.log(`✅ Added token column to ${table} table`);
+    }
+  }
+
+  // Migration: ledger accounts are opened in any registered token, not only USDT
+  if (tableSql('ledger_accounts').includes("CHECK(currency IN")) {
+    rebuildTable('ledger_accounts');
+    console.log('✅ Migrated ledger_accounts table for token currencies');
+  }
+
+  // Only one active rate per currency pair (created after the migration, which drops the old UNIQUE constraint)
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_active ON exchange_rates(from_currency, to_currency) WHERE is_active = 1');
+
   // Initialize wallet_config if not exists
   const walletConfig = db.prepare('SELECT id FROM wallet_config WHERE id = 1').get();
   if (!walletConfig) {
@@ -170,17 +724,38 @@ const initializeDatabase = () => {
     console.log(`✅ Wallet config initialized with next_derivation_index: ${userCount.count}`);
   }
 
+  // Sweep scheduler starts unpaused
+  db.prepare('INSERT OR IGNORE INTO sweep_scheduler_state (id) VALUES (1)').run();
+
   // Insert default exchange rate if not exists
   const existingRate = db.prepare(
-    'SELECT id FROM exchange_rates WHERE from_currency = ? AND to_currency = ?'
+    'SELECT id FROM exchange_rates WHERE from_currency = ? AND to_currency = ? AND is_active = 1'
   ).get('USDT', 'KES');
 
   if (!existingRate) {
+    const rate = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
+    const spreadPercent = parseFloat(process.env.EXCHANGE_RATE_SPREAD_PERCENT) || 0;
+
     db.prepare(
-      'INSERT INTO exchange_rates (from_currency, to_currency, rate, is_active) VALUES (?, ?, ?, 1)'
-    ).run('USDT', 'KES', parseFloat(process.env.USDT_TO_KES_RATE) || 130);
+      `INSERT INTO exchange_rates (from_currency, to_currency, rate, spread_percent, buy_rate, sell_rate, source, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, 'env', 1)`
+    ).run('USDT', 'KES', rate, spreadPercent, rate * (1 - spreadPercent / 200), rate * (1 + spreadPercent / 200));
   }
 
+  // Register USDT, seeded from the deposit and sweep limits it used before the registry; its contract follows USDT_CONTRACT
+  db.prepare(
+    `INSERT INTO tokens (symbol, contract_address, decimals, min_deposit_minor, max_deposit_minor, min_sweep_minor, rate_currency)
+     VALUES ('USDT', ?, ?, ?, ?, ?, 'USDT')
+     ON CONFLICT(symbol) DO UPDATE SET contract_address = excluded.contract_address, updated_at = datetime('now')
+     WHERE contract_address != excluded.contract_address`
+  ).run(
+    process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+    money.USDT_DECIMALS,
+    money.usdtToSun(parseFloat(process.env.MIN_DEPOSIT_USDT) || 0.1),
+    money.usdtToSun(parseFloat(process.env.MAX_DEPOSIT_USDT) || 10000),
+    money.usdtToSun(parseFloat(process.env.MIN_SWEEP_USDT) || 1)
+  );
+
   console.log('✅ Database initialized successfully');
 };
 
@@ -0,0 +1,64 @@
+/**
+ * Roles and Permissions
+ * Every user has exactly one role; routes require a permission, never a role directly
+ */
+
+const ROLES = ['user', 'support', 'finance', 'admin'];
+
+// Permissions granted to each role ('admin' is granted everything)
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    'wallets:read',
+    'deposits:read',
+    'withdrawals:read',
+    'sweeps:read',
+    'rates:read',
+  ],
+  finance: [
+    'wallets:read',
+    'deposits:read',
+    'withdrawals:read',
+    'withdrawals:approve',
+    'sweeps:read',
+    'sweeps:execute',
+    'rates:read',
+    'rates:manage',
+    'ledger:read',
+    'reconciliation:run',
+    'energy:read',
+  ],
+  admin: [
+    'wallets:read',
+    'deposits:read',
+    'deposits:backfill',
+    'withdrawals:read',
+    'withdrawals:approve',
+    'sweeps:read',
+    'sweeps:execute',
+    'rates:read',
+    'rates:manage',
+    'tokens:manage',
+    'ledger:read',
+    'reconciliation:run',
+    'energy:read',
+    'webhooks:manage',
+    'users:manage',
+  ],
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
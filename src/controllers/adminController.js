@@ -4,7 +4,20 @@
  */
 
 const consolidationService = require('../services/consolidationService');
+const depositMonitor = require('../services/depositMonitor');
+const withdrawalService = require('../services/withdrawalService');
+const rateService = require('../services/rateService');
+const rateRefresher = require('../services/rateRefresher');
+const ledger = require('../services/ledgerService');
+const reconciliationService = require('../services/reconciliationService');
+const sweepScheduler = require('../services/sweepScheduler');
+const gasTopupService = require('../services/gasTopupService');
+const energyService = require('../services/energyService');
+const balanceCache = require('../services/balanceCacheService');
+const addressPool = require('../services/addressPoolService');
+const tokenService = require('../services/tokenService');
 const db = require('../config/db');
+const money = require('../utils/money');
 
 /**
  * Get consolidation status
@@ -27,34 +40,80 @@ const getConsolidationStatus = async (req, res) => {
   }
 };
 
+/**
+ * Re-read every deposit address balance from the chain into the balance cache
+ * POST /api/v1/admin/consolidation/balances/refresh
+ */
+const refreshBalances = async (req, res) => {
+  try {
+    const result = await balanceCache.refreshAll();
+
+    if (!result) {
+      return res.status(409).json({
+        status: false,
+        message: 'A balance refresh is already in progress',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      message: `Refreshed ${result.refreshed} address(es)${result.failed ? `, ${result.failed} failed` : ''}`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error refreshing balances:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to refresh balances',
+    });
+  }
+};
+
 /**
  * Sweep all eligible wallets to consolidation address
+ * Applies the sweep policy (minimum amount, maximum age, cap per run) and records the run
  * POST /api/v1/admin/consolidation/sweep
  */
 const sweepAll = async (req, res) => {
+  let run;
+
   try {
-    const results = await consolidationService.sweepAll();
-    
-    return res.status(200).json({
-      status: true,
-      message: `Swept ${results.swept} wallets, ${results.totalUsdt} USDT total`,
-      data: results,
+    run = await sweepScheduler.runSweep({
+      triggeredBy: 'admin',
+      createdBy: req.user.id,
+      dryRun: req.body.dryRun,
     });
   } catch (error) {
-    console.error('Error sweeping wallets:', error);
+    return res.status(409).json({
+      status: false,
+      message: error.message,
+    });
+  }
+
+  if (run.status === 'failed') {
     return res.status(500).json({
       status: false,
-      message: 'Failed to sweep wallets',
+      message: `Failed to sweep wallets: ${run.error}`,
+      data: run,
     });
   }
+
+  return res.status(200).json({
+    status: true,
+    message: run.dryRun
+      ? `Dry run: would sweep ${run.swept} wallets, ${run.usdtAmount} USDT total`
+      : `Swept ${run.swept} wallets, ${run.usdtAmount} USDT total`,
+    data: run,
+  });
 };
 
 /**
- * Sweep a specific user's wallet
+ * Sweep one token (default USDT) from a specific user's wallet
  * POST /api/v1/admin/consolidation/sweep/:userId
  */
 const sweepUser = async (req, res) => {
   const { userId } = req.params;
+  const { token } = req.body;
   
   try {
     // Get user info
@@ -69,13 +128,20 @@ const sweepUser = async (req, res) => {
       });
     }
     
+    if (!tokenService.getToken(token)) {
+      return res.status(400).json({
+        status: false,
+        message: `Unknown token ${token}`,
+      });
+    }
+    
     // Get balance
-    const usdtBalance = await consolidationService.getUsdtBalance(user.tron_address);
+    const balance = await consolidationService.getTokenBalance(user.tron_address, token);
     
-    if (usdtBalance < 0.01) {
+    if (balance < 0.01) {
       return res.status(400).json({
         status: false,
-        message: `Insufficient USDT balance: ${usdtBalance} USDT`,
+        message: `Insufficient ${token} balance: ${balance} ${token}`,
       });
     }
     
@@ -84,17 +150,18 @@ const sweepUser = async (req, res) => {
       user.id,
       user.derivation_index,
       user.tron_address,
-      usdtBalance
+      balance,
+      { token }
     );
     
     if (result.success) {
       return res.status(200).json({
         status: true,
-        message: `Swept ${usdtBalance} USDT from user ${user.username}`,
+        message: `Sweep of ${balance} ${token} from user ${user.username} broadcast`,
         data: result,
       });
     } else {
-      return res.status(400).json({
+      return res.status(result.inFlight ? 409 : 400).json({
         status: false,
         message: result.error,
         data: result,
@@ -131,6 +198,14 @@ const getUserWalletInfo = async (req, res) => {
     const usdtBalance = await consolidationService.getUsdtBalance(user.tron_address);
     const trxBalance = await consolidationService.getTrxBalance(user.tron_address);
     
+    const tokens = [];
+    for (const token of tokenService.getTokens()) {
+      tokens.push({
+        symbol: token.symbol,
+        balance: token.symbol === 'USDT' ? usdtBalance : await consolidationService.getTokenBalance(user.tron_address, token.symbol),
+      });
+    }
+    
     return res.status(200).json({
       status: true,
       data: {
@@ -139,8 +214,9 @@ const getUserWalletInfo = async (req, res) => {
         address: user.tron_address,
         derivationIndex: user.derivation_index,
         usdtBalance,
+        tokens,
         trxBalance,
-        hasSufficientGas: trxBalance >= 10,
+        hasSufficientGas: trxBalance >= energyService.getRequiredTrx(consolidationService.MIN_GAS_TRX),
       },
     });
   } catch (error) {
@@ -157,40 +233,20 @@ const getUserWalletInfo = async (req, res) => {
  * GET /api/v1/admin/consolidation/history
  */
 const getSweepHistory = async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const offset = (page - 1) * limit;
+  const { page, limit, status, userId } = req.query;
   
   try {
-    const sweeps = db.prepare(
-      `SELECT s.*, u.username 
-       FROM sweeps s 
-       JOIN users u ON s.user_id = u.id 
-       ORDER BY s.created_at DESC 
-       LIMIT ? OFFSET ?`
-    ).all(limit, offset);
-    
-    const countResult = db.prepare('SELECT COUNT(*) as total FROM sweeps').get();
+    const { sweeps, total } = consolidationService.getSweeps({ status, userId, limit, offset: (page - 1) * limit });
     
     return res.status(200).json({
       status: true,
       data: {
-        sweeps: sweeps.map(s => ({
-          id: s.id,
-          userId: s.user_id,
-          username: s.username,
-          fromAddress: s.from_address,
-          toAddress: s.to_address,
-          usdtAmount: s.usdt_amount,
-          txHash: s.tx_hash,
-          status: s.status,
-          createdAt: s.created_at,
-        })),
+        sweeps,
         pagination: {
           page,
           limit,
-          total: countResult.total,
-          totalPages: Math.ceil(countResult.total / limit),
+          total,
+          totalPages: Math.ceil(total / limit),
         },
       },
     });
@@ -203,10 +259,830 @@ const getSweepHistory = async (req, res) => {
   }
 };
 
+/**
+ * Retry a failed sweep
+ * POST /api/v1/admin/consolidation/sweeps/:id/retry
+ */
+const retrySweep = async (req, res) => {
+  const sweepId = Number(req.params.id);
+
+  let result;
+  try {
+    result = await consolidationService.retrySweep(sweepId);
+  } catch (error) {
+    return res.status(error.message === 'Sweep not found' ? 404 : 400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+
+  if (!result.success) {
+    return res.status(400).json({
+      status: false,
+      message: result.error,
+      data: result,
+    });
+  }
+
+  return res.status(200).json({
+    status: true,
+    message: `Sweep ${sweepId} retried as sweep ${result.sweepId}`,
+    data: result,
+  });
+};
+
+/**
+ * Get sweep scheduler status and policy
+ * GET /api/v1/admin/consolidation/scheduler
+ */
+const getSweepScheduler = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: sweepScheduler.getStatus(),
+    });
+  } catch (error) {
+    console.error('Error getting sweep scheduler status:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get sweep scheduler status',
+    });
+  }
+};
+
+/**
+ * Pause scheduled sweeps
+ * POST /api/v1/admin/consolidation/scheduler/pause
+ */
+const pauseSweepScheduler = async (req, res) => {
+  try {
+    const state = sweepScheduler.pause(req.user.id, req.body.reason);
+
+    return res.status(200).json({
+      status: true,
+      message: 'Scheduled sweeps paused',
+      data: state,
+    });
+  } catch (error) {
+    console.error('Error pausing sweep scheduler:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to pause sweep scheduler',
+    });
+  }
+};
+
+/**
+ * Resume scheduled sweeps
+ * POST /api/v1/admin/consolidation/scheduler/resume
+ */
+const resumeSweepScheduler = async (req, res) => {
+  try {
+    const state = sweepScheduler.resume(req.user.id);
+
+    return res.status(200).json({
+      status: true,
+      message: 'Scheduled sweeps resumed',
+      data: state,
+    });
+  } catch (error) {
+    console.error('Error resuming sweep scheduler:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to resume sweep scheduler',
+    });
+  }
+};
+
+/**
+ * List sweep runs
+ * GET /api/v1/admin/consolidation/runs
+ */
+const getSweepRuns = async (req, res) => {
+  const { page, limit, status, dryRun } = req.query;
+
+  try {
+    const { runs, total } = sweepScheduler.getRuns({ status, dryRun, limit, offset: (page - 1) * limit });
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error getting sweep runs:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get sweep runs',
+    });
+  }
+};
+
+/**
+ * Get a sweep run with its per-wallet outcome
+ * GET /api/v1/admin/consolidation/runs/:id
+ */
+const getSweepRun = async (req, res) => {
+  try {
+    const run = sweepScheduler.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        status: false,
+        message: 'Sweep run not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      data: run,
+    });
+  } catch (error) {
+    console.error('Error getting sweep run:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get sweep run',
+    });
+  }
+};
+
+/**
+ * Report TRX spent on gas top-ups against the USDT recovered by the sweeps they enabled
+ * GET /api/v1/admin/consolidation/gas
+ */
+const getGasReport = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: gasTopupService.getReport(req.query.days),
+    });
+  } catch (error) {
+    console.error('Error getting gas report:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get gas report',
+    });
+  }
+};
+
+/**
+ * List gas top-ups
+ * GET /api/v1/admin/consolidation/gas/topups
+ */
+const getGasTopups = async (req, res) => {
+  const { page, limit, status, userId, sweepRunId } = req.query;
+
+  try {
+    const { topups, total } = gasTopupService.getTopups({ status, userId, sweepRunId, limit, offset: (page - 1) * limit });
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        topups,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error getting gas top-ups:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get gas top-ups',
+    });
+  }
+};
+
+/**
+ * Report energy delegated to sweep and withdrawal senders and the TRX it saved
+ * GET /api/v1/admin/energy
+ */
+const getEnergyReport = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: energyService.getReport(req.query.days),
+    });
+  } catch (error) {
+    console.error('Error getting energy report:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get energy report',
+    });
+  }
+};
+
+/**
+ * List energy delegations and TRX-burn fallbacks
+ * GET /api/v1/admin/energy/delegations
+ */
+const getEnergyDelegations = async (req, res) => {
+  const { page, limit, status, purpose } = req.query;
+
+  try {
+    const { delegations, total } = energyService.getDelegations({ status, purpose, limit, offset: (page - 1) * limit });
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        delegations,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error getting energy delegations:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get energy delegations',
+    });
+  }
+};
+
+/**
+ * Get deposit monitor status
+ * GET /api/v1/admin/deposits/monitor
+ */
+const getDepositMonitorStatus = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: {
+        ...depositMonitor.getStatus(),
+        addressPool: addressPool.getStatus(),
+      },
+    });
+  } catch (error) {
+    console.error('Error getting deposit monitor status:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get deposit monitor status',
+    });
+  }
+};
+
+/**
+ * Re-scan a block range for missed deposits
+ * POST /api/v1/admin/deposits/backfill
+ */
+const backfillDeposits = async (req, res) => {
+  const { fromBlock, toBlock } = req.body;
+  
+  try {
+    const job = depositMonitor.backfill(fromBlock, toBlock);
+    
+    return res.status(202).json({
+      status: true,
+      message: `Backfill started for blocks ${fromBlock}-${toBlock}`,
+      data: job,
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List withdrawals, e.g. those awaiting approval
+ * GET /api/v1/admin/withdrawals
+ */
+const listWithdrawals = async (req, res) => {
+  const { page, limit, status } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    const where = status ? 'WHERE w.status = ?' : '';
+    const params = status ? [status] : [];
+
+    const withdrawals = db.prepare(
+      `SELECT w.*, u.username,
+              (SELECT COUNT(*) FROM withdrawal_approvals a WHERE a.withdrawal_id = w.id AND a.decision = 'approved') as approvals
+       FROM withdrawals w
+       JOIN users u ON w.user_id = u.id
+       ${where}
+       ORDER BY w.id DESC
+       LIMIT ? OFFSET ?`
+    ).all(...params, limit, offset);
+
+    const countResult = db.prepare(
+      `SELECT COUNT(*) as total FROM withdrawals w ${where}`
+    ).get(...params);
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        withdrawals: withdrawals.map(w => ({
+          ...withdrawalService.formatWithdrawal(w),
+          userId: w.user_id,
+          username: w.username,
+          approvals: w.approvals,
+        })),
+        approvalPolicy: withdrawalService.getApprovalPolicy(),
+        pagination: {
+          page,
+          limit,
+          total: countResult.total,
+          totalPages: Math.ceil(countResult.total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error listing withdrawals:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to list withdrawals',
+    });
+  }
+};
+
+/**
+ * Get a withdrawal with its approval decisions
+ * GET /api/v1/admin/withdrawals/:id
+ */
+const getWithdrawal = async (req, res) => {
+  try {
+    const withdrawal = db.prepare(
+      `SELECT w.*, u.username
+       FROM withdrawals w
+       JOIN users u ON w.user_id = u.id
+       WHERE w.id = ?`
+    ).get(req.params.id);
+
+    if (!withdrawal) {
+      return res.status(404).json({
+        status: false,
+        message: 'Withdrawal not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        ...withdrawalService.formatWithdrawal(withdrawal),
+        userId: withdrawal.user_id,
+        username: withdrawal.username,
+        decisions: withdrawalService.getWithdrawalApprovals(withdrawal.id),
+        approvalPolicy: withdrawalService.getApprovalPolicy(),
+      },
+    });
+  } catch (error) {
+    console.error('Error getting withdrawal:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get withdrawal',
+    });
+  }
+};
+
+/**
+ * Approve a withdrawal awaiting approval
+ * POST /api/v1/admin/withdrawals/:id/approve
+ */
+const approveWithdrawal = async (req, res) => {
+  try {
+    const result = withdrawalService.approveWithdrawal(Number(req.params.id), req.user.id);
+
+    return res.status(200).json({
+      status: true,
+      message: result.status === 'pending'
+        ? 'Withdrawal approved and queued for processing'
+        : `Approval recorded (${result.approvals}/${result.requiredApprovals})`,
+      data: result,
+    });
+  } catch (error) {
+    return res.status(error.message === 'Withdrawal not found' ? 404 : 400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a withdrawal awaiting approval and refund the user
+ * POST /api/v1/admin/withdrawals/:id/reject
+ */
+const rejectWithdrawal = async (req, res) => {
+  try {
+    const result = withdrawalService.rejectWithdrawal(Number(req.params.id), req.user.id, req.body.reason);
+
+    return res.status(200).json({
+      status: true,
+      message: 'Withdrawal rejected and refunded',
+      data: result,
+    });
+  } catch (error) {
+    return res.status(error.message === 'Withdrawal not found' ? 404 : 400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the active exchange rate of a currency (default USDT) against KES and its history
+ * GET /api/v1/admin/rates
+ */
+const getRates = async (req, res) => {
+  const { from, page, limit } = req.query;
+
+  try {
+    const { rates, total } = rateService.getRateHistory({ from, limit, offset: (page - 1) * limit });
+
+    // A currency added with a token may have no rate yet
+    let current = null;
+    try {
+      current = rateService.getActiveRate(from);
+    } catch (error) {
+      if (from === 'USDT') {
+        throw error;
+      }
+    }
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        current,
+        // Only USDT/KES is refreshed from the provider
+        refresher: from === 'USDT' ? rateRefresher.getStatus() : null,
+        history: rates,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get exchange rates',
+    });
+  }
+};
+
+/**
+ * Set a new exchange rate (the previous rate is kept as history)
+ * POST /api/v1/admin/rates
+ */
+const setRate = async (req, res) => {
+  const { from, rate, spreadPercent } = req.body;
+
+  try {
+    const newRate = rateService.setRate({ from, rate, spreadPercent, createdBy: req.user.id });
+
+    return res.status(201).json({
+      status: true,
+      message: 'Exchange rate updated',
+      data: newRate,
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Fetch the rate from the configured provider now
+ * POST /api/v1/admin/rates/refresh
+ */
+const refreshRate = async (req, res) => {
+  try {
+    const result = await rateRefresher.refreshRate();
+
+    return res.status(200).json({
+      status: true,
+      message: result.applied ? 'Exchange rate refreshed' : `Rate not applied: ${result.message}`,
+      data: {
+        ...result,
+        current: rateService.getActiveRate(),
+      },
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the registered deposit tokens
+ * GET /api/v1/admin/tokens
+ */
+const getTokens = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: {
+        tokens: tokenService.getTokens(),
+      },
+    });
+  } catch (error) {
+    console.error('Error getting tokens:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get tokens',
+    });
+  }
+};
+
+/**
+ * Register a deposit token
+ * POST /api/v1/admin/tokens
+ */
+const addToken = async (req, res) => {
+  try {
+    const token = tokenService.addToken(req.body);
+
+    console.log(`🪙 Token ${token.symbol} added by admin ${req.user.id}`);
+
+    return res.status(201).json({
+      status: true,
+      message: `Token ${token.symbol} registered`,
+      data: token,
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update a deposit token's limits, pricing or enabled flag
+ * PATCH /api/v1/admin/tokens/:symbol
+ */
+const updateToken = async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+
+  try {
+    if (!tokenService.getToken(symbol)) {
+      return res.status(404).json({
+        status: false,
+        message: 'Token not found',
+      });
+    }
+
+    const token = tokenService.updateToken(symbol, req.body);
+
+    console.log(`🪙 Token ${symbol} updated by admin ${req.user.id}`);
+
+    return res.status(200).json({
+      status: true,
+      message: `Token ${symbol} updated`,
+      data: token,
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get ledger account balances and the trial balance
+ * GET /api/v1/admin/ledger/accounts
+ */
+const getLedgerAccounts = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: ledger.getBalances(),
+    });
+  } catch (error) {
+    console.error('Error getting ledger accounts:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get ledger accounts',
+    });
+  }
+};
+
+/**
+ * List journal entries with their postings
+ * GET /api/v1/admin/ledger/entries
+ */
+const getLedgerEntries = async (req, res) => {
+  const { page, limit, referenceType, referenceId, userId } = req.query;
+
+  try {
+    const { entries, total } = ledger.getEntries({
+      referenceType,
+      referenceId,
+      userId,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error getting ledger entries:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get ledger entries',
+    });
+  }
+};
+
+/**
+ * Run a reconciliation of on-chain holdings against the ledger
+ * POST /api/v1/admin/reconciliation/run
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    const report = await reconciliationService.runReconciliation({
+      triggeredBy: 'admin',
+      createdBy: req.user.id,
+      verifyTransactions: req.body.verifyTransactions,
+    });
+
+    return res.status(200).json({
+      status: true,
+      message: report.status === 'ok'
+        ? 'Reconciliation passed'
+        : `Reconciliation ${report.status === 'error' ? 'failed' : `found ${report.discrepancyCount} discrepancy(ies)`}`,
+      data: report,
+    });
+  } catch (error) {
+    return res.status(409).json({
+      status: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List reconciliation reports
+ * GET /api/v1/admin/reconciliation/reports
+ */
+const getReconciliationReports = async (req, res) => {
+  const { page, limit, status } = req.query;
+
+  try {
+    const { reports, total } = reconciliationService.getReports({ status, limit, offset: (page - 1) * limit });
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error getting reconciliation reports:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get reconciliation reports',
+    });
+  }
+};
+
+/**
+ * Get a reconciliation report with its balance snapshot
+ * GET /api/v1/admin/reconciliation/reports/:id
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const report = reconciliationService.getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        status: false,
+        message: 'Report not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error getting reconciliation report:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get reconciliation report',
+    });
+  }
+};
+
+/**
+ * Change a user's role
+ * PUT /api/v1/admin/users/:id/role
+ */
+const updateUserRole = async (req, res) => {
+  const userId = Number(req.params.id);
+  const { role } = req.body;
+
+  try {
+    // Prevent admins from locking themselves out
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        status: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const result = db.prepare(
+      "UPDATE users SET role = ?, updated_at = datetime('now') WHERE id = ?"
+    ).run(role, userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        status: false,
+        message: 'User not found',
+      });
+    }
+
+    console.log(`🔑 User ${userId} role set to ${role} by admin ${req.user.id}`);
+
+    return res.status(200).json({
+      status: true,
+      message: `Role updated to ${role}`,
+      data: {
+        userId,
+        role,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to update user role',
+    });
+  }
+};
+
 module.exports = {
   getConsolidationStatus,
+  refreshBalances,
   sweepAll,
   sweepUser,
   getUserWalletInfo,
   getSweepHistory,
+  retrySweep,
+  getSweepScheduler,
+  pauseSweepScheduler,
+  resumeSweepScheduler,
+  getSweepRuns,
+  getSweepRun,
+  getGasReport,
+  getGasTopups,
+  getEnergyReport,
+  getEnergyDelegations,
+  getDepositMonitorStatus,
+  backfillDeposits,
+  listWithdrawals,
+  getWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  getRates,
+  setRate,
+  refreshRate,
+  getTokens,
+  addToken,
+  updateToken,
+  getLedgerAccounts,
+  getLedgerEntries,
+  runReconciliation,
+  getReconciliationReports,
+  getReconciliationReport,
+  updateUserRole,
 };
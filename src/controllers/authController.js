@@ -1,7 +1,8 @@
 const bcrypt = require('bcrypt');
 const db = require('../config/db');
 const { generateToken } = require('../middleware/auth');
-const hdWallet = require('../services/hdWalletService');
+const addressPool = require('../services/addressPoolService');
+const money = require('../utils/money');
 
 const saltRounds = Number(process.env.BCRYPT_SALT_ROUNDS) || 10;
 
@@ -34,13 +35,13 @@ const register = async (req, res) => {
       const config = db.prepare('SELECT next_derivation_index FROM wallet_config WHERE id = 1').get();
       const derivationIndex = config.next_derivation_index;
       
-      // Derive Tron address from HD wallet
-      const wallet = hdWallet.deriveAddress(derivationIndex);
+      // Tron address for this index: pre-derived by the address pool, or derived from the HD wallet now
+      const wallet = addressPool.takeAddress(derivationIndex);
       
       // Create user with 0 balance and their unique Tron address
       const result = db.prepare(
-        `INSERT INTO users (phone, password_hash, username, referral_code, balance_kes, tron_address, derivation_index) 
-         VALUES (?, ?, ?, ?, 0.00, ?, ?)`
+        `INSERT INTO users (phone, password_hash, username, referral_code, balance_cents, tron_address, derivation_index) 
+         VALUES (?, ?, ?, ?, 0, ?, ?)`
       ).run(phone, passwordHash, username, referralCode || null, wallet.address, derivationIndex);
 
       // Increment the next derivation index
@@ -56,7 +57,7 @@ const register = async (req, res) => {
     const { userId, tronAddress } = createUser();
 
     // Generate token
-    const token = generateToken({ id: userId, phone });
+    const token = generateToken({ id: userId, phone, role: 'user' });
 
     return res.status(201).json({
       status: true,
@@ -67,6 +68,7 @@ const register = async (req, res) => {
           id: userId,
           phone,
           username,
+          role: 'user',
           balance: 0,
           depositAddress: tronAddress,
         },
@@ -91,7 +93,7 @@ const login = async (req, res) => {
   try {
     // Find user
     const user = db.prepare(
-      'SELECT id, phone, username, password_hash, balance_kes, is_active, tron_address FROM users WHERE phone = ? LIMIT 1'
+      'SELECT id, phone, username, password_hash, balance_cents, role, is_active, tron_address FROM users WHERE phone = ? LIMIT 1'
     ).get(phone);
 
     if (!user) {
@@ -119,7 +121,7 @@ const login = async (req, res) => {
     }
 
     // Generate token
-    const token = generateToken({ id: user.id, phone: user.phone });
+    const token = generateToken({ id: user.id, phone: user.phone, role: user.role });
 
     return res.status(200).json({
       status: true,
@@ -130,7 +132,8 @@ const login = async (req, res) => {
           id: user.id,
           phone: user.phone,
           username: user.username,
-          balance: parseFloat(user.balance_kes),
+          role: user.role,
+          balance: money.centsToKes(user.balance_cents),
           depositAddress: user.tron_address,
         },
       },
@@ -151,7 +154,7 @@ const login = async (req, res) => {
 const getMe = async (req, res) => {
   try {
     const user = db.prepare(
-      'SELECT id, phone, username, balance_kes, tron_address, created_at FROM users WHERE id = ? LIMIT 1'
+      'SELECT id, phone, username, balance_cents, role, tron_address, created_at FROM users WHERE id = ? LIMIT 1'
     ).get(req.user.id);
 
     return res.status(200).json({
@@ -160,7 +163,8 @@ const getMe = async (req, res) => {
         id: user.id,
         phone: user.phone,
         username: user.username,
-        balance: parseFloat(user.balance_kes),
+        role: user.role,
+        balance: money.centsToKes(user.balance_cents),
         depositAddress: user.tron_address,
         createdAt: user.created_at,
       },
@@ -1,17 +1,31 @@
 const db = require('../config/db');
 const tronService = require('../services/tronService');
+const depositMonitor = require('../services/depositMonitor');
+const webhookService = require('../services/webhookService');
+const rateService = require('../services/rateService');
+const quoteService = require('../services/quoteService');
+const tokenService = require('../services/tokenService');
+const money = require('../utils/money');
 
-const USDT_TO_KES_RATE = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
-const MIN_DEPOSIT = parseFloat(process.env.MIN_DEPOSIT_USDT) || 0.1;
-const MAX_DEPOSIT = parseFloat(process.env.MAX_DEPOSIT_USDT) || 10000;
+/**
+ * Amount fields of a deposits row: the token, the amount in it and, for USDT deposits, usdtAmount
+ * @param {object} d - Deposit row with token and amount_minor
+ * @returns {object} { token, amount, usdtAmount }
+ */
+const depositAmount = (d) => {
+  const amount = money.fromMinorUnits(d.amount_minor, tokenService.getDecimals(d.token));
+  return { token: d.token, amount, usdtAmount: d.token === 'USDT' ? amount : null };
+};
 
 /**
  * Get deposit address and instructions
- * GET /api/v1/deposit/address
- * Now returns user's personal unique deposit address
+ * GET /api/v1/deposit/address?lockRate=true
+ * Now returns user's personal unique deposit address, and every token it accepts
+ * With lockRate, also issues a deposit quote: transfers arriving before it expires are credited at its rate
  */
 const getDepositAddress = async (req, res) => {
   const userId = req.user.id;
+  const { lockRate, usdtAmount } = req.query;
   
   // Get user's personal deposit address
   const user = db.prepare('SELECT tron_address FROM users WHERE id = ?').get(userId);
@@ -23,21 +37,38 @@ const getDepositAddress = async (req, res) => {
     });
   }
   
+  const quote = lockRate
+    ? quoteService.createQuote(userId, { direction: 'deposit', usdtAmount: usdtAmount || null })
+    : null;
+  
+  const usdt = tokenService.getToken('USDT');
+  const tokens = tokenService.getTokens({ enabledOnly: true }).map(t => ({
+    symbol: t.symbol,
+    contractAddress: t.contractAddress,
+    decimals: t.decimals,
+    exchangeRate: quote && t.rateCurrency === 'USDT' ? quote.rate : rateService.getActiveRate(t.rateCurrency).buyRate,
+    minDeposit: t.minDeposit,
+    maxDeposit: t.maxDeposit,
+  }));
+  
   return res.status(200).json({
     status: true,
     data: {
       network: 'TRC20',
       address: user.tron_address,
       token: 'USDT',
-      exchangeRate: USDT_TO_KES_RATE,
-      minDeposit: MIN_DEPOSIT,
-      maxDeposit: MAX_DEPOSIT,
+      exchangeRate: quote ? quote.rate : rateService.getActiveRate().buyRate,
+      quote,
+      minDeposit: usdt.minDeposit,
+      maxDeposit: usdt.maxDeposit,
+      tokens,
       autoCredit: true,
       instructions: [
-        'Send USDT (TRC20) to YOUR personal address above',
+        `Send ${tokens.map(t => t.symbol).join(' or ')} (TRC20) to YOUR personal address above`,
+        'Other tokens sent to this address are not credited',
         'This address is unique to your account',
         'Only send from exchanges like Binance, OKX, etc.',
-        'Your account will be credited automatically within 1-2 minutes',
+        'Your account will be credited automatically within 1-2 minutes, once the transfer is confirmed',
         'No need to submit transaction ID - deposits are detected automatically',
       ],
     },
@@ -45,7 +76,7 @@ const getDepositAddress = async (req, res) => {
 };
 
 /**
- * Verify and process USDT deposit
+ * Verify and process a deposit of any enabled token
  * POST /api/v1/deposit/verify
  */
 const verifyDeposit = async (req, res) => {
@@ -86,6 +117,13 @@ const verifyDeposit = async (req, res) => {
           message: 'This transaction is currently being verified',
         });
       }
+      
+      if (existingDeposit.status === 'confirming') {
+        return res.status(400).json({
+          status: false,
+          message: 'This transaction has been detected and is awaiting block confirmations',
+        });
+      }
     }
 
     // 2. Create pending deposit record
@@ -97,15 +135,16 @@ const verifyDeposit = async (req, res) => {
       ).run(existingDeposit.id);
       depositId = existingDeposit.id;
     } else {
+      const rate = rateService.getActiveRate();
       const result = db.prepare(
-        `INSERT INTO deposits (user_id, tx_hash, status, ip_address, user_agent, usdt_amount, exchange_rate, kes_amount)
-         VALUES (?, ?, 'verifying', ?, ?, 0, ?, 0)`
-      ).run(userId, txId, ipAddress, userAgent, USDT_TO_KES_RATE);
+        `INSERT INTO deposits (user_id, tx_hash, status, ip_address, user_agent, amount_minor, exchange_rate, exchange_rate_id, kes_amount_cents)
+         VALUES (?, ?, 'verifying', ?, ?, 0, ?, ?, 0)`
+      ).run(userId, txId, ipAddress, userAgent, rate.buyRate, rate.id);
       depositId = result.lastInsertRowid;
     }
 
     // 3. Verify transaction on blockchain (check it was sent to user's personal address)
-    const verification = await tronService.verifyUsdtDeposit(txId, userDepositAddress);
+    const verification = await tronService.verifyTokenDeposit(txId, userDepositAddress);
 
     if (!verification.valid) {
       // Update deposit as failed
@@ -120,89 +159,118 @@ const verifyDeposit = async (req, res) => {
       });
     }
 
-    const { usdtAmount, from, to, blockTimestamp } = verification.data;
+    const { token, amountMinor, amount, from, to, blockTimestamp, blockNumber } = verification.data;
+    const usdtAmount = token.symbol === 'USDT' ? amount : null;
 
     // 4. Validate amount limits
-    if (usdtAmount < MIN_DEPOSIT) {
+    const rejectDeposit = db.transaction((reason) => {
       db.prepare(
-        'UPDATE deposits SET status = ?, failure_reason = ?, usdt_amount = ? WHERE id = ?'
-      ).run('rejected', `Amount below minimum (${MIN_DEPOSIT} USDT)`, usdtAmount, depositId);
+        'UPDATE deposits SET status = ?, failure_reason = ?, token = ?, amount_minor = ?, from_address = ?, to_address = ? WHERE id = ?'
+      ).run('rejected', reason, token.symbol, amountMinor, from, to, depositId);
+
+      webhookService.enqueueEvent('deposit.rejected', {
+        depositId,
+        userId,
+        txHash: txId,
+        fromAddress: from,
+        toAddress: to,
+        token: token.symbol,
+        amount,
+        usdtAmount,
+        reason,
+      });
+    });
+
+    if (amount < token.minDeposit) {
+      rejectDeposit(`Amount below minimum (${token.minDeposit} ${token.symbol})`);
 
       return res.status(400).json({
         status: false,
-        message: `Deposit amount (${usdtAmount} USDT) is below minimum (${MIN_DEPOSIT} USDT)`,
+        message: `Deposit amount (${amount} ${token.symbol}) is below minimum (${token.minDeposit} ${token.symbol})`,
       });
     }
 
-    if (usdtAmount > MAX_DEPOSIT) {
-      db.prepare(
-        'UPDATE deposits SET status = ?, failure_reason = ?, usdt_amount = ? WHERE id = ?'
-      ).run('rejected', `Amount above maximum (${MAX_DEPOSIT} USDT)`, usdtAmount, depositId);
+    if (token.maxDeposit !== null && amount > token.maxDeposit) {
+      rejectDeposit(`Amount above maximum (${token.maxDeposit} ${token.symbol})`);
 
       return res.status(400).json({
         status: false,
-        message: `Deposit amount (${usdtAmount} USDT) exceeds maximum (${MAX_DEPOSIT} USDT)`,
+        message: `Deposit amount (${amount} ${token.symbol}) exceeds maximum (${token.maxDeposit} ${token.symbol})`,
       });
     }
 
-    // 5. Calculate KES amount
-    const kesAmount = usdtAmount * USDT_TO_KES_RATE;
+    // 5. Calculate KES amount at the token's buy rate (quoted, if the transfer falls in a deposit quote's window)
+    const { rate, rateId, quoteId } = quoteService.getDepositRate(userId, blockTimestamp, token.rateCurrency);
+    const kesCents = money.tokenToKesCents(amountMinor, token.decimals, rate, money.ROUNDING.DOWN);
+    const kesAmount = money.centsToKes(kesCents);
 
-    // 6. Credit user account (atomic transaction)
-    const creditUser = db.transaction(() => {
-      // Get current balance
-      const user = db.prepare(
-        'SELECT balance_kes FROM users WHERE id = ?'
-      ).get(userId);
-      
-      const currentBalance = parseFloat(user.balance_kes);
-      const newBalance = currentBalance + kesAmount;
-
-      // Update user balance
-      db.prepare(
-        'UPDATE users SET balance_kes = ?, updated_at = datetime(\'now\') WHERE id = ?'
-      ).run(newBalance, userId);
-
-      // Update deposit record
+    // 6. Move deposit to confirming (atomic transaction) - the balance is only touched once confirmed
+    const markConfirming = db.transaction(() => {
       db.prepare(
         `UPDATE deposits SET 
-          status = 'completed',
-          usdt_amount = ?,
-          kes_amount = ?,
+          status = 'confirming',
+          token = ?,
+          amount_minor = ?,
+          kes_amount_cents = ?,
           exchange_rate = ?,
+          exchange_rate_id = ?,
+          quote_id = ?,
           from_address = ?,
           to_address = ?,
           block_timestamp = ?,
-          verified_at = datetime('now'),
+          block_number = ?,
+          confirmations = 0,
           updated_at = datetime('now')
         WHERE id = ?`
-      ).run(usdtAmount, kesAmount, USDT_TO_KES_RATE, from, to, blockTimestamp, depositId);
-
-      // Record in transactions log
-      db.prepare(
-        `INSERT INTO transactions (user_id, type, amount, balance_before, balance_after, reference_id, reference_type, description)
-         VALUES (?, 'deposit', ?, ?, ?, ?, 'deposit', ?)`
-      ).run(userId, kesAmount, currentBalance, newBalance, depositId, `USDT deposit: ${usdtAmount} USDT @ ${USDT_TO_KES_RATE}`);
+      ).run(token.symbol, amountMinor, kesCents, rate, rateId, quoteId, from, to, blockTimestamp, blockNumber, depositId);
 
-      // Record processed tx hash (extra safety)
+      // Record processed tx hash so the monitor does not record it again
       db.prepare(
         'INSERT OR IGNORE INTO processed_tx_hashes (tx_hash, deposit_id) VALUES (?, ?)'
       ).run(txId, depositId);
-
-      return { currentBalance, newBalance };
     });
 
-    const { newBalance } = creditUser();
+    markConfirming();
+
+    // 7. Check confirmations now - credits immediately if the block is already deep enough
+    const confirmation = await depositMonitor.checkDepositConfirmations(depositId);
+
+    if (confirmation.status === 'failed') {
+      return res.status(400).json({
+        status: false,
+        message: confirmation.reason,
+      });
+    }
+
+    if (confirmation.status !== 'completed') {
+      return res.status(202).json({
+        status: true,
+        message: 'Deposit detected. It will be credited automatically once confirmed.',
+        data: {
+          depositId,
+          status: 'confirming',
+          token: token.symbol,
+          amountReceived: amount,
+          usdtReceived: usdtAmount,
+          exchangeRate: rate,
+          kesAmount,
+          confirmations: confirmation.confirmations || 0,
+          requiredConfirmations: confirmation.requiredConfirmations,
+        },
+      });
+    }
 
     return res.status(200).json({
       status: true,
       message: 'Deposit successful!',
       data: {
         depositId,
+        token: token.symbol,
+        amountReceived: amount,
         usdtReceived: usdtAmount,
-        exchangeRate: USDT_TO_KES_RATE,
-        kesCredited: kesAmount,
-        newBalance: newBalance,
+        exchangeRate: rate,
+        kesCredited: confirmation.kesAmount,
+        newBalance: confirmation.newBalance,
       },
     });
   } catch (err) {
@@ -225,7 +293,7 @@ const getDepositStatus = async (req, res) => {
 
   try {
     const deposit = db.prepare(
-      `SELECT id, tx_hash, usdt_amount, exchange_rate, kes_amount, status, failure_reason, created_at, verified_at
+      `SELECT id, tx_hash, token, amount_minor, exchange_rate, exchange_rate_id, quote_id, kes_amount_cents, status, failure_reason, block_number, confirmations, created_at, verified_at
        FROM deposits WHERE id = ? AND user_id = ? LIMIT 1`
     ).get(id, userId);
 
@@ -241,11 +309,15 @@ const getDepositStatus = async (req, res) => {
       data: {
         id: deposit.id,
         txHash: deposit.tx_hash,
-        usdtAmount: parseFloat(deposit.usdt_amount),
+        ...depositAmount(deposit),
         exchangeRate: parseFloat(deposit.exchange_rate),
-        kesAmount: parseFloat(deposit.kes_amount),
+        exchangeRateId: deposit.exchange_rate_id,
+        quoteId: deposit.quote_id,
+        kesAmount: money.centsToKes(deposit.kes_amount_cents),
         status: deposit.status,
         failureReason: deposit.failure_reason,
+        blockNumber: deposit.block_number,
+        confirmations: deposit.confirmations,
         createdAt: deposit.created_at,
         verifiedAt: deposit.verified_at,
       },
@@ -272,7 +344,7 @@ const getDepositHistory = async (req, res) => {
   try {
     // Get deposits
     const deposits = db.prepare(
-      `SELECT id, tx_hash, usdt_amount, exchange_rate, kes_amount, status, created_at, verified_at
+      `SELECT id, tx_hash, token, amount_minor, exchange_rate, exchange_rate_id, quote_id, kes_amount_cents, status, created_at, verified_at
        FROM deposits WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?`
     ).all(userId, limit, offset);
 
@@ -289,9 +361,11 @@ const getDepositHistory = async (req, res) => {
         deposits: deposits.map((d) => ({
           id: d.id,
           txHash: d.tx_hash,
-          usdtAmount: parseFloat(d.usdt_amount),
+          ...depositAmount(d),
           exchangeRate: parseFloat(d.exchange_rate),
-          kesAmount: parseFloat(d.kes_amount),
+          exchangeRateId: d.exchange_rate_id,
+          quoteId: d.quote_id,
+          kesAmount: money.centsToKes(d.kes_amount_cents),
           status: d.status,
           createdAt: d.created_at,
           verifiedAt: d.verified_at,
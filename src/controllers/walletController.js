@@ -1,4 +1,9 @@
 const db = require('../config/db');
+const rateService = require('../services/rateService');
+const quoteService = require('../services/quoteService');
+const tokenService = require('../services/tokenService');
+const ledger = require('../services/ledgerService');
+const money = require('../utils/money');
 
 /**
  * Get user's wallet balance
@@ -7,7 +12,7 @@ const db = require('../config/db');
 const getBalance = async (req, res) => {
   try {
     const user = db.prepare(
-      'SELECT balance_kes FROM users WHERE id = ? LIMIT 1'
+      'SELECT balance_cents FROM users WHERE id = ? LIMIT 1'
     ).get(req.user.id);
 
     if (!user) {
@@ -20,7 +25,7 @@ const getBalance = async (req, res) => {
     return res.status(200).json({
       status: true,
       data: {
-        balance: parseFloat(user.balance_kes),
+        balance: money.centsToKes(user.balance_cents),
         currency: 'KES',
       },
     });
@@ -45,45 +50,22 @@ const getTransactionHistory = async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    // Build query
-    let query = `SELECT id, type, amount, balance_before, balance_after, description, created_at
-                 FROM transactions WHERE user_id = ?`;
-    const params = [userId];
-
-    if (type) {
-      query += ' AND type = ?';
-      params.push(type);
-    }
-
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-
-    // Get transactions
-    const transactions = db.prepare(query).all(...params);
-
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM transactions WHERE user_id = ?';
-    const countParams = [userId];
-
-    if (type) {
-      countQuery += ' AND type = ?';
-      countParams.push(type);
-    }
-
-    const countResult = db.prepare(countQuery).get(...countParams);
-    const total = countResult.total;
+    const { postings, total } = ledger.getUserHistory(userId, { type, limit, offset });
 
     return res.status(200).json({
       status: true,
       data: {
-        transactions: transactions.map((t) => ({
-          id: t.id,
-          type: t.type,
-          amount: parseFloat(t.amount),
-          balanceBefore: parseFloat(t.balance_before),
-          balanceAfter: parseFloat(t.balance_after),
-          description: t.description,
-          createdAt: t.created_at,
+        transactions: postings.map((p) => ({
+          id: p.id,
+          entryId: p.entry_id,
+          type: p.type,
+          // Credits raise the user's balance; amounts are reported unsigned as before
+          amount: money.centsToKes(Math.abs(p.amount_minor)),
+          balanceBefore: money.centsToKes(p.balance_after_minor + p.amount_minor),
+          balanceAfter: money.centsToKes(p.balance_after_minor),
+          reference: p.reference_type ? { type: p.reference_type, id: p.reference_id } : null,
+          description: p.description,
+          createdAt: p.created_at,
         })),
         pagination: {
           page,
@@ -103,27 +85,34 @@ const getTransactionHistory = async (req, res) => {
 };
 
 /**
- * Get current exchange rate
- * GET /api/v1/wallet/exchange-rate
+ * Get current exchange rate of a deposit token (default USDT)
+ * GET /api/v1/wallet/exchange-rate?token=USDT
  */
 const getExchangeRate = async (req, res) => {
   try {
-    // Get from database or use env
-    const rateRow = db.prepare(
-      'SELECT rate FROM exchange_rates WHERE from_currency = ? AND to_currency = ? AND is_active = 1 LIMIT 1'
-    ).get('USDT', 'KES');
+    const token = tokenService.getToken(req.query.token);
+
+    if (!token || !token.enabled) {
+      return res.status(404).json({
+        status: false,
+        message: `Token ${req.query.token} is not accepted`,
+      });
+    }
 
-    const rate = rateRow 
-      ? parseFloat(rateRow.rate) 
-      : parseFloat(process.env.USDT_TO_KES_RATE) || 130;
+    const rate = rateService.getActiveRate(token.rateCurrency, 'KES');
 
     return res.status(200).json({
       status: true,
       data: {
-        from: 'USDT',
+        from: token.symbol,
         to: 'KES',
-        rate: rate,
-        updatedAt: new Date().toISOString(),
+        rateCurrency: token.rateCurrency,
+        rate: rate.rate,
+        buyRate: rate.buyRate,
+        sellRate: rate.sellRate,
+        spreadPercent: rate.spreadPercent,
+        rateId: rate.id,
+        updatedAt: rate.createdAt,
       },
     });
   } catch (err) {
@@ -135,8 +124,66 @@ const getExchangeRate = async (req, res) => {
   }
 };
 
+/**
+ * Issue a rate quote
+ * POST /api/v1/wallet/quotes
+ */
+const createQuote = async (req, res) => {
+  const { direction, usdtAmount, kesAmount } = req.body;
+
+  try {
+    const quote = quoteService.createQuote(req.user.id, {
+      direction,
+      usdtAmount: usdtAmount || null,
+      kesAmount: kesAmount || null,
+    });
+
+    return res.status(201).json({
+      status: true,
+      message: `Rate locked until ${quote.expiresAt} UTC`,
+      data: quote,
+    });
+  } catch (err) {
+    console.error('Error creating quote:', err);
+    return res.status(400).json({
+      status: false,
+      message: err.message,
+    });
+  }
+};
+
+/**
+ * Get a rate quote
+ * GET /api/v1/wallet/quotes/:id
+ */
+const getQuote = async (req, res) => {
+  try {
+    const quote = quoteService.getQuote(req.user.id, req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        status: false,
+        message: 'Quote not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      data: quote,
+    });
+  } catch (err) {
+    console.error('Error fetching quote:', err);
+    return res.status(500).json({
+      status: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 module.exports = {
   getBalance,
   getTransactionHistory,
   getExchangeRate,
+  createQuote,
+  getQuote,
 };
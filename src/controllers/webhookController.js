@@ -0,0 +1,258 @@
+/**
+ * Webhook Controller
+ * Admin management of webhook endpoints and deliveries
+ */
+
+const webhookService = require('../services/webhookService');
+const db = require('../config/db');
+
+/**
+ * Register a webhook endpoint
+ * POST /api/v1/admin/webhooks/endpoints
+ */
+const createEndpoint = async (req, res) => {
+  try {
+    const endpoint = webhookService.createEndpoint(req.body);
+
+    return res.status(201).json({
+      status: true,
+      message: 'Webhook endpoint registered. Store the secret now - it will not be shown again.',
+      data: endpoint,
+    });
+  } catch (error) {
+    console.error('Error registering webhook endpoint:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to register webhook endpoint',
+    });
+  }
+};
+
+/**
+ * List webhook endpoints
+ * GET /api/v1/admin/webhooks/endpoints
+ */
+const listEndpoints = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: true,
+      data: {
+        endpoints: webhookService.listEndpoints(),
+        eventTypes: webhookService.EVENT_TYPES,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing webhook endpoints:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to list webhook endpoints',
+    });
+  }
+};
+
+/**
+ * Disable a webhook endpoint
+ * DELETE /api/v1/admin/webhooks/endpoints/:id
+ */
+const disableEndpoint = async (req, res) => {
+  try {
+    const disabled = webhookService.disableEndpoint(req.params.id);
+
+    if (!disabled) {
+      return res.status(404).json({
+        status: false,
+        message: 'Webhook endpoint not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      message: 'Webhook endpoint disabled',
+    });
+  } catch (error) {
+    console.error('Error disabling webhook endpoint:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to disable webhook endpoint',
+    });
+  }
+};
+
+/**
+ * List webhook deliveries
+ * GET /api/v1/admin/webhooks/deliveries
+ */
+const listDeliveries = async (req, res) => {
+  const { page, limit, status, eventType, endpointId } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    let where = 'WHERE 1 = 1';
+    const params = [];
+
+    if (status) {
+      where += ' AND d.status = ?';
+      params.push(status);
+    }
+
+    if (eventType) {
+      where += ' AND e.event_type = ?';
+      params.push(eventType);
+    }
+
+    if (endpointId) {
+      where += ' AND d.endpoint_id = ?';
+      params.push(endpointId);
+    }
+
+    const deliveries = db.prepare(
+      `SELECT d.*, e.event_type, w.url
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON d.event_id = e.id
+       JOIN webhook_endpoints w ON d.endpoint_id = w.id
+       ${where}
+       ORDER BY d.id DESC
+       LIMIT ? OFFSET ?`
+    ).all(...params, limit, offset);
+
+    const countResult = db.prepare(
+      `SELECT COUNT(*) as total
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON d.event_id = e.id
+       ${where}`
+    ).get(...params);
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        deliveries: deliveries.map(d => ({
+          id: d.id,
+          eventId: d.event_id,
+          eventType: d.event_type,
+          endpointId: d.endpoint_id,
+          url: d.url,
+          status: d.status,
+          attempts: d.attempts,
+          nextAttemptAt: d.status === 'pending' ? d.next_attempt_at : null,
+          lastStatusCode: d.last_status_code,
+          lastError: d.last_error,
+          deliveredAt: d.delivered_at,
+          createdAt: d.created_at,
+        })),
+        pagination: {
+          page,
+          limit,
+          total: countResult.total,
+          totalPages: Math.ceil(countResult.total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to list webhook deliveries',
+    });
+  }
+};
+
+/**
+ * Get a delivery with its payload and every attempt
+ * GET /api/v1/admin/webhooks/deliveries/:id
+ */
+const getDelivery = async (req, res) => {
+  try {
+    const delivery = db.prepare(
+      `SELECT d.*, e.event_type, e.payload, w.url
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON d.event_id = e.id
+       JOIN webhook_endpoints w ON d.endpoint_id = w.id
+       WHERE d.id = ?`
+    ).get(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    const attempts = db.prepare(
+      'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempt_number ASC'
+    ).all(delivery.id);
+
+    return res.status(200).json({
+      status: true,
+      data: {
+        id: delivery.id,
+        eventId: delivery.event_id,
+        eventType: delivery.event_type,
+        payload: JSON.parse(delivery.payload),
+        endpointId: delivery.endpoint_id,
+        url: delivery.url,
+        status: delivery.status,
+        attempts: attempts.map(a => ({
+          attemptNumber: a.attempt_number,
+          statusCode: a.status_code,
+          error: a.error,
+          responseBody: a.response_body,
+          durationMs: a.duration_ms,
+          createdAt: a.created_at,
+        })),
+        deliveredAt: delivery.delivered_at,
+        createdAt: delivery.created_at,
+      },
+    });
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to get webhook delivery',
+    });
+  }
+};
+
+/**
+ * Manually redeliver a webhook
+ * POST /api/v1/admin/webhooks/deliveries/:id/redeliver
+ */
+const redeliver = async (req, res) => {
+  try {
+    const result = await webhookService.redeliver(req.params.id);
+
+    return res.status(200).json({
+      status: true,
+      message: result.delivered ? 'Webhook delivered' : 'Redelivery failed - it will be retried automatically',
+      data: result,
+    });
+  } catch (error) {
+    if (error.message === 'Delivery not found') {
+      return res.status(404).json({
+        status: false,
+        message: error.message,
+      });
+    }
+
+    if (error.inProgress) {
+      return res.status(409).json({
+        status: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Error redelivering webhook:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to redeliver webhook',
+    });
+  }
+};
+
+module.exports = {
+  createEndpoint,
+  listEndpoints,
+  disableEndpoint,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+};
@@ -1,7 +1,8 @@
 const db = require('../config/db');
 const withdrawalService = require('../services/withdrawalService');
+const rateService = require('../services/rateService');
+const money = require('../utils/money');
 
-const USDT_TO_KES_RATE = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
 const MIN_WITHDRAWAL_USDT = parseFloat(process.env.MIN_WITHDRAWAL_USDT) || 1;
 const MAX_WITHDRAWAL_USDT = parseFloat(process.env.MAX_WITHDRAWAL_USDT) || 10000;
 
@@ -11,7 +12,7 @@ const MAX_WITHDRAWAL_USDT = parseFloat(process.env.MAX_WITHDRAWAL_USDT) || 10000
  */
 const requestWithdrawal = async (req, res) => {
   const userId = req.user.id;
-  const { address, amount } = req.body;
+  const { address, amount, quoteId } = req.body;
 
   try {
     // Validate address
@@ -22,27 +23,31 @@ const requestWithdrawal = async (req, res) => {
       });
     }
 
-    // Validate amount
-    if (!amount || isNaN(amount) || amount <= 0) {
+    // Validate amount (taken from the quote when one is given)
+    if (!quoteId && (!amount || isNaN(amount) || amount <= 0)) {
       return res.status(400).json({
         status: false,
         message: 'Valid withdrawal amount is required',
       });
     }
 
-    const kesAmount = parseFloat(amount);
+    const kesAmount = amount ? parseFloat(amount) : null;
 
-    // Process withdrawal
-    const result = await withdrawalService.processWithdrawal(userId, address, kesAmount);
+    // Reserve funds and queue the withdrawal for the broadcaster
+    const result = await withdrawalService.processWithdrawal(userId, address, kesAmount, quoteId || null);
 
-    return res.status(200).json({
+    return res.status(202).json({
       status: true,
-      message: 'Withdrawal successful!',
+      message: result.status === 'awaiting_approval'
+        ? 'Withdrawal accepted and held for admin approval'
+        : 'Withdrawal accepted and queued for processing',
       data: {
         withdrawalId: result.withdrawalId,
-        txHash: result.txHash,
+        status: result.status,
         kesAmount: result.kesAmount,
         usdtAmount: result.usdtAmount,
+        exchangeRate: result.exchangeRate,
+        quoteId: result.quoteId,
         toAddress: result.toAddress,
         newBalance: result.newBalance,
       },
@@ -96,6 +101,34 @@ const getWithdrawalHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get a single withdrawal (poll this after requesting a withdrawal)
+ * GET /api/v1/wallet/withdrawals/:id
+ */
+const getWithdrawal = async (req, res) => {
+  try {
+    const withdrawal = withdrawalService.getWithdrawal(req.user.id, req.params.id);
+
+    if (!withdrawal) {
+      return res.status(404).json({
+        status: false,
+        message: 'Withdrawal not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: true,
+      data: withdrawal,
+    });
+  } catch (error) {
+    console.error('Error fetching withdrawal:', error);
+    return res.status(500).json({
+      status: false,
+      message: 'Failed to fetch withdrawal',
+    });
+  }
+};
+
 /**
  * Get withdrawal limits and info
  * GET /api/v1/wallet/withdrawal-info
@@ -103,8 +136,13 @@ const getWithdrawalHistory = async (req, res) => {
 const getWithdrawalInfo = async (req, res) => {
   try {
     // Get user balance
-    const user = db.prepare('SELECT balance_kes FROM users WHERE id = ?').get(req.user.id);
-    const balance = user ? parseFloat(user.balance_kes) : 0;
+    const user = db.prepare('SELECT balance_cents FROM users WHERE id = ?').get(req.user.id);
+    const balanceCents = user ? user.balance_cents : 0;
+
+    // Withdrawals are paid out at the sell rate
+    const { sellRate } = rateService.getActiveRate();
+    const minWithdrawalCents = money.usdtSunToKesCents(money.usdtToSun(MIN_WITHDRAWAL_USDT), sellRate, money.ROUNDING.UP);
+    const maxWithdrawalCents = money.usdtSunToKesCents(money.usdtToSun(MAX_WITHDRAWAL_USDT), sellRate, money.ROUNDING.DOWN);
 
     // Get master wallet balance
     let masterBalance = 0;
@@ -121,14 +159,14 @@ const getWithdrawalInfo = async (req, res) => {
       data: {
         minWithdrawal: MIN_WITHDRAWAL_USDT,
         maxWithdrawal: MAX_WITHDRAWAL_USDT,
-        minWithdrawalKES: MIN_WITHDRAWAL_USDT * USDT_TO_KES_RATE,
-        maxWithdrawalKES: MAX_WITHDRAWAL_USDT * USDT_TO_KES_RATE,
-        exchangeRate: USDT_TO_KES_RATE,
-        availableBalance: balance,
-        availableUsdt: balance / USDT_TO_KES_RATE,
+        minWithdrawalKES: money.centsToKes(minWithdrawalCents),
+        maxWithdrawalKES: money.centsToKes(maxWithdrawalCents),
+        exchangeRate: sellRate,
+        availableBalance: money.centsToKes(balanceCents),
+        availableUsdt: money.sunToUsdt(money.kesCentsToUsdtSun(balanceCents, sellRate, money.ROUNDING.DOWN)),
         masterWalletBalance: masterBalance,
         masterWalletTrxBalance: masterTrxBalance,
-        canWithdraw: balance >= (MIN_WITHDRAWAL_USDT * USDT_TO_KES_RATE) && masterBalance >= MIN_WITHDRAWAL_USDT,
+        canWithdraw: balanceCents >= minWithdrawalCents && masterBalance >= MIN_WITHDRAWAL_USDT,
       },
     });
   } catch (error) {
@@ -143,5 +181,6 @@ const getWithdrawalInfo = async (req, res) => {
 module.exports = {
   requestWithdrawal,
   getWithdrawalHistory,
+  getWithdrawal,
   getWithdrawalInfo,
 };
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/db');
+const { hasPermission } = require('../config/roles');
+const money = require('../utils/money');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-me';
 
@@ -26,7 +28,7 @@ const authenticate = async (req, res, next) => {
 
     // Get user from database
     const user = db.prepare(
-      'SELECT id, phone, username, balance_kes, is_active FROM users WHERE id = ? LIMIT 1'
+      'SELECT id, phone, username, balance_cents, role, is_active FROM users WHERE id = ? LIMIT 1'
     ).get(decoded.userId);
 
     if (!user) {
@@ -43,12 +45,13 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user to request (role comes from the database so role changes apply immediately)
     req.user = {
       id: user.id,
       phone: user.phone,
       username: user.username,
-      balance: parseFloat(user.balance_kes),
+      role: user.role,
+      balance: money.centsToKes(user.balance_cents),
     };
 
     next();
@@ -75,6 +78,24 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authorization middleware factory
+ * Must run after authenticate
+ * @param {string} permission - Permission required (see src/config/roles.js)
+ */
+const authorize = (permission) => {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        status: false,
+        message: 'You do not have permission to perform this action',
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Generate JWT token
  * @param {object} user - User object
@@ -85,6 +106,7 @@ const generateToken = (user) => {
     {
       userId: user.id,
       phone: user.phone,
+      role: user.role || 'user',
     },
     JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
@@ -93,5 +115,6 @@ const generateToken = (user) => {
 
 module.exports = {
   authenticate,
+  authorize,
   generateToken,
 };
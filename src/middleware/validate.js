@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { EVENT_TYPES } = require('../services/webhookService');
+const { ROLES } = require('../config/roles');
+const { MAX_TOKEN_DECIMALS } = require('../utils/money');
 
 /**
  * Validation middleware factory
@@ -121,11 +124,55 @@ const schemas = {
       }),
     amount: Joi.number()
       .positive()
-      .required()
       .messages({
         'number.positive': 'Amount must be positive',
-        'any.required': 'Amount is required',
       }),
+    quoteId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+  })
+    .or('amount', 'quoteId')
+    .messages({
+      'object.missing': 'Amount or quoteId is required',
+    }),
+
+  // Exchange rate query
+  exchangeRateQuery: Joi.object({
+    token: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .default('USDT'),
+  }),
+
+  // Rate quote request
+  quote: Joi.object({
+    direction: Joi.string()
+      .valid('deposit', 'withdrawal')
+      .required()
+      .messages({
+        'any.only': 'direction must be deposit or withdrawal',
+        'any.required': 'direction is required',
+      }),
+    usdtAmount: Joi.number()
+      .positive()
+      .optional(),
+    kesAmount: Joi.number()
+      .positive()
+      .optional(),
+  })
+    .oxor('usdtAmount', 'kesAmount')
+    .messages({
+      'object.oxor': 'Provide either usdtAmount or kesAmount, not both',
+    }),
+
+  // Deposit address query
+  depositAddress: Joi.object({
+    lockRate: Joi.boolean()
+      .default(false),
+    usdtAmount: Joi.number()
+      .positive()
+      .optional(),
   }),
 
   // Withdrawal history query
@@ -140,6 +187,373 @@ const schemas = {
       .max(100)
       .default(20),
   }),
+
+  // Deposit backfill (admin)
+  depositBackfill: Joi.object({
+    fromBlock: Joi.number()
+      .integer()
+      .min(0)
+      .required()
+      .messages({
+        'any.required': 'fromBlock is required',
+      }),
+    toBlock: Joi.number()
+      .integer()
+      .min(Joi.ref('fromBlock'))
+      .required()
+      .messages({
+        'number.min': 'toBlock must be greater than or equal to fromBlock',
+        'any.required': 'toBlock is required',
+      }),
+  }),
+
+  // Withdrawal list query (admin)
+  adminWithdrawals: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('awaiting_approval', 'unverified', 'pending', 'processing', 'broadcast', 'confirmed', 'completed', 'failed', 'rejected')
+      .optional(),
+  }),
+
+  // Withdrawal rejection (admin)
+  withdrawalRejection: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(3)
+      .max(500)
+      .required()
+      .messages({
+        'any.required': 'A rejection reason is required',
+      }),
+  }),
+
+  // Sweep of all wallets (admin)
+  sweepRun: Joi.object({
+    dryRun: Joi.boolean()
+      .default(false),
+  }),
+
+  // Single wallet sweep (admin)
+  sweepUser: Joi.object({
+    token: Joi.string()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .default('USDT')
+      .messages({
+        'string.pattern.base': 'token must be a token symbol, e.g. USDT',
+      }),
+  }),
+
+  // Sweep history query (admin)
+  sweepHistory: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('pending', 'broadcast', 'confirmed', 'failed')
+      .optional(),
+    userId: Joi.number()
+      .integer()
+      .min(1)
+      .optional(),
+  }),
+
+  // Sweep run list query (admin)
+  sweepRuns: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('running', 'completed', 'failed')
+      .optional(),
+    dryRun: Joi.boolean()
+      .optional(),
+  }),
+
+  // Sweep scheduler pause (admin)
+  sweepSchedulerPause: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .max(500)
+      .optional(),
+  }),
+
+  // Gas top-up report query (admin)
+  gasReport: Joi.object({
+    days: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .default(30),
+  }),
+
+  // Gas top-up list query (admin)
+  gasTopups: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('pending', 'confirmed', 'failed')
+      .optional(),
+    userId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+    sweepRunId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+  }),
+
+  // Energy delegation report query (admin)
+  energyReport: Joi.object({
+    days: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .default(30),
+  }),
+
+  // Energy delegation list query (admin)
+  energyDelegations: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('delegating', 'delegated', 'reclaimed', 'fallback')
+      .optional(),
+    purpose: Joi.string()
+      .valid('sweep', 'withdrawal')
+      .optional(),
+  }),
+
+  // Exchange rate update (admin)
+  exchangeRate: Joi.object({
+    from: Joi.string()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .default('USDT')
+      .messages({
+        'string.pattern.base': 'from must be a currency code, e.g. USDT',
+      }),
+    rate: Joi.number()
+      .positive()
+      .required()
+      .messages({
+        'number.positive': 'rate must be positive',
+        'any.required': 'rate is required',
+      }),
+    spreadPercent: Joi.number()
+      .min(0)
+      .less(100)
+      .optional(),
+  }),
+
+  // Exchange rate history query (admin)
+  rateHistory: Joi.object({
+    from: Joi.string()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .default('USDT'),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+  }),
+
+  // Token registration (admin)
+  token: Joi.object({
+    symbol: Joi.string()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'symbol must be 2-10 upper-case letters or digits',
+        'any.required': 'symbol is required',
+      }),
+    contractAddress: Joi.string()
+      .pattern(/^T[1-9A-HJ-NP-Za-km-z]{33}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid Tron address format. Must start with T and be 34 characters.',
+        'any.required': 'contractAddress is required',
+      }),
+    decimals: Joi.number()
+      .integer()
+      .min(0)
+      .max(MAX_TOKEN_DECIMALS)
+      .required(),
+    minDeposit: Joi.number()
+      .min(0)
+      .default(0),
+    maxDeposit: Joi.number()
+      .positive()
+      .allow(null)
+      .default(null),
+    minSweep: Joi.number()
+      .min(0)
+      .default(0),
+    rateCurrency: Joi.string()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .optional(),
+    enabled: Joi.boolean()
+      .default(true),
+  }),
+
+  // Token update (admin)
+  tokenUpdate: Joi.object({
+    minDeposit: Joi.number()
+      .min(0)
+      .optional(),
+    maxDeposit: Joi.number()
+      .positive()
+      .allow(null)
+      .optional(),
+    minSweep: Joi.number()
+      .min(0)
+      .optional(),
+    rateCurrency: Joi.string()
+      .pattern(/^[A-Z0-9]{2,10}$/)
+      .optional(),
+    enabled: Joi.boolean()
+      .optional(),
+  }).min(1),
+
+  // Journal entry list query (admin)
+  ledgerEntries: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    referenceType: Joi.string()
+      .valid('deposit', 'withdrawal', 'sweep', 'gas_topup', 'user')
+      .optional(),
+    referenceId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+    userId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+  }),
+
+  // Reconciliation run (admin)
+  reconciliationRun: Joi.object({
+    verifyTransactions: Joi.boolean()
+      .default(true),
+  }),
+
+  // Reconciliation report list query (admin)
+  reconciliationReports: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('running', 'ok', 'mismatch', 'error')
+      .optional(),
+  }),
+
+  // Role change (admin)
+  userRole: Joi.object({
+    role: Joi.string()
+      .valid(...ROLES)
+      .required()
+      .messages({
+        'any.only': `role must be one of: ${ROLES.join(', ')}`,
+        'any.required': 'role is required',
+      }),
+  }),
+
+  // Webhook endpoint registration (admin)
+  webhookEndpoint: Joi.object({
+    url: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .required()
+      .messages({
+        'string.uri': 'url must be a valid http(s) URL',
+        'any.required': 'url is required',
+      }),
+    events: Joi.array()
+      .items(Joi.string().valid(...EVENT_TYPES))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'any.only': `events must be one of: ${EVENT_TYPES.join(', ')}`,
+        'any.required': 'events is required',
+      }),
+    description: Joi.string()
+      .max(255)
+      .optional()
+      .allow('', null),
+  }),
+
+  // Webhook delivery list query (admin)
+  webhookDeliveries: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20),
+    status: Joi.string()
+      .valid('pending', 'delivering', 'delivered', 'failed')
+      .optional(),
+    eventType: Joi.string()
+      .valid(...EVENT_TYPES)
+      .optional(),
+    endpointId: Joi.number()
+      .integer()
+      .optional(),
+  }),
 };
 
 module.exports = {
@@ -1,19 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { authenticate } = require('../middleware/auth');
+const webhookController = require('../controllers/webhookController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
 
-// All admin routes require authentication
-// In production, add admin role check middleware
+// All admin routes require authentication; each route requires a permission (see src/config/roles.js)
 router.use(authenticate);
 
 // Consolidation routes
-router.get('/consolidation/status', adminController.getConsolidationStatus);
-router.post('/consolidation/sweep', adminController.sweepAll);
-router.post('/consolidation/sweep/:userId', adminController.sweepUser);
-router.get('/consolidation/history', adminController.getSweepHistory);
+router.get('/consolidation/status', authorize('sweeps:read'), adminController.getConsolidationStatus);
+router.post('/consolidation/balances/refresh', authorize('sweeps:execute'), adminController.refreshBalances);
+router.post('/consolidation/sweep', authorize('sweeps:execute'), validate(schemas.sweepRun), adminController.sweepAll);
+router.post('/consolidation/sweep/:userId', authorize('sweeps:execute'), validate(schemas.sweepUser), adminController.sweepUser);
+router.get('/consolidation/history', authorize('sweeps:read'), validate(schemas.sweepHistory, 'query'), adminController.getSweepHistory);
+router.post('/consolidation/sweeps/:id/retry', authorize('sweeps:execute'), adminController.retrySweep);
+router.get('/consolidation/runs', authorize('sweeps:read'), validate(schemas.sweepRuns, 'query'), adminController.getSweepRuns);
+router.get('/consolidation/runs/:id', authorize('sweeps:read'), adminController.getSweepRun);
+router.get('/consolidation/scheduler', authorize('sweeps:read'), adminController.getSweepScheduler);
+router.post('/consolidation/scheduler/pause', authorize('sweeps:execute'), validate(schemas.sweepSchedulerPause), adminController.pauseSweepScheduler);
+router.post('/consolidation/scheduler/resume', authorize('sweeps:execute'), adminController.resumeSweepScheduler);
+router.get('/consolidation/gas', authorize('sweeps:read'), validate(schemas.gasReport, 'query'), adminController.getGasReport);
+router.get('/consolidation/gas/topups', authorize('sweeps:read'), validate(schemas.gasTopups, 'query'), adminController.getGasTopups);
+
+// Energy delegation routes
+router.get('/energy', authorize('energy:read'), validate(schemas.energyReport, 'query'), adminController.getEnergyReport);
+router.get('/energy/delegations', authorize('energy:read'), validate(schemas.energyDelegations, 'query'), adminController.getEnergyDelegations);
+
+// Deposit monitor routes
+router.get('/deposits/monitor', authorize('deposits:read'), adminController.getDepositMonitorStatus);
+router.post('/deposits/backfill', authorize('deposits:backfill'), validate(schemas.depositBackfill), adminController.backfillDeposits);
+
+// Withdrawal approval routes
+router.get('/withdrawals', authorize('withdrawals:read'), validate(schemas.adminWithdrawals, 'query'), adminController.listWithdrawals);
+router.get('/withdrawals/:id', authorize('withdrawals:read'), adminController.getWithdrawal);
+router.post('/withdrawals/:id/approve', authorize('withdrawals:approve'), adminController.approveWithdrawal);
+router.post('/withdrawals/:id/reject', authorize('withdrawals:approve'), validate(schemas.withdrawalRejection), adminController.rejectWithdrawal);
+
+// Exchange rate routes
+router.get('/rates', authorize('rates:read'), validate(schemas.rateHistory, 'query'), adminController.getRates);
+router.post('/rates', authorize('rates:manage'), validate(schemas.exchangeRate), adminController.setRate);
+router.post('/rates/refresh', authorize('rates:manage'), adminController.refreshRate);
+
+// Token registry routes
+router.get('/tokens', authorize('deposits:read'), adminController.getTokens);
+router.post('/tokens', authorize('tokens:manage'), validate(schemas.token), adminController.addToken);
+router.patch('/tokens/:symbol', authorize('tokens:manage'), validate(schemas.tokenUpdate), adminController.updateToken);
+
+// Ledger routes
+router.get('/ledger/accounts', authorize('ledger:read'), adminController.getLedgerAccounts);
+router.get('/ledger/entries', authorize('ledger:read'), validate(schemas.ledgerEntries, 'query'), adminController.getLedgerEntries);
+
+// Reconciliation routes
+router.post('/reconciliation/run', authorize('reconciliation:run'), validate(schemas.reconciliationRun), adminController.runReconciliation);
+router.get('/reconciliation/reports', authorize('ledger:read'), validate(schemas.reconciliationReports, 'query'), adminController.getReconciliationReports);
+router.get('/reconciliation/reports/:id', authorize('ledger:read'), adminController.getReconciliationReport);
+
+// Webhook routes
+router.get('/webhooks/endpoints', authorize('webhooks:manage'), webhookController.listEndpoints);
+router.post('/webhooks/endpoints', authorize('webhooks:manage'), validate(schemas.webhookEndpoint), webhookController.createEndpoint);
+router.delete('/webhooks/endpoints/:id', authorize('webhooks:manage'), webhookController.disableEndpoint);
+router.get('/webhooks/deliveries', authorize('webhooks:manage'), validate(schemas.webhookDeliveries, 'query'), webhookController.listDeliveries);
+router.get('/webhooks/deliveries/:id', authorize('webhooks:manage'), webhookController.getDelivery);
+router.post('/webhooks/deliveries/:id/redeliver', authorize('webhooks:manage'), webhookController.redeliver);
+
+// User role management
+router.put('/users/:id/role', authorize('users:manage'), validate(schemas.userRole), adminController.updateUserRole);
 
 // Wallet info
-router.get('/wallet/:userId', adminController.getUserWalletInfo);
+router.get('/wallet/:userId', authorize('wallets:read'), adminController.getUserWalletInfo);
 
 module.exports = router;
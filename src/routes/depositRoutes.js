@@ -9,7 +9,7 @@ const { validate, schemas } = require('../middleware/validate');
 router.use(authenticate);
 
 // Get deposit address and instructions
-router.get('/address', depositController.getDepositAddress);
+router.get('/address', validate(schemas.depositAddress, 'query'), depositController.getDepositAddress);
 
 // Verify and process deposit (rate limited)
 router.post('/verify', depositLimiter, validate(schemas.verifyDeposit), depositController.verifyDeposit);
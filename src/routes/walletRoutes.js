@@ -15,11 +15,16 @@ router.get('/balance', walletController.getBalance);
 router.get('/transactions', validate(schemas.transactionHistory, 'query'), walletController.getTransactionHistory);
 
 // Get exchange rate (public info but keeping it under wallet)
-router.get('/exchange-rate', walletController.getExchangeRate);
+router.get('/exchange-rate', validate(schemas.exchangeRateQuery, 'query'), walletController.getExchangeRate);
+
+// Rate quotes - lock a rate for a deposit or withdrawal
+router.post('/quotes', validate(schemas.quote), walletController.createQuote);
+router.get('/quotes/:id', walletController.getQuote);
 
 // Withdrawal routes
 router.post('/withdraw', validate(schemas.withdrawal), withdrawalController.requestWithdrawal);
 router.get('/withdrawals', validate(schemas.withdrawalHistory, 'query'), withdrawalController.getWithdrawalHistory);
+router.get('/withdrawals/:id', withdrawalController.getWithdrawal);
 router.get('/withdrawal-info', withdrawalController.getWithdrawalInfo);
 
 module.exports = router;
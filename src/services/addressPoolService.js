@@ -0,0 +1,204 @@
+/**
+ * Address Pool Service
+ * Derives deposit addresses ahead of time into address_pool, so registration takes a stored address
+ * instead of deriving one inside its transaction. The pool covers the ADDRESS_POOL_SIZE derivation
+ * indexes from wallet_config.next_derivation_index up and is topped up in the background after each
+ * registration, ADDRESS_POOL_BATCH_SIZE addresses per event loop turn.
+ *
+ * Rows are tagged with the account xpub they were derived from and only handed out while it is still
+ * the configured one, so a changed HD configuration never assigns an address from the old wallet.
+ * ADDRESS_POOL_SIZE=0 (the default) turns the pool off; registration then derives the address itself.
+ */
+
+const db = require('../config/db');
+const hdWallet = require('./hdWalletService');
+
+// Configuration
+const POOL_SIZE = parseInt(process.env.ADDRESS_POOL_SIZE) || 0;
+const BATCH_SIZE = parseInt(process.env.ADDRESS_POOL_BATCH_SIZE) || 50;
+
+let isRunning = false;
+let refillInProgress = null;
+let lastRefill = null;
+
+/**
+ * Let other work run between batches
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Get the next derivation index registration will use
+ * @returns {number}
+ */
+const getNextIndex = () => {
+  return db.prepare('SELECT next_derivation_index FROM wallet_config WHERE id = 1').get().next_derivation_index;
+};
+
+/**
+ * Derive the missing addresses for the next POOL_SIZE indexes
+ * @returns {Promise<object>} { added, removed }
+ */
+const fill = async () => {
+  const xpub = hdWallet.getAddressXpub();
+  const next = getNextIndex();
+
+  // Rows from another HD configuration, or for indexes already handed out
+  const removed = db.prepare(
+    'DELETE FROM address_pool WHERE account_xpub != ? OR derivation_index < ?'
+  ).run(xpub, next).changes;
+
+  const pooled = new Set(
+    db.prepare('SELECT derivation_index FROM address_pool WHERE derivation_index < ?')
+      .all(next + POOL_SIZE)
+      .map(row => row.derivation_index)
+  );
+
+  const missing = [];
+  for (let index = next; index < next + POOL_SIZE; index++) {
+    if (!pooled.has(index)) {
+      missing.push(index);
+    }
+  }
+
+  const insert = db.prepare(
+    'INSERT OR IGNORE INTO address_pool (derivation_index, address, account_xpub) VALUES (?, ?, ?)'
+  );
+
+  let added = 0;
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const wallets = missing.slice(i, i + BATCH_SIZE).map(index => hdWallet.deriveAddress(index));
+
+    db.transaction(() => {
+      wallets.forEach((wallet) => {
+        added += insert.run(wallet.index, wallet.address, xpub).changes;
+      });
+    })();
+
+    await yieldToEventLoop();
+  }
+
+  lastRefill = { completedAt: new Date().toISOString(), added, removed };
+
+  if (added > 0 || removed > 0) {
+    console.log(`📇 Address pool: ${added} address(es) derived, ${removed} stale removed (indexes ${next}-${next + POOL_SIZE - 1})`);
+  }
+
+  return { added, removed };
+};
+
+/**
+ * Top the pool up to POOL_SIZE addresses ahead of the next derivation index
+ * Concurrent calls share the refill in progress
+ * @returns {Promise<object>} { added, removed }
+ */
+const refill = async () => {
+  if (POOL_SIZE <= 0) {
+    return { added: 0, removed: 0 };
+  }
+
+  if (!refillInProgress) {
+    refillInProgress = fill().finally(() => {
+      refillInProgress = null;
+    });
+  }
+
+  return refillInProgress;
+};
+
+/**
+ * Refill once the current transaction and request are done
+ */
+const scheduleRefill = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  setImmediate(() => {
+    refill().catch(error => console.error('Error refilling address pool:', error.message));
+  });
+};
+
+/**
+ * Get the deposit address for a derivation index
+ * Taken from the pool when it holds the index, otherwise derived now. Call it inside the
+ * registration transaction so the pooled row is removed with the index being claimed.
+ * @param {number} index - Derivation index
+ * @returns {object} { address, index, pooled }
+ */
+const takeAddress = (index) => {
+  if (POOL_SIZE > 0) {
+    const row = db.prepare(
+      'DELETE FROM address_pool WHERE derivation_index = ? AND account_xpub = ? RETURNING address'
+    ).get(index, hdWallet.getAddressXpub());
+
+    scheduleRefill();
+
+    if (row) {
+      return { address: row.address, index, pooled: true };
+    }
+  }
+
+  return { ...hdWallet.deriveAddress(index), pooled: false };
+};
+
+/**
+ * Fill the pool and keep it topped up after registrations
+ */
+const start = () => {
+  if (POOL_SIZE <= 0) {
+    return;
+  }
+
+  if (isRunning) {
+    console.log('Address pool is already running');
+    return;
+  }
+
+  isRunning = true;
+  console.log(`📇 Address pool started (${POOL_SIZE} addresses ahead, ${BATCH_SIZE} per batch)`);
+
+  scheduleRefill();
+};
+
+/**
+ * Stop topping the pool up
+ */
+const stop = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+  console.log('🛑 Address pool stopped');
+};
+
+/**
+ * Get pool status
+ */
+const getStatus = () => {
+  const next = getNextIndex();
+  const pool = db.prepare(
+    'SELECT COUNT(*) as available, MAX(derivation_index) as highest FROM address_pool WHERE derivation_index >= ?'
+  ).get(next);
+
+  return {
+    enabled: POOL_SIZE > 0,
+    running: isRunning,
+    size: POOL_SIZE,
+    batchSize: BATCH_SIZE,
+    nextIndex: next,
+    available: pool.available,
+    highestIndex: pool.highest,
+    refillInProgress: Boolean(refillInProgress),
+    lastRefill,
+  };
+};
+
+module.exports = {
+  takeAddress,
+  refill,
+  start,
+  stop,
+  getStatus,
+};
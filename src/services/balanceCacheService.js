@@ -0,0 +1,373 @@
+/**
+ * Balance Cache Service
+ * Keeps the token and TRX balances of deposit addresses so the consolidation status and sweep
+ * selection do not query the chain for every user. USDT and TRX are kept in address_balances, every
+ * other registered token (see tokenService) in address_token_balances, one row per address and token.
+ *
+ * The cache is adjusted as money moves (deposits credited, sweeps broadcast or failed, gas top-ups
+ * confirmed) and re-read from the chain on a timer (BALANCE_REFRESH_INTERVAL_MS), at most
+ * BALANCE_REFRESH_CONCURRENCY addresses at a time. Addresses never read, or never read for a token
+ * registered since, are fetched on first use. Sweeps re-read each candidate on chain right before
+ * signing, so a stale entry never moves funds.
+ */
+
+const TronWeb = require('tronweb');
+const db = require('../config/db');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
+
+// Configuration
+const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
+const TRON_API_KEY = process.env.TRON_API_KEY;
+const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const REFRESH_INTERVAL_MS = parseInt(process.env.BALANCE_REFRESH_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+const REFRESH_CONCURRENCY = parseInt(process.env.BALANCE_REFRESH_CONCURRENCY) || 5;
+
+let tronWeb = null;
+const contracts = new Map(); // Contract address -> Promise of the loaded contract
+let isRunning = false;
+let pollInterval = null;
+let refreshInProgress = false;
+let lastRefresh = null;
+
+/**
+ * Get the shared read-only TronWeb instance
+ * @returns {TronWeb}
+ */
+const getTronWeb = () => {
+  if (!tronWeb) {
+    tronWeb = new TronWeb({
+      fullHost: TRON_API_URL,
+      headers: { 'TRON-PRO-API-KEY': TRON_API_KEY },
+    });
+  }
+  return tronWeb;
+};
+
+/**
+ * Get a token contract, loaded once
+ * @param {string} contractAddress - Token contract address
+ * @returns {Promise<object>} Contract
+ */
+const getContract = async (contractAddress) => {
+  if (!contracts.has(contractAddress)) {
+    contracts.set(contractAddress, getTronWeb().contract().at(contractAddress).catch((error) => {
+      // Load it again next time
+      contracts.delete(contractAddress);
+      throw error;
+    }));
+  }
+  return contracts.get(contractAddress);
+};
+
+/**
+ * Read the balance of a TRC20 token held by an address from the chain
+ * @param {string} address - Tron address
+ * @param {object} token - { symbol, contractAddress, decimals } (see tokenService)
+ * @param {object} options - { strict: true } to throw on lookup errors instead of returning 0
+ * @returns {Promise<number>} Balance in whole tokens
+ */
+const fetchTokenBalance = async (address, token, options = {}) => {
+  try {
+    const contract = await getContract(token.contractAddress);
+    const balance = await contract.methods.balanceOf(address).call();
+    return money.fromMinorUnits(money.parseMinorUnits(balance), token.decimals);
+  } catch (error) {
+    console.error(`Error getting ${token.symbol} balance for ${address}:`, error.message);
+    if (options.strict) {
+      throw new Error(`Failed to get ${token.symbol} balance for ${address}: ${error.message}`);
+    }
+    return 0;
+  }
+};
+
+/**
+ * Read the USDT balance of an address from the chain
+ * @param {string} address - Tron address
+ * @param {object} options - { strict: true } to throw on lookup errors instead of returning 0
+ * @returns {Promise<number>} USDT balance
+ */
+const fetchUsdtBalance = (address, options = {}) => {
+  return fetchTokenBalance(address, { symbol: 'USDT', contractAddress: USDT_CONTRACT, decimals: money.USDT_DECIMALS }, options);
+};
+
+/**
+ * Read the TRX balance of an address from the chain
+ * @param {string} address - Tron address
+ * @param {object} options - { strict: true } to throw on lookup errors instead of returning 0
+ * @returns {Promise<number>} TRX balance
+ */
+const fetchTrxBalance = async (address, options = {}) => {
+  try {
+    const balance = await getTronWeb().trx.getBalance(address);
+    return money.sunToTrx(balance);
+  } catch (error) {
+    console.error(`Error getting TRX balance for ${address}:`, error.message);
+    if (options.strict) {
+      throw new Error(`Failed to get TRX balance for ${address}: ${error.message}`);
+    }
+    return 0;
+  }
+};
+
+/**
+ * Format an address_balances row
+ * @param {object} b - Row joined with its user
+ * @param {object} tokenBalances - Cached balances of tokens other than USDT: { symbol: whole tokens }
+ */
+const formatBalance = (b, tokenBalances = {}) => ({
+  userId: b.user_id,
+  username: b.username,
+  address: b.address,
+  derivationIndex: b.derivation_index,
+  usdtBalance: money.sunToUsdt(b.usdt_balance_sun),
+  trxBalance: money.sunToTrx(b.trx_balance_sun),
+  balances: { USDT: money.sunToUsdt(b.usdt_balance_sun), ...tokenBalances },
+  refreshedAt: b.refreshed_at,
+  updatedAt: b.updated_at,
+});
+
+/**
+ * Read an address's balances of TRX and every registered token from the chain and store them
+ * @param {string} address - Tron address
+ * @param {number|null} userId - Owner of the address
+ * @returns {Promise<object>} { address, usdtBalance, trxBalance, balances: { symbol: whole tokens } }
+ * @throws if any balance cannot be read (the cached entries are left as they were)
+ */
+const refreshAddress = async (address, userId = null) => {
+  const tokens = tokenService.getTokens();
+  const balances = {};
+  for (const token of tokens) {
+    balances[token.symbol] = token.symbol === 'USDT'
+      ? await fetchUsdtBalance(address, { strict: true })
+      : await fetchTokenBalance(address, token, { strict: true });
+  }
+  const trxBalance = await fetchTrxBalance(address, { strict: true });
+
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO address_balances (address, user_id, usdt_balance_sun, trx_balance_sun, refreshed_at, updated_at)
+       VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+       ON CONFLICT(address) DO UPDATE SET
+         user_id = COALESCE(excluded.user_id, user_id),
+         usdt_balance_sun = excluded.usdt_balance_sun,
+         trx_balance_sun = excluded.trx_balance_sun,
+         refreshed_at = excluded.refreshed_at,
+         updated_at = excluded.updated_at`
+    ).run(address, userId, money.usdtToSun(balances.USDT), money.trxToSun(trxBalance));
+
+    for (const token of tokens.filter(t => t.symbol !== 'USDT')) {
+      db.prepare(
+        `INSERT INTO address_token_balances (address, token, balance_minor, refreshed_at, updated_at)
+         VALUES (?, ?, ?, datetime('now'), datetime('now'))
+         ON CONFLICT(address, token) DO UPDATE SET
+           balance_minor = excluded.balance_minor,
+           refreshed_at = excluded.refreshed_at,
+           updated_at = excluded.updated_at`
+      ).run(address, token.symbol, tokenService.toMinor(balances[token.symbol], token, money.ROUNDING.DOWN));
+    }
+  })();
+
+  return { address, usdtBalance: balances.USDT, trxBalance, balances };
+};
+
+/**
+ * Refresh many addresses, at most BALANCE_REFRESH_CONCURRENCY at a time
+ * @param {array} entries - [{ address, userId }]
+ * @returns {Promise<object>} { refreshed, failed }
+ */
+const refreshAddresses = async (entries) => {
+  const summary = { refreshed: 0, failed: 0 };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < entries.length) {
+      const { address, userId } = entries[next++];
+      try {
+        await refreshAddress(address, userId);
+        summary.refreshed++;
+      } catch (error) {
+        summary.failed++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(REFRESH_CONCURRENCY, entries.length) }, worker));
+
+  return summary;
+};
+
+/**
+ * Get the deposit addresses of active users
+ * @returns {array} [{ address, userId }]
+ */
+const getDepositAddresses = () => {
+  return db.prepare(
+    'SELECT tron_address as address, id as userId FROM users WHERE tron_address IS NOT NULL AND is_active = 1'
+  ).all();
+};
+
+/**
+ * Re-read every active deposit address from the chain
+ * @returns {Promise<object>} { refreshed, failed, startedAt, completedAt }, or null if a refresh is already running
+ */
+const refreshAll = async () => {
+  if (refreshInProgress) {
+    return null;
+  }
+
+  refreshInProgress = true;
+  const startedAt = new Date().toISOString();
+
+  try {
+    const summary = await refreshAddresses(getDepositAddresses());
+    lastRefresh = { ...summary, startedAt, completedAt: new Date().toISOString() };
+
+    if (summary.failed > 0) {
+      console.warn(`⚠️ Balance refresh: ${summary.refreshed} address(es) refreshed, ${summary.failed} failed`);
+    }
+
+    return lastRefresh;
+  } finally {
+    refreshInProgress = false;
+  }
+};
+
+/**
+ * Get cached balances of all active deposit addresses
+ * Addresses not cached yet, or not cached for every registered token, are read from the chain first
+ * @returns {Promise<array>} Balances (see formatBalance)
+ */
+const getBalances = async () => {
+  const missing = db.prepare(
+    `SELECT u.tron_address as address, u.id as userId FROM users u
+     WHERE u.tron_address IS NOT NULL AND u.is_active = 1
+       AND (NOT EXISTS (SELECT 1 FROM address_balances b WHERE b.address = u.tron_address)
+            OR EXISTS (SELECT 1 FROM tokens t
+                       WHERE t.symbol != 'USDT'
+                         AND NOT EXISTS (SELECT 1 FROM address_token_balances tb WHERE tb.address = u.tron_address AND tb.token = t.symbol)))`
+  ).all();
+
+  if (missing.length > 0) {
+    await refreshAddresses(missing);
+  }
+
+  const balances = db.prepare(
+    `SELECT b.address, b.usdt_balance_sun, b.trx_balance_sun, b.refreshed_at, b.updated_at,
+            u.id as user_id, u.username, u.derivation_index
+     FROM users u
+     JOIN address_balances b ON b.address = u.tron_address
+     WHERE u.is_active = 1
+     ORDER BY u.id`
+  ).all();
+
+  const tokenBalances = {};
+  for (const tb of db.prepare('SELECT address, token, balance_minor FROM address_token_balances').all()) {
+    const token = tokenService.getToken(tb.token);
+    if (token) {
+      tokenBalances[tb.address] = { ...tokenBalances[tb.address], [tb.token]: tokenService.fromMinor(tb.balance_minor, token) };
+    }
+  }
+
+  return balances.map(b => formatBalance(b, tokenBalances[b.address]));
+};
+
+/**
+ * Apply a known balance change to a cached address
+ * Addresses not cached yet are left alone; they are read from the chain on first use
+ * @param {string} address - Tron address
+ * @param {object} change - { token (symbol), amount (signed, in the token's minor unit), trxSun (signed) }
+ */
+const adjust = (address, { token = null, amount = 0, trxSun = 0 }) => {
+  db.prepare(
+    `UPDATE address_balances
+     SET usdt_balance_sun = MAX(0, usdt_balance_sun + ?), trx_balance_sun = MAX(0, trx_balance_sun + ?), updated_at = datetime('now')
+     WHERE address = ?`
+  ).run(token === 'USDT' ? amount : 0, trxSun, address);
+
+  if (token && token !== 'USDT' && amount !== 0) {
+    db.prepare(
+      `UPDATE address_token_balances SET balance_minor = MAX(0, balance_minor + ?), updated_at = datetime('now')
+       WHERE address = ? AND token = ?`
+    ).run(amount, address, token);
+  }
+};
+
+/**
+ * Run a scheduled refresh
+ */
+const runScheduled = async () => {
+  if (!isRunning) return;
+
+  try {
+    await refreshAll();
+  } catch (error) {
+    console.error('Error refreshing balances:', error.message);
+  }
+};
+
+/**
+ * Start refreshing the cache on a timer
+ */
+const start = () => {
+  if (isRunning) {
+    console.log('Balance refresher is already running');
+    return;
+  }
+
+  isRunning = true;
+  console.log(`💰 Balance refresher started (every ${REFRESH_INTERVAL_MS / 1000}s, ${REFRESH_CONCURRENCY} at a time)`);
+
+  pollInterval = setInterval(runScheduled, REFRESH_INTERVAL_MS);
+};
+
+/**
+ * Stop the timer
+ */
+const stop = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+
+  console.log('🛑 Balance refresher stopped');
+};
+
+/**
+ * Get cache status
+ */
+const getStatus = () => {
+  const cache = db.prepare(
+    'SELECT COUNT(*) as addresses, MIN(refreshed_at) as oldest, MAX(refreshed_at) as newest FROM address_balances'
+  ).get();
+
+  return {
+    running: isRunning,
+    intervalMs: REFRESH_INTERVAL_MS,
+    concurrency: REFRESH_CONCURRENCY,
+    refreshInProgress,
+    addresses: cache.addresses,
+    oldestRefreshAt: cache.oldest,
+    newestRefreshAt: cache.newest,
+    lastRefresh,
+  };
+};
+
+module.exports = {
+  fetchTokenBalance,
+  fetchUsdtBalance,
+  fetchTrxBalance,
+  refreshAddress,
+  refreshAll,
+  getBalances,
+  adjust,
+  start,
+  stop,
+  getStatus,
+};
@@ -1,169 +1,740 @@
 /**
  * Consolidation Service
- * Sweeps USDT from user wallets to the master consolidation address
+ * Sweeps deposited tokens from user wallets to the master consolidation address
+ * Sweeps are built here and signed by the signer (see signerClient); no deposit address key is held in this process
+ *
+ * Each token in the registry (see tokenService) is swept on its own, once a wallet holds its minSweep. Wallets
+ * are picked from the balance cache (see balanceCacheService). The signer must be allowed to sign sweeps of
+ * every non-USDT token (SIGNER_SWEEP_TOKEN_CONTRACTS).
+ *
+ * Recovery sweeps (sweepRecoveredAddress) move funds from derived addresses no user is assigned to, found
+ * by a recovery scan (recoveryService). They have no user_id and are posted to recovered_funds in the ledger.
  */
 
 const TronWeb = require('tronweb');
 const db = require('../config/db');
-const hdWallet = require('./hdWalletService');
+const signerClient = require('./signerClient');
+const tronService = require('./tronService');
+const balanceCache = require('./balanceCacheService');
+const webhookService = require('./webhookService');
+const gasTopupService = require('./gasTopupService');
+const energyService = require('./energyService');
+const ledger = require('./ledgerService');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
 
 // Configuration
 const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
 const TRON_API_KEY = process.env.TRON_API_KEY;
-const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
 const CONSOLIDATION_ADDRESS = process.env.DEPOSIT_ADDRESS; // Master wallet
-const MIN_SWEEP_AMOUNT = parseFloat(process.env.MIN_SWEEP_USDT) || 1; // Minimum USDT to sweep
+const MIN_GAS_TRX = parseFloat(process.env.SWEEP_MIN_TRX) || 10; // TRX a deposit address needs before it is swept
+const EXPIRY_GRACE_MS = 2 * 60 * 1000; // Wait past tx expiration before declaring a sweep dropped
+const UNSIGNED_TIMEOUT_MS = 5 * 60 * 1000; // A pending sweep still unsigned after this was interrupted
 
 /**
- * Create TronWeb instance with a private key
- * @param {string} privateKey - Private key in hex
+ * Create TronWeb instance for building and broadcasting transactions
  * @returns {TronWeb} TronWeb instance
  */
-const createTronWeb = (privateKey) => {
+const createTronWeb = () => {
   return new TronWeb({
     fullHost: TRON_API_URL,
     headers: { 'TRON-PRO-API-KEY': TRON_API_KEY },
-    privateKey: privateKey,
   });
 };
 
 /**
- * Get USDT balance for an address
+ * Get USDT balance for an address, read from the chain
  * @param {string} address - Tron address
+ * @param {object} options - { strict: true } to throw on lookup errors instead of returning 0
  * @returns {Promise<number>} USDT balance
  */
-const getUsdtBalance = async (address) => {
-  try {
-    const tronWeb = new TronWeb({
-      fullHost: TRON_API_URL,
-      headers: { 'TRON-PRO-API-KEY': TRON_API_KEY },
-    });
-    
-    // Get USDT contract
-    const contract = await tronWeb.contract().at(USDT_CONTRACT);
-    
-    // Get balance (returns BigNumber)
-    const balance = await contract.methods.balanceOf(address).call();
-    
-    // Convert from 6 decimals
-    return Number(balance) / 1_000_000;
-  } catch (error) {
-    console.error(`Error getting USDT balance for ${address}:`, error.message);
-    return 0;
+const getUsdtBalance = (address, options = {}) => balanceCache.fetchUsdtBalance(address, options);
+
+/**
+ * Get the balance of a registered token for an address, read from the chain
+ * @param {string} address - Tron address
+ * @param {string} symbol - Token symbol (default USDT)
+ * @param {object} options - { strict: true } to throw on lookup errors instead of returning 0
+ * @returns {Promise<number>} Balance in whole tokens
+ */
+const getTokenBalance = (address, symbol = 'USDT', options = {}) => {
+  if (symbol === 'USDT') {
+    return getUsdtBalance(address, options);
   }
+  return balanceCache.fetchTokenBalance(address, tokenService.getToken(symbol), options);
 };
 
 /**
- * Get TRX balance for an address (needed for gas)
+ * Get TRX balance for an address (needed for gas), read from the chain
  * @param {string} address - Tron address
  * @returns {Promise<number>} TRX balance
  */
-const getTrxBalance = async (address) => {
-  try {
-    const tronWeb = new TronWeb({
-      fullHost: TRON_API_URL,
-      headers: { 'TRON-PRO-API-KEY': TRON_API_KEY },
+const getTrxBalance = (address) => balanceCache.fetchTrxBalance(address);
+
+/**
+ * Build a token transfer from a deposit address to the consolidation address and have the signer sign it
+ * Nothing is broadcast; the txid is known before broadcast so it can be persisted first
+ * @param {TronWeb} tronWeb - TronWeb instance
+ * @param {number} sweepId - Sweep ID, passed to the signer as the reference
+ * @param {number} derivationIndex - HD wallet derivation index of the deposit address
+ * @param {string} fromAddress - Deposit address
+ * @param {object} token - Token to transfer
+ * @param {number} amountInSun - Amount in the token's minor unit
+ * @returns {Promise<object>} { txHash, expiration, signedTx }
+ */
+const signSweepTransfer = async (tronWeb, sweepId, derivationIndex, fromAddress, token, amountInSun) => {
+  const { transaction } = await tronWeb.transactionBuilder.triggerSmartContract(
+    token.contractAddress,
+    'transfer(address,uint256)',
+    {
+      feeLimit: 100_000_000, // 100 TRX max fee
+      callValue: 0,
+    },
+    [
+      { type: 'address', value: CONSOLIDATION_ADDRESS },
+      { type: 'uint256', value: amountInSun },
+    ],
+    fromAddress
+  );
+
+  const result = await signerClient.signTransaction({
+    purpose: 'sweep',
+    transaction,
+    derivationIndex,
+    reference: `sweep:${sweepId}`,
+  });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const { signedTx } = result;
+
+  return {
+    txHash: signedTx.txID,
+    expiration: signedTx.raw_data.expiration,
+    signedTx,
+  };
+};
+
+/**
+ * Mark a pending sweep as broadcast
+ * The cached balance of the deposit address drops by the amount swept
+ * @param {number} sweepId - Sweep ID
+ */
+const markSweepBroadcast = (sweepId) => {
+  db.transaction(() => {
+    const sweep = db.prepare("SELECT * FROM sweeps WHERE id = ? AND status = 'pending'").get(sweepId);
+
+    if (!sweep) {
+      return;
+    }
+
+    db.prepare(
+      "UPDATE sweeps SET status = 'broadcast', broadcast_at = datetime('now'), updated_at = datetime('now') WHERE id = ?"
+    ).run(sweepId);
+
+    balanceCache.adjust(sweep.from_address, { token: sweep.token, amount: -sweep.amount_minor });
+  })();
+};
+
+/**
+ * Token and amount fields of a sweeps row for webhooks and API responses
+ * @param {object} s - Sweep row with token and amount_minor
+ * @returns {object} { token, amount, usdtAmount } - usdtAmount is null for other tokens
+ */
+const sweepAmount = (s) => {
+  const amount = money.fromMinorUnits(s.amount_minor, tokenService.getDecimals(s.token));
+  return { token: s.token, amount, usdtAmount: s.token === 'USDT' ? amount : null };
+};
+
+/**
+ * Mark a sweep as failed
+ * @param {number} sweepId - Sweep ID
+ * @param {string} reason - Why it failed
+ * @param {object|null} receipt - On-chain receipt, when the transaction executed and failed
+ * @returns {boolean} Whether the sweep was still unresolved
+ */
+const failSweep = (sweepId, reason, receipt = null) => {
+  const failTx = db.transaction(() => {
+    const sweep = db.prepare("SELECT * FROM sweeps WHERE id = ? AND status IN ('pending', 'broadcast')").get(sweepId);
+
+    if (!sweep) {
+      return false;
+    }
+
+    db.prepare(
+      `UPDATE sweeps
+       SET status = 'failed', failure_reason = ?, block_number = ?, energy_used = ?, bandwidth_used = ?, fee_sun = ?,
+           failed_at = datetime('now'), updated_at = datetime('now')
+       WHERE id = ?`
+    ).run(
+      reason,
+      receipt ? receipt.blockNumber : null,
+      receipt ? receipt.energyUsed : null,
+      receipt ? receipt.bandwidthUsed : null,
+      receipt ? receipt.fee : null,
+      sweepId
+    );
+
+    // The tokens never left the deposit address, but any TRX burned did
+    balanceCache.adjust(sweep.from_address, {
+      token: sweep.token,
+      amount: sweep.status === 'broadcast' ? sweep.amount_minor : 0,
+      trxSun: receipt ? -receipt.fee : 0,
     });
-    
-    const balance = await tronWeb.trx.getBalance(address);
-    
-    // Convert from sun to TRX (1 TRX = 1,000,000 sun)
-    return balance / 1_000_000;
-  } catch (error) {
-    console.error(`Error getting TRX balance for ${address}:`, error.message);
-    return 0;
+
+    webhookService.enqueueEvent('sweep.failed', {
+      sweepId,
+      userId: sweep.user_id,
+      txHash: sweep.tx_hash,
+      fromAddress: sweep.from_address,
+      toAddress: sweep.to_address,
+      ...sweepAmount(sweep),
+      reason,
+    });
+
+    return true;
+  });
+
+  const failed = failTx();
+
+  if (failed) {
+    console.error(`❌ Sweep ${sweepId} failed: ${reason}`);
   }
+
+  return failed;
 };
 
 /**
- * Sweep USDT from a user wallet to consolidation address
- * @param {number} userId - User ID
- * @param {number} derivationIndex - HD wallet derivation index
- * @param {string} fromAddress - Source address
- * @param {number} amount - Amount to sweep (in USDT)
+ * Confirm a sweep from its successful on-chain receipt and post it to the ledger
+ * @param {number} sweepId - Sweep ID
+ * @param {object} receipt - Receipt from tronService.getTransactionInfo
+ * @returns {boolean} Whether the sweep was still unresolved
+ */
+const confirmSweep = (sweepId, receipt) => {
+  const confirmTx = db.transaction(() => {
+    const sweep = db.prepare("SELECT * FROM sweeps WHERE id = ? AND status IN ('pending', 'broadcast')").get(sweepId);
+
+    if (!sweep) {
+      return false;
+    }
+
+    db.prepare(
+      `UPDATE sweeps
+       SET status = 'confirmed', block_number = ?, energy_used = ?, bandwidth_used = ?, fee_sun = ?,
+           broadcast_at = COALESCE(broadcast_at, datetime('now')), confirmed_at = datetime('now'), updated_at = datetime('now')
+       WHERE id = ?`
+    ).run(receipt.blockNumber, receipt.energyUsed, receipt.bandwidthUsed, receipt.fee, sweepId);
+
+    balanceCache.adjust(sweep.from_address, {
+      token: sweep.token,
+      amount: sweep.status === 'pending' ? -sweep.amount_minor : 0,
+      trxSun: -receipt.fee,
+    });
+
+    // The TRX burned came from the deposit address, which the ledger does not track
+    ledger.post({
+      type: 'sweep',
+      legs: sweep.user_id === null
+        ? ledger.recoveredSweepLegs(sweep.amount_minor, sweep.token)
+        : ledger.sweepLegs(sweep.amount_minor, sweep.token, ledger.getUnclearedDeposits(sweep.user_id, sweep.token, sweep.created_at)),
+      referenceType: 'sweep',
+      referenceId: sweepId,
+      description: `${sweep.token} swept from ${sweep.from_address}: ${sweep.tx_hash}`,
+    });
+
+    webhookService.enqueueEvent('sweep.completed', {
+      sweepId,
+      userId: sweep.user_id,
+      txHash: sweep.tx_hash,
+      blockNumber: receipt.blockNumber,
+      fromAddress: sweep.from_address,
+      toAddress: sweep.to_address,
+      ...sweepAmount(sweep),
+    });
+
+    return true;
+  });
+
+  const confirmed = confirmTx();
+
+  if (confirmed) {
+    console.log(`✅ Sweep ${sweepId} confirmed in block ${receipt.blockNumber}`);
+  }
+
+  return confirmed;
+};
+
+/**
+ * Get the sweep of a token from an address that is still in flight, if any
+ * @param {string} fromAddress - Deposit address
+ * @param {string} symbol - Token symbol
+ * @returns {object|undefined} Sweep row
+ */
+const getInFlightSweep = (fromAddress, symbol) => {
+  return db.prepare(
+    "SELECT id, status FROM sweeps WHERE from_address = ? AND token = ? AND status IN ('pending', 'broadcast')"
+  ).get(fromAddress, symbol);
+};
+
+/**
+ * Sweep a token from a derived address to the consolidation address
+ * The sweep is recorded as 'pending' before energy is delegated for it and as 'broadcast' once the node accepts it;
+ * confirmSweeps() settles it from the on-chain receipt. Refused while a sweep of the same token from the address
+ * is still in flight, which would try to move the same funds twice
+ * @param {object} sweep - { userId (null for a recovery sweep), derivationIndex, fromAddress, token (symbol, default USDT), amount (whole tokens), retryOf }
  * @returns {Promise<object>} Sweep result
  */
-const sweepUserWallet = async (userId, derivationIndex, fromAddress, amount) => {
+const sweepAddress = async ({ userId, derivationIndex, fromAddress, token: symbol = 'USDT', amount, retryOf = null }) => {
+  const owner = userId === null ? `unassigned index ${derivationIndex}` : `user ${userId}`;
+  let sweepId = null;
+  let txHash = null;
+
+  // Fail an attempt that never produced a signed transaction and take back any energy delegated for it
+  const abandon = async (reason) => {
+    failSweep(sweepId, reason);
+    await energyService.reclaimFor('sweep', sweepId);
+  };
+
   try {
-    // Derive private key for this wallet
-    const privateKey = hdWallet.derivePrivateKey(derivationIndex);
-    
-    // Create TronWeb with this private key
-    const tronWeb = createTronWeb(privateKey);
+    const token = tokenService.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token ${symbol}`);
+    }
+
+    const refuseInFlight = (sweep) => ({
+      success: false,
+      inFlight: true,
+      error: `Sweep ${sweep.id} of ${token.symbol} from ${fromAddress} is still ${sweep.status}`,
+    });
+
+    const earlier = getInFlightSweep(fromAddress, token.symbol);
+    if (earlier) {
+      return refuseInFlight(earlier);
+    }
+
+    const tronWeb = createTronWeb();
     
     // Check TRX balance for gas
     const trxBalance = await getTrxBalance(fromAddress);
-    if (trxBalance < 10) {
+    const requiredTrx = energyService.getRequiredTrx(MIN_GAS_TRX);
+    if (trxBalance < requiredTrx) {
       return {
         success: false,
-        error: `Insufficient TRX for gas. Has ${trxBalance} TRX, needs ~10-20 TRX`,
+        error: `Insufficient TRX for gas. Has ${trxBalance} TRX, needs ${requiredTrx} TRX`,
         needsTrx: true,
         trxBalance,
       };
     }
     
-    // Get USDT contract
-    const contract = await tronWeb.contract().at(USDT_CONTRACT);
+    // Convert amount to the token's smallest unit
+    const amountInSun = tokenService.toMinor(amount, token, money.ROUNDING.DOWN);
     
-    // Convert amount to smallest unit (6 decimals)
-    const amountInSun = Math.floor(amount * 1_000_000);
+    // Record the attempt before delegating energy or signing, so a failure always leaves a trace
+    // and any delegation is made against the sweep that has to reclaim it. Checked again in the same
+    // transaction, as another sweep of the address may have started while balances were read
+    const concurrent = db.transaction(() => {
+      const inFlight = getInFlightSweep(fromAddress, token.symbol);
+      if (inFlight) {
+        return inFlight;
+      }
+
+      sweepId = db.prepare(
+        `INSERT INTO sweeps (user_id, derivation_index, from_address, to_address, token, amount_minor, status, retry_of)
+         VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`
+      ).run(userId, derivationIndex, fromAddress, CONSOLIDATION_ADDRESS, token.symbol, amountInSun, retryOf).lastInsertRowid;
+      return null;
+    })();
+
+    if (concurrent) {
+      return refuseInFlight(concurrent);
+    }
     
-    // Send USDT to consolidation address
-    const tx = await contract.methods.transfer(CONSOLIDATION_ADDRESS, amountInSun).send({
-      feeLimit: 100_000_000, // 100 TRX max fee
-      callValue: 0,
+    // Delegate energy to the deposit address so the transfer does not burn its TRX
+    const energy = await energyService.acquireEnergy({
+      purpose: 'sweep',
+      referenceId: sweepId,
+      fromAddress,
+      derivationIndex,
+      toAddress: CONSOLIDATION_ADDRESS,
+      usdtSun: amountInSun,
+      contractAddress: token.contractAddress,
     });
     
-    console.log(`✅ Swept ${amount} USDT from user ${userId} (${fromAddress}) - TX: ${tx}`);
+    if (energy.mode === 'burn' && trxBalance < MIN_GAS_TRX) {
+      const error = `Energy delegation unavailable (${energy.reason}) and insufficient TRX to burn. Has ${trxBalance} TRX, needs ${MIN_GAS_TRX} TRX`;
+      await abandon(error);
+      return {
+        success: false,
+        sweepId,
+        error,
+        needsTrx: true,
+        trxBalance,
+      };
+    }
     
-    // Record sweep in database
+    let signed;
+    try {
+      signed = await signSweepTransfer(tronWeb, sweepId, derivationIndex, fromAddress, token, amountInSun);
+    } catch (error) {
+      // Nothing was signed, so nothing can land on chain
+      await abandon(`Signing failed: ${error.message}`);
+      return { success: false, sweepId, error: error.message };
+    }
+    
+    // Persist the txid before broadcasting so confirmSweeps() can always find the transaction
+    txHash = signed.txHash;
     db.prepare(
-      `INSERT INTO sweeps (user_id, from_address, to_address, usdt_amount, tx_hash, status)
-       VALUES (?, ?, ?, ?, ?, 'completed')`
-    ).run(userId, fromAddress, CONSOLIDATION_ADDRESS, amount, tx);
+      `UPDATE sweeps SET tx_hash = ?, tx_expiration = ?, updated_at = datetime('now') WHERE id = ?`
+    ).run(signed.txHash, signed.expiration, sweepId);
+    
+    if (energy.delegationId) {
+      energyService.recordTransfer(energy.delegationId, { txHash: signed.txHash });
+    }
+    
+    let broadcast;
+    try {
+      broadcast = await tronWeb.trx.sendRawTransaction(signed.signedTx);
+    } catch (error) {
+      // Unknown whether the node accepted it - confirmSweeps() settles it by txid
+      console.error(`Broadcast of sweep ${sweepId} returned an error, will reconcile by txid:`, error.message);
+      return { success: false, sweepId, txHash: signed.txHash, error: `Broadcast result unknown: ${error.message}` };
+    }
+    
+    if (!broadcast.result) {
+      // Explicitly rejected by the node, so the transaction will never land
+      const reason = `Broadcast rejected: ${broadcast.code || 'unknown error'}`;
+      await abandon(reason);
+      return { success: false, sweepId, error: reason };
+    }
+    
+    markSweepBroadcast(sweepId);
+    
+    console.log(`📡 Broadcast sweep ${sweepId}: ${amount} ${token.symbol} from ${owner} (${fromAddress}) - TX: ${signed.txHash}`);
+    
+    if (energy.mode === 'delegated') {
+      await energyService.releaseAfterTransfer(energy.delegationId, { txHash: signed.txHash });
+    }
     
     return {
       success: true,
-      txHash: tx,
+      sweepId,
+      status: 'broadcast',
+      txHash: signed.txHash,
+      energy: energy.mode,
+      token: token.symbol,
       amount,
       from: fromAddress,
       to: CONSOLIDATION_ADDRESS,
     };
   } catch (error) {
-    console.error(`Error sweeping wallet for user ${userId}:`, error.message);
+    console.error(`Error sweeping wallet for ${owner}:`, error.message);
+    
+    // Once signed, the transaction may still land - confirmSweeps() settles it by txid
+    if (sweepId && !txHash) {
+      await abandon(error.message);
+    }
     
     return {
       success: false,
+      ...(sweepId && { sweepId }),
       error: error.message,
     };
   }
 };
 
 /**
- * Get all user wallets with balances above minimum sweep amount
- * @returns {Promise<array>} Array of wallets with balances
+ * Sweep a token from a user wallet to consolidation address
+ * @param {number} userId - User ID
+ * @param {number} derivationIndex - HD wallet derivation index
+ * @param {string} fromAddress - Source address
+ * @param {number} amount - Amount to sweep (in whole tokens)
+ * @param {object} options - { token: symbol (default USDT), retryOf: ID of the failed sweep this attempt retries }
+ * @returns {Promise<object>} Sweep result
+ */
+const sweepUserWallet = (userId, derivationIndex, fromAddress, amount, { token = 'USDT', retryOf = null } = {}) => {
+  return sweepAddress({ userId, derivationIndex, fromAddress, token, amount, retryOf });
+};
+
+/**
+ * Sweep USDT from a derived address no user is assigned to (see recoveryService)
+ * The swept USDT is posted to recovered_funds, since no deposit was ever credited for it
+ * @param {number} derivationIndex - HD wallet derivation index
+ * @param {string} fromAddress - Address at that index
+ * @param {number} amount - Amount to sweep (in USDT)
+ * @param {object} options - { retryOf: ID of the failed sweep this attempt retries }
+ * @returns {Promise<object>} Sweep result
+ */
+const sweepRecoveredAddress = (derivationIndex, fromAddress, amount, { retryOf = null } = {}) => {
+  return sweepAddress({ userId: null, derivationIndex, fromAddress, amount, retryOf });
+};
+
+/**
+ * Whether a signed sweep can no longer be included in a block
+ * @param {object} sweep - Sweep row
+ * @returns {boolean}
+ */
+const isExpired = (sweep) => {
+  return Boolean(sweep.tx_expiration) && Date.now() > sweep.tx_expiration + EXPIRY_GRACE_MS;
+};
+
+/**
+ * Settle pending and broadcast sweeps from their on-chain receipts
+ * Successful receipts confirm the sweep (and post it to the ledger); failed receipts and transactions
+ * dropped after expiring fail it. Sweeps interrupted before signing are failed too.
+ * @returns {Promise<object>} { confirmed, failed }
+ */
+const confirmSweeps = async () => {
+  const summary = { confirmed: 0, failed: 0 };
+
+  const unsigned = db.prepare(
+    `SELECT id FROM sweeps WHERE status = 'pending' AND tx_hash IS NULL AND created_at <= datetime('now', ?)`
+  ).all(`-${Math.floor(UNSIGNED_TIMEOUT_MS / 1000)} seconds`);
+
+  for (const sweep of unsigned) {
+    if (failSweep(sweep.id, 'Interrupted before signing')) {
+      summary.failed++;
+    }
+  }
+
+  const inFlight = db.prepare(
+    "SELECT * FROM sweeps WHERE status IN ('pending', 'broadcast') AND tx_hash IS NOT NULL ORDER BY id"
+  ).all();
+
+  for (const sweep of inFlight) {
+    try {
+      const receipt = await tronService.getTransactionInfo(sweep.tx_hash, { solidified: true });
+
+      if (receipt.found) {
+        if (receipt.success) {
+          if (confirmSweep(sweep.id, receipt)) summary.confirmed++;
+        } else {
+          const detail = receipt.errorMessage ? `${receipt.result}: ${receipt.errorMessage}` : receipt.result;
+          if (failSweep(sweep.id, `Transaction failed on chain (${detail})`, receipt)) summary.failed++;
+        }
+        await energyService.reclaimFor('sweep', sweep.id, receipt);
+        continue;
+      }
+
+      if (sweep.status === 'broadcast' && !isExpired(sweep)) continue;
+
+      // Not solidified yet - a pending sweep the node has seen was broadcast after all
+      const unsolidified = await tronService.getTransactionInfo(sweep.tx_hash);
+
+      if (unsolidified.found) {
+        markSweepBroadcast(sweep.id);
+      } else if (isExpired(sweep)) {
+        if (failSweep(sweep.id, `Transaction ${sweep.tx_hash} expired without being included`)) summary.failed++;
+        await energyService.reclaimFor('sweep', sweep.id);
+      }
+    } catch (error) {
+      console.error(`Error confirming sweep ${sweep.id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Retry a failed sweep
+ * Sweeps the address's current balance of the sweep's token as a new sweep linked to the failed one
+ * @param {number} sweepId - ID of the failed sweep
+ * @returns {Promise<object>} Sweep result (see sweepUserWallet)
+ */
+const retrySweep = async (sweepId) => {
+  // Sweeps from before derivation_index was recorded take it from the user
+  const sweep = db.prepare(
+    `SELECT s.*, COALESCE(s.derivation_index, u.derivation_index) as derivation_index
+     FROM sweeps s LEFT JOIN users u ON u.id = s.user_id WHERE s.id = ?`
+  ).get(sweepId);
+
+  if (!sweep) {
+    throw new Error('Sweep not found');
+  }
+
+  if (sweep.status !== 'failed') {
+    throw new Error(`Only failed sweeps can be retried (sweep is ${sweep.status})`);
+  }
+
+  // Only the latest sweep of a token from an address can be retried
+  const later = db.prepare(
+    'SELECT id, status FROM sweeps WHERE from_address = ? AND token = ? AND id > ? ORDER BY id DESC'
+  ).get(sweep.from_address, sweep.token, sweepId);
+  if (later) {
+    const messages = {
+      confirmed: `Funds at ${sweep.from_address} were swept by sweep ${later.id}`,
+      failed: `Superseded by failed sweep ${later.id} - retry that one instead`,
+    };
+    throw new Error(messages[later.status] || `Sweep ${later.id} from ${sweep.from_address} is still in flight`);
+  }
+
+  const balance = await getTokenBalance(sweep.from_address, sweep.token, { strict: true });
+  if (balance <= 0) {
+    throw new Error(`No ${sweep.token} left to sweep at ${sweep.from_address}`);
+  }
+
+  console.log(`🔁 Retrying failed sweep ${sweepId} (${sweep.failure_reason})`);
+
+  return sweepAddress({
+    userId: sweep.user_id,
+    derivationIndex: sweep.derivation_index,
+    fromAddress: sweep.from_address,
+    token: sweep.token,
+    amount: balance,
+    retryOf: sweepId,
+  });
+};
+
+/**
+ * Get failed sweeps that can be retried: the latest sweep of their token from their address
+ * @returns {array} Sweep rows, newest first
  */
-const getWalletsToSweep = async () => {
-  // Get all users with tron addresses
-  const users = db.prepare(
-    'SELECT id, username, tron_address, derivation_index FROM users WHERE tron_address IS NOT NULL AND is_active = 1'
+const getRetryableSweeps = () => {
+  return db.prepare(
+    `SELECT s.* FROM sweeps s
+     WHERE s.status = 'failed'
+       AND NOT EXISTS (SELECT 1 FROM sweeps l WHERE l.from_address = s.from_address AND l.token = s.token AND l.id > s.id)
+     ORDER BY s.id DESC`
   ).all();
+};
+
+/**
+ * Format a sweeps row for API responses
+ */
+const formatSweep = (s) => ({
+  id: s.id,
+  userId: s.user_id,
+  username: s.username,
+  derivationIndex: s.derivation_index,
+  fromAddress: s.from_address,
+  toAddress: s.to_address,
+  ...sweepAmount(s),
+  txHash: s.tx_hash,
+  status: s.status,
+  retryOf: s.retry_of,
+  blockNumber: s.block_number,
+  energyUsed: s.energy_used,
+  bandwidthUsed: s.bandwidth_used,
+  feeTrx: s.fee_sun === null ? null : money.sunToTrx(s.fee_sun),
+  failureReason: s.failure_reason,
+  createdAt: s.created_at,
+  broadcastAt: s.broadcast_at,
+  confirmedAt: s.confirmed_at,
+  failedAt: s.failed_at,
+});
+
+/**
+ * Get sweeps, newest first
+ * @param {object} filters - { status, userId, limit, offset }
+ * @returns {object} { sweeps, total }
+ */
+const getSweeps = ({ status = null, userId = null, limit = 20, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('s.status = ?');
+    params.push(status);
+  }
+
+  if (userId) {
+    conditions.push('s.user_id = ?');
+    params.push(userId);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const sweeps = db.prepare(
+    `SELECT s.*, u.username
+     FROM sweeps s
+     LEFT JOIN users u ON s.user_id = u.id
+     ${where}
+     ORDER BY s.created_at DESC, s.id DESC
+     LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(`SELECT COUNT(*) as total FROM sweeps s ${where}`).get(...params);
+
+  return {
+    sweeps: sweeps.map(formatSweep),
+    total: countResult.total,
+  };
+};
+
+/**
+ * Get when the oldest deposit of a token not yet covered by a broadcast or confirmed sweep arrived
+ * @param {number} userId - User ID
+ * @param {string} token - Token symbol (default USDT)
+ * @returns {string|null} created_at of that deposit (UTC), or null if everything has been swept
+ */
+const getOldestUnsweptDepositAt = (userId, token = 'USDT') => {
+  const row = db.prepare(
+    `SELECT MIN(created_at) as oldest FROM deposits
+     WHERE user_id = ? AND token = ? AND status = 'completed'
+       AND created_at > COALESCE((SELECT MAX(created_at) FROM sweeps WHERE user_id = ? AND token = ? AND status IN ('broadcast', 'confirmed')), '')`
+  ).get(userId, token, userId, token);
+
+  return row.oldest;
+};
+
+/**
+ * Get all user wallets that are due for a sweep, one entry per wallet and token
+ * A wallet is due when its balance of a token reaches the token's minSweep or, with maxAgeHours set, when it
+ * holds any of a token from a deposit older than that. Wallets with a sweep of the token still in flight are left out
+ * Balances come from the balance cache (see balanceCacheService); sweepAll re-reads them on chain before signing
+ * @param {object} options - { maxAgeHours }
+ * @returns {Promise<array>} Array of wallets with the token and its balance
+ */
+const getWalletsToSweep = async ({ maxAgeHours = null } = {}) => {
+  const inFlight = new Set(
+    db.prepare("SELECT DISTINCT user_id, token FROM sweeps WHERE status IN ('pending', 'broadcast')").all()
+      .map(s => `${s.user_id}:${s.token}`)
+  );
+  
+  const balances = await balanceCache.getBalances();
   
   const walletsToSweep = [];
+  const requiredTrx = energyService.getRequiredTrx(MIN_GAS_TRX);
   
-  for (const user of users) {
-    const usdtBalance = await getUsdtBalance(user.tron_address);
-    const trxBalance = await getTrxBalance(user.tron_address);
-    
-    if (usdtBalance >= MIN_SWEEP_AMOUNT) {
+  // Disabled tokens take no new deposits, but what was already deposited is still swept
+  for (const token of tokenService.getTokens()) {
+    for (const balance of balances) {
+      const { trxBalance } = balance;
+      const tokenBalance = balance.balances[token.symbol] || 0;
+
+      if (inFlight.has(`${balance.userId}:${token.symbol}`) || tokenBalance <= 0) {
+        continue;
+      }
+
+      const oldestUnsweptAt = getOldestUnsweptDepositAt(balance.userId, token.symbol);
+      const ageHours = oldestUnsweptAt
+        ? (Date.now() - Date.parse(`${oldestUnsweptAt.replace(' ', 'T')}Z`)) / (60 * 60 * 1000)
+        : null;
+
+      let reason = null;
+      if (tokenBalance >= token.minSweep) {
+        reason = 'min_amount';
+      } else if (maxAgeHours && ageHours !== null && ageHours >= maxAgeHours) {
+        reason = 'max_age';
+      }
+
+      if (!reason) {
+        continue;
+      }
+
       walletsToSweep.push({
-        userId: user.id,
-        username: user.username,
-        address: user.tron_address,
-        derivationIndex: user.derivation_index,
-        usdtBalance,
+        userId: balance.userId,
+        username: balance.username,
+        address: balance.address,
+        derivationIndex: balance.derivationIndex,
+        token: token.symbol,
+        balance: tokenBalance,
         trxBalance,
-        hasSufficientGas: trxBalance >= 10,
+        hasSufficientGas: trxBalance >= requiredTrx,
+        reason,
+        oldestUnsweptAt,
+        balanceRefreshedAt: balance.refreshedAt,
       });
     }
   }
@@ -171,74 +742,279 @@ const getWalletsToSweep = async () => {
   return walletsToSweep;
 };
 
+/**
+ * Add a swept wallet to the run totals: per token, and totalUsdt for USDT
+ * @param {object} results - sweepAll results
+ * @param {object} wallet - Wallet from getWalletsToSweep
+ */
+const addToTotals = (results, wallet) => {
+  results.totals[wallet.token] = (results.totals[wallet.token] || 0) + wallet.balance;
+  if (wallet.token === 'USDT') {
+    results.totalUsdt += wallet.balance;
+  }
+};
+
 /**
  * Sweep all eligible wallets
+ * Wallets holding funds past maxAgeHours go first, then the largest balances. A wallet holding two tokens is
+ * swept once per token. Once maxSweeps sweeps have been made the rest are reported as 'deferred' and left for
+ * the next run. With topUpGas, a wallet short of TRX is first sent the missing TRX from the gas-funding wallet,
+ * within the top-up spending limits.
+ * @param {object} options - { dryRun, maxSweeps, maxAgeHours, topUpGas, sweepRunId }; a dry run reports
+ *   'would_sweep' (and the top-up it would send) without signing
  * @returns {Promise<object>} Sweep results
  */
-const sweepAll = async () => {
-  const wallets = await getWalletsToSweep();
+const sweepAll = async ({ dryRun = false, maxSweeps = null, maxAgeHours = null, topUpGas = false, sweepRunId = null } = {}) => {
+  // Settle earlier sweeps first so their wallets can be picked up again
+  if (!dryRun) {
+    await confirmSweeps();
+  }
+  
+  const wallets = await getWalletsToSweep({ maxAgeHours });
   
   if (wallets.length === 0) {
     return {
       success: true,
       message: 'No wallets to sweep',
+      dryRun,
+      eligible: 0,
       swept: 0,
+      failed: 0,
+      needsGas: 0,
+      deferred: 0,
+      toppedUp: 0,
+      gasTopupTrx: 0,
       totalUsdt: 0,
+      totals: {},
+      details: [],
     };
   }
+
+  wallets.sort((a, b) => {
+    if (a.reason !== b.reason) {
+      return a.reason === 'max_age' ? -1 : 1;
+    }
+    return b.balance - a.balance;
+  });
   
   const results = {
     success: true,
+    dryRun,
+    eligible: wallets.length,
     swept: 0,
     failed: 0,
     needsGas: 0,
+    deferred: 0,
+    toppedUp: 0,
+    gasTopupTrx: 0,
     totalUsdt: 0,
+    totals: {},
     details: [],
   };
+
+  let gasTopupSun = 0;
+
+  if (!dryRun) {
+    await energyService.reclaimExpired();
+  }
+  
+  if (topUpGas && !dryRun) {
+    await gasTopupService.refreshPendingTopups();
+  }
+  
+  const requiredTrx = energyService.getRequiredTrx(MIN_GAS_TRX);
   
   for (const wallet of wallets) {
-    if (!wallet.hasSufficientGas) {
-      results.needsGas++;
+    // Wallets were picked from cached balances - re-read this one on chain before anything is signed for it
+    if (!dryRun && !(maxSweeps && results.swept + results.failed >= maxSweeps)) {
+      try {
+        const onChain = await balanceCache.refreshAddress(wallet.address, wallet.userId);
+        wallet.balance = onChain.balances[wallet.token];
+        wallet.trxBalance = onChain.trxBalance;
+        wallet.hasSufficientGas = onChain.trxBalance >= requiredTrx;
+      } catch (error) {
+        results.failed++;
+        results.details.push({
+          userId: wallet.userId,
+          address: wallet.address,
+          token: wallet.token,
+          status: 'failed',
+          reason: wallet.reason,
+          error: error.message,
+        });
+        continue;
+      }
+
+      if (wallet.balance <= 0) {
+        results.details.push({
+          userId: wallet.userId,
+          address: wallet.address,
+          token: wallet.token,
+          status: 'skipped',
+          reason: wallet.reason,
+          error: `No ${wallet.token} on chain - the balance read earlier was out of date`,
+        });
+        continue;
+      }
+    }
+
+    // Exactly the TRX missing up to the required balance
+    const gasShortfallSun = wallet.hasSufficientGas
+      ? 0
+      : money.trxToSun(requiredTrx) - money.trxToSun(wallet.trxBalance, money.ROUNDING.DOWN);
+
+    if (gasShortfallSun > 0) {
+      let topUpBlocked = null;
+      if (topUpGas) {
+        topUpBlocked = gasTopupService.hasPendingTopup(wallet.address)
+          ? 'pending_topup'
+          : gasTopupService.checkLimits(gasShortfallSun, gasTopupSun, dryRun ? gasTopupSun : 0);
+      }
+
+      if (!topUpGas || topUpBlocked) {
+        results.needsGas++;
+        results.details.push({
+          userId: wallet.userId,
+          address: wallet.address,
+          token: wallet.token,
+          status: 'needs_gas',
+          reason: wallet.reason,
+          balance: wallet.balance,
+          trxBalance: wallet.trxBalance,
+          ...(topUpBlocked && { topUpBlocked, trxNeeded: money.sunToTrx(gasShortfallSun) }),
+        });
+        continue;
+      }
+    }
+
+    if (maxSweeps && results.swept + results.failed >= maxSweeps) {
+      results.deferred++;
       results.details.push({
         userId: wallet.userId,
         address: wallet.address,
-        status: 'needs_gas',
-        usdtBalance: wallet.usdtBalance,
-        trxBalance: wallet.trxBalance,
+        token: wallet.token,
+        status: 'deferred',
+        reason: wallet.reason,
+        balance: wallet.balance,
       });
       continue;
     }
+
+    if (dryRun) {
+      if (gasShortfallSun > 0) {
+        results.toppedUp++;
+        gasTopupSun += gasShortfallSun;
+      }
+
+      results.swept++;
+      addToTotals(results, wallet);
+      results.details.push({
+        userId: wallet.userId,
+        address: wallet.address,
+        token: wallet.token,
+        status: 'would_sweep',
+        reason: wallet.reason,
+        amount: wallet.balance,
+        oldestUnsweptAt: wallet.oldestUnsweptAt,
+        ...(gasShortfallSun > 0 && { gasTopupTrx: money.sunToTrx(gasShortfallSun) }),
+      });
+      continue;
+    }
+
+    let topup = null;
+
+    if (gasShortfallSun > 0) {
+      topup = await gasTopupService.topUp({
+        userId: wallet.userId,
+        address: wallet.address,
+        derivationIndex: wallet.derivationIndex,
+        amountSun: gasShortfallSun,
+        sweepRunId,
+      });
+
+      if (topup.status !== 'failed') {
+        results.toppedUp++;
+        gasTopupSun += gasShortfallSun;
+      }
+
+      if (topup.status !== 'confirmed') {
+        // A pending top-up may still land; the wallet is swept on a later run
+        results.needsGas++;
+        results.details.push({
+          userId: wallet.userId,
+          address: wallet.address,
+          token: wallet.token,
+          status: 'needs_gas',
+          reason: wallet.reason,
+          balance: wallet.balance,
+          trxBalance: wallet.trxBalance,
+          gasTopupId: topup.id,
+          error: topup.error,
+        });
+        continue;
+      }
+    }
     
     const sweepResult = await sweepUserWallet(
       wallet.userId,
       wallet.derivationIndex,
       wallet.address,
-      wallet.usdtBalance
+      wallet.balance,
+      { token: wallet.token }
     );
     
+    if (topup && sweepResult.success) {
+      gasTopupService.linkSweep(topup.id, sweepResult.sweepId);
+    }
+    
     if (sweepResult.success) {
       results.swept++;
-      results.totalUsdt += wallet.usdtBalance;
+      addToTotals(results, wallet);
       results.details.push({
         userId: wallet.userId,
         address: wallet.address,
+        token: wallet.token,
         status: 'swept',
-        amount: wallet.usdtBalance,
+        reason: wallet.reason,
+        amount: wallet.balance,
+        sweepId: sweepResult.sweepId,
         txHash: sweepResult.txHash,
+        energy: sweepResult.energy,
+        ...(topup && { gasTopupId: topup.id, gasTopupTrx: topup.trxAmount }),
+      });
+    } else if (sweepResult.needsTrx) {
+      // Energy could not be delegated and the wallet holds too little TRX to burn
+      results.needsGas++;
+      results.details.push({
+        userId: wallet.userId,
+        address: wallet.address,
+        token: wallet.token,
+        status: 'needs_gas',
+        reason: wallet.reason,
+        balance: wallet.balance,
+        trxBalance: wallet.trxBalance,
+        ...(sweepResult.sweepId && { sweepId: sweepResult.sweepId }),
+        error: sweepResult.error,
       });
     } else {
       results.failed++;
       results.details.push({
         userId: wallet.userId,
         address: wallet.address,
+        token: wallet.token,
         status: 'failed',
+        reason: wallet.reason,
+        ...(sweepResult.sweepId && { sweepId: sweepResult.sweepId }),
         error: sweepResult.error,
+        ...(topup && { gasTopupId: topup.id, gasTopupTrx: topup.trxAmount }),
       });
     }
     
     // Small delay between sweeps to avoid rate limiting
     await new Promise(resolve => setTimeout(resolve, 1000));
   }
+
+  results.gasTopupTrx = money.sunToTrx(gasTopupSun);
   
   return results;
 };
@@ -249,28 +1025,47 @@ const sweepAll = async () => {
  */
 const getStatus = async () => {
   const wallets = await getWalletsToSweep();
+  const tokens = tokenService.getTokens();
   
-  const totalUsdt = wallets.reduce((sum, w) => sum + w.usdtBalance, 0);
+  const totalsToSweep = wallets.reduce((totals, w) => ({ ...totals, [w.token]: (totals[w.token] || 0) + w.balance }), {});
   const walletsNeedingGas = wallets.filter(w => !w.hasSufficientGas);
   
   // Get consolidation address balance
   const consolidationBalance = await getUsdtBalance(CONSOLIDATION_ADDRESS);
   
+  const sweepCounts = db.prepare(
+    "SELECT status, COUNT(*) as count FROM sweeps WHERE status IN ('pending', 'broadcast', 'failed') GROUP BY status"
+  ).all().reduce((counts, row) => ({ ...counts, [row.status]: row.count }), { pending: 0, broadcast: 0, failed: 0 });
+  
   return {
     consolidationAddress: CONSOLIDATION_ADDRESS,
     consolidationBalance,
-    minSweepAmount: MIN_SWEEP_AMOUNT,
+    minSweepAmount: tokens.find(t => t.symbol === 'USDT').minSweep,
+    minSweepAmounts: tokens.reduce((mins, t) => ({ ...mins, [t.symbol]: t.minSweep }), {}),
     walletsToSweep: wallets.length,
     walletsNeedingGas: walletsNeedingGas.length,
-    totalUsdtToSweep: totalUsdt,
+    totalUsdtToSweep: totalsToSweep.USDT || 0,
+    totalsToSweep,
+    balanceCache: balanceCache.getStatus(),
+    sweepsInFlight: sweepCounts.pending + sweepCounts.broadcast,
+    sweepsFailed: sweepCounts.failed,
     wallets,
   };
 };
 
 module.exports = {
+  MIN_GAS_TRX,
   getUsdtBalance,
+  getTokenBalance,
   getTrxBalance,
   sweepUserWallet,
+  sweepRecoveredAddress,
+  confirmSweeps,
+  retrySweep,
+  getRetryableSweeps,
+  formatSweep,
+  getSweeps,
+  getOldestUnsweptDepositAt,
   getWalletsToSweep,
   sweepAll,
   getStatus,
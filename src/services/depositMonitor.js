@@ -1,125 +1,378 @@
 /**
  * Deposit Monitor Service
- * Automatically monitors user wallet addresses for incoming USDT deposits
- * and credits their accounts when deposits are confirmed
+ * Automatically monitors user wallet addresses for incoming deposits of the enabled tokens
+ * in the token registry (see tokenService) and credits their accounts when deposits are confirmed
+ *
+ * Transfers of tokens that are not registered or are disabled are ignored and never recorded.
  */
 
 const db = require('../config/db');
 const tronService = require('./tronService');
-
-const USDT_TO_KES_RATE = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
-const MIN_DEPOSIT = parseFloat(process.env.MIN_DEPOSIT_USDT) || 0.1;
-const MAX_DEPOSIT = parseFloat(process.env.MAX_DEPOSIT_USDT) || 10000;
+const webhookService = require('./webhookService');
+const quoteService = require('./quoteService');
+const rateService = require('./rateService');
+const tokenService = require('./tokenService');
+const ledger = require('./ledgerService');
+const balanceCache = require('./balanceCacheService');
+const money = require('../utils/money');
 
 // Monitor configuration
 const POLL_INTERVAL_MS = parseInt(process.env.DEPOSIT_POLL_INTERVAL_MS) || 30000; // 30 seconds default
 const BATCH_SIZE = parseInt(process.env.DEPOSIT_MONITOR_BATCH_SIZE) || 50; // Users per batch
+const PAGE_SIZE = Math.min(parseInt(process.env.DEPOSIT_PAGE_SIZE) || 200, 200); // TronGrid maximum is 200
+const MAX_PAGES_PER_ADDRESS = parseInt(process.env.DEPOSIT_MAX_PAGES_PER_ADDRESS) || 5; // Per address per cycle
+
+// Monitor mode: 'address' polls every user address, 'block' walks each enabled token's Transfer events block-by-block
+const MONITOR_MODE = (process.env.DEPOSIT_MONITOR_MODE || 'address').toLowerCase() === 'block' ? 'block' : 'address';
+const SCAN_CURSOR_NAME = 'usdt_transfers'; // Named from when only USDT was scanned; covers every token
+const SCAN_MAX_BLOCKS_PER_CYCLE = parseInt(process.env.DEPOSIT_SCAN_MAX_BLOCKS) || 100;
+const SCAN_START_BLOCK = parseInt(process.env.DEPOSIT_SCAN_START_BLOCK) || null; // Defaults to the current solidified block
+const BACKFILL_MAX_BLOCKS = parseInt(process.env.DEPOSIT_BACKFILL_MAX_BLOCKS) || 20000;
+
+// Confirmation tracking: deposits are only credited once their block is this deep in the solidified chain
+const MIN_CONFIRMATIONS = parseInt(process.env.DEPOSIT_MIN_CONFIRMATIONS) || 1;
+const CONFIRMATION_TIMEOUT_MS = parseInt(process.env.DEPOSIT_CONFIRMATION_TIMEOUT_MS) || 10 * 60 * 1000; // Give up on vanished transactions after 10 minutes
 
 let isRunning = false;
 let pollInterval = null;
+let cycleInProgress = false;
+let backfillJob = null;
 
 /**
- * Process a single deposit transaction
+ * Record a deposit that will never be credited and notify webhooks
  * @param {object} tx - Transaction data
  * @param {object} user - User data
+ * @param {object} token - Token received
+ * @param {number} amountMinor - Amount received, in the token's minor unit
+ * @param {string} reason - Rejection reason
+ */
+const recordRejectedDeposit = (tx, user, token, amountMinor, reason) => {
+  const { transaction_id: txHash, block_timestamp: blockTimestamp, block_number: blockNumber = null, from } = tx;
+  
+  const reject = db.transaction(() => {
+    const { rate, rateId, quoteId } = quoteService.getDepositRate(user.id, blockTimestamp, token.rateCurrency);
+    const result = db.prepare(
+      `INSERT OR IGNORE INTO deposits (user_id, tx_hash, from_address, to_address, token, amount_minor, exchange_rate, exchange_rate_id, quote_id, kes_amount_cents, status, failure_reason, block_timestamp, block_number)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 'rejected', ?, ?, ?)`
+    ).run(user.id, txHash, from, user.tron_address, token.symbol, amountMinor, rate, rateId, quoteId, reason, blockTimestamp, blockNumber);
+    
+    // Only notify the first time this transfer is seen
+    if (result.changes > 0) {
+      const amount = tokenService.fromMinor(amountMinor, token);
+      
+      webhookService.enqueueEvent('deposit.rejected', {
+        depositId: result.lastInsertRowid,
+        userId: user.id,
+        txHash,
+        fromAddress: from,
+        toAddress: user.tron_address,
+        token: token.symbol,
+        amount,
+        usdtAmount: token.symbol === 'USDT' ? amount : null,
+        reason,
+      });
+    }
+  });
+  
+  reject();
+};
+
+/**
+ * Process a single deposit transaction
+ * Valid deposits are recorded as 'confirming' and only credited by creditDeposit()
+ * once their block has enough confirmations
+ * @param {object} tx - Transaction data, including the token's contract_address
+ * @param {object} user - User data
  * @returns {Promise<object>} Result
  */
 const processDeposit = async (tx, user) => {
-  const { transaction_id: txHash, value, block_timestamp: blockTimestamp, from } = tx;
+  const { transaction_id: txHash, contract_address: contractAddress, value, block_timestamp: blockTimestamp, block_number: blockNumber = null, from } = tx;
+  
+  // Only registered, enabled tokens are deposits; anything else sent to the address is left alone
+  const token = tokenService.getTokenByContract(contractAddress);
+  if (!token || !token.enabled) {
+    if (token) {
+      console.log(`⚠️ Ignoring ${token.symbol} transfer ${txHash} - ${token.symbol} deposits are disabled`);
+    }
+    return { credited: false, reason: 'unsupported_token' };
+  }
   
-  // Calculate USDT amount (6 decimals)
-  const usdtAmount = Number(value) / 1_000_000;
+  // Transfer value is already in the token's minor unit; one too large to hold exactly is rejected, never rounded
+  let amountMinor;
+  try {
+    amountMinor = money.parseMinorUnits(value);
+  } catch (error) {
+    console.log(`⚠️ Deposit ${txHash} rejected: ${error.message}`);
+    recordRejectedDeposit(tx, user, token, 0, `Amount ${value} cannot be processed: ${error.message}`);
+    return { credited: false, reason: 'invalid_amount' };
+  }
+  const amount = tokenService.fromMinor(amountMinor, token);
   
   // Check minimum deposit
-  if (usdtAmount < MIN_DEPOSIT) {
-    console.log(`⚠️ Deposit ${txHash} below minimum (${usdtAmount} < ${MIN_DEPOSIT} USDT)`);
+  if (amount < token.minDeposit) {
+    console.log(`⚠️ Deposit ${txHash} below minimum (${amount} < ${token.minDeposit} ${token.symbol})`);
     
     // Record as rejected but don't fail
-    db.prepare(
-      `INSERT OR IGNORE INTO deposits (user_id, tx_hash, from_address, to_address, usdt_amount, exchange_rate, kes_amount, status, failure_reason, block_timestamp)
-       VALUES (?, ?, ?, ?, ?, ?, 0, 'rejected', ?, ?)`
-    ).run(user.id, txHash, from, user.tron_address, usdtAmount, USDT_TO_KES_RATE, `Amount below minimum (${MIN_DEPOSIT} USDT)`, blockTimestamp);
+    recordRejectedDeposit(tx, user, token, amountMinor, `Amount below minimum (${token.minDeposit} ${token.symbol})`);
     
     return { credited: false, reason: 'below_minimum' };
   }
   
   // Check maximum deposit
-  if (usdtAmount > MAX_DEPOSIT) {
-    console.log(`⚠️ Deposit ${txHash} above maximum (${usdtAmount} > ${MAX_DEPOSIT} USDT)`);
+  if (token.maxDeposit !== null && amount > token.maxDeposit) {
+    console.log(`⚠️ Deposit ${txHash} above maximum (${amount} > ${token.maxDeposit} ${token.symbol})`);
     
-    db.prepare(
-      `INSERT OR IGNORE INTO deposits (user_id, tx_hash, from_address, to_address, usdt_amount, exchange_rate, kes_amount, status, failure_reason, block_timestamp)
-       VALUES (?, ?, ?, ?, ?, ?, 0, 'rejected', ?, ?)`
-    ).run(user.id, txHash, from, user.tron_address, usdtAmount, USDT_TO_KES_RATE, `Amount above maximum (${MAX_DEPOSIT} USDT)`, blockTimestamp);
+    recordRejectedDeposit(tx, user, token, amountMinor, `Amount above maximum (${token.maxDeposit} ${token.symbol})`);
     
     return { credited: false, reason: 'above_maximum' };
   }
   
-  // Calculate KES amount
-  const kesAmount = usdtAmount * USDT_TO_KES_RATE;
-  
-  // Credit user (atomic transaction)
-  const creditUser = db.transaction(() => {
-    // Check if already processed
-    const existing = db.prepare('SELECT id FROM processed_tx_hashes WHERE tx_hash = ?').get(txHash);
+  // Record the deposit as confirming (atomic transaction)
+  const recordDeposit = db.transaction(() => {
+    // Check if already processed (by the monitor or a manual verification)
+    const existing = db.prepare('SELECT tx_hash FROM processed_tx_hashes WHERE tx_hash = ?').get(txHash)
+      || db.prepare('SELECT id FROM deposits WHERE tx_hash = ?').get(txHash);
     if (existing) {
       return { alreadyProcessed: true };
     }
     
-    // Get current balance
-    const currentUser = db.prepare('SELECT balance_kes FROM users WHERE id = ?').get(user.id);
-    const currentBalance = parseFloat(currentUser.balance_kes);
-    const newBalance = currentBalance + kesAmount;
-    
-    // Update user balance
-    db.prepare('UPDATE users SET balance_kes = ?, updated_at = datetime(\'now\') WHERE id = ?')
-      .run(newBalance, user.id);
+    // Lock in the token's buy rate (quoted, if the transfer falls in a deposit quote's window) - the deposit is credited at this rate once confirmed
+    const { rate, rateId, quoteId } = quoteService.getDepositRate(user.id, blockTimestamp, token.rateCurrency);
+    const kesCents = money.tokenToKesCents(amountMinor, token.decimals, rate, money.ROUNDING.DOWN);
     
     // Create deposit record
     const depositResult = db.prepare(
-      `INSERT INTO deposits (user_id, tx_hash, from_address, to_address, usdt_amount, exchange_rate, kes_amount, status, block_timestamp, verified_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'completed', ?, datetime('now'))`
-    ).run(user.id, txHash, from, user.tron_address, usdtAmount, USDT_TO_KES_RATE, kesAmount, blockTimestamp);
+      `INSERT INTO deposits (user_id, tx_hash, from_address, to_address, token, amount_minor, exchange_rate, exchange_rate_id, quote_id, kes_amount_cents, status, block_timestamp, block_number, confirmations)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'confirming', ?, ?, 0)`
+    ).run(user.id, txHash, from, user.tron_address, token.symbol, amountMinor, rate, rateId, quoteId, kesCents, blockTimestamp, blockNumber);
     
     const depositId = depositResult.lastInsertRowid;
     
-    // Record in transactions log
-    db.prepare(
-      `INSERT INTO transactions (user_id, type, amount, balance_before, balance_after, reference_id, reference_type, description)
-       VALUES (?, 'deposit', ?, ?, ?, ?, 'deposit', ?)`
-    ).run(user.id, kesAmount, currentBalance, newBalance, depositId, `USDT deposit: ${usdtAmount} USDT @ ${USDT_TO_KES_RATE}`);
-    
-    // Mark tx as processed
+    // Mark tx as processed so it is never recorded twice
     db.prepare('INSERT INTO processed_tx_hashes (tx_hash, deposit_id) VALUES (?, ?)')
       .run(txHash, depositId);
     
     return {
       alreadyProcessed: false,
       depositId,
-      kesAmount,
-      newBalance,
+      kesCents,
     };
   });
   
-  const result = creditUser();
+  const result = recordDeposit();
   
   if (result.alreadyProcessed) {
     return { credited: false, reason: 'already_processed' };
   }
   
-  console.log(`✅ Auto-credited ${usdtAmount} USDT (${kesAmount} KES) to user ${user.id} (${user.username})`);
+  console.log(`⏳ Detected ${amount} ${token.symbol} deposit for user ${user.id} (${user.username}) - awaiting ${MIN_CONFIRMATIONS} confirmation(s)`);
   
   return {
-    credited: true,
+    credited: false,
+    confirming: true,
     depositId: result.depositId,
-    usdtAmount,
-    kesAmount: result.kesAmount,
-    newBalance: result.newBalance,
+    token: token.symbol,
+    amount,
+    kesAmount: money.centsToKes(result.kesCents),
   };
 };
 
+/**
+ * Credit a confirmed deposit to the user's KES balance
+ * @param {number} depositId - Deposit ID
+ * @returns {object} { credited, kesAmount, newBalance }
+ */
+const creditDeposit = (depositId) => {
+  const credit = db.transaction(() => {
+    const deposit = db.prepare(
+      "SELECT id, user_id, tx_hash, from_address, to_address, token, amount_minor, exchange_rate, exchange_rate_id, kes_amount_cents, block_number FROM deposits WHERE id = ? AND status = 'confirming'"
+    ).get(depositId);
+    
+    // Already credited or failed in the meantime
+    if (!deposit) {
+      return { credited: false };
+    }
+    
+    const token = tokenService.getToken(deposit.token);
+    const amount = tokenService.fromMinor(deposit.amount_minor, token);
+    const kesCents = deposit.kes_amount_cents;
+    
+    ledger.post({
+      type: 'deposit',
+      legs: ledger.depositLegs({
+        userId: deposit.user_id,
+        token: token.symbol,
+        amount: deposit.amount_minor,
+        kesCents,
+        midRate: rateService.getMidRate(deposit.exchange_rate_id, deposit.exchange_rate),
+      }),
+      referenceType: 'deposit',
+      referenceId: depositId,
+      description: `${token.symbol} deposit: ${tokenService.formatAmount(deposit.amount_minor, token)} ${token.symbol} @ ${deposit.exchange_rate}`,
+    });
+    
+    db.prepare(
+      `UPDATE deposits SET status = 'completed', verified_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`
+    ).run(depositId);
+    
+    balanceCache.adjust(deposit.to_address, { token: token.symbol, amount: deposit.amount_minor });
+    
+    const newBalance = ledger.getUserBalance(deposit.user_id);
+    
+    // Notify webhooks in the same transaction as the balance change
+    webhookService.enqueueEvent('deposit.completed', {
+      depositId,
+      userId: deposit.user_id,
+      txHash: deposit.tx_hash,
+      fromAddress: deposit.from_address,
+      toAddress: deposit.to_address,
+      blockNumber: deposit.block_number,
+      token: token.symbol,
+      amount,
+      usdtAmount: token.symbol === 'USDT' ? amount : null,
+      exchangeRate: parseFloat(deposit.exchange_rate),
+      kesAmount: money.centsToKes(kesCents),
+      newBalance: money.centsToKes(newBalance),
+    });
+    
+    return {
+      credited: true,
+      userId: deposit.user_id,
+      token: token.symbol,
+      amount,
+      kesAmount: money.centsToKes(kesCents),
+      newBalance: money.centsToKes(newBalance),
+    };
+  });
+  
+  const result = credit();
+  
+  if (result.credited) {
+    console.log(`✅ Auto-credited ${result.amount} ${result.token} (${result.kesAmount} KES) to user ${result.userId}`);
+  }
+  
+  return result;
+};
+
+/**
+ * Mark a confirming deposit as failed without crediting it
+ * @param {number} depositId - Deposit ID
+ * @param {string} reason - Failure reason
+ */
+const failDeposit = (depositId, reason) => {
+  db.prepare(
+    `UPDATE deposits SET status = 'failed', failure_reason = ?, updated_at = datetime('now') WHERE id = ? AND status = 'confirming'`
+  ).run(reason, depositId);
+  
+  console.log(`❌ Deposit ${depositId} failed: ${reason}`);
+};
+
+/**
+ * Re-check a confirming deposit against the current solidified block
+ * Credits it once it has MIN_CONFIRMATIONS, fails it if the transaction reverted or vanished
+ * @param {number} depositId - Deposit ID
+ * @param {number} solidifiedBlock - Optional current solidified block number (fetched if omitted)
+ * @returns {Promise<object>} { status, confirmations, requiredConfirmations, reason? }
+ */
+const checkDepositConfirmations = async (depositId, solidifiedBlock = null) => {
+  const deposit = db.prepare(
+    "SELECT id, tx_hash, block_number, confirmations, created_at FROM deposits WHERE id = ? AND status = 'confirming'"
+  ).get(depositId);
+  
+  if (!deposit) {
+    return { status: 'not_confirming' };
+  }
+  
+  const info = await tronService.getTransactionInfo(deposit.tx_hash);
+  
+  if (!info.found) {
+    const ageMs = Date.now() - new Date(`${deposit.created_at}Z`).getTime();
+    
+    if (ageMs > CONFIRMATION_TIMEOUT_MS) {
+      const reason = 'Transaction not found on chain';
+      failDeposit(deposit.id, reason);
+      return { status: 'failed', reason };
+    }
+    
+    return { status: 'confirming', confirmations: 0, requiredConfirmations: MIN_CONFIRMATIONS };
+  }
+  
+  if (!info.success) {
+    const reason = `Transaction reverted (${info.result}${info.errorMessage ? `: ${info.errorMessage}` : ''})`;
+    failDeposit(deposit.id, reason);
+    return { status: 'failed', reason };
+  }
+  
+  const headBlock = solidifiedBlock !== null
+    ? solidifiedBlock
+    : (await tronService.getNowBlock({ solidified: true })).blockNumber;
+  const confirmations = Math.max(0, headBlock - info.blockNumber + 1);
+  
+  db.prepare(
+    `UPDATE deposits SET block_number = ?, confirmations = ?, updated_at = datetime('now') WHERE id = ? AND status = 'confirming'`
+  ).run(info.blockNumber, confirmations, deposit.id);
+  
+  if (confirmations < MIN_CONFIRMATIONS) {
+    return { status: 'confirming', confirmations, requiredConfirmations: MIN_CONFIRMATIONS };
+  }
+  
+  const credit = creditDeposit(deposit.id);
+  
+  return {
+    status: credit.credited ? 'completed' : 'not_confirming',
+    confirmations,
+    requiredConfirmations: MIN_CONFIRMATIONS,
+    kesAmount: credit.kesAmount,
+    newBalance: credit.newBalance,
+  };
+};
+
+/**
+ * Re-check every confirming deposit against the current solidified block
+ */
+const confirmPendingDeposits = async () => {
+  const deposits = db.prepare("SELECT id FROM deposits WHERE status = 'confirming' ORDER BY id").all();
+  
+  if (deposits.length === 0) {
+    return;
+  }
+  
+  const head = await tronService.getNowBlock({ solidified: true });
+  
+  for (const deposit of deposits) {
+    try {
+      await checkDepositConfirmations(deposit.id, head.blockNumber);
+    } catch (error) {
+      console.error(`Error checking confirmations for deposit ${deposit.id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Get the transaction cursor for an address, creating it on first use
+ * New cursors start at the user's registration time since the address cannot have received anything earlier
+ * @param {object} user - User data (id, tron_address, created_at)
+ * @returns {object} Cursor row
+ */
+const getAddressCursor = (user) => {
+  const cursor = db.prepare('SELECT * FROM address_cursors WHERE address = ?').get(user.tron_address);
+  if (cursor) {
+    return cursor;
+  }
+  
+  const registeredAt = user.created_at ? new Date(`${user.created_at}Z`).getTime() : 0;
+  
+  db.prepare(
+    'INSERT INTO address_cursors (address, user_id, last_block_timestamp, caught_up) VALUES (?, ?, ?, 0)'
+  ).run(user.tron_address, user.id, registeredAt || 0);
+  
+  return db.prepare('SELECT * FROM address_cursors WHERE address = ?').get(user.tron_address);
+};
+
 /**
  * Check deposits for a batch of users
+ * Pages oldest-first through TronGrid's fingerprint cursor from each address's high-water mark,
+ * advancing the mark after every page so a burst of transfers is worked through across cycles
  * @param {array} users - Array of user objects with tron_address
  */
 const checkUserDeposits = async (users) => {
@@ -127,33 +380,51 @@ const checkUserDeposits = async (users) => {
     if (!user.tron_address) continue;
     
     try {
-      // Get recent TRC20 transactions for this address
-      const transactions = await tronService.getAddressTransactions(user.tron_address, {
-        limit: 20, // Check last 20 transactions
-      });
-      
-      // Handle case where transactions is null or undefined (API error)
-      if (!transactions || !Array.isArray(transactions)) {
-        // Silently skip - error already logged in tronService
-        continue;
-      }
+      const cursor = getAddressCursor(user);
+      let lastBlockTimestamp = cursor.last_block_timestamp || 0;
+      let lastTxHash = cursor.last_tx_hash;
+      let fingerprint = null;
+      let pages = 0;
       
-      // Filter for incoming transactions (where user's address is recipient)
-      const incomingTx = transactions.filter(tx => tx && tx.to === user.tron_address);
-      
-      for (const tx of incomingTx) {
-        // Check if already processed
-        const existing = db.prepare('SELECT id FROM processed_tx_hashes WHERE tx_hash = ?').get(tx.txHash);
+      do {
+        const page = await tronService.getIncomingTransfersPage(user.tron_address, {
+          minTimestamp: lastBlockTimestamp,
+          fingerprint,
+          limit: PAGE_SIZE,
+        });
         
-        if (!existing) {
-          await processDeposit({
-            transaction_id: tx.txHash,
-            value: tx.value,
-            block_timestamp: tx.blockTimestamp,
-            from: tx.from,
-          }, user);
+        for (const tx of page.transactions) {
+          if (!tx || tx.to !== user.tron_address) continue;
+          
+          // Check if already processed (transfers at the mark's timestamp are returned again)
+          const existing = db.prepare('SELECT tx_hash FROM processed_tx_hashes WHERE tx_hash = ?').get(tx.txHash);
+          
+          if (!existing) {
+            await processDeposit({
+              transaction_id: tx.txHash,
+              contract_address: tx.contractAddress,
+              value: tx.value,
+              block_timestamp: tx.blockTimestamp,
+              from: tx.from,
+            }, user);
+          }
+          
+          if (tx.blockTimestamp >= lastBlockTimestamp) {
+            lastBlockTimestamp = tx.blockTimestamp;
+            lastTxHash = tx.txHash;
+          }
         }
-      }
+        
+        fingerprint = page.fingerprint;
+        pages++;
+        
+        // Persist the high-water mark after every page
+        db.prepare(
+          `UPDATE address_cursors
+           SET last_block_timestamp = ?, last_tx_hash = ?, caught_up = ?, last_checked_at = datetime('now'), updated_at = datetime('now')
+           WHERE address = ?`
+        ).run(lastBlockTimestamp, lastTxHash, fingerprint ? 0 : 1, user.tron_address);
+      } while (fingerprint && pages < MAX_PAGES_PER_ADDRESS && isRunning);
     } catch (error) {
       console.error(`Error checking deposits for user ${user.id}:`, error.message);
     }
@@ -161,37 +432,184 @@ const checkUserDeposits = async (users) => {
 };
 
 /**
- * Run one monitoring cycle
+ * Get the last block scanned by the block scanner
+ * @returns {number|null} Block number or null if the scanner has never run
  */
-const runMonitorCycle = async () => {
-  if (!isRunning) return;
+const getScanCursor = () => {
+  const row = db.prepare('SELECT block_number FROM monitor_cursors WHERE name = ?').get(SCAN_CURSOR_NAME);
+  return row ? row.block_number : null;
+};
+
+/**
+ * Persist the last block scanned by the block scanner
+ * @param {number} blockNumber - Last fully scanned block
+ */
+const saveScanCursor = (blockNumber) => {
+  db.prepare(
+    `INSERT INTO monitor_cursors (name, block_number, updated_at) VALUES (?, ?, datetime('now'))
+     ON CONFLICT(name) DO UPDATE SET block_number = excluded.block_number, updated_at = excluded.updated_at`
+  ).run(SCAN_CURSOR_NAME, blockNumber);
+};
+
+/**
+ * Scan a single block for transfers of the enabled tokens to user deposit addresses
+ * @param {number} blockNumber - Block to scan
+ * @returns {Promise<object>} { transfers, matched, recorded }
+ */
+const scanBlock = async (blockNumber) => {
+  const transfers = [];
+  for (const token of tokenService.getTokens({ enabledOnly: true })) {
+    transfers.push(...await tronService.getBlockTransferEvents(blockNumber, { contractAddress: token.contractAddress }));
+  }
   
-  try {
-    // Get all users with tron addresses in batches
-    const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users WHERE tron_address IS NOT NULL').get();
+  if (transfers.length === 0) {
+    return { transfers: 0, matched: 0, recorded: 0 };
+  }
+  
+  // Match all recipients in the block against user addresses in one indexed lookup
+  const recipients = [...new Set(transfers.map(t => t.to))];
+  const placeholders = recipients.map(() => '?').join(', ');
+  const users = db.prepare(
+    `SELECT id, username, tron_address FROM users WHERE is_active = 1 AND tron_address IN (${placeholders})`
+  ).all(...recipients);
+  
+  const usersByAddress = new Map(users.map(u => [u.tron_address, u]));
+  let matched = 0;
+  let recorded = 0;
+  
+  for (const transfer of transfers) {
+    const user = usersByAddress.get(transfer.to);
+    if (!user) continue;
+    
+    matched++;
+    
+    const existing = db.prepare('SELECT tx_hash FROM processed_tx_hashes WHERE tx_hash = ?').get(transfer.txHash);
+    if (existing) continue;
+    
+    const result = await processDeposit({
+      transaction_id: transfer.txHash,
+      contract_address: transfer.contractAddress,
+      value: transfer.value,
+      block_timestamp: transfer.blockTimestamp,
+      block_number: transfer.blockNumber,
+      from: transfer.from,
+    }, user);
+    
+    if (result.confirming) recorded++;
+  }
+  
+  return { transfers: transfers.length, matched, recorded };
+};
+
+/**
+ * Scan an inclusive range of blocks
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @param {object} options - { persistCursor: advance the scanner cursor after each block, onBlock: progress callback }
+ * @returns {Promise<object>} Scan summary
+ */
+const scanBlockRange = async (fromBlock, toBlock, options = {}) => {
+  const { persistCursor = false, onBlock = null } = options;
+  const summary = { fromBlock, toBlock, lastScannedBlock: null, transfers: 0, matched: 0, recorded: 0 };
+  
+  for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+    const result = await scanBlock(blockNumber);
     
-    if (totalUsers.count === 0) {
-      return;
+    summary.transfers += result.transfers;
+    summary.matched += result.matched;
+    summary.recorded += result.recorded;
+    summary.lastScannedBlock = blockNumber;
+    
+    if (persistCursor) {
+      saveScanCursor(blockNumber);
+    }
+    
+    if (onBlock) {
+      onBlock(blockNumber);
     }
+  }
+  
+  return summary;
+};
+
+/**
+ * Run one block-scanning cycle, resuming from the persisted cursor
+ */
+const runBlockScanCycle = async () => {
+  const head = await tronService.getNowBlock({ solidified: true });
+  let cursor = getScanCursor();
+  
+  if (cursor === null) {
+    // First run: start from the configured block, or from the current head
+    cursor = (SCAN_START_BLOCK || head.blockNumber) - 1;
+    saveScanCursor(cursor);
+    console.log(`🧱 Block scanner initialized at block ${cursor + 1}`);
+  }
+  
+  if (cursor >= head.blockNumber) {
+    return;
+  }
+  
+  const fromBlock = cursor + 1;
+  const toBlock = Math.min(head.blockNumber, cursor + SCAN_MAX_BLOCKS_PER_CYCLE);
+  
+  const summary = await scanBlockRange(fromBlock, toBlock, { persistCursor: true });
+  
+  if (summary.matched > 0) {
+    console.log(`🧱 Scanned blocks ${fromBlock}-${toBlock}: ${summary.matched} deposits matched, ${summary.recorded} recorded`);
+  }
+};
+
+/**
+ * Run one address-polling cycle
+ */
+const runAddressPollCycle = async () => {
+  // Get all users with tron addresses in batches
+  const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users WHERE tron_address IS NOT NULL').get();
+  
+  if (totalUsers.count === 0) {
+    return;
+  }
+  
+  let offset = 0;
+  
+  while (offset < totalUsers.count && isRunning) {
+    const users = db.prepare(
+      'SELECT id, username, tron_address, created_at FROM users WHERE tron_address IS NOT NULL AND is_active = 1 LIMIT ? OFFSET ?'
+    ).all(BATCH_SIZE, offset);
     
-    let offset = 0;
+    await checkUserDeposits(users);
     
-    while (offset < totalUsers.count && isRunning) {
-      const users = db.prepare(
-        'SELECT id, username, tron_address FROM users WHERE tron_address IS NOT NULL AND is_active = 1 LIMIT ? OFFSET ?'
-      ).all(BATCH_SIZE, offset);
-      
-      await checkUserDeposits(users);
-      
-      offset += BATCH_SIZE;
-      
-      // Small delay between batches to avoid rate limiting
-      if (offset < totalUsers.count) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+    offset += BATCH_SIZE;
+    
+    // Small delay between batches to avoid rate limiting
+    if (offset < totalUsers.count) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
     }
+  }
+};
+
+/**
+ * Run one monitoring cycle
+ */
+const runMonitorCycle = async () => {
+  if (!isRunning || cycleInProgress) return;
+  
+  cycleInProgress = true;
+  
+  try {
+    if (MONITOR_MODE === 'block') {
+      await runBlockScanCycle();
+    } else {
+      await runAddressPollCycle();
+    }
+    
+    // Credit (or fail) deposits that were waiting for confirmations
+    await confirmPendingDeposits();
   } catch (error) {
     console.error('Deposit monitor cycle error:', error.message);
+  } finally {
+    cycleInProgress = false;
   }
 };
 
@@ -209,13 +627,13 @@ const start = () => {
   const config = hdWallet.validateConfig();
   
   if (!config.valid) {
-    console.log('⚠️ HD Wallet not configured - deposit monitor disabled');
-    console.log('   Set HD_MASTER_MNEMONIC environment variable to enable auto-deposits');
+    console.log(`⚠️ HD Wallet not configured - deposit monitor disabled (${config.error})`);
+    console.log('   Set HD_ACCOUNT_XPUB (watch-only) or HD_MASTER_MNEMONIC to enable auto-deposits');
     return;
   }
   
   isRunning = true;
-  console.log(`🔍 Deposit monitor started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+  console.log(`🔍 Deposit monitor started in ${MONITOR_MODE} mode (polling every ${POLL_INTERVAL_MS / 1000}s)`);
   
   // Run first cycle immediately
   runMonitorCycle();
@@ -248,12 +666,34 @@ const stop = () => {
  */
 const getStatus = () => {
   const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users WHERE tron_address IS NOT NULL').get();
+  const cursors = db.prepare(
+    'SELECT address, user_id, last_block_timestamp, last_tx_hash, caught_up, last_checked_at FROM address_cursors ORDER BY caught_up ASC, last_block_timestamp ASC'
+  ).all();
+  const now = Date.now();
   
   return {
     running: isRunning,
+    mode: MONITOR_MODE,
     pollIntervalMs: POLL_INTERVAL_MS,
     batchSize: BATCH_SIZE,
     monitoredAddresses: totalUsers.count,
+    maxPagesPerAddress: MAX_PAGES_PER_ADDRESS,
+    addressCursors: cursors.map(c => ({
+      userId: c.user_id,
+      address: c.address,
+      lastBlockTimestamp: c.last_block_timestamp,
+      lastTxHash: c.last_tx_hash,
+      caughtUp: c.caught_up === 1,
+      behindMs: c.caught_up === 1 ? 0 : Math.max(0, now - c.last_block_timestamp),
+      lastCheckedAt: c.last_checked_at,
+    })),
+    minConfirmations: MIN_CONFIRMATIONS,
+    confirmingDeposits: db.prepare("SELECT COUNT(*) as count FROM deposits WHERE status = 'confirming'").get().count,
+    blockScanner: {
+      lastScannedBlock: getScanCursor(),
+      maxBlocksPerCycle: SCAN_MAX_BLOCKS_PER_CYCLE,
+    },
+    backfill: backfillJob,
   };
 };
 
@@ -262,7 +702,7 @@ const getStatus = () => {
  * @param {number} userId - User ID
  */
 const checkUserById = async (userId) => {
-  const user = db.prepare('SELECT id, username, tron_address FROM users WHERE id = ?').get(userId);
+  const user = db.prepare('SELECT id, username, tron_address, created_at FROM users WHERE id = ?').get(userId);
   
   if (!user || !user.tron_address) {
     return { error: 'User not found or has no deposit address' };
@@ -272,10 +712,63 @@ const checkUserById = async (userId) => {
   return { success: true, address: user.tron_address };
 };
 
+/**
+ * Re-scan a block range for missed deposits without moving the scanner cursor
+ * Runs in the background; progress is reported through getStatus()
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @returns {object} The started backfill job
+ */
+const backfill = (fromBlock, toBlock) => {
+  if (backfillJob && backfillJob.running) {
+    throw new Error(`A backfill is already running (blocks ${backfillJob.fromBlock}-${backfillJob.toBlock})`);
+  }
+  
+  if (toBlock < fromBlock) {
+    throw new Error('toBlock must be greater than or equal to fromBlock');
+  }
+  
+  if (toBlock - fromBlock + 1 > BACKFILL_MAX_BLOCKS) {
+    throw new Error(`Backfill range too large. Maximum is ${BACKFILL_MAX_BLOCKS} blocks`);
+  }
+  
+  backfillJob = {
+    running: true,
+    fromBlock,
+    toBlock,
+    currentBlock: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  
+  const job = backfillJob;
+  console.log(`🧱 Backfill started for blocks ${fromBlock}-${toBlock}`);
+  
+  scanBlockRange(fromBlock, toBlock, { onBlock: (blockNumber) => { job.currentBlock = blockNumber; } })
+    .then((summary) => {
+      job.result = summary;
+      console.log(`✅ Backfill finished for blocks ${fromBlock}-${toBlock}: ${summary.matched} deposits matched, ${summary.recorded} recorded`);
+    })
+    .catch((error) => {
+      job.error = error.message;
+      console.error(`Backfill failed at block ${job.currentBlock}:`, error.message);
+    })
+    .finally(() => {
+      job.running = false;
+      job.finishedAt = new Date().toISOString();
+    });
+  
+  return job;
+};
+
 module.exports = {
   start,
   stop,
   getStatus,
   checkUserById,
   processDeposit,
+  checkDepositConfirmations,
+  backfill,
 };
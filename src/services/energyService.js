@@ -0,0 +1,578 @@
+/**
+ * Energy Service
+ * Pays for USDT transfers with energy delegated from a staking wallet (Stake 2.0) instead of burned TRX
+ *
+ * Before a sweep or withdrawal the transfer's energy is estimated with a constant-contract call. If the
+ * sending address does not already have that much energy, the missing energy is delegated to it from the
+ * staking wallet and reclaimed once the transfer has executed. When delegation is disabled or not
+ * possible (estimate failed, not enough delegatable stake, delegation transaction failed) the transfer
+ * goes ahead as before and burns TRX up to its fee limit; such fallbacks are recorded with their reason.
+ *
+ * The staking key is held by the signer (signer.js), not the API: delegations and reclaims are built here
+ * for ENERGY_STAKING_ADDRESS and signed there under its own policy.
+ *
+ * Every delegation is stored in energy_delegations with the energy it provided and the TRX that energy
+ * would otherwise have burned. Delegations that were never reclaimed inline (crash, transfer not yet
+ * executed) are reclaimed by reclaimExpired() after ENERGY_RECLAIM_AFTER_MS.
+ */
+
+const TronWeb = require('tronweb');
+const db = require('../config/db');
+const tronService = require('./tronService');
+const signerClient = require('./signerClient');
+const money = require('../utils/money');
+
+const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
+const TRON_API_KEY = process.env.TRON_API_KEY;
+const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const DELEGATION_ENABLED = process.env.ENERGY_DELEGATION_ENABLED === 'true';
+const STAKING_ADDRESS = process.env.ENERGY_STAKING_ADDRESS;
+const ESTIMATE_MARGIN_PERCENT = parseFloat(process.env.ENERGY_ESTIMATE_MARGIN_PERCENT) || 10;
+const DEFAULT_ENERGY_PRICE_SUN = parseInt(process.env.ENERGY_PRICE_SUN) || 210; // Used when the chain parameter cannot be read
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.ENERGY_CONFIRM_TIMEOUT_MS) || 60 * 1000;
+const RECLAIM_AFTER_MS = parseInt(process.env.ENERGY_RECLAIM_AFTER_MS) || 10 * 60 * 1000; // 10 minutes
+const MIN_TRX_WITH_ENERGY = parseFloat(process.env.ENERGY_MIN_TRX) || 1; // Bandwidth only, once energy is delegated
+const CONFIRM_POLL_MS = 3000;
+
+/**
+ * Create TronWeb instance (no private key - the signer signs)
+ */
+const createTronWeb = () => {
+  return new TronWeb({
+    fullHost: TRON_API_URL,
+    headers: { 'TRON-PRO-API-KEY': TRON_API_KEY },
+  });
+};
+
+/**
+ * Whether transfers may use delegated energy
+ * @returns {boolean}
+ */
+const isEnabled = () => DELEGATION_ENABLED && Boolean(STAKING_ADDRESS) && signerClient.isConfigured();
+
+/**
+ * Get the staking wallet address
+ * @returns {string|null}
+ */
+const getStakingAddress = () => STAKING_ADDRESS || null;
+
+/**
+ * Format an energy_delegations row for API responses
+ */
+const formatDelegation = (d) => ({
+  id: d.id,
+  purpose: d.purpose,
+  referenceId: d.reference_id,
+  receiverAddress: d.receiver_address,
+  status: d.status,
+  fallbackReason: d.fallback_reason,
+  energyRequired: d.energy_required,
+  energyAvailable: d.energy_available,
+  energyDelegated: d.energy_delegated,
+  energyUsed: d.energy_used,
+  trxStaked: money.sunToTrx(d.trx_staked_sun),
+  energyPriceSun: d.energy_price_sun,
+  trxSaved: money.sunToTrx(d.trx_saved_sun),
+  delegateTxHash: d.delegate_tx_hash,
+  transferTxHash: d.transfer_tx_hash,
+  reclaimTxHash: d.reclaim_tx_hash,
+  error: d.error,
+  createdAt: d.created_at,
+  reclaimedAt: d.reclaimed_at,
+});
+
+/**
+ * Estimate the energy a TRC20 transfer will use, plus ENERGY_ESTIMATE_MARGIN_PERCENT
+ * @param {string} fromAddress - Sender
+ * @param {string} toAddress - Recipient
+ * @param {number} usdtSun - Amount in the token's minor unit
+ * @param {string} contractAddress - Token contract (default USDT)
+ * @returns {Promise<number>} Energy
+ */
+const estimateTransferEnergy = async (fromAddress, toAddress, usdtSun, contractAddress = USDT_CONTRACT) => {
+  const result = await createTronWeb().transactionBuilder.triggerConstantContract(
+    contractAddress,
+    'transfer(address,uint256)',
+    {},
+    [
+      { type: 'address', value: toAddress },
+      { type: 'uint256', value: usdtSun },
+    ],
+    fromAddress
+  );
+
+  if (!result || !result.energy_used) {
+    throw new Error('Node returned no energy estimate');
+  }
+
+  return Math.ceil(result.energy_used * (1 + ESTIMATE_MARGIN_PERCENT / 100));
+};
+
+/**
+ * Get the energy an address can spend right now
+ * @param {string} address - Tron address
+ * @returns {Promise<number>} Energy
+ */
+const getAvailableEnergy = async (address) => {
+  const resources = await createTronWeb().trx.getAccountResources(address);
+  return Math.max(0, (resources.EnergyLimit || 0) - (resources.EnergyUsed || 0));
+};
+
+/**
+ * Get the current price of energy when it is burned for
+ * @returns {Promise<number>} Sun per unit of energy
+ */
+const getEnergyPriceSun = async () => {
+  try {
+    const parameters = await createTronWeb().trx.getChainParameters();
+    const fee = parameters.find(p => p.key === 'getEnergyFee');
+    return fee && fee.value ? fee.value : DEFAULT_ENERGY_PRICE_SUN;
+  } catch (error) {
+    return DEFAULT_ENERGY_PRICE_SUN;
+  }
+};
+
+/**
+ * Wait until a transaction has executed on chain
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<object|null>} Receipt from tronService.getTransactionInfo, or null on timeout
+ */
+const waitForReceipt = async (txHash) => {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_MS));
+
+    try {
+      const info = await tronService.getTransactionInfo(txHash);
+      if (info.found) {
+        return info;
+      }
+    } catch (error) {
+      // Node hiccup - keep polling until the deadline
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Have the signer sign a transaction built for the staking wallet, and broadcast it
+ * @param {object} tronWeb - TronWeb instance
+ * @param {object} transaction - Unsigned transaction
+ * @param {object} request - { purpose: 'delegate'|'undelegate', derivationIndex (delegations to a deposit address), reference }
+ * @returns {Promise<string>} Transaction hash
+ */
+const signAndBroadcast = async (tronWeb, transaction, { purpose, derivationIndex = null, reference }) => {
+  const result = await signerClient.signTransaction({ purpose, transaction, derivationIndex, reference });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const { signedTx } = result;
+  const receipt = await tronWeb.trx.sendRawTransaction(signedTx);
+
+  if (!receipt.result) {
+    throw new Error(`Broadcast rejected: ${receipt.code || 'unknown error'}`);
+  }
+
+  return signedTx.txID;
+};
+
+/**
+ * Record a transfer that will burn TRX instead of using delegated energy
+ */
+const recordFallback = (params, reason, details = {}) => {
+  const id = db.prepare(
+    `INSERT INTO energy_delegations
+       (purpose, reference_id, receiver_address, status, fallback_reason, energy_required, energy_available, error)
+     VALUES (?, ?, ?, 'fallback', ?, ?, ?, ?)`
+  ).run(
+    params.purpose,
+    params.referenceId || null,
+    params.fromAddress,
+    reason,
+    details.energyRequired || null,
+    details.energyAvailable || null,
+    details.error || null
+  ).lastInsertRowid;
+
+  console.warn(`⚠️ Energy delegation to ${params.fromAddress} not possible (${reason}) - transfer will burn TRX`);
+
+  return { mode: 'burn', delegationId: id, reason };
+};
+
+/**
+ * Make sure the sender of a USDT (or other TRC20) transfer has the energy it needs
+ * @param {object} params - { purpose: 'sweep'|'withdrawal', referenceId, fromAddress, derivationIndex (sweeps: index of
+ *   fromAddress), toAddress, usdtSun, contractAddress (default USDT) }
+ * @returns {Promise<object>} { mode: 'own'|'delegated'|'burn', delegationId?, reason? }
+ */
+const acquireEnergy = async (params) => {
+  if (!isEnabled()) {
+    return { mode: 'burn', reason: 'disabled' };
+  }
+
+  const { purpose, referenceId = null, fromAddress, derivationIndex = null, toAddress, usdtSun, contractAddress = USDT_CONTRACT } = params;
+
+  // A re-signed withdrawal keeps the energy delegated for its earlier attempt
+  if (referenceId) {
+    const existing = db.prepare(
+      "SELECT id FROM energy_delegations WHERE purpose = ? AND reference_id = ? AND status = 'delegated'"
+    ).get(purpose, referenceId);
+
+    if (existing) {
+      return { mode: 'delegated', delegationId: existing.id };
+    }
+  }
+
+  let energyRequired;
+  let energyAvailable;
+
+  try {
+    energyRequired = await estimateTransferEnergy(fromAddress, toAddress, usdtSun, contractAddress);
+    energyAvailable = await getAvailableEnergy(fromAddress);
+  } catch (error) {
+    return recordFallback(params, 'estimate_failed', { error: error.message });
+  }
+
+  if (energyAvailable >= energyRequired) {
+    return { mode: 'own' };
+  }
+
+  const energyMissing = energyRequired - energyAvailable;
+  const tronWeb = createTronWeb();
+  const stakingAddress = getStakingAddress();
+
+  let trxStakedSun;
+
+  try {
+    // Energy per staked TRX is the network's total energy divided by the total TRX staked for energy
+    const resources = await tronWeb.trx.getAccountResources(stakingAddress);
+    if (!resources.TotalEnergyLimit || !resources.TotalEnergyWeight) {
+      throw new Error('Node returned no network energy totals');
+    }
+
+    // Delegations are made in whole TRX
+    trxStakedSun = money.trxToSun(Math.ceil(energyMissing * resources.TotalEnergyWeight / resources.TotalEnergyLimit));
+
+    const { max_size: delegatableSun = 0 } = await tronWeb.trx.getCanDelegatedMaxSize(stakingAddress, 'ENERGY');
+    if (trxStakedSun > delegatableSun) {
+      return recordFallback(params, 'insufficient_stake', {
+        energyRequired,
+        energyAvailable,
+        error: `Needs ${money.sunToTrx(trxStakedSun)} TRX staked, ${money.sunToTrx(delegatableSun)} TRX delegatable`,
+      });
+    }
+  } catch (error) {
+    return recordFallback(params, 'staking_lookup_failed', { energyRequired, energyAvailable, error: error.message });
+  }
+
+  const energyPriceSun = await getEnergyPriceSun();
+
+  const delegationId = db.prepare(
+    `INSERT INTO energy_delegations
+       (purpose, reference_id, receiver_address, status, energy_required, energy_available, energy_delegated,
+        trx_staked_sun, energy_price_sun)
+     VALUES (?, ?, ?, 'delegating', ?, ?, ?, ?, ?)`
+  ).run(purpose, referenceId, fromAddress, energyRequired, energyAvailable, energyMissing, trxStakedSun, energyPriceSun).lastInsertRowid;
+
+  let delegateTxHash;
+
+  try {
+    const transaction = await tronWeb.transactionBuilder.delegateResource(trxStakedSun, fromAddress, 'ENERGY', stakingAddress, false);
+    delegateTxHash = await signAndBroadcast(tronWeb, transaction, {
+      purpose: 'delegate',
+      derivationIndex,
+      reference: `delegation:${delegationId}`,
+    });
+  } catch (error) {
+    db.prepare("UPDATE energy_delegations SET status = 'fallback', fallback_reason = 'delegation_failed', error = ? WHERE id = ?")
+      .run(error.message, delegationId);
+    console.warn(`⚠️ Energy delegation to ${fromAddress} failed (${error.message}) - transfer will burn TRX`);
+    return { mode: 'burn', delegationId, reason: 'delegation_failed' };
+  }
+
+  // From here the stake may be delegated, so the row is reclaimed even if it never confirms
+  db.prepare("UPDATE energy_delegations SET status = 'delegated', delegate_tx_hash = ? WHERE id = ?").run(delegateTxHash, delegationId);
+
+  const receipt = await waitForReceipt(delegateTxHash);
+
+  if (!receipt || !receipt.success) {
+    db.prepare('UPDATE energy_delegations SET fallback_reason = ?, error = ? WHERE id = ?').run(
+      'delegation_failed',
+      receipt ? `Delegation failed on chain: ${receipt.result}` : 'Delegation not confirmed in time',
+      delegationId
+    );
+    console.warn(`⚠️ Energy delegation ${delegationId} to ${fromAddress} did not confirm - transfer will burn TRX`);
+    return { mode: 'burn', delegationId, reason: 'delegation_failed' };
+  }
+
+  console.log(`⚡ Delegated ${energyMissing} energy (${money.sunToTrx(trxStakedSun)} TRX staked) to ${fromAddress} for ${purpose}${referenceId ? ` ${referenceId}` : ''}`);
+
+  return { mode: 'delegated', delegationId };
+};
+
+/**
+ * Record the transfer a delegation paid for
+ * @param {number} delegationId - Delegation ID
+ * @param {object} transfer - { referenceId, txHash }
+ */
+const recordTransfer = (delegationId, { referenceId = null, txHash }) => {
+  db.prepare(
+    'UPDATE energy_delegations SET reference_id = COALESCE(?, reference_id), transfer_tx_hash = ? WHERE id = ?'
+  ).run(referenceId, txHash, delegationId);
+};
+
+/**
+ * Take the delegated stake back and record the energy the transfer used from it
+ * @param {number} delegationId - Delegation ID
+ * @param {object|null} receipt - Transfer receipt (tronService.getTransactionInfo), if known
+ * @returns {Promise<boolean>} Whether the stake was reclaimed
+ */
+const reclaimEnergy = async (delegationId, receipt = null) => {
+  const delegation = db.prepare(
+    "SELECT * FROM energy_delegations WHERE id = ? AND status IN ('delegating', 'delegated')"
+  ).get(delegationId);
+
+  if (!delegation) {
+    return false;
+  }
+
+  // Energy the delegation supplied: what the transfer used beyond the receiver's own energy, at most what was delegated.
+  // Without a receipt the estimate stands in
+  // A delegation that may never have landed (interrupted, or not confirmed) is not counted without a receipt
+  const unconfirmed = delegation.status === 'delegating' || Boolean(delegation.fallback_reason);
+  const energyUsed = receipt && receipt.found ? receipt.energyUsed : (unconfirmed ? 0 : delegation.energy_required);
+  const energySupplied = Math.min(delegation.energy_delegated, Math.max(0, energyUsed - delegation.energy_available));
+  const trxSavedSun = energySupplied * delegation.energy_price_sun;
+
+  const tronWeb = createTronWeb();
+  let reclaimTxHash;
+
+  try {
+    const transaction = await tronWeb.transactionBuilder.undelegateResource(
+      delegation.trx_staked_sun,
+      delegation.receiver_address,
+      'ENERGY',
+      getStakingAddress()
+    );
+    reclaimTxHash = await signAndBroadcast(tronWeb, transaction, {
+      purpose: 'undelegate',
+      reference: `delegation:${delegationId}`,
+    });
+  } catch (error) {
+    // A delegation that never landed has nothing to reclaim
+    if (unconfirmed) {
+      db.prepare(
+        "UPDATE energy_delegations SET status = 'fallback', fallback_reason = COALESCE(fallback_reason, 'delegation_failed'), error = ? WHERE id = ?"
+      ).run(error.message, delegationId);
+      return false;
+    }
+
+    db.prepare('UPDATE energy_delegations SET error = ? WHERE id = ?').run(`Reclaim failed: ${error.message}`, delegationId);
+    console.error(`Error reclaiming energy delegation ${delegationId}:`, error.message);
+    return false;
+  }
+
+  db.prepare(
+    `UPDATE energy_delegations
+     SET status = 'reclaimed', reclaim_tx_hash = ?, energy_used = ?, trx_saved_sun = ?, reclaimed_at = datetime('now')
+     WHERE id = ?`
+  ).run(reclaimTxHash, energySupplied, trxSavedSun, delegationId);
+
+  console.log(`⚡ Reclaimed energy delegation ${delegationId} from ${delegation.receiver_address} (saved ~${money.sunToTrx(trxSavedSun)} TRX)`);
+
+  return true;
+};
+
+/**
+ * Wait for the transfer a delegation paid for, then reclaim the delegation
+ * Leaves it for reclaimExpired() if the transfer has not executed in time
+ * @param {number} delegationId - Delegation ID
+ * @param {object} transfer - { referenceId, txHash }
+ */
+const releaseAfterTransfer = async (delegationId, { referenceId = null, txHash }) => {
+  recordTransfer(delegationId, { referenceId, txHash });
+
+  const receipt = await waitForReceipt(txHash);
+  if (receipt) {
+    await reclaimEnergy(delegationId, receipt);
+  }
+};
+
+/**
+ * Reclaim the delegation made for a transfer once its outcome is known
+ * @param {string} purpose - 'sweep' or 'withdrawal'
+ * @param {number} referenceId - Sweep or withdrawal ID
+ * @param {object|null} receipt - Transfer receipt, if any
+ */
+const reclaimFor = async (purpose, referenceId, receipt = null) => {
+  const delegation = db.prepare(
+    "SELECT id FROM energy_delegations WHERE purpose = ? AND reference_id = ? AND status = 'delegated'"
+  ).get(purpose, referenceId);
+
+  if (delegation) {
+    await reclaimEnergy(delegation.id, receipt);
+  }
+};
+
+/**
+ * Reclaim delegations older than ENERGY_RECLAIM_AFTER_MS
+ * Catches delegations whose transfer never executed or whose process stopped before reclaiming (or before
+ * the delegation was recorded as broadcast)
+ * @returns {Promise<number>} Delegations reclaimed
+ */
+const reclaimExpired = async () => {
+  if (!getStakingAddress()) {
+    return 0;
+  }
+
+  const expired = db.prepare(
+    `SELECT id, transfer_tx_hash FROM energy_delegations
+     WHERE status IN ('delegating', 'delegated') AND created_at <= datetime('now', ?)`
+  ).all(`-${Math.floor(RECLAIM_AFTER_MS / 1000)} seconds`);
+
+  let reclaimed = 0;
+
+  for (const delegation of expired) {
+    let receipt = null;
+
+    if (delegation.transfer_tx_hash) {
+      try {
+        receipt = await tronService.getTransactionInfo(delegation.transfer_tx_hash);
+      } catch (error) {
+        // Reclaim anyway; the saving falls back to the estimate
+      }
+    }
+
+    if (await reclaimEnergy(delegation.id, receipt)) {
+      reclaimed++;
+    }
+  }
+
+  return reclaimed;
+};
+
+/**
+ * TRX a deposit address must hold before it is swept
+ * With delegation enabled only bandwidth is paid in TRX
+ * @param {number} burnTrx - TRX required when energy is burned
+ * @returns {number} TRX
+ */
+const getRequiredTrx = (burnTrx) => (isEnabled() ? Math.min(MIN_TRX_WITH_ENERGY, burnTrx) : burnTrx);
+
+/**
+ * List delegations, newest first
+ * @param {object} filters - { status, purpose, limit, offset }
+ * @returns {object} { delegations, total }
+ */
+const getDelegations = ({ status = null, purpose = null, limit = 20, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (purpose) {
+    conditions.push('purpose = ?');
+    params.push(purpose);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const delegations = db.prepare(
+    `SELECT * FROM energy_delegations ${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(`SELECT COUNT(*) as total FROM energy_delegations ${where}`).get(...params);
+
+  return {
+    delegations: delegations.map(formatDelegation),
+    total: countResult.total,
+  };
+};
+
+/**
+ * Report energy delegated and TRX saved per UTC day, with fallbacks by reason
+ * @param {number} days - Number of days to cover, including today
+ * @returns {object} { enabled, stakingAddress, totals, fallbacks, daily }
+ */
+const getReport = (days = 30) => {
+  const since = `-${days - 1} days`;
+
+  const daily = db.prepare(
+    `SELECT date(created_at) as day,
+            SUM(CASE WHEN status IN ('delegated', 'reclaimed') AND fallback_reason IS NULL THEN 1 ELSE 0 END) as delegations,
+            SUM(CASE WHEN status = 'fallback' OR fallback_reason IS NOT NULL THEN 1 ELSE 0 END) as fallbacks,
+            COALESCE(SUM(CASE WHEN fallback_reason IS NULL THEN energy_delegated END), 0) as energy_delegated,
+            COALESCE(SUM(energy_used), 0) as energy_used,
+            COALESCE(SUM(trx_saved_sun), 0) as trx_saved_sun
+     FROM energy_delegations
+     WHERE created_at >= datetime('now', 'start of day', ?)
+     GROUP BY day
+     ORDER BY day DESC`
+  ).all(since);
+
+  const fallbacks = db.prepare(
+    `SELECT fallback_reason as reason, COUNT(*) as count FROM energy_delegations
+     WHERE fallback_reason IS NOT NULL AND created_at >= datetime('now', 'start of day', ?)
+     GROUP BY fallback_reason`
+  ).all(since);
+
+  const totals = daily.reduce((sum, d) => ({
+    delegations: sum.delegations + d.delegations,
+    fallbacks: sum.fallbacks + d.fallbacks,
+    energyDelegated: sum.energyDelegated + d.energy_delegated,
+    energyUsed: sum.energyUsed + d.energy_used,
+    trxSavedSun: sum.trxSavedSun + d.trx_saved_sun,
+  }), { delegations: 0, fallbacks: 0, energyDelegated: 0, energyUsed: 0, trxSavedSun: 0 });
+
+  const outstanding = db.prepare(
+    "SELECT COUNT(*) as count, COALESCE(SUM(trx_staked_sun), 0) as staked FROM energy_delegations WHERE status = 'delegated'"
+  ).get();
+
+  return {
+    enabled: isEnabled(),
+    stakingAddress: getStakingAddress(),
+    days,
+    outstanding: {
+      delegations: outstanding.count,
+      trxStaked: money.sunToTrx(outstanding.staked),
+    },
+    totals: {
+      delegations: totals.delegations,
+      fallbacks: totals.fallbacks,
+      energyDelegated: totals.energyDelegated,
+      energyUsed: totals.energyUsed,
+      trxSaved: money.sunToTrx(totals.trxSavedSun),
+    },
+    fallbacks: fallbacks.reduce((byReason, f) => ({ ...byReason, [f.reason]: f.count }), {}),
+    daily: daily.map(d => ({
+      day: d.day,
+      delegations: d.delegations,
+      fallbacks: d.fallbacks,
+      energyDelegated: d.energy_delegated,
+      energyUsed: d.energy_used,
+      trxSaved: money.sunToTrx(d.trx_saved_sun),
+    })),
+  };
+};
+
+module.exports = {
+  isEnabled,
+  getStakingAddress,
+  estimateTransferEnergy,
+  acquireEnergy,
+  recordTransfer,
+  reclaimEnergy,
+  releaseAfterTransfer,
+  reclaimFor,
+  reclaimExpired,
+  getRequiredTrx,
+  getDelegations,
+  getReport,
+};
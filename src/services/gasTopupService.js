@@ -0,0 +1,397 @@
+/**
+ * Gas Top-up Service
+ * Funds deposit addresses with the TRX a sweep needs, from a dedicated gas-funding wallet
+ *
+ * A top-up sends exactly the shortfall up to SWEEP_MIN_TRX and waits for the transfer to confirm
+ * before the sweep is attempted. A top-up whose transaction expires without being included is failed
+ * and its ledger entry reversed. Spending is capped per sweep run (GAS_TOPUP_MAX_TRX_PER_RUN) and per
+ * UTC day (GAS_TOPUP_MAX_TRX_PER_DAY). Every top-up is stored in gas_topups, linked to the sweep it
+ * enabled, and posted to the ledger as gas spent (fees) out of the gas wallet.
+ *
+ * The gas-funding key is held by the signer (signer.js), not the API: top-ups are built here for
+ * GAS_FUNDING_ADDRESS and signed there, which only pays the deposit address the sweep is for.
+ */
+
+const TronWeb = require('tronweb');
+const db = require('../config/db');
+const tronService = require('./tronService');
+const signerClient = require('./signerClient');
+const ledger = require('./ledgerService');
+const balanceCache = require('./balanceCacheService');
+const money = require('../utils/money');
+
+const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
+const TRON_API_KEY = process.env.TRON_API_KEY;
+const TOPUP_ENABLED = process.env.GAS_TOPUP_ENABLED === 'true';
+const GAS_FUNDING_ADDRESS = process.env.GAS_FUNDING_ADDRESS;
+const MAX_TRX_PER_RUN_SUN = money.trxToSun(parseFloat(process.env.GAS_TOPUP_MAX_TRX_PER_RUN) || 100);
+const MAX_TRX_PER_DAY_SUN = money.trxToSun(parseFloat(process.env.GAS_TOPUP_MAX_TRX_PER_DAY) || 500);
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.GAS_TOPUP_CONFIRM_TIMEOUT_MS) || 60 * 1000;
+const CONFIRM_POLL_MS = 3000;
+const EXPIRY_GRACE_MS = 2 * 60 * 1000; // Wait past tx expiration before declaring a top-up dropped
+const DEFAULT_TX_LIFETIME_MS = 60 * 1000; // Tron's default expiration, for top-ups sent before it was recorded
+
+/**
+ * Create TronWeb instance (no private key - the signer signs)
+ */
+const createTronWeb = () => {
+  return new TronWeb({
+    fullHost: TRON_API_URL,
+    headers: { 'TRON-PRO-API-KEY': TRON_API_KEY },
+  });
+};
+
+/**
+ * Whether sweeps may top up deposit addresses
+ * @returns {boolean}
+ */
+const isEnabled = () => TOPUP_ENABLED && Boolean(GAS_FUNDING_ADDRESS) && signerClient.isConfigured();
+
+/**
+ * Get the gas-funding wallet address
+ * @returns {string|null}
+ */
+const getFundingAddress = () => GAS_FUNDING_ADDRESS || null;
+
+/**
+ * Format a gas_topups row for API responses
+ */
+const formatTopup = (t) => ({
+  id: t.id,
+  userId: t.user_id,
+  address: t.address,
+  fromAddress: t.from_address,
+  trxAmount: money.sunToTrx(t.trx_amount_sun),
+  txHash: t.tx_hash,
+  status: t.status,
+  error: t.error,
+  sweepRunId: t.sweep_run_id,
+  sweepId: t.sweep_id,
+  createdAt: t.created_at,
+  confirmedAt: t.confirmed_at,
+});
+
+/**
+ * TRX sent today (UTC) by top-ups that did not fail
+ * @returns {number} TRX sun
+ */
+const getSpentTodaySun = () => db.prepare(
+  `SELECT COALESCE(SUM(trx_amount_sun), 0) as total FROM gas_topups
+   WHERE status != 'failed' AND created_at >= datetime('now', 'start of day')`
+).get().total;
+
+/**
+ * Check whether a top-up fits within the spending limits
+ * @param {number} amountSun - TRX to send
+ * @param {number} runSpentSun - TRX already sent (or planned, for a dry run) in this sweep run
+ * @param {number} plannedTodaySun - TRX planned earlier in this run that is not yet recorded (dry runs)
+ * @returns {string|null} 'run_limit' or 'day_limit' if over a limit, otherwise null
+ */
+const checkLimits = (amountSun, runSpentSun = 0, plannedTodaySun = 0) => {
+  if (runSpentSun + amountSun > MAX_TRX_PER_RUN_SUN) {
+    return 'run_limit';
+  }
+
+  if (getSpentTodaySun() + plannedTodaySun + amountSun > MAX_TRX_PER_DAY_SUN) {
+    return 'day_limit';
+  }
+
+  return null;
+};
+
+/**
+ * Wait until a transfer is executed on chain
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<object>} { confirmed, error? }; not confirmed without an error means it timed out
+ */
+const waitForConfirmation = async (txHash) => {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_MS));
+
+    try {
+      const info = await tronService.getTransactionInfo(txHash);
+
+      if (info.found) {
+        return info.success
+          ? { confirmed: true }
+          : { confirmed: false, error: info.errorMessage || `Transfer failed: ${info.result}` };
+      }
+    } catch (error) {
+      // Node hiccup - keep polling until the deadline
+    }
+  }
+
+  return { confirmed: false };
+};
+
+/**
+ * Send TRX to a deposit address and wait for it to land
+ * Returns once the transfer is confirmed, failed or timed out; a timed out top-up stays 'pending'
+ * and its TRX is picked up by a later sweep once it arrives
+ * @param {object} params - { userId, address, derivationIndex (of address), amountSun, sweepRunId }
+ * @returns {Promise<object>} Top-up
+ */
+const topUp = async ({ userId, address, derivationIndex, amountSun, sweepRunId = null }) => {
+  const fromAddress = getFundingAddress();
+
+  const topupId = db.prepare(
+    `INSERT INTO gas_topups (user_id, address, from_address, trx_amount_sun, sweep_run_id)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(userId, address, fromAddress, amountSun, sweepRunId).lastInsertRowid;
+
+  let txHash;
+  let expiration;
+
+  try {
+    const tronWeb = createTronWeb();
+    const transaction = await tronWeb.transactionBuilder.sendTrx(address, amountSun, fromAddress);
+
+    const signed = await signerClient.signTransaction({
+      purpose: 'gas_topup',
+      transaction,
+      derivationIndex,
+      reference: `gas_topup:${topupId}`,
+    });
+
+    if (!signed.success) {
+      throw new Error(signed.error);
+    }
+
+    const receipt = await tronWeb.trx.sendRawTransaction(signed.signedTx);
+
+    if (!receipt || !receipt.result) {
+      throw new Error(`Broadcast rejected: ${receipt && receipt.code ? receipt.code : 'unknown error'}`);
+    }
+
+    txHash = signed.signedTx.txID;
+    expiration = signed.signedTx.raw_data.expiration;
+  } catch (error) {
+    console.error(`Gas top-up ${topupId} to ${address} failed:`, error.message);
+    db.prepare("UPDATE gas_topups SET status = 'failed', error = ? WHERE id = ?").run(error.message, topupId);
+    return getTopup(topupId);
+  }
+
+  // The TRX has left the gas wallet; it is spent on the sweep's fees
+  db.transaction(() => {
+    db.prepare('UPDATE gas_topups SET tx_hash = ?, tx_expiration = ? WHERE id = ?').run(txHash, expiration, topupId);
+
+    ledger.post({
+      type: 'network_fee',
+      legs: ledger.gasTopupLegs(amountSun),
+      referenceType: 'gas_topup',
+      referenceId: topupId,
+      description: `Gas top-up of ${money.sunToTrx(amountSun)} TRX to ${address}: ${txHash}`,
+    });
+  })();
+
+  console.log(`⛽ Sent ${money.sunToTrx(amountSun)} TRX gas to ${address} (user ${userId}) - TX: ${txHash}`);
+
+  const result = await waitForConfirmation(txHash);
+
+  if (result.confirmed || result.error) {
+    settleTopup(topupId, result);
+  } else {
+    db.prepare('UPDATE gas_topups SET error = ? WHERE id = ?').run('Not confirmed in time', topupId);
+  }
+
+  return getTopup(topupId);
+};
+
+/**
+ * Record the on-chain outcome of a broadcast top-up
+ * @param {number} topupId - Top-up ID
+ * @param {object} result - { confirmed, error }
+ */
+const settleTopup = (topupId, { confirmed, error }) => {
+  if (confirmed) {
+    db.transaction(() => {
+      db.prepare("UPDATE gas_topups SET status = 'confirmed', error = NULL, confirmed_at = datetime('now') WHERE id = ?").run(topupId);
+
+      const topup = db.prepare('SELECT address, trx_amount_sun FROM gas_topups WHERE id = ?').get(topupId);
+      balanceCache.adjust(topup.address, { trxSun: topup.trx_amount_sun });
+    })();
+    return;
+  }
+
+  // Nothing arrived: undo the spend
+  db.transaction(() => {
+    db.prepare("UPDATE gas_topups SET status = 'failed', error = ? WHERE id = ?").run(error, topupId);
+    ledger.reverse(ledger.findEntry('network_fee', 'gas_topup', topupId).id, {
+      type: 'network_fee',
+      description: `Gas top-up ${topupId} failed: ${error}`,
+    });
+  })();
+};
+
+/**
+ * Whether a top-up's transaction can no longer be included in a block
+ * @param {object} topup - gas_topups row
+ * @returns {boolean}
+ */
+const isExpired = (topup) => {
+  const expiration = topup.tx_expiration || new Date(`${topup.created_at}Z`).getTime() + DEFAULT_TX_LIFETIME_MS;
+  return Date.now() > expiration + EXPIRY_GRACE_MS;
+};
+
+/**
+ * Settle top-ups left pending by an earlier run whose transfer has since executed
+ * Top-ups that never recorded a transaction hash were cut short before broadcast, and top-ups whose
+ * transaction expired without being included were dropped; both are failed
+ */
+const refreshPendingTopups = async () => {
+  const pending = db.prepare("SELECT id, tx_hash, tx_expiration, created_at FROM gas_topups WHERE status = 'pending'").all();
+
+  for (const topup of pending) {
+    if (!topup.tx_hash) {
+      db.prepare("UPDATE gas_topups SET status = 'failed', error = 'Interrupted before broadcast' WHERE id = ?").run(topup.id);
+      continue;
+    }
+
+    try {
+      const info = await tronService.getTransactionInfo(topup.tx_hash);
+
+      if (info.found) {
+        settleTopup(topup.id, info.success
+          ? { confirmed: true }
+          : { confirmed: false, error: info.errorMessage || `Transfer failed: ${info.result}` });
+      } else if (isExpired(topup)) {
+        settleTopup(topup.id, { confirmed: false, error: `Transaction ${topup.tx_hash} expired without being included` });
+        console.warn(`⚠️ Gas top-up ${topup.id} was dropped: its transaction expired without being included`);
+      }
+    } catch (error) {
+      console.error(`Error checking gas top-up ${topup.id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Check whether an address has a top-up that has not landed yet
+ * @param {string} address - Deposit address
+ * @returns {boolean}
+ */
+const hasPendingTopup = (address) => {
+  return Boolean(db.prepare("SELECT 1 FROM gas_topups WHERE address = ? AND status = 'pending'").get(address));
+};
+
+/**
+ * Link a top-up to the sweep it paid for
+ * @param {number} topupId - Top-up ID
+ * @param {number} sweepId - Sweep ID
+ */
+const linkSweep = (topupId, sweepId) => {
+  db.prepare('UPDATE gas_topups SET sweep_id = ? WHERE id = ?').run(sweepId, topupId);
+};
+
+/**
+ * Get a top-up
+ * @param {number} topupId - Top-up ID
+ * @returns {object|null}
+ */
+const getTopup = (topupId) => {
+  const topup = db.prepare('SELECT * FROM gas_topups WHERE id = ?').get(topupId);
+  return topup ? formatTopup(topup) : null;
+};
+
+/**
+ * List top-ups, newest first
+ * @param {object} filters - { status, userId, sweepRunId, limit, offset }
+ * @returns {object} { topups, total }
+ */
+const getTopups = ({ status = null, userId = null, sweepRunId = null, limit = 20, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+
+  if (sweepRunId) {
+    conditions.push('sweep_run_id = ?');
+    params.push(sweepRunId);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const topups = db.prepare(
+    `SELECT * FROM gas_topups ${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(`SELECT COUNT(*) as total FROM gas_topups ${where}`).get(...params);
+
+  return {
+    topups: topups.map(formatTopup),
+    total: countResult.total,
+  };
+};
+
+/**
+ * Report TRX spent on top-ups against the USDT recovered by the sweeps they enabled, per UTC day
+ * @param {number} days - Number of days to cover, including today
+ * @returns {object} { fundingAddress, limits, spentToday, totals, daily }
+ */
+const getReport = (days = 30) => {
+  const daily = db.prepare(
+    `SELECT date(t.created_at) as day,
+            COUNT(*) as topups,
+            SUM(CASE WHEN t.status = 'failed' THEN 0 ELSE t.trx_amount_sun END) as trx_sun,
+            COUNT(s.id) as sweeps,
+            COALESCE(SUM(CASE WHEN s.token = 'USDT' THEN s.amount_minor END), 0) as usdt_sun
+     FROM gas_topups t
+     LEFT JOIN sweeps s ON s.id = t.sweep_id
+     WHERE t.created_at >= datetime('now', 'start of day', ?)
+     GROUP BY day
+     ORDER BY day DESC`
+  ).all(`-${days - 1} days`);
+
+  const totals = daily.reduce((sum, d) => ({
+    topups: sum.topups + d.topups,
+    trxSun: sum.trxSun + d.trx_sun,
+    sweeps: sum.sweeps + d.sweeps,
+    usdtSun: sum.usdtSun + d.usdt_sun,
+  }), { topups: 0, trxSun: 0, sweeps: 0, usdtSun: 0 });
+
+  return {
+    enabled: isEnabled(),
+    fundingAddress: getFundingAddress(),
+    limits: {
+      maxTrxPerRun: money.sunToTrx(MAX_TRX_PER_RUN_SUN),
+      maxTrxPerDay: money.sunToTrx(MAX_TRX_PER_DAY_SUN),
+    },
+    spentTodayTrx: money.sunToTrx(getSpentTodaySun()),
+    days,
+    totals: {
+      topups: totals.topups,
+      trxSpent: money.sunToTrx(totals.trxSun),
+      sweepsEnabled: totals.sweeps,
+      usdtRecovered: money.sunToUsdt(totals.usdtSun),
+    },
+    daily: daily.map(d => ({
+      day: d.day,
+      topups: d.topups,
+      trxSpent: money.sunToTrx(d.trx_sun),
+      sweepsEnabled: d.sweeps,
+      usdtRecovered: money.sunToUsdt(d.usdt_sun),
+    })),
+  };
+};
+
+module.exports = {
+  isEnabled,
+  getFundingAddress,
+  checkLimits,
+  topUp,
+  refreshPendingTopups,
+  hasPendingTopup,
+  linkSweep,
+  getTopup,
+  getTopups,
+  getReport,
+};
@@ -1,16 +1,39 @@
 /**
  * HD Wallet Service
  * Generates Tron addresses from a master seed using BIP39/BIP44
+ *
+ * Three configurations are supported:
+ *   - KEYSTORE_PATH: the mnemonic in an encrypted keystore, unlocked at startup (keystoreService).
+ *     Addresses and private keys can both be derived
+ *   - HD_MASTER_MNEMONIC: the mnemonic in plaintext; for development only, refused in production
+ *   - HD_ACCOUNT_XPUB: only the account-level extended public key (m/44'/195'/0'). Watch-only:
+ *     addresses can be derived, private keys cannot. Use this on the internet-facing API server
+ *     and keep the mnemonic in the signer (signer.js)
+ * When the xpub is set alongside a mnemonic, addresses are derived from the xpub and validateConfig
+ * checks that it belongs to the mnemonic.
+ *
+ * The external chain node (m/44'/195'/0'/0) is derived once and kept in memory, so the seed (2048
+ * rounds of PBKDF2) and the hardened levels are not recomputed for every address. Addresses are derived
+ * from a public-only copy of it. The private node is rebuilt if the signing secret changes and zeroed by
+ * clearCache(); seeds and child keys are zeroed once used, and derivePrivateKey hands out a buffer for
+ * the caller to zero.
  */
 
 const bip39 = require('bip39');
 const { HDKey } = require('@scure/bip32');
 const TronWeb = require('tronweb');
 const crypto = require('crypto');
+const keystore = require('./keystoreService');
 
 // Tron BIP44 path: m/44'/195'/0'/0/index
 // 195 is Tron's coin type
-const TRON_PATH = "m/44'/195'/0'/0";
+const ACCOUNT_PATH = "m/44'/195'/0'";
+const ACCOUNT_DEPTH = 3;
+const EXTERNAL_CHAIN = 0;
+
+// Cached chain nodes, each tagged with the configuration it was derived from
+let signingCache = null; // { source, accountXpub, chain } - private
+let addressCache = null; // { xpub, chain } - public only
 
 /**
  * Get or validate the master mnemonic from environment
@@ -30,6 +53,168 @@ const getMasterMnemonic = () => {
   return mnemonic;
 };
 
+/**
+ * Get the master seed from the unlocked keystore, or else from HD_MASTER_MNEMONIC
+ * @returns {Buffer} 64-byte BIP39 seed - zero it when done
+ */
+const getMasterSeed = () => {
+  const seed = keystore.getSecret('seed');
+  if (seed) {
+    return seed;
+  }
+
+  return bip39.mnemonicToSeedSync(getMasterMnemonic());
+};
+
+/**
+ * Identify the secret private keys are derived from, without deriving anything
+ * @returns {string|null} Source tag, or null if this process cannot sign
+ */
+const getSigningSource = () => {
+  if (keystore.isUnlocked()) {
+    return `keystore:${keystore.getAccountXpub()}`;
+  }
+
+  if (process.env.HD_MASTER_MNEMONIC) {
+    return `mnemonic:${crypto.createHash('sha256').update(process.env.HD_MASTER_MNEMONIC).digest('hex')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Zero and forget the private chain node if it was derived from a secret that is no longer configured
+ */
+const dropStaleSigningCache = () => {
+  if (signingCache && signingCache.source !== getSigningSource()) {
+    signingCache.chain.wipePrivateData();
+    signingCache = null;
+  }
+};
+
+/**
+ * Get the private chain node m/44'/195'/0'/0, derived from the master seed on first use
+ * @returns {object} { source, accountXpub, chain }
+ */
+const getSigningChain = () => {
+  dropStaleSigningCache();
+
+  if (signingCache) {
+    return signingCache;
+  }
+
+  const source = getSigningSource();
+  const seed = getMasterSeed();
+  const root = HDKey.fromMasterSeed(seed);
+  seed.fill(0);
+
+  const accountKey = root.derive(ACCOUNT_PATH);
+  root.wipePrivateData();
+
+  const chain = accountKey.deriveChild(EXTERNAL_CHAIN);
+  const accountXpub = accountKey.publicExtendedKey;
+  accountKey.wipePrivateData();
+
+  signingCache = { source, accountXpub, chain };
+  return signingCache;
+};
+
+/**
+ * Get and validate the account extended public key from environment
+ * @returns {HDKey|null} Account key (public only), or null if HD_ACCOUNT_XPUB is not set
+ */
+const getAccountKey = () => {
+  const xpub = process.env.HD_ACCOUNT_XPUB;
+
+  if (!xpub) {
+    return null;
+  }
+
+  let accountKey;
+  try {
+    accountKey = HDKey.fromExtendedKey(xpub);
+  } catch (error) {
+    throw new Error(`Invalid HD_ACCOUNT_XPUB - ${error.message}`);
+  }
+
+  if (accountKey.privateKey) {
+    throw new Error('Invalid HD_ACCOUNT_XPUB - this is an extended private key, use the xpub');
+  }
+
+  if (accountKey.depth !== ACCOUNT_DEPTH) {
+    throw new Error(`Invalid HD_ACCOUNT_XPUB - expected the account key at ${ACCOUNT_PATH} (depth ${ACCOUNT_DEPTH}), got depth ${accountKey.depth}`);
+  }
+
+  return accountKey;
+};
+
+/**
+ * Get the public chain node addresses are derived from
+ * From HD_ACCOUNT_XPUB when set, otherwise from the master seed
+ * @returns {object} { xpub, chain }
+ */
+const getAddressChain = () => {
+  dropStaleSigningCache();
+
+  const configuredXpub = process.env.HD_ACCOUNT_XPUB;
+  const xpub = configuredXpub || getSigningChain().accountXpub;
+
+  if (!addressCache || addressCache.xpub !== xpub) {
+    const accountKey = configuredXpub ? getAccountKey() : HDKey.fromExtendedKey(xpub);
+    addressCache = { xpub, chain: accountKey.deriveChild(EXTERNAL_CHAIN) };
+  }
+
+  return addressCache;
+};
+
+/**
+ * Check whether private keys can be derived in this process
+ * @returns {boolean} True if a keystore is unlocked or HD_MASTER_MNEMONIC is set
+ */
+const canSign = () => {
+  return keystore.isUnlocked() || Boolean(process.env.HD_MASTER_MNEMONIC);
+};
+
+/**
+ * Derive the account extended public key from the master seed
+ * Run this where the mnemonic lives and configure the result as HD_ACCOUNT_XPUB on the API server
+ * @returns {string} xpub for m/44'/195'/0'
+ */
+const getAccountXpub = () => {
+  return getSigningChain().accountXpub;
+};
+
+/**
+ * Get the account xpub deposit addresses are derived from: HD_ACCOUNT_XPUB, or the mnemonic's
+ * Identifies the address space, e.g. for addresses derived ahead of time (addressPoolService)
+ * @returns {string} xpub for m/44'/195'/0'
+ */
+const getAddressXpub = () => {
+  return getAddressChain().xpub;
+};
+
+/**
+ * Forget the cached chain nodes, zeroing the private one
+ * They are derived again on next use
+ */
+const clearCache = () => {
+  if (signingCache) {
+    signingCache.chain.wipePrivateData();
+    signingCache = null;
+  }
+  addressCache = null;
+};
+
+/**
+ * Convert a compressed secp256k1 public key to a Tron address
+ * @param {Uint8Array} publicKey - 33-byte compressed public key
+ * @returns {string} Base58 Tron address
+ */
+const publicKeyToAddress = (publicKey) => {
+  const uncompressed = crypto.ECDH.convertKey(Buffer.from(publicKey), 'secp256k1', undefined, undefined, 'uncompressed');
+  return TronWeb.utils.crypto.getBase58CheckAddress(TronWeb.utils.crypto.computeAddress(uncompressed));
+};
+
 /**
  * Generate a new random mnemonic (for initial setup)
  * @param {number} strength - 128 for 12 words, 256 for 24 words
@@ -40,32 +225,17 @@ const generateMnemonic = (strength = 128) => {
 };
 
 /**
- * Derive a Tron address from the master seed at a specific index
+ * Derive a Tron address at a specific index
+ * Uses HD_ACCOUNT_XPUB when set, otherwise the master seed; either way from the cached chain node
  * @param {number} index - Derivation index (user's wallet index)
- * @returns {object} { address, publicKey }
+ * @returns {object} { address, index }
  */
 const deriveAddress = (index) => {
-  const mnemonic = getMasterMnemonic();
-  const seed = bip39.mnemonicToSeedSync(mnemonic);
-  
-  // Create HD key from seed
-  const hdKey = HDKey.fromMasterSeed(seed);
-  
-  // Derive child key at path m/44'/195'/0'/0/index
-  const childKey = hdKey.derive(`${TRON_PATH}/${index}`);
-  
-  if (!childKey.privateKey) {
-    throw new Error('Failed to derive private key');
-  }
-  
-  // Get the private key as hex
-  const privateKeyHex = Buffer.from(childKey.privateKey).toString('hex');
-  
-  // Use TronWeb to generate address from private key
-  const address = TronWeb.utils.address.fromPrivateKey(privateKeyHex);
-  
+  // Public derivation of m/44'/195'/0'/0/index
+  const childKey = getAddressChain().chain.deriveChild(index);
+
   return {
-    address,
+    address: publicKeyToAddress(childKey.publicKey),
     index,
   };
 };
@@ -74,20 +244,22 @@ const deriveAddress = (index) => {
  * Derive private key for a specific index (used for consolidation/sweeping)
  * WARNING: Only call this when you need to sign a transaction
  * @param {number} index - Derivation index
- * @returns {string} Private key in hex format
+ * @returns {Buffer} 32-byte private key - zero it when done
  */
 const derivePrivateKey = (index) => {
-  const mnemonic = getMasterMnemonic();
-  const seed = bip39.mnemonicToSeedSync(mnemonic);
-  
-  const hdKey = HDKey.fromMasterSeed(seed);
-  const childKey = hdKey.derive(`${TRON_PATH}/${index}`);
-  
-  if (!childKey.privateKey) {
-    throw new Error('Failed to derive private key');
+  if (!canSign()) {
+    throw new Error(
+      process.env.HD_ACCOUNT_XPUB
+        ? 'HD wallet is watch-only (HD_ACCOUNT_XPUB) - private keys are only available in the signer'
+        : 'No keystore unlocked and HD_MASTER_MNEMONIC environment variable is not set'
+    );
   }
-  
-  return Buffer.from(childKey.privateKey).toString('hex');
+
+  const childKey = getSigningChain().chain.deriveChild(index);
+  const privateKey = Buffer.from(childKey.privateKey);
+  childKey.wipePrivateData();
+
+  return privateKey;
 };
 
 /**
@@ -118,19 +290,33 @@ const deriveAddressBatch = (startIndex, count) => {
 /**
  * Initialize and validate HD wallet configuration
  * Call this on startup to ensure everything is configured
- * @returns {object} { valid: boolean, error?: string, testAddress?: string }
+ * A keystore, HD_MASTER_MNEMONIC or HD_ACCOUNT_XPUB is enough; with an xpub and a mnemonic, the xpub must belong to it
+ * @returns {object} { valid: boolean, mode?: 'keystore'|'mnemonic'|'watch-only', canSign?: boolean, error?: string, testAddress?: string }
  */
 const validateConfig = () => {
   try {
-    const mnemonic = getMasterMnemonic();
-    
+    const accountKey = getAccountKey();
+    const mode = keystore.isUnlocked() ? 'keystore' : (process.env.HD_MASTER_MNEMONIC ? 'mnemonic' : 'watch-only');
+    const mnemonic = mode === 'mnemonic' ? getMasterMnemonic() : null;
+
+    if (!accountKey && mode === 'watch-only') {
+      throw new Error('No keystore unlocked and neither HD_MASTER_MNEMONIC nor HD_ACCOUNT_XPUB environment variable is set');
+    }
+
+    if (accountKey && mode !== 'watch-only' && getAccountXpub() !== process.env.HD_ACCOUNT_XPUB) {
+      throw new Error(`HD_ACCOUNT_XPUB does not belong to ${mode === 'keystore' ? 'the keystore mnemonic' : 'HD_MASTER_MNEMONIC'}`);
+    }
+
     // Test derivation with index 0
     const testDerivation = deriveAddress(0);
-    
+
     return {
       valid: true,
+      mode,
+      canSign: mode !== 'watch-only',
       testAddress: testDerivation.address,
-      wordCount: mnemonic.split(' ').length,
+      ...(mode === 'keystore' && { wordCount: keystore.getWordCount() }),
+      ...(mnemonic && { wordCount: mnemonic.split(' ').length }),
     };
   } catch (error) {
     return {
@@ -148,4 +334,8 @@ module.exports = {
   deriveAddressBatch,
   validateConfig,
   getMasterMnemonic,
+  getAccountXpub,
+  getAddressXpub,
+  canSign,
+  clearCache,
 };
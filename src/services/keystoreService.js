@@ -0,0 +1,534 @@
+/**
+ * Keystore Service
+ * Keeps the HD mnemonic, the master wallet key and the optional energy staking and gas-funding keys in an
+ * encrypted file (KEYSTORE_PATH) instead of plaintext environment variables. The file is encrypted with AES-256-GCM under a key derived from a
+ * passphrase with scrypt and is unlocked once at startup. The passphrase is read from a file descriptor
+ * (KEYSTORE_PASSPHRASE_FD) or prompted for on the terminal, never taken from the environment.
+ *
+ * Once unlocked only the BIP39 seed and the wallet keys are kept, in buffers that lock() zeroes. Callers
+ * get copies from getSecret() and zero them when done. Strings made inside libraries (TronWeb hex-encodes
+ * a key while signing) cannot be wiped; the buffers this code owns are.
+ *
+ * Create, rotate and verify keystores with scripts/keystore.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bip39 = require('bip39');
+const { HDKey } = require('@scure/bip32');
+const TronWeb = require('tronweb');
+
+// Configuration
+const KEYSTORE_PATH = process.env.KEYSTORE_PATH;
+const KEYSTORE_PASSPHRASE_FD = process.env.KEYSTORE_PASSPHRASE_FD;
+
+const KEYSTORE_VERSION = 2; // 2 added the staking and gas-funding keys; version 1 files still unlock
+const SCRYPT_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+const ACCOUNT_PATH = "m/44'/195'/0'";
+const PLAINTEXT_SECRETS = ['HD_MASTER_MNEMONIC', 'MASTER_WALLET_PRIVATE_KEY', 'ENERGY_STAKING_PRIVATE_KEY', 'GAS_FUNDING_PRIVATE_KEY'];
+
+// Wallet keys a keystore can hold besides the mnemonic, in the order they are packed, with the public
+// address field recorded for each
+const WALLET_KEYS = [
+  { secret: 'masterPrivateKey', address: 'masterAddress', label: 'Master wallet' },
+  { secret: 'stakingPrivateKey', address: 'stakingAddress', label: 'Energy staking' },
+  { secret: 'gasFundingPrivateKey', address: 'gasFundingAddress', label: 'Gas-funding' },
+];
+
+// Unlocked secrets: { seed, masterPrivateKey, stakingPrivateKey, gasFundingPrivateKey, wordCount, accountXpub, path }
+let unlocked = null;
+
+/**
+ * Derive the BIP39 seed from mnemonic bytes without turning them into a string
+ * Same as bip39.mnemonicToSeedSync for the normalised (ASCII) English mnemonics createKeystore accepts
+ * @param {Buffer} mnemonic - Mnemonic, UTF-8
+ * @returns {Buffer} 64-byte seed
+ */
+const mnemonicToSeed = (mnemonic) => {
+  return crypto.pbkdf2Sync(mnemonic, Buffer.from('mnemonic'), 2048, 64, 'sha512');
+};
+
+/**
+ * Pack secrets into the plaintext that gets encrypted
+ * Each field is a 2-byte length followed by its bytes: the mnemonic, then each of WALLET_KEYS
+ * @param {Buffer} mnemonic - Mnemonic, UTF-8
+ * @param {object} keys - 32-byte key, or empty, for each WALLET_KEYS secret
+ * @returns {Buffer}
+ */
+const packSecrets = (mnemonic, keys) => {
+  const fields = [mnemonic, ...WALLET_KEYS.map(k => keys[k.secret])];
+  const packed = Buffer.alloc(fields.reduce((length, field) => length + 2 + field.length, 0));
+
+  let offset = 0;
+  for (const field of fields) {
+    packed.writeUInt16BE(field.length, offset);
+    field.copy(packed, offset + 2);
+    offset += 2 + field.length;
+  }
+
+  return packed;
+};
+
+/**
+ * Unpack the decrypted plaintext (views into it, not copies)
+ * Keys missing from the end (version 1 keystores hold only the master key) come back empty
+ * @param {Buffer} plaintext
+ * @returns {object} { mnemonic, masterPrivateKey, stakingPrivateKey, gasFundingPrivateKey }
+ */
+const unpackSecrets = (plaintext) => {
+  const fields = [];
+
+  let offset = 0;
+  while (offset < plaintext.length) {
+    const length = plaintext.readUInt16BE(offset);
+    fields.push(plaintext.subarray(offset + 2, offset + 2 + length));
+    offset += 2 + length;
+  }
+
+  const secrets = { mnemonic: fields[0] };
+  WALLET_KEYS.forEach((k, i) => {
+    secrets[k.secret] = fields[i + 1] || Buffer.alloc(0);
+  });
+
+  return secrets;
+};
+
+/**
+ * Address of a wallet key
+ * @param {Buffer} privateKey - 32-byte key, or empty
+ * @returns {string|null}
+ */
+const keyToAddress = (privateKey) => {
+  return privateKey.length > 0
+    ? TronWeb.utils.crypto.getBase58CheckAddress(TronWeb.utils.crypto.getAddressFromPriKey(privateKey))
+    : null;
+};
+
+/**
+ * Public fields of a keystore that the ciphertext is bound to (GCM additional data)
+ * @param {object} keystore
+ * @returns {Buffer}
+ */
+const getAssociatedData = (keystore) => {
+  const fields = [
+    keystore.version,
+    keystore.kdf,
+    keystore.kdfparams,
+    keystore.cipher,
+    keystore.accountXpub,
+    keystore.masterAddress,
+  ];
+
+  if (keystore.version >= 2) {
+    fields.push(keystore.stakingAddress, keystore.gasFundingAddress);
+  }
+
+  return Buffer.from(JSON.stringify(fields));
+};
+
+/**
+ * Encrypt packed secrets under a passphrase
+ * @param {Buffer} plaintext - Packed secrets
+ * @param {Buffer} passphrase
+ * @param {object} metadata - { accountXpub, masterAddress, stakingAddress, gasFundingAddress, createdAt, rotatedAt }
+ * @returns {object} Keystore
+ */
+const encrypt = (plaintext, passphrase, metadata) => {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, { ...SCRYPT_PARAMS, maxmem: SCRYPT_MAXMEM });
+
+  const keystore = {
+    version: KEYSTORE_VERSION,
+    kdf: 'scrypt',
+    kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+    cipher: 'aes-256-gcm',
+    accountXpub: metadata.accountXpub,
+    masterAddress: metadata.masterAddress,
+    stakingAddress: metadata.stakingAddress || null,
+    gasFundingAddress: metadata.gasFundingAddress || null,
+    createdAt: metadata.createdAt,
+    rotatedAt: metadata.rotatedAt || null,
+  };
+
+  try {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(getAssociatedData(keystore));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+      ...keystore,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    };
+  } finally {
+    key.fill(0);
+  }
+};
+
+/**
+ * Decrypt a keystore
+ * @param {object} keystore
+ * @param {Buffer} passphrase
+ * @returns {Buffer} Packed secrets - zero it when done
+ * @throws if the passphrase is wrong or the file was altered
+ */
+const decrypt = (keystore, passphrase) => {
+  if (![1, KEYSTORE_VERSION].includes(keystore.version) || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore format');
+  }
+
+  const { N, r, p, salt } = keystore.kdfparams;
+  const key = crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+    decipher.setAAD(getAssociatedData(keystore));
+    decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted keystore');
+  } finally {
+    key.fill(0);
+  }
+};
+
+/**
+ * Public identity of a set of secrets, stored alongside them to check a keystore against
+ * @param {Buffer} seed - BIP39 seed
+ * @param {object} keys - 32-byte key, or empty, for each WALLET_KEYS secret
+ * @returns {object} { accountXpub, masterAddress, stakingAddress, gasFundingAddress }
+ */
+const describeSecrets = (seed, keys) => {
+  const root = HDKey.fromMasterSeed(seed);
+  const accountXpub = root.derive(ACCOUNT_PATH).publicExtendedKey;
+  root.wipePrivateData();
+
+  const identity = { accountXpub };
+  WALLET_KEYS.forEach((k) => {
+    identity[k.address] = keyToAddress(keys[k.secret]);
+  });
+
+  return identity;
+};
+
+/**
+ * Create a keystore from plaintext secrets
+ * @param {object} secrets - { mnemonic: BIP39 phrase, masterPrivateKey, stakingPrivateKey, gasFundingPrivateKey:
+ *   hex keys (optional) }
+ * @param {Buffer} passphrase
+ * @returns {object} Keystore
+ */
+const createKeystore = ({ mnemonic, ...hexKeys }, passphrase) => {
+  const phrase = mnemonic.trim().split(/\s+/).join(' ');
+  if (!bip39.validateMnemonic(phrase)) {
+    throw new Error('Not a valid BIP39 mnemonic');
+  }
+
+  for (const k of WALLET_KEYS) {
+    if (hexKeys[k.secret] && !/^[0-9a-fA-F]{64}$/.test(hexKeys[k.secret])) {
+      throw new Error(`${k.label} private key must be 64 hex characters`);
+    }
+  }
+
+  const mnemonicBytes = Buffer.from(phrase, 'utf8');
+  const keys = {};
+  WALLET_KEYS.forEach((k) => {
+    keys[k.secret] = hexKeys[k.secret] ? Buffer.from(hexKeys[k.secret], 'hex') : Buffer.alloc(0);
+  });
+  const seed = mnemonicToSeed(mnemonicBytes);
+  const plaintext = packSecrets(mnemonicBytes, keys);
+
+  try {
+    return encrypt(plaintext, passphrase, { ...describeSecrets(seed, keys), createdAt: new Date().toISOString() });
+  } finally {
+    [mnemonicBytes, ...Object.values(keys), seed, plaintext].forEach(b => b.fill(0));
+  }
+};
+
+/**
+ * Re-encrypt a keystore under a new passphrase (fresh salt and IV)
+ * A version 1 keystore is rewritten as the current version, with no staking or gas-funding key
+ * @param {object} keystore
+ * @param {Buffer} oldPassphrase
+ * @param {Buffer} newPassphrase
+ * @returns {object} New keystore
+ */
+const rotateKeystore = (keystore, oldPassphrase, newPassphrase) => {
+  const plaintext = decrypt(keystore, oldPassphrase);
+
+  try {
+    return encrypt(plaintext, newPassphrase, {
+      accountXpub: keystore.accountXpub,
+      masterAddress: keystore.masterAddress,
+      stakingAddress: keystore.stakingAddress,
+      gasFundingAddress: keystore.gasFundingAddress,
+      createdAt: keystore.createdAt,
+      rotatedAt: new Date().toISOString(),
+    });
+  } finally {
+    plaintext.fill(0);
+  }
+};
+
+/**
+ * Decrypt a keystore and check the secrets match its public fields
+ * @param {object} keystore
+ * @param {Buffer} passphrase
+ * @returns {object} { seed, masterPrivateKey, stakingPrivateKey, gasFundingPrivateKey, wordCount } - buffers the caller owns
+ */
+const openKeystore = (keystore, passphrase) => {
+  const plaintext = decrypt(keystore, passphrase);
+
+  try {
+    const { mnemonic, ...packedKeys } = unpackSecrets(plaintext);
+    const seed = mnemonicToSeed(mnemonic);
+    const keys = {};
+    WALLET_KEYS.forEach((k) => {
+      keys[k.secret] = Buffer.from(packedKeys[k.secret]);
+    });
+    const wordCount = mnemonic.toString('latin1').split(' ').length;
+
+    const identity = describeSecrets(seed, keys);
+    const mismatch = identity.accountXpub !== keystore.accountXpub
+      || WALLET_KEYS.some(k => identity[k.address] !== (keystore[k.address] || null));
+
+    if (mismatch) {
+      [seed, ...Object.values(keys)].forEach(b => b.fill(0));
+      throw new Error('Keystore secrets do not match its recorded xpub and addresses');
+    }
+
+    return { seed, ...keys, wordCount };
+  } finally {
+    plaintext.fill(0);
+  }
+};
+
+/**
+ * Read a keystore file
+ * @param {string} file - Path
+ * @returns {object} Keystore
+ */
+const readKeystoreFile = (file) => {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Write a keystore file, readable by the owner only
+ * Written to a temporary file and renamed so a crash never leaves a half-written keystore
+ * @param {string} file - Path
+ * @param {object} keystore
+ */
+const writeKeystoreFile = (file, keystore) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, file);
+};
+
+/**
+ * Prompt for a secret on the terminal without echoing it
+ * @param {string} question
+ * @returns {Promise<Buffer>}
+ */
+const promptHidden = (question) => {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+
+    if (!stdin.isTTY) {
+      reject(new Error(`No terminal to prompt on for "${question.replace(/:\s*$/, '')}"`));
+      return;
+    }
+
+    const bytes = [];
+    process.stdout.write(question);
+
+    const finish = (error) => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stdout.write('\n');
+
+      if (error) {
+        bytes.fill(0);
+        reject(error);
+        return;
+      }
+
+      const secret = Buffer.from(bytes);
+      bytes.fill(0);
+      resolve(secret);
+    };
+
+    const onData = (chunk) => {
+      for (const byte of chunk) {
+        if (byte === 3) { // Ctrl+C
+          chunk.fill(0);
+          finish(new Error('Cancelled'));
+          return;
+        }
+        if (byte === 13 || byte === 10) {
+          chunk.fill(0);
+          finish();
+          return;
+        }
+        if (byte === 127 || byte === 8) { // Backspace
+          bytes.pop();
+          continue;
+        }
+        bytes.push(byte);
+      }
+      chunk.fill(0);
+    };
+
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+};
+
+/**
+ * Read a passphrase from a file descriptor, or prompt for it
+ * @param {object} options - { fd: descriptor number, prompt: question for the terminal }
+ * @returns {Promise<Buffer>} Passphrase - zero it when done
+ */
+const readPassphrase = async ({ fd = null, prompt = 'Keystore passphrase: ' } = {}) => {
+  if (fd === null || fd === undefined || fd === '') {
+    return promptHidden(prompt);
+  }
+
+  const descriptor = parseInt(fd);
+  const raw = fs.readFileSync(descriptor);
+  fs.closeSync(descriptor);
+
+  // Drop the trailing newline an echo or heredoc adds
+  let end = raw.length;
+  while (end > 0 && (raw[end - 1] === 10 || raw[end - 1] === 13)) {
+    end--;
+  }
+
+  const passphrase = Buffer.from(raw.subarray(0, end));
+  raw.fill(0);
+  return passphrase;
+};
+
+/**
+ * Unlock a keystore for this process
+ * @param {string} file - Keystore path
+ * @param {Buffer} passphrase
+ * @returns {object} { accountXpub, masterAddress, stakingAddress, gasFundingAddress, wordCount }
+ */
+const unlock = (file, passphrase) => {
+  const keystore = readKeystoreFile(file);
+  const secrets = openKeystore(keystore, passphrase);
+
+  lock();
+  unlocked = { ...secrets, accountXpub: keystore.accountXpub, path: file };
+
+  return {
+    accountXpub: keystore.accountXpub,
+    masterAddress: keystore.masterAddress,
+    stakingAddress: keystore.stakingAddress || null,
+    gasFundingAddress: keystore.gasFundingAddress || null,
+    wordCount: secrets.wordCount,
+  };
+};
+
+/**
+ * Unlock KEYSTORE_PATH at startup, reading the passphrase from KEYSTORE_PASSPHRASE_FD or the terminal
+ * @returns {Promise<object|null>} See unlock(), or null if no keystore is configured
+ */
+const unlockAtStartup = async () => {
+  if (!KEYSTORE_PATH) {
+    return null;
+  }
+
+  if (!KEYSTORE_PASSPHRASE_FD && !process.stdin.isTTY) {
+    throw new Error('KEYSTORE_PASSPHRASE_FD is not set and there is no terminal to prompt for the passphrase');
+  }
+
+  const passphrase = await readPassphrase({ fd: KEYSTORE_PASSPHRASE_FD });
+  try {
+    return unlock(KEYSTORE_PATH, passphrase);
+  } finally {
+    passphrase.fill(0);
+  }
+};
+
+/**
+ * Zero and forget the unlocked secrets
+ */
+const lock = () => {
+  if (unlocked) {
+    unlocked.seed.fill(0);
+    WALLET_KEYS.forEach(k => unlocked[k.secret].fill(0));
+    unlocked = null;
+  }
+};
+
+/**
+ * Whether a keystore is unlocked in this process
+ * @returns {boolean}
+ */
+const isUnlocked = () => unlocked !== null;
+
+/**
+ * Get a copy of an unlocked secret
+ * @param {string} name - 'seed', 'masterPrivateKey', 'stakingPrivateKey' or 'gasFundingPrivateKey'
+ * @returns {Buffer|null} Copy - zero it when done; null if locked or not in the keystore
+ */
+const getSecret = (name) => {
+  if (!unlocked || !unlocked[name] || unlocked[name].length === 0) {
+    return null;
+  }
+  return Buffer.from(unlocked[name]);
+};
+
+/**
+ * Get the account xpub of the unlocked keystore
+ * @returns {string|null}
+ */
+const getAccountXpub = () => (unlocked ? unlocked.accountXpub : null);
+
+/**
+ * Get the word count of the unlocked mnemonic
+ * @returns {number|null}
+ */
+const getWordCount = () => (unlocked ? unlocked.wordCount : null);
+
+/**
+ * Check the environment for plaintext secrets
+ * They are refused in production: keys belong in the keystore
+ * @returns {string|null} Error message, or null if the environment is acceptable
+ */
+const checkPlaintextSecrets = () => {
+  const present = PLAINTEXT_SECRETS.filter(name => process.env[name]);
+
+  if (process.env.NODE_ENV !== 'production' || present.length === 0) {
+    return null;
+  }
+
+  const names = present.length > 1 ? `${present.slice(0, -1).join(', ')} and ${present[present.length - 1]}` : present[0];
+  return `${names} must not be set in production - keys belong in the signer's keystore (npm run keystore -- create)`;
+};
+
+module.exports = {
+  createKeystore,
+  rotateKeystore,
+  openKeystore,
+  readKeystoreFile,
+  writeKeystoreFile,
+  readPassphrase,
+  unlock,
+  unlockAtStartup,
+  lock,
+  isUnlocked,
+  getSecret,
+  getWordCount,
+  getAccountXpub,
+  checkPlaintextSecrets,
+};
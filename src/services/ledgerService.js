@@ -0,0 +1,708 @@
+/**
+ * Ledger Service
+ * Double-entry ledger every balance change goes through
+ *
+ * Each money movement is one journal entry whose postings (legs) sum to zero per currency.
+ * Amounts are integers in the currency's minor unit (KES cents, USDT sun, TRX sun, and the on-chain
+ * unit of any other deposit token in the token registry, see tokenService); a posting
+ * is stored signed, debit positive and credit negative. Account balances are cached on
+ * ledger_accounts in the account's normal direction (debit for assets and expenses, credit for
+ * liabilities, equity and revenue), and users.balance_cents mirrors each user's KES account.
+ *
+ * Accounts:
+ *   user:<id>            Liability (KES)     - what the platform owes the user
+ *   deposit_clearing     Asset (tokens)      - tokens credited to users but still on deposit addresses
+ *   hot_wallet           Asset (tokens/TRX)  - the master wallet
+ *   withdrawal_clearing  Liability (USDT)    - USDT owed to withdrawals that have not settled on chain
+ *   fx_conversion        Equity (KES/tokens) - the other side of every token <-> KES conversion
+ *   fx_spread            Revenue (KES)       - difference between the mid rate and the rate applied
+ *   gas_wallet           Asset (TRX)         - the wallet that tops up deposit addresses with gas for sweeps
+ *   fees                 Expense (TRX)       - network fees paid by the hot wallet and gas sent for sweeps
+ *   opening_balance      Equity (KES)        - balances that predate the ledger
+ *   recovered_funds      Equity (tokens)     - tokens swept that no deposit was credited for: from deposit addresses
+ *                                            no user is assigned to, or beyond what a user was credited (deposits
+ *                                            rejected by limits, dust below the minimum, direct transfers)
+ */
+
+const db = require('../config/db');
+const rateService = require('./rateService');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
+
+const ACCOUNTS = {
+  DEPOSIT_CLEARING: 'deposit_clearing',
+  HOT_WALLET: 'hot_wallet',
+  WITHDRAWAL_CLEARING: 'withdrawal_clearing',
+  FX_CONVERSION: 'fx_conversion',
+  FX_SPREAD: 'fx_spread',
+  GAS_WALLET: 'gas_wallet',
+  FEES: 'fees',
+  OPENING_BALANCE: 'opening_balance',
+  RECOVERED_FUNDS: 'recovered_funds',
+};
+
+const ACCOUNT_TYPES = {
+  [ACCOUNTS.DEPOSIT_CLEARING]: 'asset',
+  [ACCOUNTS.HOT_WALLET]: 'asset',
+  [ACCOUNTS.WITHDRAWAL_CLEARING]: 'liability',
+  [ACCOUNTS.FX_CONVERSION]: 'equity',
+  [ACCOUNTS.FX_SPREAD]: 'revenue',
+  [ACCOUNTS.GAS_WALLET]: 'asset',
+  [ACCOUNTS.FEES]: 'expense',
+  [ACCOUNTS.OPENING_BALANCE]: 'equity',
+  [ACCOUNTS.RECOVERED_FUNDS]: 'equity',
+};
+
+const CURRENCY_DECIMALS = {
+  KES: money.KES_DECIMALS,
+  USDT: money.USDT_DECIMALS,
+  TRX: money.TRX_DECIMALS,
+};
+
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+/**
+ * Minor unit decimals of a ledger currency: KES, TRX or a registered token
+ * @param {string} currency - Currency code
+ * @returns {number|null} Decimals, or null if the currency is unknown
+ */
+const currencyDecimals = (currency) => {
+  return CURRENCY_DECIMALS[currency] !== undefined ? CURRENCY_DECIMALS[currency] : tokenService.getDecimals(currency);
+};
+
+/**
+ * Ledger account code for a user
+ * @param {number} userId - User ID
+ * @returns {string}
+ */
+const userAccount = (userId) => `user:${userId}`;
+
+/**
+ * Get a ledger account, creating it on first use
+ * Must run inside a db.transaction()
+ * @param {string} code - Account code
+ * @param {string} currency - Currency code
+ * @returns {object} ledger_accounts row
+ */
+const getOrCreateAccount = (code, currency) => {
+  const existing = db.prepare('SELECT * FROM ledger_accounts WHERE code = ? AND currency = ?').get(code, currency);
+
+  if (existing) {
+    return existing;
+  }
+
+  let type = ACCOUNT_TYPES[code];
+  let userId = null;
+
+  if (code.startsWith('user:')) {
+    if (currency !== 'KES') {
+      throw new Error(`User accounts are held in KES, not ${currency}`);
+    }
+    type = 'liability';
+    userId = parseInt(code.slice('user:'.length));
+  }
+
+  if (!type) {
+    throw new Error(`Unknown ledger account: ${code}`);
+  }
+
+  const result = db.prepare(
+    'INSERT INTO ledger_accounts (code, currency, type, user_id) VALUES (?, ?, ?, ?)'
+  ).run(code, currency, type, userId);
+
+  return db.prepare('SELECT * FROM ledger_accounts WHERE id = ?').get(result.lastInsertRowid);
+};
+
+/**
+ * Post a journal entry
+ * Each leg is { account, currency, debit } or { account, currency, credit } in minor units; a negative
+ * amount posts to the other side and zero-amount legs are dropped. Runs in its own transaction, or as
+ * part of the caller's when called inside one.
+ * @param {object} entry - { type, legs, referenceType, referenceId, description, reversesEntryId, legacyTransactionId, createdAt, allowOverdraft }
+ * @returns {object} { entryId, postings: [{ account, currency, amount, balanceAfter }] }
+ */
+const post = ({
+  type,
+  legs,
+  referenceType = null,
+  referenceId = null,
+  description = null,
+  reversesEntryId = null,
+  legacyTransactionId = null,
+  createdAt = null,
+  allowOverdraft = false,
+}) => {
+  const signedLegs = legs
+    .map(leg => ({ account: leg.account, currency: leg.currency, amount: (leg.debit || 0) - (leg.credit || 0) }))
+    .filter(leg => leg.amount !== 0);
+
+  for (const leg of signedLegs) {
+    if (!Number.isSafeInteger(leg.amount)) {
+      throw new Error(`Ledger amounts must be integers in minor units (${leg.account}: ${leg.amount})`);
+    }
+    if (currencyDecimals(leg.currency) === null) {
+      throw new Error(`Unsupported ledger currency: ${leg.currency}`);
+    }
+  }
+
+  if (signedLegs.length < 2) {
+    throw new Error('A journal entry needs at least two non-zero legs');
+  }
+
+  const totals = {};
+  for (const leg of signedLegs) {
+    totals[leg.currency] = (totals[leg.currency] || 0) + leg.amount;
+  }
+
+  for (const [currency, total] of Object.entries(totals)) {
+    if (total !== 0) {
+      throw new Error(`Unbalanced journal entry: ${currency} legs sum to ${total}`);
+    }
+  }
+
+  const postTx = db.transaction(() => {
+    const entryResult = db.prepare(
+      `INSERT INTO journal_entries (type, reference_type, reference_id, reverses_entry_id, legacy_transaction_id, description, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))`
+    ).run(type, referenceType, referenceId, reversesEntryId, legacyTransactionId, description, createdAt);
+
+    const entryId = entryResult.lastInsertRowid;
+
+    const postings = signedLegs.map((leg) => {
+      const account = getOrCreateAccount(leg.account, leg.currency);
+      const change = DEBIT_NORMAL_TYPES.includes(account.type) ? leg.amount : -leg.amount;
+      const balanceAfter = account.balance_minor + change;
+
+      if (account.user_id !== null && balanceAfter < 0 && !allowOverdraft) {
+        throw new Error(`Posting would overdraw ${account.code} (balance ${money.formatKes(account.balance_minor)} KES)`);
+      }
+
+      db.prepare(
+        "UPDATE ledger_accounts SET balance_minor = ?, updated_at = datetime('now') WHERE id = ?"
+      ).run(balanceAfter, account.id);
+
+      db.prepare(
+        'INSERT INTO journal_postings (entry_id, account_id, amount_minor, balance_after_minor) VALUES (?, ?, ?, ?)'
+      ).run(entryId, account.id, leg.amount, balanceAfter);
+
+      // The user's balance is a cache of their ledger account
+      if (account.user_id !== null) {
+        db.prepare("UPDATE users SET balance_cents = ?, updated_at = datetime('now') WHERE id = ?")
+          .run(balanceAfter, account.user_id);
+      }
+
+      return { account: leg.account, currency: leg.currency, amount: leg.amount, balanceAfter };
+    });
+
+    return { entryId, postings };
+  });
+
+  return postTx();
+};
+
+/**
+ * Swap the sides of a set of legs
+ * @param {Array} legs - Legs as passed to post()
+ * @returns {Array}
+ */
+const invertLegs = (legs) => legs.map(({ debit, credit, ...leg }) => ({ ...leg, debit: credit || 0, credit: debit || 0 }));
+
+/**
+ * Post the exact reverse of an earlier entry
+ * @param {number} entryId - Entry to reverse
+ * @param {object} entry - { type, description, referenceType, referenceId }; references default to the original's
+ * @returns {object} Result of post()
+ */
+const reverse = (entryId, { type, description = null, referenceType, referenceId }) => {
+  const original = db.prepare('SELECT * FROM journal_entries WHERE id = ?').get(entryId);
+
+  if (!original) {
+    throw new Error(`Journal entry ${entryId} not found`);
+  }
+
+  const legs = db.prepare(
+    `SELECT a.code, a.currency, p.amount_minor
+     FROM journal_postings p JOIN ledger_accounts a ON a.id = p.account_id
+     WHERE p.entry_id = ?
+     ORDER BY p.id`
+  ).all(entryId).map(p => ({ account: p.code, currency: p.currency, credit: p.amount_minor }));
+
+  return post({
+    type,
+    legs,
+    description,
+    referenceType: referenceType === undefined ? original.reference_type : referenceType,
+    referenceId: referenceId === undefined ? original.reference_id : referenceId,
+    reversesEntryId: entryId,
+  });
+};
+
+/**
+ * Find the entry of a given type posted for a record
+ * @param {string} type - Entry type
+ * @param {string} referenceType - e.g. 'deposit', 'withdrawal'
+ * @param {number} referenceId - Record ID
+ * @returns {object|null} journal_entries row
+ */
+const findEntry = (type, referenceType, referenceId) => {
+  return db.prepare(
+    'SELECT * FROM journal_entries WHERE type = ? AND reference_type = ? AND reference_id = ? ORDER BY id DESC LIMIT 1'
+  ).get(type, referenceType, referenceId) || null;
+};
+
+/**
+ * Legs for a deposit credited to a user
+ * The token lands in deposit clearing; the user is credited at the applied (buy) rate and the
+ * difference to the mid rate goes to FX spread
+ * @param {object} params - { userId, token (default USDT), amount (token minor units), kesCents, midRate }
+ * @returns {Array} Legs
+ */
+const depositLegs = ({ userId, token = 'USDT', amount, kesCents, midRate }) => {
+  const midCents = money.tokenToKesCents(amount, currencyDecimals(token), midRate, money.ROUNDING.DOWN);
+
+  return [
+    { account: ACCOUNTS.DEPOSIT_CLEARING, currency: token, debit: amount },
+    { account: ACCOUNTS.FX_CONVERSION, currency: token, credit: amount },
+    { account: ACCOUNTS.FX_CONVERSION, currency: 'KES', debit: midCents },
+    { account: userAccount(userId), currency: 'KES', credit: kesCents },
+    { account: ACCOUNTS.FX_SPREAD, currency: 'KES', credit: midCents - kesCents },
+  ];
+};
+
+/**
+ * Legs for a withdrawal debited from a user
+ * The USDT is owed through withdrawal clearing until the transfer settles on chain
+ * @param {object} params - { userId, kesCents, usdtSun, midRate }
+ * @returns {Array} Legs
+ */
+const withdrawalLegs = ({ userId, kesCents, usdtSun, midRate }) => {
+  const midCents = money.usdtSunToKesCents(usdtSun, midRate, money.ROUNDING.DOWN);
+
+  return [
+    { account: userAccount(userId), currency: 'KES', debit: kesCents },
+    { account: ACCOUNTS.FX_CONVERSION, currency: 'KES', credit: midCents },
+    { account: ACCOUNTS.FX_SPREAD, currency: 'KES', credit: kesCents - midCents },
+    { account: ACCOUNTS.FX_CONVERSION, currency: 'USDT', debit: usdtSun },
+    { account: ACCOUNTS.WITHDRAWAL_CLEARING, currency: 'USDT', credit: usdtSun },
+  ];
+};
+
+/**
+ * Legs for a withdrawal transfer that confirmed on chain
+ * @param {number} usdtSun - USDT sent
+ * @returns {Array} Legs
+ */
+const settlementLegs = (usdtSun) => [
+  { account: ACCOUNTS.WITHDRAWAL_CLEARING, currency: 'USDT', debit: usdtSun },
+  { account: ACCOUNTS.HOT_WALLET, currency: 'USDT', credit: usdtSun },
+];
+
+/**
+ * Legs for a network fee paid by the hot wallet
+ * @param {number} feeSun - TRX burned, in sun
+ * @returns {Array} Legs
+ */
+const networkFeeLegs = (feeSun) => [
+  { account: ACCOUNTS.FEES, currency: 'TRX', debit: feeSun },
+  { account: ACCOUNTS.HOT_WALLET, currency: 'TRX', credit: feeSun },
+];
+
+/**
+ * Legs for TRX sent from the gas wallet to a deposit address to pay for a sweep
+ * @param {number} trxSun - TRX sent, in sun
+ * @returns {Array} Legs
+ */
+const gasTopupLegs = (trxSun) => [
+  { account: ACCOUNTS.FEES, currency: 'TRX', debit: trxSun },
+  { account: ACCOUNTS.GAS_WALLET, currency: 'TRX', credit: trxSun },
+];
+
+/**
+ * Legs for tokens swept from a user's deposit address to the hot wallet
+ * Only what was credited to the user clears deposit clearing; the rest of the balance swept was never
+ * credited (see getUnclearedDeposits) and is recognised as recovered funds
+ * @param {number} amount - Amount swept, in the token's minor unit
+ * @param {string} token - Token symbol (default USDT)
+ * @param {number} credited - Credited deposits the sweep clears (default the whole amount); capped at amount
+ * @returns {Array} Legs
+ */
+const sweepLegs = (amount, token = 'USDT', credited = amount) => {
+  const cleared = Math.min(amount, credited);
+
+  return [
+    { account: ACCOUNTS.HOT_WALLET, currency: token, debit: amount },
+    { account: ACCOUNTS.DEPOSIT_CLEARING, currency: token, credit: cleared },
+    { account: ACCOUNTS.RECOVERED_FUNDS, currency: token, credit: amount - cleared },
+  ];
+};
+
+/**
+ * Legs for tokens swept from a deposit address no user is assigned to (found by a recovery scan)
+ * No deposit was credited for it, so it is recognised as recovered funds instead of clearing a deposit
+ * @param {number} amount - Amount swept, in the token's minor unit
+ * @param {string} token - Token symbol (default USDT)
+ * @returns {Array} Legs
+ */
+const recoveredSweepLegs = (amount, token = 'USDT') => [
+  { account: ACCOUNTS.HOT_WALLET, currency: token, debit: amount },
+  { account: ACCOUNTS.RECOVERED_FUNDS, currency: token, credit: amount },
+];
+
+/**
+ * Get the deposits credited to a user that no sweep has cleared from deposit clearing yet
+ * Only deposits detected by asOf count, since a sweep can only carry what was on the address when it was built
+ * @param {number} userId - User ID
+ * @param {string} token - Token symbol
+ * @param {string} asOf - SQLite datetime, usually the sweep's created_at
+ * @returns {number} Amount in the token's minor unit
+ */
+const getUnclearedDeposits = (userId, token, asOf) => {
+  const credited = db.prepare(
+    `SELECT COALESCE(SUM(amount_minor), 0) as total FROM deposits
+     WHERE user_id = ? AND token = ? AND status = 'completed' AND created_at <= ?`
+  ).get(userId, token, asOf).total;
+
+  // What earlier sweeps actually cleared, from their ledger entries
+  const cleared = db.prepare(
+    `SELECT COALESCE(-SUM(p.amount_minor), 0) as total
+     FROM journal_postings p
+     JOIN ledger_accounts a ON a.id = p.account_id
+     JOIN journal_entries e ON e.id = p.entry_id
+     JOIN sweeps s ON s.id = e.reference_id
+     WHERE a.code = ? AND a.currency = ? AND e.type = 'sweep' AND e.reference_type = 'sweep' AND s.user_id = ?`
+  ).get(ACCOUNTS.DEPOSIT_CLEARING, token, userId).total;
+
+  return Math.max(0, credited - cleared);
+};
+
+/**
+ * Get a user's balance from their ledger account
+ * @param {number} userId - User ID
+ * @returns {number} Balance in KES cents
+ */
+const getUserBalance = (userId) => {
+  const account = db.prepare("SELECT balance_minor FROM ledger_accounts WHERE code = ? AND currency = 'KES'").get(userAccount(userId));
+  return account ? account.balance_minor : 0;
+};
+
+/**
+ * Get an account's balance
+ * @param {string} code - Account code
+ * @param {string} currency - Currency code
+ * @returns {number} Balance in minor units, in the account's normal direction (0 if never posted to)
+ */
+const getAccountBalance = (code, currency) => {
+  const account = db.prepare('SELECT balance_minor FROM ledger_accounts WHERE code = ? AND currency = ?').get(code, currency);
+  return account ? account.balance_minor : 0;
+};
+
+/**
+ * Convert minor units of a currency to a decimal amount
+ */
+const toMajor = (minor, currency) => money.fromMinorUnits(minor, currencyDecimals(currency));
+
+/**
+ * Get a user's ledger history, newest first
+ * @param {number} userId - User ID
+ * @param {object} params - { type, limit, offset }
+ * @returns {object} { postings, total } with amounts in KES cents
+ */
+const getUserHistory = (userId, { type = null, limit = 20, offset = 0 } = {}) => {
+  const filter = type ? ' AND e.type = ?' : '';
+  const params = type ? [userAccount(userId), type] : [userAccount(userId)];
+
+  const postings = db.prepare(
+    `SELECT p.id, p.entry_id, e.type, p.amount_minor, p.balance_after_minor, e.reference_type, e.reference_id, e.description, e.created_at
+     FROM journal_postings p
+     JOIN ledger_accounts a ON a.id = p.account_id
+     JOIN journal_entries e ON e.id = p.entry_id
+     WHERE a.code = ? AND a.currency = 'KES'${filter}
+     ORDER BY p.id DESC
+     LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(
+    `SELECT COUNT(*) as total
+     FROM journal_postings p
+     JOIN ledger_accounts a ON a.id = p.account_id
+     JOIN journal_entries e ON e.id = p.entry_id
+     WHERE a.code = ? AND a.currency = 'KES'${filter}`
+  ).get(...params);
+
+  return { postings, total: countResult.total };
+};
+
+/**
+ * Get system account balances, total user liabilities and the trial balance per currency
+ * @returns {object} { accounts, userLiabilities, trialBalance }
+ */
+const getBalances = () => {
+  const accounts = db.prepare(
+    'SELECT code, currency, type, balance_minor, updated_at FROM ledger_accounts WHERE user_id IS NULL ORDER BY code, currency'
+  ).all();
+
+  const liabilities = db.prepare(
+    "SELECT COUNT(*) as accounts, COALESCE(SUM(balance_minor), 0) as total FROM ledger_accounts WHERE user_id IS NOT NULL AND currency = 'KES'"
+  ).get();
+
+  const totals = db.prepare(
+    `SELECT a.currency,
+            COALESCE(SUM(CASE WHEN p.amount_minor > 0 THEN p.amount_minor ELSE 0 END), 0) as debits,
+            COALESCE(SUM(CASE WHEN p.amount_minor < 0 THEN -p.amount_minor ELSE 0 END), 0) as credits
+     FROM journal_postings p JOIN ledger_accounts a ON a.id = p.account_id
+     GROUP BY a.currency`
+  ).all();
+
+  return {
+    accounts: accounts.map(a => ({
+      code: a.code,
+      currency: a.currency,
+      type: a.type,
+      balance: toMajor(a.balance_minor, a.currency),
+      updatedAt: a.updated_at,
+    })),
+    userLiabilities: {
+      accounts: liabilities.accounts,
+      currency: 'KES',
+      total: money.centsToKes(liabilities.total),
+    },
+    trialBalance: totals.map(t => ({
+      currency: t.currency,
+      debits: toMajor(t.debits, t.currency),
+      credits: toMajor(t.credits, t.currency),
+      balanced: t.debits === t.credits,
+    })),
+  };
+};
+
+/**
+ * List journal entries with their postings, newest first
+ * @param {object} params - { referenceType, referenceId, userId, limit, offset }
+ * @returns {object} { entries, total }
+ */
+const getEntries = ({ referenceType = null, referenceId = null, userId = null, limit = 20, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (referenceType) {
+    conditions.push('e.reference_type = ?');
+    params.push(referenceType);
+  }
+
+  if (referenceId) {
+    conditions.push('e.reference_id = ?');
+    params.push(referenceId);
+  }
+
+  if (userId) {
+    conditions.push('e.id IN (SELECT p.entry_id FROM journal_postings p JOIN ledger_accounts a ON a.id = p.account_id WHERE a.user_id = ?)');
+    params.push(userId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const entries = db.prepare(
+    `SELECT * FROM journal_entries e ${where} ORDER BY e.id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(`SELECT COUNT(*) as total FROM journal_entries e ${where}`).get(...params);
+
+  const getPostings = db.prepare(
+    `SELECT a.code, a.currency, p.amount_minor, p.balance_after_minor
+     FROM journal_postings p JOIN ledger_accounts a ON a.id = p.account_id
+     WHERE p.entry_id = ?
+     ORDER BY p.id`
+  );
+
+  return {
+    entries: entries.map(e => ({
+      id: e.id,
+      type: e.type,
+      referenceType: e.reference_type,
+      referenceId: e.reference_id,
+      reversesEntryId: e.reverses_entry_id,
+      description: e.description,
+      createdAt: e.created_at,
+      postings: getPostings.all(e.id).map(p => ({
+        account: p.code,
+        currency: p.currency,
+        debit: p.amount_minor > 0 ? toMajor(p.amount_minor, p.currency) : 0,
+        credit: p.amount_minor < 0 ? toMajor(-p.amount_minor, p.currency) : 0,
+        balanceAfter: toMajor(p.balance_after_minor, p.currency),
+      })),
+    })),
+    total: countResult.total,
+  };
+};
+
+/**
+ * Migrate the legacy transactions log into journal entries
+ * Deposits, withdrawals and refunds are rebuilt with the same legs as live postings; anything else
+ * (or a row whose deposit or withdrawal is gone) is posted against opening_balance. Each user then
+ * gets an opening balance entry for whatever their cached balance held beyond the migrated history,
+ * and confirmed withdrawals and completed sweeps are settled so the USDT accounts line up.
+ * Safe to run repeatedly: migrated rows are linked by legacy_transaction_id.
+ */
+const migrateLegacyTransactions = () => {
+  const pending = db.prepare(
+    `SELECT t.* FROM transactions t
+     WHERE NOT EXISTS (SELECT 1 FROM journal_entries e WHERE e.legacy_transaction_id = t.id)
+     ORDER BY t.id`
+  ).all();
+
+  const unopened = db.prepare(
+    `SELECT u.id FROM users u
+     WHERE u.balance_cents != 0 AND NOT EXISTS (SELECT 1 FROM ledger_accounts a WHERE a.user_id = u.id)`
+  ).all();
+
+  if (pending.length === 0 && unopened.length === 0) {
+    return;
+  }
+
+  const migrate = db.transaction(() => {
+    // Cached balances are overwritten as entries are posted, so read them first
+    const cachedBalances = db.prepare('SELECT id, balance_cents, created_at FROM users').all();
+
+    const legacyChange = {};
+    for (const t of pending) {
+      legacyChange[t.user_id] = (legacyChange[t.user_id] || 0) + (t.balance_after_cents - t.balance_before_cents);
+    }
+
+    for (const user of cachedBalances) {
+      const opening = user.balance_cents - getUserBalance(user.id) - (legacyChange[user.id] || 0);
+
+      if (opening !== 0) {
+        post({
+          type: 'opening_balance',
+          legs: [
+            { account: ACCOUNTS.OPENING_BALANCE, currency: 'KES', debit: opening },
+            { account: userAccount(user.id), currency: 'KES', credit: opening },
+          ],
+          referenceType: 'user',
+          referenceId: user.id,
+          description: 'Opening balance from before the ledger',
+          createdAt: user.created_at,
+          allowOverdraft: true,
+        });
+      }
+    }
+
+    const getDeposit = db.prepare('SELECT * FROM deposits WHERE id = ?');
+    const getWithdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?');
+
+    for (const t of pending) {
+      const change = t.balance_after_cents - t.balance_before_cents;
+      const deposit = t.type === 'deposit' && t.reference_type === 'deposit' ? getDeposit.get(t.reference_id) : null;
+      const withdrawal = ['withdrawal', 'refund'].includes(t.type) && t.reference_type === 'withdrawal'
+        ? getWithdrawal.get(t.reference_id)
+        : null;
+
+      let type = 'adjustment';
+      let legs = [
+        { account: ACCOUNTS.OPENING_BALANCE, currency: 'KES', debit: change },
+        { account: userAccount(t.user_id), currency: 'KES', credit: change },
+      ];
+
+      if (deposit) {
+        type = 'deposit';
+        legs = depositLegs({
+          userId: t.user_id,
+          amount: deposit.amount_minor,
+          kesCents: change,
+          midRate: rateService.getMidRate(deposit.exchange_rate_id, deposit.exchange_rate),
+        });
+      } else if (withdrawal) {
+        type = t.type;
+        legs = withdrawalLegs({
+          userId: t.user_id,
+          kesCents: t.type === 'withdrawal' ? -change : change,
+          usdtSun: withdrawal.usdt_amount_sun,
+          midRate: rateService.getMidRate(withdrawal.exchange_rate_id, withdrawal.exchange_rate),
+        });
+        if (t.type === 'refund') {
+          legs = invertLegs(legs);
+        }
+      }
+
+      post({
+        type,
+        legs,
+        referenceType: t.reference_type,
+        referenceId: t.reference_id,
+        description: t.description,
+        legacyTransactionId: t.id,
+        createdAt: t.created_at,
+        allowOverdraft: true,
+      });
+    }
+
+    // Settle what already happened on chain
+    const settledWithdrawals = db.prepare(
+      `SELECT w.* FROM withdrawals w
+       WHERE w.status IN ('confirmed', 'completed')
+         AND EXISTS (SELECT 1 FROM journal_entries e WHERE e.type = 'withdrawal' AND e.reference_type = 'withdrawal' AND e.reference_id = w.id)
+         AND NOT EXISTS (SELECT 1 FROM journal_entries e WHERE e.type = 'withdrawal_settlement' AND e.reference_type = 'withdrawal' AND e.reference_id = w.id)`
+    ).all();
+
+    for (const w of settledWithdrawals) {
+      post({
+        type: 'withdrawal_settlement',
+        legs: [...settlementLegs(w.usdt_amount_sun), ...networkFeeLegs(w.fee_sun || 0)],
+        referenceType: 'withdrawal',
+        referenceId: w.id,
+        description: `USDT withdrawal settled: ${w.tx_hash}`,
+        createdAt: w.completed_at || w.updated_at,
+      });
+    }
+
+    const sweeps = db.prepare(
+      `SELECT s.* FROM sweeps s
+       WHERE s.status = 'confirmed'
+         AND NOT EXISTS (SELECT 1 FROM journal_entries e WHERE e.type = 'sweep' AND e.reference_type = 'sweep' AND e.reference_id = s.id)`
+    ).all();
+
+    for (const s of sweeps) {
+      post({
+        type: 'sweep',
+        legs: s.user_id === null
+          ? recoveredSweepLegs(s.amount_minor, s.token)
+          : sweepLegs(s.amount_minor, s.token, getUnclearedDeposits(s.user_id, s.token, s.created_at)),
+        referenceType: 'sweep',
+        referenceId: s.id,
+        description: `${s.token} swept from ${s.from_address}`,
+        createdAt: s.created_at,
+      });
+    }
+
+    return { transactions: pending.length, withdrawals: settledWithdrawals.length, sweeps: sweeps.length };
+  });
+
+  const result = migrate();
+
+  console.log(`✅ Migrated ${result.transactions} transaction(s), ${result.withdrawals} settled withdrawal(s) and ${result.sweeps} sweep(s) into the ledger`);
+};
+
+// Migrate on load, like the schema in config/db
+migrateLegacyTransactions();
+
+module.exports = {
+  ACCOUNTS,
+  userAccount,
+  post,
+  reverse,
+  invertLegs,
+  findEntry,
+  depositLegs,
+  withdrawalLegs,
+  settlementLegs,
+  networkFeeLegs,
+  gasTopupLegs,
+  sweepLegs,
+  recoveredSweepLegs,
+  getUnclearedDeposits,
+  getUserBalance,
+  getAccountBalance,
+  getUserHistory,
+  getBalances,
+  getEntries,
+};
@@ -0,0 +1,167 @@
+/**
+ * Quote Service
+ * Locks an exchange rate for one user for a short window
+ *
+ * Withdrawal quotes lock the sell rate for a specific amount and are consumed by the withdrawal
+ * that uses them. Deposit quotes lock the buy rate for every transfer to the user's address whose
+ * block timestamp falls inside the window; the amount on a deposit quote is only an estimate.
+ * Quotes are for USDT; they also apply to deposits of other tokens priced from the USDT/KES rate.
+ */
+
+const db = require('../config/db');
+const rateService = require('./rateService');
+const money = require('../utils/money');
+
+const WITHDRAWAL_QUOTE_TTL_SECONDS = parseInt(process.env.WITHDRAWAL_QUOTE_TTL_SECONDS) || 60;
+const DEPOSIT_QUOTE_TTL_SECONDS = parseInt(process.env.DEPOSIT_QUOTE_TTL_SECONDS) || 30 * 60; // 30 minutes
+
+/**
+ * Format a rate_quotes row for API responses
+ */
+const formatQuote = (q) => ({
+  quoteId: q.id,
+  direction: q.direction,
+  rate: parseFloat(q.rate),
+  rateId: q.exchange_rate_id,
+  usdtAmount: q.usdt_amount_sun === null ? null : money.sunToUsdt(q.usdt_amount_sun),
+  kesAmount: q.kes_amount_cents === null ? null : money.centsToKes(q.kes_amount_cents),
+  expiresAt: q.expires_at,
+  usedAt: q.used_at,
+  createdAt: q.created_at,
+});
+
+/**
+ * Issue a quote at the current active rate
+ * Deposits use the buy rate and withdrawals the sell rate
+ * @param {number} userId - User ID
+ * @param {object} params - { direction, usdtAmount, kesAmount } (at most one amount; withdrawals need one)
+ * @returns {object} Quote
+ */
+const createQuote = (userId, { direction, usdtAmount = null, kesAmount = null }) => {
+  if (usdtAmount !== null && kesAmount !== null) {
+    throw new Error('Provide either usdtAmount or kesAmount, not both');
+  }
+
+  if (direction === 'withdrawal' && usdtAmount === null && kesAmount === null) {
+    throw new Error('A withdrawal quote requires usdtAmount or kesAmount');
+  }
+
+  const activeRate = rateService.getActiveRate();
+  const rate = direction === 'deposit' ? activeRate.buyRate : activeRate.sellRate;
+  const ttlSeconds = direction === 'deposit' ? DEPOSIT_QUOTE_TTL_SECONDS : WITHDRAWAL_QUOTE_TTL_SECONDS;
+
+  // Round the calculated side in the house's favour: deposits credit no more KES (or need no less USDT)
+  // than the transfer is worth, withdrawals debit no less KES (or pay no more USDT) than is sent
+  let usdtSun = usdtAmount !== null ? money.usdtToSun(usdtAmount) : null;
+  let kesCents = kesAmount !== null ? money.kesToCents(kesAmount) : null;
+
+  if (usdtSun !== null) {
+    kesCents = money.usdtSunToKesCents(usdtSun, rate, direction === 'deposit' ? money.ROUNDING.DOWN : money.ROUNDING.UP);
+  } else if (kesCents !== null) {
+    usdtSun = money.kesCentsToUsdtSun(kesCents, rate, direction === 'deposit' ? money.ROUNDING.UP : money.ROUNDING.DOWN);
+  }
+
+  const result = db.prepare(
+    `INSERT INTO rate_quotes (user_id, direction, exchange_rate_id, rate, usdt_amount_sun, kes_amount_cents, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`
+  ).run(userId, direction, activeRate.id, rate, usdtSun, kesCents, `+${ttlSeconds} seconds`);
+
+  return formatQuote(db.prepare('SELECT * FROM rate_quotes WHERE id = ?').get(result.lastInsertRowid));
+};
+
+/**
+ * Get a quote belonging to a user
+ * @param {number} userId - User ID
+ * @param {number} quoteId - Quote ID
+ * @returns {object|null} Quote with an 'expired' flag
+ */
+const getQuote = (userId, quoteId) => {
+  const quote = db.prepare(
+    "SELECT *, expires_at <= datetime('now') AS expired FROM rate_quotes WHERE id = ? AND user_id = ?"
+  ).get(quoteId, userId);
+
+  if (!quote) {
+    return null;
+  }
+
+  return {
+    ...formatQuote(quote),
+    expired: quote.expired === 1,
+  };
+};
+
+/**
+ * Get a withdrawal quote that can still be used
+ * @param {number} userId - User ID
+ * @param {number} quoteId - Quote ID
+ * @returns {object} Quote
+ */
+const getUsableWithdrawalQuote = (userId, quoteId) => {
+  const quote = getQuote(userId, quoteId);
+
+  if (!quote || quote.direction !== 'withdrawal') {
+    throw new Error('Withdrawal quote not found');
+  }
+
+  if (quote.usedAt) {
+    throw new Error('Quote has already been used');
+  }
+
+  if (quote.expired) {
+    throw new Error('Quote has expired. Request a new quote');
+  }
+
+  return quote;
+};
+
+/**
+ * Mark a withdrawal quote as used
+ * Must run inside the db.transaction() that creates the withdrawal, so a quote pays out once
+ * @param {number} quoteId - Quote ID
+ */
+const consumeWithdrawalQuote = (quoteId) => {
+  const result = db.prepare(
+    `UPDATE rate_quotes SET used_at = datetime('now')
+     WHERE id = ? AND direction = 'withdrawal' AND used_at IS NULL AND expires_at > datetime('now')`
+  ).run(quoteId);
+
+  if (result.changes === 0) {
+    throw new Error('Quote has already been used or has expired');
+  }
+};
+
+/**
+ * Get the buy rate a deposit is credited at
+ * Uses the user's latest deposit quote on the same rate whose window covers the transfer, otherwise the active rate
+ * @param {number} userId - User ID
+ * @param {number} blockTimestamp - Transfer block timestamp (ms), defaults to now
+ * @param {string} currency - Currency the deposited token is priced from (the token's rateCurrency, default USDT)
+ * @returns {object} { rate, rateId, quoteId }
+ */
+const getDepositRate = (userId, blockTimestamp = null, currency = 'USDT') => {
+  const seconds = Math.floor((blockTimestamp || Date.now()) / 1000);
+
+  const quote = db.prepare(
+    `SELECT q.id, q.rate, q.exchange_rate_id FROM rate_quotes q
+     JOIN exchange_rates r ON r.id = q.exchange_rate_id
+     WHERE q.user_id = ? AND q.direction = 'deposit' AND r.from_currency = ?
+       AND q.created_at <= datetime(?, 'unixepoch') AND q.expires_at > datetime(?, 'unixepoch')
+     ORDER BY q.id DESC
+     LIMIT 1`
+  ).get(userId, currency, seconds, seconds);
+
+  if (quote) {
+    return { rate: parseFloat(quote.rate), rateId: quote.exchange_rate_id, quoteId: quote.id };
+  }
+
+  const activeRate = rateService.getActiveRate(currency);
+  return { rate: activeRate.buyRate, rateId: activeRate.id, quoteId: null };
+};
+
+module.exports = {
+  createQuote,
+  getQuote,
+  getUsableWithdrawalQuote,
+  consumeWithdrawalQuote,
+  getDepositRate,
+};
@@ -0,0 +1,120 @@
+/**
+ * Exchange Rate Providers
+ * Adapters the rate refresher polls for the USDT/KES mid rate
+ *
+ * Every provider exposes the same interface:
+ *   { name, fetchRate: async () => ({ rate, timestamp }) }
+ * where timestamp (ms) is when the feed produced the rate, or null if the feed does not say.
+ */
+
+const axios = require('axios');
+
+/**
+ * Read a value from an object by dot path, e.g. 'data.rates.KES' or 'tickers.0.last'
+ * @param {object} obj - Source object
+ * @param {string} path - Dot-separated path (array indices as numbers)
+ * @returns {*} Value or undefined
+ */
+const getPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+/**
+ * Normalize a feed timestamp to milliseconds
+ * Accepts seconds, milliseconds or an ISO date string
+ * @param {*} value - Raw timestamp
+ * @returns {number|null} Milliseconds since epoch
+ */
+const toMillis = (value) => {
+  if (value == null || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Generic JSON-over-HTTP provider
+ * @param {object} options - { url, ratePath, timestampPath, headers, timeoutMs }
+ * @returns {object} Provider
+ */
+const createHttpJsonProvider = ({ url, ratePath, timestampPath = null, headers = {}, timeoutMs = 10000 }) => {
+  if (!url || !ratePath) {
+    throw new Error('HTTP rate provider requires a URL and a rate path');
+  }
+
+  return {
+    name: `http:${new URL(url).host}`,
+
+    fetchRate: async () => {
+      const response = await axios.get(url, { headers, timeout: timeoutMs });
+      const rate = parseFloat(getPath(response.data, ratePath));
+
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`No valid rate at "${ratePath}" in response from ${url}`);
+      }
+
+      return {
+        rate,
+        timestamp: timestampPath ? toMillis(getPath(response.data, timestampPath)) : null,
+      };
+    },
+  };
+};
+
+/**
+ * Static provider - always returns a fixed rate (manual pricing, or for testing)
+ * @param {object} options - { rate }
+ * @returns {object} Provider
+ */
+const createStaticProvider = ({ rate }) => {
+  if (!(rate > 0)) {
+    throw new Error('Static rate provider requires a positive rate');
+  }
+
+  return {
+    name: 'static',
+
+    fetchRate: async () => ({
+      rate,
+      timestamp: Date.now(),
+    }),
+  };
+};
+
+/**
+ * Build the provider configured by RATE_PROVIDER_* environment variables
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {object|null} Provider, or null when automatic refresh is disabled
+ */
+const createProviderFromEnv = (env = process.env) => {
+  const type = (env.RATE_PROVIDER || 'none').toLowerCase();
+
+  switch (type) {
+    case 'none':
+      return null;
+    case 'static':
+      return createStaticProvider({ rate: parseFloat(env.RATE_PROVIDER_STATIC_RATE) });
+    case 'http':
+      return createHttpJsonProvider({
+        url: env.RATE_PROVIDER_URL,
+        ratePath: env.RATE_PROVIDER_RATE_PATH,
+        timestampPath: env.RATE_PROVIDER_TIMESTAMP_PATH || null,
+        headers: env.RATE_PROVIDER_API_KEY ? { Authorization: `Bearer ${env.RATE_PROVIDER_API_KEY}` } : {},
+        timeoutMs: parseInt(env.RATE_PROVIDER_TIMEOUT_MS) || 10000,
+      });
+    default:
+      throw new Error(`Unknown RATE_PROVIDER "${type}" (expected none, static or http)`);
+  }
+};
+
+module.exports = {
+  getPath,
+  createHttpJsonProvider,
+  createStaticProvider,
+  createProviderFromEnv,
+};
@@ -0,0 +1,236 @@
+/**
+ * Rate Refresher
+ * Polls the configured rate provider and writes accepted rates into exchange_rates
+ *
+ * A fetched rate is refused when the feed's own timestamp is older than RATE_MAX_AGE_MS or
+ * when it moves more than RATE_MAX_DEVIATION_PERCENT from the active rate. Refused or failed
+ * refreshes leave the last good rate in place and raise a 'rate.alert' webhook (once per
+ * distinct problem, until a refresh succeeds again).
+ */
+
+const rateService = require('./rateService');
+const webhookService = require('./webhookService');
+const { createProviderFromEnv } = require('./rateProviders');
+
+// Refresh configuration
+const REFRESH_INTERVAL_MS = parseInt(process.env.RATE_REFRESH_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+const MAX_DEVIATION_PERCENT = parseFloat(process.env.RATE_MAX_DEVIATION_PERCENT) || 5;
+const MAX_AGE_MS = parseInt(process.env.RATE_MAX_AGE_MS) || 15 * 60 * 1000; // 15 minutes
+
+let provider = null;
+let isRunning = false;
+let refreshInterval = null;
+let refreshInProgress = false;
+
+// Outcome of the most recent refreshes, exposed through getStatus()
+const state = {
+  lastCheckAt: null,
+  lastAppliedAt: null,
+  lastResult: null,
+  activeAlert: null,
+};
+
+/**
+ * Parse a SQLite datetime('now') value (UTC) to milliseconds
+ * @param {string} value - 'YYYY-MM-DD HH:MM:SS'
+ * @returns {number}
+ */
+const parseDbTime = (value) => Date.parse(`${value.replace(' ', 'T')}Z`);
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {object|null} Provider, or null when none is configured
+ */
+const getProvider = () => {
+  if (provider === null) {
+    provider = createProviderFromEnv();
+  }
+
+  return provider;
+};
+
+/**
+ * Decide whether a fetched rate may replace the active one
+ * @param {object} quote - { rate, timestamp } from a provider
+ * @param {object} current - Active rate from rateService
+ * @param {number} now - Current time (ms)
+ * @returns {object} { ok, code?, message?, deviationPercent }
+ */
+const checkRate = (quote, current, now = Date.now()) => {
+  if (quote.timestamp && now - quote.timestamp > MAX_AGE_MS) {
+    return {
+      ok: false,
+      code: 'stale_feed',
+      message: `Feed rate is ${Math.round((now - quote.timestamp) / 1000)}s old (maximum ${MAX_AGE_MS / 1000}s)`,
+    };
+  }
+
+  const deviationPercent = Math.abs(quote.rate - current.rate) / current.rate * 100;
+
+  if (deviationPercent > MAX_DEVIATION_PERCENT) {
+    return {
+      ok: false,
+      code: 'deviation',
+      message: `Rate ${quote.rate} deviates ${deviationPercent.toFixed(2)}% from the active rate ${current.rate} (maximum ${MAX_DEVIATION_PERCENT}%)`,
+      deviationPercent,
+    };
+  }
+
+  return { ok: true, deviationPercent };
+};
+
+/**
+ * Raise an alert for a problem, unless the same problem is already being alerted on
+ * @param {string} code - Problem code
+ * @param {string} message - Human readable description
+ * @param {object} details - Extra data for the webhook payload
+ */
+const raiseAlert = (code, message, details = {}) => {
+  if (state.activeAlert && state.activeAlert.code === code) {
+    return;
+  }
+
+  state.activeAlert = { code, message, raisedAt: new Date().toISOString() };
+
+  console.error(`🚨 Exchange rate alert (${code}): ${message}`);
+
+  webhookService.enqueueEvent('rate.alert', {
+    code,
+    message,
+    provider: provider ? provider.name : null,
+    ...details,
+  });
+};
+
+/**
+ * Fetch a rate from the provider and apply it if it passes the sanity checks
+ * @returns {Promise<object>} { applied, code?, message?, rate? }
+ */
+const refreshRate = async () => {
+  if (!getProvider()) {
+    throw new Error('No rate provider configured (set RATE_PROVIDER)');
+  }
+
+  const now = Date.now();
+  const current = rateService.getActiveRate();
+  state.lastCheckAt = new Date(now).toISOString();
+
+  let result;
+
+  try {
+    const quote = await provider.fetchRate();
+    const check = checkRate(quote, current, now);
+
+    if (check.ok) {
+      if (quote.rate === current.rate) {
+        rateService.touchRate(current.id);
+      } else {
+        rateService.setRate({ rate: quote.rate, spreadPercent: current.spreadPercent, source: provider.name });
+      }
+
+      state.lastAppliedAt = state.lastCheckAt;
+      state.activeAlert = null;
+      result = { applied: true, rate: quote.rate, deviationPercent: check.deviationPercent };
+    } else {
+      raiseAlert(check.code, check.message, { candidateRate: quote.rate, currentRate: current.rate, currentRateId: current.id });
+      result = { applied: false, code: check.code, message: check.message, rate: quote.rate };
+    }
+  } catch (error) {
+    raiseAlert('provider_error', error.message, { currentRate: current.rate, currentRateId: current.id });
+    result = { applied: false, code: 'provider_error', message: error.message };
+  }
+
+  // The last good rate stays in use - but warn once it has not been confirmed for too long
+  if (!result.applied && now - parseDbTime(current.updatedAt) > MAX_AGE_MS) {
+    raiseAlert('stale_rate', `Active rate ${current.rate} has not been refreshed since ${current.updatedAt} UTC`, {
+      currentRate: current.rate,
+      currentRateId: current.id,
+    });
+  }
+
+  state.lastResult = result;
+  return result;
+};
+
+/**
+ * Run one scheduled refresh
+ */
+const runRefresh = async () => {
+  if (!isRunning || refreshInProgress) return;
+
+  refreshInProgress = true;
+
+  try {
+    await refreshRate();
+  } catch (error) {
+    console.error('Rate refresh error:', error.message);
+  } finally {
+    refreshInProgress = false;
+  }
+};
+
+/**
+ * Start polling the configured provider
+ */
+const start = () => {
+  if (isRunning) {
+    console.log('Rate refresher is already running');
+    return;
+  }
+
+  try {
+    getProvider();
+  } catch (error) {
+    console.error(`⚠️ Rate refresher disabled: ${error.message}`);
+    return;
+  }
+
+  if (!provider) {
+    console.log('💱 No rate provider configured - exchange rate is managed manually');
+    return;
+  }
+
+  isRunning = true;
+  console.log(`💱 Rate refresher started with ${provider.name} (every ${REFRESH_INTERVAL_MS / 1000}s)`);
+
+  runRefresh();
+  refreshInterval = setInterval(runRefresh, REFRESH_INTERVAL_MS);
+};
+
+/**
+ * Stop polling
+ */
+const stop = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+  }
+
+  console.log('🛑 Rate refresher stopped');
+};
+
+/**
+ * Get refresher status
+ */
+const getStatus = () => ({
+  running: isRunning,
+  provider: provider ? provider.name : null,
+  refreshIntervalMs: REFRESH_INTERVAL_MS,
+  maxDeviationPercent: MAX_DEVIATION_PERCENT,
+  maxAgeMs: MAX_AGE_MS,
+  ...state,
+});
+
+module.exports = {
+  checkRate,
+  refreshRate,
+  start,
+  stop,
+  getStatus,
+};
@@ -0,0 +1,147 @@
+/**
+ * Rate Service
+ * Single source of the USDT/KES exchange rate for deposits, withdrawals and the public rate endpoint
+ *
+ * Rates are stored in exchange_rates as history: setting a rate deactivates the previous row and
+ * inserts a new one, so every deposit and withdrawal can reference the exact rate it used.
+ * Deposits are credited at the buy rate and withdrawals are paid out at the sell rate, which sit
+ * either side of the mid rate by half the spread each.
+ */
+
+const db = require('../config/db');
+
+const DEFAULT_SPREAD_PERCENT = parseFloat(process.env.EXCHANGE_RATE_SPREAD_PERCENT) || 0;
+
+/**
+ * Derive buy and sell rates from a mid rate and spread
+ * @param {number} rate - Mid rate (KES per USDT)
+ * @param {number} spreadPercent - Total spread between buy and sell, in percent
+ * @returns {object} { buyRate, sellRate }
+ */
+const calculateRates = (rate, spreadPercent) => ({
+  buyRate: rate * (1 - spreadPercent / 200),
+  sellRate: rate * (1 + spreadPercent / 200),
+});
+
+/**
+ * Format an exchange_rates row for API responses
+ */
+const formatRate = (r) => ({
+  id: r.id,
+  from: r.from_currency,
+  to: r.to_currency,
+  rate: parseFloat(r.rate),
+  buyRate: parseFloat(r.buy_rate),
+  sellRate: parseFloat(r.sell_rate),
+  spreadPercent: parseFloat(r.spread_percent),
+  source: r.source,
+  createdBy: r.created_by,
+  isActive: r.is_active === 1,
+  createdAt: r.created_at,
+  updatedAt: r.updated_at,
+});
+
+/**
+ * Get the active rate for a currency pair
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {object} Active rate
+ */
+const getActiveRate = (from = 'USDT', to = 'KES') => {
+  const row = db.prepare(
+    'SELECT * FROM exchange_rates WHERE from_currency = ? AND to_currency = ? AND is_active = 1'
+  ).get(from, to);
+
+  if (!row) {
+    throw new Error(`No active exchange rate for ${from}/${to}`);
+  }
+
+  return formatRate(row);
+};
+
+/**
+ * Set a new active rate, keeping the previous one as history
+ * @param {object} params - { rate, spreadPercent, source, createdBy, from, to }
+ * @returns {object} New active rate
+ */
+const setRate = ({ rate, spreadPercent = DEFAULT_SPREAD_PERCENT, source = 'manual', createdBy = null, from = 'USDT', to = 'KES' }) => {
+  if (!(rate > 0)) {
+    throw new Error('Rate must be a positive number');
+  }
+
+  if (spreadPercent < 0 || spreadPercent >= 100) {
+    throw new Error('Spread must be between 0 and 100 percent');
+  }
+
+  const { buyRate, sellRate } = calculateRates(rate, spreadPercent);
+
+  const setRateTx = db.transaction(() => {
+    db.prepare(
+      "UPDATE exchange_rates SET is_active = 0, updated_at = datetime('now') WHERE from_currency = ? AND to_currency = ? AND is_active = 1"
+    ).run(from, to);
+
+    const result = db.prepare(
+      `INSERT INTO exchange_rates (from_currency, to_currency, rate, spread_percent, buy_rate, sell_rate, source, created_by, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`
+    ).run(from, to, rate, spreadPercent, buyRate, sellRate, source, createdBy);
+
+    return result.lastInsertRowid;
+  });
+
+  const rateId = setRateTx();
+
+  console.log(`💱 ${from}/${to} rate set to ${rate} (buy ${buyRate.toFixed(4)}, sell ${sellRate.toFixed(4)}, spread ${spreadPercent}%) from ${source}`);
+
+  return formatRate(db.prepare('SELECT * FROM exchange_rates WHERE id = ?').get(rateId));
+};
+
+/**
+ * Mark a rate as re-confirmed by its source without creating a new history row
+ * @param {number} rateId - Exchange rate ID
+ */
+const touchRate = (rateId) => {
+  db.prepare("UPDATE exchange_rates SET updated_at = datetime('now') WHERE id = ?").run(rateId);
+};
+
+/**
+ * Get the mid rate a conversion was priced from
+ * @param {number} rateId - Exchange rate ID recorded on the deposit or withdrawal (may be null)
+ * @param {number} fallbackRate - Rate to use when the row is unknown (e.g. the applied rate on legacy rows)
+ * @returns {number} Mid rate (KES per USDT)
+ */
+const getMidRate = (rateId, fallbackRate) => {
+  const row = rateId ? db.prepare('SELECT rate FROM exchange_rates WHERE id = ?').get(rateId) : null;
+  return row ? parseFloat(row.rate) : parseFloat(fallbackRate);
+};
+
+/**
+ * Get rate history for a currency pair, newest first
+ * @param {object} params - { limit, offset, from, to }
+ * @returns {object} { rates, total }
+ */
+const getRateHistory = ({ limit = 20, offset = 0, from = 'USDT', to = 'KES' } = {}) => {
+  const rates = db.prepare(
+    `SELECT * FROM exchange_rates
+     WHERE from_currency = ? AND to_currency = ?
+     ORDER BY id DESC
+     LIMIT ? OFFSET ?`
+  ).all(from, to, limit, offset);
+
+  const countResult = db.prepare(
+    'SELECT COUNT(*) as total FROM exchange_rates WHERE from_currency = ? AND to_currency = ?'
+  ).get(from, to);
+
+  return {
+    rates: rates.map(formatRate),
+    total: countResult.total,
+  };
+};
+
+module.exports = {
+  calculateRates,
+  getActiveRate,
+  setRate,
+  touchRate,
+  getMidRate,
+  getRateHistory,
+};
@@ -0,0 +1,361 @@
+/**
+ * Reconciliation Service
+ * Checks that the USDT held on chain covers what the platform owes
+ *
+ * A run snapshots the USDT balance of every user deposit address and the master wallet, then compares:
+ *   - holdings against user KES balances converted at the sell rate plus USDT owed to unsettled withdrawals
+ *   - holdings against the ledger's USDT assets (deposit_clearing + hot_wallet)
+ *   - each user's cached balance against their ledger account, and the trial balance
+ *   - each completed deposit and confirmed sweep and withdrawal against its transfer on chain
+ * Withdrawals that may already have left the hot wallet (processing/broadcast) are counted as sent in both
+ * holdings checks. Holdings above what is owed (e.g. deposits below the minimum) are reported as surplus,
+ * not as a discrepancy. Every run is stored as a report; a mismatch raises a 'reconciliation.mismatch' webhook.
+ *
+ * Only USDT holdings are counted. KES credited for other tokens (see tokenService) is owed all the same, so
+ * until those tokens are converted to USDT the coverage check reports them as a shortfall.
+ */
+
+const db = require('../config/db');
+const consolidationService = require('./consolidationService');
+const tronService = require('./tronService');
+const rateService = require('./rateService');
+const ledger = require('./ledgerService');
+const webhookService = require('./webhookService');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
+
+const MASTER_WALLET_ADDRESS = process.env.DEPOSIT_ADDRESS;
+const TOLERANCE_SUN = money.usdtToSun(parseFloat(process.env.RECONCILIATION_TOLERANCE_USDT) || 0);
+const MAX_TX_CHECKS = parseInt(process.env.RECONCILIATION_MAX_TX_CHECKS) || 500; // Per run
+
+const UNSETTLED_WITHDRAWAL_STATUSES = ['awaiting_approval', 'unverified', 'pending', 'processing', 'broadcast'];
+const IN_FLIGHT_WITHDRAWAL_STATUSES = ['processing', 'broadcast'];
+
+let runInProgress = false;
+
+/**
+ * Format a reconciliation_reports row for API responses
+ * @param {object} r - Report row
+ * @param {boolean} includeBalances - Include the per-address balance snapshot
+ */
+const formatReport = (r, includeBalances = false) => {
+  const usdt = (sun) => (sun === null ? null : money.sunToUsdt(sun));
+
+  const report = {
+    id: r.id,
+    status: r.status,
+    rateId: r.exchange_rate_id,
+    sellRate: r.sell_rate,
+    onchainUsdt: usdt(r.onchain_usdt_sun),
+    ledgerUsdt: usdt(r.ledger_usdt_sun),
+    userLiabilitiesKes: r.user_liabilities_cents === null ? null : money.centsToKes(r.user_liabilities_cents),
+    userLiabilitiesUsdt: usdt(r.user_liabilities_usdt_sun),
+    pendingWithdrawalsUsdt: usdt(r.pending_withdrawals_usdt_sun),
+    surplusUsdt: usdt(r.surplus_usdt_sun),
+    addressesChecked: r.addresses_checked,
+    transactionsChecked: r.transactions_checked,
+    discrepancyCount: r.discrepancy_count,
+    discrepancies: r.discrepancies ? JSON.parse(r.discrepancies) : [],
+    error: r.error,
+    triggeredBy: r.triggered_by,
+    createdBy: r.created_by,
+    startedAt: r.started_at,
+    completedAt: r.completed_at,
+  };
+
+  if (includeBalances) {
+    report.balances = r.balances ? JSON.parse(r.balances) : [];
+  }
+
+  return report;
+};
+
+/**
+ * Snapshot the USDT balance of every deposit address and the master wallet
+ * Inactive users are included - their addresses still hold funds
+ * @param {Array} discrepancies - Lookup failures are appended here
+ * @returns {Promise<object>} { balances, totalSun }
+ */
+const snapshotHoldings = async (discrepancies) => {
+  const addresses = db.prepare(
+    'SELECT id as userId, tron_address as address FROM users WHERE tron_address IS NOT NULL ORDER BY id'
+  ).all();
+
+  if (MASTER_WALLET_ADDRESS) {
+    addresses.push({ userId: null, address: MASTER_WALLET_ADDRESS, master: true });
+  } else {
+    discrepancies.push({ type: 'master_wallet_unconfigured', message: 'DEPOSIT_ADDRESS is not set, so the master wallet was not counted' });
+  }
+
+  const balances = [];
+  let totalSun = 0;
+
+  for (const entry of addresses) {
+    try {
+      const usdt = await consolidationService.getUsdtBalance(entry.address, { strict: true });
+      const sun = money.usdtToSun(usdt);
+
+      totalSun += sun;
+
+      if (sun > 0 || entry.master) {
+        balances.push({ ...entry, usdtAmount: usdt });
+      }
+    } catch (error) {
+      discrepancies.push({
+        type: 'balance_unavailable',
+        message: error.message,
+        userId: entry.userId,
+        address: entry.address,
+      });
+    }
+  }
+
+  return { balances, totalSun, addressesChecked: addresses.length };
+};
+
+/**
+ * Compare cached user balances with their ledger accounts and check the trial balance
+ * @param {Array} discrepancies - Problems are appended here
+ */
+const checkLedger = (discrepancies) => {
+  const mismatched = db.prepare(
+    `SELECT u.id, u.balance_cents, COALESCE(a.balance_minor, 0) as ledger_cents
+     FROM users u LEFT JOIN ledger_accounts a ON a.user_id = u.id AND a.currency = 'KES'
+     WHERE u.balance_cents != COALESCE(a.balance_minor, 0)`
+  ).all();
+
+  for (const m of mismatched) {
+    discrepancies.push({
+      type: 'balance_cache_mismatch',
+      message: `User ${m.id} balance is ${money.formatKes(m.balance_cents)} KES but their ledger account holds ${money.formatKes(m.ledger_cents)} KES`,
+      userId: m.id,
+      balanceKes: money.centsToKes(m.balance_cents),
+      ledgerKes: money.centsToKes(m.ledger_cents),
+    });
+  }
+
+  for (const t of ledger.getBalances().trialBalance) {
+    if (!t.balanced) {
+      discrepancies.push({
+        type: 'unbalanced_ledger',
+        message: `${t.currency} debits (${t.debits}) do not equal credits (${t.credits})`,
+        currency: t.currency,
+      });
+    }
+  }
+};
+
+/**
+ * Look up completed deposits and confirmed sweeps and withdrawals on chain
+ * Records that match are remembered so later runs only check new ones
+ * @param {number} reportId - Report ID
+ * @param {Array} discrepancies - Problems are appended here
+ * @returns {Promise<number>} Number of transactions checked
+ */
+const checkTransactions = async (reportId, discrepancies) => {
+  const unverified = (sql) => `${sql} AND NOT EXISTS (SELECT 1 FROM reconciliation_verified_txs v WHERE v.tx_hash = r.tx_hash)`;
+
+  const records = [
+    ...db.prepare(unverified(
+      "SELECT 'deposit' as recordType, r.id, r.tx_hash, r.to_address, r.token, r.amount_minor FROM deposits r WHERE r.status = 'completed'"
+    )).all(),
+    ...db.prepare(unverified(
+      "SELECT 'sweep' as recordType, r.id, r.tx_hash, r.to_address, r.token, r.amount_minor FROM sweeps r WHERE r.status = 'confirmed' AND r.tx_hash IS NOT NULL"
+    )).all(),
+    ...db.prepare(unverified(
+      "SELECT 'withdrawal' as recordType, r.id, r.tx_hash, r.to_address, r.token, r.usdt_amount_sun as amount_minor FROM withdrawals r WHERE r.status IN ('confirmed', 'completed') AND r.tx_hash IS NOT NULL"
+    )).all(),
+  ].slice(0, MAX_TX_CHECKS);
+
+  const markVerified = db.prepare(
+    'INSERT OR IGNORE INTO reconciliation_verified_txs (tx_hash, record_type, record_id, report_id) VALUES (?, ?, ?, ?)'
+  );
+
+  for (const record of records) {
+    const subject = { recordType: record.recordType, recordId: record.id, txHash: record.tx_hash };
+
+    let transfer;
+    try {
+      transfer = await tronService.getTransactionByHash(record.tx_hash);
+    } catch (error) {
+      discrepancies.push({ type: 'tx_lookup_failed', message: error.message, ...subject });
+      continue;
+    }
+
+    if (!transfer) {
+      discrepancies.push({ type: 'tx_not_found', message: `No ${record.token} transfer found on chain for ${record.recordType} ${record.id}`, ...subject });
+      continue;
+    }
+
+    const onchainSun = Number(transfer.value);
+
+    if (transfer.token !== record.token || transfer.to !== record.to_address || onchainSun !== record.amount_minor) {
+      const decimals = tokenService.getDecimals(record.token);
+      discrepancies.push({
+        type: 'tx_mismatch',
+        message: `On-chain transfer for ${record.recordType} ${record.id} does not match the record`,
+        ...subject,
+        expected: { to: record.to_address, token: record.token, amount: money.fromMinorUnits(record.amount_minor, decimals) },
+        onchain: { to: transfer.to, token: transfer.token, amount: money.fromMinorUnits(onchainSun, transfer.tokenDecimals) },
+      });
+      continue;
+    }
+
+    markVerified.run(record.tx_hash, record.recordType, record.id, reportId);
+  }
+
+  return records.length;
+};
+
+/**
+ * Run a reconciliation and store its report
+ * @param {object} options - { triggeredBy, createdBy, verifyTransactions }
+ * @returns {Promise<object>} Report
+ */
+const runReconciliation = async ({ triggeredBy = 'manual', createdBy = null, verifyTransactions = true } = {}) => {
+  if (runInProgress) {
+    throw new Error('A reconciliation is already running');
+  }
+
+  runInProgress = true;
+
+  // Nothing else runs in this process, so any report still 'running' was cut short by a restart
+  db.prepare(
+    "UPDATE reconciliation_reports SET status = 'error', error = 'Interrupted', completed_at = datetime('now') WHERE status = 'running'"
+  ).run();
+
+  const reportId = db.prepare(
+    'INSERT INTO reconciliation_reports (triggered_by, created_by) VALUES (?, ?)'
+  ).run(triggeredBy, createdBy).lastInsertRowid;
+
+  console.log(`🧮 Reconciliation ${reportId} started (${triggeredBy})`);
+
+  try {
+    const rate = rateService.getActiveRate();
+    const discrepancies = [];
+
+    const holdings = await snapshotHoldings(discrepancies);
+
+    checkLedger(discrepancies);
+
+    const transactionsChecked = verifyTransactions ? await checkTransactions(reportId, discrepancies) : 0;
+
+    // Liabilities are read after the (slow) on-chain snapshot so money that moved in the meantime is
+    // more likely to show as surplus than as a shortfall
+    const liabilitiesCents = db.prepare('SELECT COALESCE(SUM(balance_cents), 0) as total FROM users').get().total;
+    const liabilitiesSun = money.kesCentsToUsdtSun(liabilitiesCents, rate.sellRate, money.ROUNDING.UP);
+
+    const sumWithdrawals = (statuses) => db.prepare(
+      `SELECT COALESCE(SUM(usdt_amount_sun), 0) as total FROM withdrawals WHERE status IN (${statuses.map(() => '?').join(', ')})`
+    ).get(...statuses).total;
+
+    const pendingWithdrawalsSun = sumWithdrawals(UNSETTLED_WITHDRAWAL_STATUSES);
+    const inFlightSun = sumWithdrawals(IN_FLIGHT_WITHDRAWAL_STATUSES);
+
+    const ledgerSun = ledger.getAccountBalance(ledger.ACCOUNTS.DEPOSIT_CLEARING, 'USDT')
+      + ledger.getAccountBalance(ledger.ACCOUNTS.HOT_WALLET, 'USDT');
+
+    // In-flight withdrawals are counted as sent: if they have not left yet, their USDT is still held
+    const requiredSun = liabilitiesSun + pendingWithdrawalsSun - inFlightSun;
+    const surplusSun = holdings.totalSun - requiredSun;
+
+    if (surplusSun + TOLERANCE_SUN < 0) {
+      discrepancies.push({
+        type: 'shortfall',
+        message: `On-chain holdings of ${money.formatUsdt(holdings.totalSun)} USDT do not cover ${money.formatUsdt(requiredSun)} USDT owed`,
+        shortfallUsdt: money.sunToUsdt(-surplusSun),
+      });
+    }
+
+    if (holdings.totalSun + inFlightSun + TOLERANCE_SUN < ledgerSun) {
+      discrepancies.push({
+        type: 'ledger_exceeds_onchain',
+        message: `Ledger USDT assets of ${money.formatUsdt(ledgerSun)} USDT exceed on-chain holdings of ${money.formatUsdt(holdings.totalSun)} USDT`,
+        differenceUsdt: money.sunToUsdt(ledgerSun - holdings.totalSun - inFlightSun),
+      });
+    }
+
+    const status = discrepancies.length > 0 ? 'mismatch' : 'ok';
+
+    const completeReport = db.transaction(() => {
+      db.prepare(
+        `UPDATE reconciliation_reports
+         SET status = ?, exchange_rate_id = ?, sell_rate = ?, onchain_usdt_sun = ?, ledger_usdt_sun = ?,
+             user_liabilities_cents = ?, user_liabilities_usdt_sun = ?, pending_withdrawals_usdt_sun = ?, surplus_usdt_sun = ?,
+             addresses_checked = ?, transactions_checked = ?, discrepancy_count = ?, discrepancies = ?, balances = ?,
+             completed_at = datetime('now')
+         WHERE id = ?`
+      ).run(
+        status, rate.id, rate.sellRate, holdings.totalSun, ledgerSun,
+        liabilitiesCents, liabilitiesSun, pendingWithdrawalsSun, surplusSun,
+        holdings.addressesChecked, transactionsChecked, discrepancies.length, JSON.stringify(discrepancies), JSON.stringify(holdings.balances),
+        reportId
+      );
+
+      if (status === 'mismatch') {
+        webhookService.enqueueEvent('reconciliation.mismatch', {
+          reportId,
+          discrepancyCount: discrepancies.length,
+          types: [...new Set(discrepancies.map(d => d.type))],
+          onchainUsdt: money.sunToUsdt(holdings.totalSun),
+          surplusUsdt: money.sunToUsdt(surplusSun),
+        });
+      }
+    });
+
+    completeReport();
+
+    if (status === 'ok') {
+      console.log(`✅ Reconciliation ${reportId} passed - surplus ${money.formatUsdt(surplusSun)} USDT`);
+    } else {
+      console.error(`🚨 Reconciliation ${reportId} found ${discrepancies.length} discrepancy(ies)`);
+    }
+  } catch (error) {
+    db.prepare(
+      "UPDATE reconciliation_reports SET status = 'error', error = ?, completed_at = datetime('now') WHERE id = ?"
+    ).run(error.message, reportId);
+
+    console.error(`❌ Reconciliation ${reportId} failed:`, error.message);
+  } finally {
+    runInProgress = false;
+  }
+
+  return getReport(reportId);
+};
+
+/**
+ * Get a stored report
+ * @param {number} reportId - Report ID
+ * @returns {object|null} Report with its balance snapshot
+ */
+const getReport = (reportId) => {
+  const row = db.prepare('SELECT * FROM reconciliation_reports WHERE id = ?').get(reportId);
+  return row ? formatReport(row, true) : null;
+};
+
+/**
+ * List stored reports, newest first
+ * @param {object} params - { status, limit, offset }
+ * @returns {object} { reports, total }
+ */
+const getReports = ({ status = null, limit = 20, offset = 0 } = {}) => {
+  const where = status ? 'WHERE status = ?' : '';
+  const params = status ? [status] : [];
+
+  const reports = db.prepare(
+    `SELECT * FROM reconciliation_reports ${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(`SELECT COUNT(*) as total FROM reconciliation_reports ${where}`).get(...params);
+
+  return {
+    reports: reports.map(r => formatReport(r)),
+    total: countResult.total,
+  };
+};
+
+module.exports = {
+  runReconciliation,
+  getReport,
+  getReports,
+};
@@ -0,0 +1,396 @@
+/**
+ * Recovery Service
+ * Scans the HD wallet's deposit addresses on chain and reconciles them against users, e.g. after
+ * restoring the database from a backup or when addresses may have been handed out outside the database.
+ *
+ * Addresses are derived from index startIndex upward and each one's TRX balance, USDT balance and
+ * transaction count are read. The scan stops once gapLimit consecutive indexes past both the last used
+ * address and the highest index assigned to a user turn out unused (the BIP44 gap limit). Each index is
+ * then compared with users.derivation_index and users.tron_address:
+ *   assigned  - the user at this index holds this address
+ *   mismatch  - the user at this index holds a different address, or this address belongs to another index
+ *   orphaned  - no user has this index, and the address holds TRX or USDT
+ *   used      - no user has this index, and the address has history but is empty
+ *   error     - no user has this index, and the address could not be read (counted as used)
+ *   unused    - no user has this index, and the address has never been used
+ *
+ * Since unreadable addresses count as used, a node outage would keep the gap limit from ever being reached:
+ * the scan gives up after maxConsecutiveErrors unreadable addresses in a row, and never scans past maxIndex.
+ *
+ * Orphaned USDT can be swept to the consolidation address (consolidationService.sweepRecoveredAddress).
+ * Used indexes at or above wallet_config.next_derivation_index would be handed to new users, so the
+ * report suggests the next index to use and advanceNextIndex() moves it past them.
+ */
+
+const db = require('../config/db');
+const hdWallet = require('./hdWalletService');
+const tronService = require('./tronService');
+const balanceCache = require('./balanceCacheService');
+const consolidationService = require('./consolidationService');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
+
+// Configuration
+const GAP_LIMIT = parseInt(process.env.RECOVERY_GAP_LIMIT) || 20;
+const CONCURRENCY = parseInt(process.env.RECOVERY_CONCURRENCY) || 5;
+const MAX_INDEX = parseInt(process.env.RECOVERY_MAX_INDEX) || 100000; // Last index scanned unless told otherwise
+const MAX_CONSECUTIVE_ERRORS = parseInt(process.env.RECOVERY_MAX_CONSECUTIVE_ERRORS) || 20;
+const TX_COUNT_LIMIT = 50; // Transactions of each kind counted per address; enough to tell used from unused
+
+/**
+ * Get the next derivation index registration will use
+ * @returns {number}
+ */
+const getNextIndex = () => {
+  return db.prepare('SELECT next_derivation_index FROM wallet_config WHERE id = 1').get().next_derivation_index;
+};
+
+/**
+ * Read an address's balances and history from the chain
+ * @param {object} wallet - { address, index }
+ * @returns {Promise<object>} Scan entry; used is true when anything was found, or the address could not be read
+ */
+const inspectAddress = async ({ address, index }) => {
+  try {
+    const usdtBalance = await balanceCache.fetchUsdtBalance(address, { strict: true });
+    const trxBalance = await balanceCache.fetchTrxBalance(address, { strict: true });
+    const history = await tronService.getTransactionCount(address, { limit: TX_COUNT_LIMIT });
+
+    return {
+      index,
+      address,
+      usdtBalance,
+      trxBalance,
+      transactions: history.transactions,
+      trc20Transfers: history.trc20Transfers,
+      moreTransactions: history.more,
+      used: usdtBalance > 0 || trxBalance > 0 || history.transactions > 0 || history.trc20Transfers > 0,
+      error: null,
+    };
+  } catch (error) {
+    // Unknown is treated as used, so the gap limit is not reached on lookup errors
+    return {
+      index,
+      address,
+      usdtBalance: null,
+      trxBalance: null,
+      transactions: null,
+      trc20Transfers: null,
+      moreTransactions: false,
+      used: true,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Inspect addresses, at most concurrency at a time
+ * @param {array} wallets - [{ address, index }]
+ * @param {number} concurrency - Addresses read at once
+ * @returns {Promise<array>} Scan entries, in the order given
+ */
+const inspectAddresses = async (wallets, concurrency) => {
+  const entries = new Array(wallets.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < wallets.length) {
+      const position = next++;
+      entries[position] = await inspectAddress(wallets[position]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, wallets.length) }, worker));
+
+  return entries;
+};
+
+/**
+ * Classify a scan entry against the users holding its index or address
+ * @param {object} entry - Scan entry
+ * @param {object|undefined} userAtIndex - User with this derivation index
+ * @param {object|undefined} userWithAddress - User with this deposit address
+ * @returns {object} { status, userId, username, expectedAddress }
+ */
+const classify = (entry, userAtIndex, userWithAddress) => {
+  if (userAtIndex) {
+    return {
+      status: userAtIndex.tron_address === entry.address ? 'assigned' : 'mismatch',
+      userId: userAtIndex.id,
+      username: userAtIndex.username,
+      expectedAddress: userAtIndex.tron_address,
+    };
+  }
+
+  if (userWithAddress) {
+    return {
+      status: 'mismatch',
+      userId: userWithAddress.id,
+      username: userWithAddress.username,
+      expectedAddress: null,
+    };
+  }
+
+  let status = 'unused';
+  if (entry.error) {
+    status = 'error';
+  } else if (entry.usdtBalance > 0 || entry.trxBalance > 0) {
+    status = 'orphaned';
+  } else if (entry.used) {
+    status = 'used';
+  }
+
+  return { status, userId: null, username: null, expectedAddress: null };
+};
+
+/**
+ * Scan derived addresses forward from startIndex until the gap limit is reached
+ * @param {object} options - { startIndex, gapLimit, concurrency, maxIndex (last index to scan, null for none),
+ *   maxConsecutiveErrors (unreadable addresses in a row after which the scan stops),
+ *   onProgress (called with { scannedTo, lastUsedIndex } after each batch) }
+ * @returns {Promise<object>} Report; stoppedOnErrors is set when the scan gave up before the gap limit
+ */
+const scanAddresses = async ({
+  startIndex = 0,
+  gapLimit = GAP_LIMIT,
+  concurrency = CONCURRENCY,
+  maxIndex = MAX_INDEX,
+  maxConsecutiveErrors = MAX_CONSECUTIVE_ERRORS,
+  onProgress = null,
+} = {}) => {
+  if (!Number.isInteger(startIndex) || startIndex < 0) {
+    throw new Error('startIndex must be a non-negative integer');
+  }
+  if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+    throw new Error('gapLimit must be a positive integer');
+  }
+  if (!Number.isInteger(maxConsecutiveErrors) || maxConsecutiveErrors < 1) {
+    throw new Error('maxConsecutiveErrors must be a positive integer');
+  }
+
+  const users = db.prepare(
+    'SELECT id, username, derivation_index, tron_address FROM users WHERE derivation_index IS NOT NULL OR tron_address IS NOT NULL'
+  ).all();
+
+  const usersByIndex = new Map(users.filter(u => u.derivation_index !== null).map(u => [u.derivation_index, u]));
+  const usersByAddress = new Map(users.filter(u => u.tron_address).map(u => [u.tron_address, u]));
+
+  const highestAssignedIndex = users.reduce(
+    (highest, u) => (u.derivation_index !== null && u.derivation_index > highest ? u.derivation_index : highest),
+    -1
+  );
+
+  const entries = [];
+  let lastUsedIndex = -1;
+  let nextIndex = startIndex;
+  let consecutiveErrors = 0;
+  let stoppedOnErrors = false;
+
+  for (;;) {
+    // Keep going until gapLimit unused indexes follow the last used and the last assigned one
+    const boundary = Math.max(lastUsedIndex, highestAssignedIndex, startIndex - 1);
+    let end = boundary + gapLimit;
+    if (maxIndex !== null) {
+      end = Math.min(end, maxIndex);
+    }
+    if (nextIndex > end) {
+      break;
+    }
+
+    const wallets = hdWallet.deriveAddressBatch(nextIndex, end - nextIndex + 1);
+    const batch = await inspectAddresses(wallets, concurrency);
+
+    batch.forEach((entry) => {
+      if (entry.used) {
+        lastUsedIndex = entry.index;
+      }
+      consecutiveErrors = entry.error ? consecutiveErrors + 1 : 0;
+      if (consecutiveErrors >= maxConsecutiveErrors) {
+        stoppedOnErrors = true;
+      }
+      entries.push({
+        ...entry,
+        ...classify(entry, usersByIndex.get(entry.index), usersByAddress.get(entry.address)),
+      });
+    });
+
+    nextIndex = end + 1;
+
+    if (onProgress) {
+      onProgress({ scannedTo: end, lastUsedIndex });
+    }
+
+    // The chain cannot be read - unreadable addresses count as used, so the gap limit would never be reached
+    if (stoppedOnErrors) {
+      console.warn(`⚠️ Recovery scan stopped at index ${end}: ${maxConsecutiveErrors} addresses in a row could not be read`);
+      break;
+    }
+  }
+
+  const orphaned = entries.filter(e => e.status === 'orphaned');
+  const mismatched = entries.filter(e => e.status === 'mismatch');
+  const errors = entries.filter(e => e.error);
+
+  const sumSun = (list, field, toSun) => list.reduce((sum, e) => sum + (e[field] ? toSun(e[field]) : 0), 0);
+
+  const usersWithoutIndex = users
+    .filter(u => u.derivation_index === null)
+    .map(u => ({ userId: u.id, username: u.username, address: u.tron_address }));
+
+  const nextDerivationIndex = getNextIndex();
+
+  return {
+    scannedFrom: startIndex,
+    scannedTo: nextIndex - 1,
+    gapLimit,
+    reachedMaxIndex: maxIndex !== null && nextIndex > maxIndex,
+    stoppedOnErrors,
+    addressesScanned: entries.length,
+    lastUsedIndex: lastUsedIndex === -1 ? null : lastUsedIndex,
+    highestAssignedIndex: highestAssignedIndex === -1 ? null : highestAssignedIndex,
+    nextDerivationIndex,
+    suggestedNextIndex: Math.max(nextDerivationIndex, lastUsedIndex + 1, highestAssignedIndex + 1),
+    totals: {
+      usdt: money.sunToUsdt(sumSun(entries, 'usdtBalance', money.usdtToSun)),
+      trx: money.sunToTrx(sumSun(entries, 'trxBalance', money.trxToSun)),
+      orphanedUsdt: money.sunToUsdt(sumSun(orphaned, 'usdtBalance', money.usdtToSun)),
+      orphanedTrx: money.sunToTrx(sumSun(orphaned, 'trxBalance', money.trxToSun)),
+    },
+    counts: entries.reduce((counts, e) => ({ ...counts, [e.status]: (counts[e.status] || 0) + 1 }), {}),
+    entries,
+    orphaned,
+    mismatched,
+    errors,
+    usersWithoutIndex,
+  };
+};
+
+/**
+ * Sweep the USDT held by orphaned addresses to the consolidation address
+ * Each address is checked again first: still unassigned, no sweep in flight, and its USDT re-read on chain.
+ * Addresses short of TRX for gas are reported as 'needs_gas'; gas top-ups are not sent for them.
+ * @param {array} orphans - Orphaned entries from scanAddresses
+ * @param {object} options - { minUsdt (default the USDT minSweep), dryRun }; a dry run reports 'would_sweep' without signing
+ * @returns {Promise<object>} { swept, failed, needsGas, skipped, totalUsdt, details }
+ */
+const sweepOrphans = async (orphans, { minUsdt = tokenService.getToken('USDT').minSweep, dryRun = false } = {}) => {
+  const results = { dryRun, swept: 0, failed: 0, needsGas: 0, skipped: 0, totalUsdt: 0, details: [] };
+  let totalSun = 0;
+
+  const skip = (orphan, reason) => {
+    results.skipped++;
+    results.details.push({ index: orphan.index, address: orphan.address, status: 'skipped', reason });
+  };
+
+  for (const orphan of orphans) {
+    const assigned = db.prepare(
+      'SELECT id FROM users WHERE derivation_index = ? OR tron_address = ?'
+    ).get(orphan.index, orphan.address);
+    if (assigned) {
+      skip(orphan, `Now assigned to user ${assigned.id}`);
+      continue;
+    }
+
+    const inFlight = db.prepare(
+      "SELECT id FROM sweeps WHERE from_address = ? AND status IN ('pending', 'broadcast')"
+    ).get(orphan.address);
+    if (inFlight) {
+      skip(orphan, `Sweep ${inFlight.id} is still in flight`);
+      continue;
+    }
+
+    let usdtBalance;
+    try {
+      usdtBalance = await balanceCache.fetchUsdtBalance(orphan.address, { strict: true });
+    } catch (error) {
+      results.failed++;
+      results.details.push({ index: orphan.index, address: orphan.address, status: 'failed', error: error.message });
+      continue;
+    }
+
+    if (usdtBalance <= 0 || usdtBalance < minUsdt) {
+      skip(orphan, usdtBalance <= 0 ? 'No USDT on chain' : `${usdtBalance} USDT is below the ${minUsdt} USDT minimum`);
+      continue;
+    }
+
+    if (dryRun) {
+      results.swept++;
+      totalSun += money.usdtToSun(usdtBalance);
+      results.details.push({ index: orphan.index, address: orphan.address, status: 'would_sweep', amount: usdtBalance });
+      continue;
+    }
+
+    const sweep = await consolidationService.sweepRecoveredAddress(orphan.index, orphan.address, usdtBalance);
+
+    if (sweep.success) {
+      results.swept++;
+      totalSun += money.usdtToSun(usdtBalance);
+      results.details.push({
+        index: orphan.index,
+        address: orphan.address,
+        status: 'swept',
+        amount: usdtBalance,
+        sweepId: sweep.sweepId,
+        txHash: sweep.txHash,
+      });
+    } else if (sweep.needsTrx) {
+      results.needsGas++;
+      results.details.push({
+        index: orphan.index,
+        address: orphan.address,
+        status: 'needs_gas',
+        usdtBalance,
+        trxBalance: sweep.trxBalance,
+        ...(sweep.sweepId && { sweepId: sweep.sweepId }),
+        error: sweep.error,
+      });
+    } else {
+      results.failed++;
+      results.details.push({
+        index: orphan.index,
+        address: orphan.address,
+        status: 'failed',
+        ...(sweep.sweepId && { sweepId: sweep.sweepId }),
+        error: sweep.error,
+      });
+    }
+  }
+
+  results.totalUsdt = money.sunToUsdt(totalSun);
+
+  return results;
+};
+
+/**
+ * Move wallet_config.next_derivation_index up to an index, so new users are not given used addresses
+ * Never moves it down
+ * @param {number} index - Lowest index registration may use
+ * @returns {object} { previous, next }
+ */
+const advanceNextIndex = (index) => {
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error('index must be a non-negative integer');
+  }
+
+  return db.transaction(() => {
+    const previous = getNextIndex();
+    const next = Math.max(previous, index);
+
+    if (next !== previous) {
+      db.prepare("UPDATE wallet_config SET next_derivation_index = ?, updated_at = datetime('now') WHERE id = 1").run(next);
+      console.log(`⏭️  next_derivation_index moved from ${previous} to ${next}`);
+    }
+
+    return { previous, next };
+  })();
+};
+
+module.exports = {
+  GAP_LIMIT,
+  CONCURRENCY,
+  MAX_INDEX,
+  MAX_CONSECUTIVE_ERRORS,
+  scanAddresses,
+  sweepOrphans,
+  advanceNextIndex,
+};
@@ -0,0 +1,74 @@
+/**
+ * Signer Client
+ * The API server's side of the signer (signer.js): sends unsigned transactions to be signed - token transfers,
+ * energy delegations and gas top-ups. The API never holds a private key; it builds transactions, has them
+ * signed here and broadcasts them.
+ */
+
+const axios = require('axios');
+
+// Configuration
+const SIGNER_URL = process.env.SIGNER_URL || 'http://127.0.0.1:7070';
+const SIGNER_SOCKET = process.env.SIGNER_SOCKET; // Takes precedence over SIGNER_URL
+const SIGNER_AUTH_TOKEN = process.env.SIGNER_AUTH_TOKEN;
+const SIGNER_TIMEOUT_MS = parseInt(process.env.SIGNER_TIMEOUT_MS) || 10000;
+
+// Refusals that go away on their own, so the transfer can be tried again later
+const RETRYABLE_CODES = ['daily_limit', 'not_configured'];
+
+const signerApi = axios.create({
+  baseURL: SIGNER_SOCKET ? 'http://localhost' : SIGNER_URL,
+  ...(SIGNER_SOCKET && { socketPath: SIGNER_SOCKET }),
+  headers: { Authorization: `Bearer ${SIGNER_AUTH_TOKEN}` },
+  timeout: SIGNER_TIMEOUT_MS,
+  validateStatus: () => true,
+  maxRedirects: 0,
+  proxy: false,
+});
+
+/**
+ * Whether a signer is configured
+ * @returns {boolean}
+ */
+const isConfigured = () => Boolean(SIGNER_AUTH_TOKEN);
+
+/**
+ * Have an unsigned transaction signed
+ * @param {object} request - { purpose: 'sweep'|'withdrawal'|'delegate'|'undelegate'|'gas_topup', transaction,
+ *   derivationIndex (sweeps, gas top-ups and delegations to a deposit address), reference }
+ * @returns {Promise<object>} { success: true, signedTx } or
+ *   { success: false, error, code, refused, retryable } - refused: the signer's policy said no;
+ *   retryable: the same transfer may be signed later (signer unreachable, daily limit reached)
+ */
+const signTransaction = async ({ purpose, transaction, derivationIndex = null, reference = null }) => {
+  if (!isConfigured()) {
+    return { success: false, error: 'SIGNER_AUTH_TOKEN not configured', code: 'not_configured', refused: false, retryable: false };
+  }
+
+  let response;
+  try {
+    response = await signerApi.post('/sign', { purpose, transaction, derivationIndex, reference });
+  } catch (error) {
+    return { success: false, error: `Signer unreachable: ${error.message}`, code: 'unavailable', refused: false, retryable: true };
+  }
+
+  if (response.status === 200 && response.data.status) {
+    return { success: true, signedTx: response.data.data.signedTx };
+  }
+
+  const body = response.data || {};
+  const refused = response.status === 403;
+
+  return {
+    success: false,
+    error: `Signer ${refused ? 'refused' : `error (${response.status})`}: ${body.message || 'no reason given'}`,
+    code: body.code || null,
+    refused,
+    retryable: response.status >= 500 || RETRYABLE_CODES.includes(body.code),
+  };
+};
+
+module.exports = {
+  isConfigured,
+  signTransaction,
+};
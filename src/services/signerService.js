@@ -0,0 +1,538 @@
+/**
+ * Signer Service
+ * Runs inside the signer process (signer.js), never in the API server. It holds the HD mnemonic, the
+ * master wallet key and the energy staking and gas-funding keys (from the keystore unlocked at startup, or
+ * plaintext env vars in development), checks each unsigned transaction it is given against the signing
+ * policy and signs it:
+ *   - sweep: signed with a deposit address key derived from the HD seed. Child keys only ever
+ *     pay the consolidation address (SIGNER_CONSOLIDATION_ADDRESS, default DEPOSIT_ADDRESS), in USDT
+ *     or a token listed in SIGNER_SWEEP_TOKEN_CONTRACTS
+ *   - withdrawal: USDT only, signed with the master wallet key, at most SIGNER_MAX_WITHDRAWAL_USDT each and
+ *     SIGNER_DAILY_WITHDRAWAL_LIMIT_USDT per UTC day, and only to SIGNER_WITHDRAWAL_ALLOWLIST if one is set
+ *   - delegate / undelegate: energy delegations signed with the staking key. Energy is only lent, unlocked,
+ *     to the master wallet or a deposit address, at most SIGNER_MAX_DELEGATION_TRX of stake at a time;
+ *     taking a delegation back only returns the stake to its owner and is always signed
+ *   - gas_topup: a TRX transfer signed with the gas-funding key, only to the deposit address at the given
+ *     derivation index, at most SIGNER_MAX_GAS_TOPUP_TRX each and SIGNER_DAILY_GAS_TOPUP_TRX per UTC day
+ *
+ * The transaction is decoded from the data its txID commits to, so what is checked is what gets signed.
+ * Every signature is recorded in the signer's own database (SIGNER_DB_PATH); the daily limit is counted
+ * from it, not from anything the API server can change.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const TronWeb = require('tronweb');
+const hdWallet = require('./hdWalletService');
+const keystore = require('./keystoreService');
+const money = require('../utils/money');
+
+// Configuration
+const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const CONSOLIDATION_ADDRESS = process.env.SIGNER_CONSOLIDATION_ADDRESS || process.env.DEPOSIT_ADDRESS;
+// Token contracts besides USDT that sweeps may move; kept here rather than read from the API's token registry
+const SWEEP_TOKEN_CONTRACTS = (process.env.SIGNER_SWEEP_TOKEN_CONTRACTS || '')
+  .split(',')
+  .map(a => a.trim())
+  .filter(Boolean);
+const MAX_WITHDRAWAL_USDT = parseFloat(process.env.SIGNER_MAX_WITHDRAWAL_USDT) || 10000;
+const DAILY_WITHDRAWAL_LIMIT_USDT = parseFloat(process.env.SIGNER_DAILY_WITHDRAWAL_LIMIT_USDT) || 50000;
+const WITHDRAWAL_ALLOWLIST = (process.env.SIGNER_WITHDRAWAL_ALLOWLIST || '')
+  .split(',')
+  .map(a => a.trim())
+  .filter(Boolean);
+const MAX_DELEGATION_TRX = parseFloat(process.env.SIGNER_MAX_DELEGATION_TRX) || 100000;
+const MAX_GAS_TOPUP_TRX = parseFloat(process.env.SIGNER_MAX_GAS_TOPUP_TRX) || 20;
+const DAILY_GAS_TOPUP_LIMIT_TRX = parseFloat(process.env.SIGNER_DAILY_GAS_TOPUP_TRX) || 500;
+const SIGNER_DB_PATH = process.env.SIGNER_DB_PATH || path.join(__dirname, '../../data/signer.db');
+const MAX_FEE_LIMIT_SUN = 100_000_000; // The fee limit the API builds transfers with
+const TRANSFER_SELECTOR = 'a9059cbb'; // transfer(address,uint256)
+
+// Keys the signer holds besides the HD seed: where each is kept in the keystore, and its development env var
+const KEYS = {
+  master: { secret: 'masterPrivateKey', env: 'MASTER_WALLET_PRIVATE_KEY' },
+  staking: { secret: 'stakingPrivateKey', env: 'ENERGY_STAKING_PRIVATE_KEY' },
+  gasFunding: { secret: 'gasFundingPrivateKey', env: 'GAS_FUNDING_PRIVATE_KEY' },
+};
+
+// Purposes signed with a wallet key other than for a TRC20 transfer, and the contract each must be
+const WALLET_PURPOSES = {
+  delegate: 'DelegateResourceContract',
+  undelegate: 'UnDelegateResourceContract',
+  gas_topup: 'TransferContract',
+};
+
+let signerDb = null;
+
+/**
+ * Create the signatures table under a name
+ * amount_minor is in the token's minor unit for transfers (contract_address NULL for USDT) and in TRX sun
+ * for delegations and gas top-ups
+ * @param {string} name - Table name
+ */
+const createSignaturesTable = (name) => {
+  signerDb.exec(`
+    CREATE TABLE ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purpose TEXT NOT NULL CHECK(purpose IN ('sweep', 'withdrawal', 'delegate', 'undelegate', 'gas_topup')),
+      tx_id TEXT NOT NULL UNIQUE,
+      from_address TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      amount_minor INTEGER NOT NULL,
+      contract_address TEXT,
+      reference TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+};
+
+/**
+ * Open the signer's database, creating it on first use
+ * @returns {Database}
+ */
+const getDb = () => {
+  if (!signerDb) {
+    fs.mkdirSync(path.dirname(SIGNER_DB_PATH), { recursive: true });
+    signerDb = new Database(SIGNER_DB_PATH);
+
+    const existing = signerDb.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'signatures'").get();
+
+    if (!existing) {
+      createSignaturesTable('signatures');
+    } else if (!existing.sql.includes("'gas_topup'")) {
+      // Signatures gained the wallet purposes, so amounts are no longer all USDT sun
+      signerDb.transaction(() => {
+        createSignaturesTable('signatures_new');
+        signerDb.exec(`
+          INSERT INTO signatures_new (id, purpose, tx_id, from_address, to_address, amount_minor, reference, created_at)
+          SELECT id, purpose, tx_id, from_address, to_address, usdt_amount_sun, reference, created_at FROM signatures;
+          DROP TABLE signatures;
+          ALTER TABLE signatures_new RENAME TO signatures;
+        `);
+      })();
+    } else if (!existing.sql.includes('contract_address')) {
+      // Signatures recorded before sweeps could move other tokens are all USDT (NULL)
+      signerDb.exec('ALTER TABLE signatures ADD COLUMN contract_address TEXT');
+    }
+
+    signerDb.exec('CREATE INDEX IF NOT EXISTS idx_signatures_purpose_created ON signatures(purpose, created_at)');
+  }
+  return signerDb;
+};
+
+/**
+ * Get a wallet key from the unlocked keystore, or else from its env var
+ * @param {string} name - 'master', 'staking' or 'gasFunding'
+ * @returns {Buffer|null} 32-byte key - zero it when done
+ */
+const getPrivateKey = (name) => {
+  const { secret, env } = KEYS[name];
+
+  const privateKey = keystore.getSecret(secret);
+  if (privateKey) {
+    return privateKey;
+  }
+
+  return process.env[env] ? Buffer.from(process.env[env], 'hex') : null;
+};
+
+/**
+ * Get the address of a wallet key
+ * @param {string} name - 'master', 'staking' or 'gasFunding'
+ * @returns {string|null}
+ */
+const getKeyAddress = (name) => {
+  const privateKey = getPrivateKey(name);
+  if (!privateKey) {
+    return null;
+  }
+
+  try {
+    return TronWeb.utils.crypto.getBase58CheckAddress(TronWeb.utils.crypto.getAddressFromPriKey(privateKey));
+  } finally {
+    privateKey.fill(0);
+  }
+};
+
+/**
+ * Check a transaction is unsigned and matches its txID, and get the one contract it calls
+ * @param {object} transaction - Unsigned transaction
+ * @returns {object} The transaction's contract ({ type, parameter })
+ * @throws if the transaction is malformed, signed, altered or has more than one contract
+ */
+const getSingleContract = (transaction) => {
+  if (!transaction || !transaction.raw_data || !transaction.raw_data_hex || !transaction.txID) {
+    throw new Error('Malformed transaction');
+  }
+
+  if (transaction.signature && transaction.signature.length > 0) {
+    throw new Error('Transaction is already signed');
+  }
+
+  let intact;
+  try {
+    intact = TronWeb.utils.transaction.txCheck(transaction);
+  } catch (error) {
+    intact = false;
+  }
+
+  if (!intact) {
+    throw new Error('Transaction data does not match its txID');
+  }
+
+  const contracts = transaction.raw_data.contract || [];
+  if (contracts.length !== 1) {
+    throw new Error('Only a single contract can be signed');
+  }
+
+  return contracts[0];
+};
+
+/**
+ * Decode an unsigned TRC20 transfer
+ * @param {object} transaction - Unsigned transaction as built by transactionBuilder.triggerSmartContract
+ * @returns {object} { txId, contractAddress, from, to, amountSun } - amountSun is in the token's minor unit
+ * @throws if the transaction is not a single, unsigned transfer(address,uint256) call on USDT or a
+ *   SIGNER_SWEEP_TOKEN_CONTRACTS token
+ */
+const decodeTransfer = (transaction) => {
+  const contract = getSingleContract(transaction);
+  if (contract.type !== 'TriggerSmartContract') {
+    throw new Error('Only a single smart contract call can be signed');
+  }
+
+  const call = contract.parameter.value;
+
+  const contractAddress = TronWeb.utils.address.fromHex(call.contract_address);
+  if (contractAddress !== USDT_CONTRACT && !SWEEP_TOKEN_CONTRACTS.includes(contractAddress)) {
+    throw new Error(`Transfers of ${contractAddress} cannot be signed`);
+  }
+
+  if (call.call_value) {
+    throw new Error('Transfers must not send TRX');
+  }
+
+  const data = (call.data || '').toLowerCase();
+  if (data.length !== 8 + 64 * 2 || !data.startsWith(TRANSFER_SELECTOR)) {
+    throw new Error('Only transfer(address,uint256) calls can be signed');
+  }
+
+  if ((transaction.raw_data.fee_limit || 0) > MAX_FEE_LIMIT_SUN) {
+    throw new Error(`Fee limit above ${money.sunToTrx(MAX_FEE_LIMIT_SUN)} TRX`);
+  }
+
+  const amountSun = BigInt(`0x${data.slice(72)}`);
+  if (amountSun <= 0n || amountSun > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('Invalid transfer amount');
+  }
+
+  return {
+    txId: transaction.txID,
+    contractAddress,
+    from: TronWeb.utils.address.fromHex(call.owner_address),
+    to: TronWeb.utils.address.fromHex(`41${data.slice(32, 72)}`),
+    amountSun: Number(amountSun),
+  };
+};
+
+/**
+ * Decode an unsigned energy delegation, delegation reclaim or TRX transfer
+ * @param {object} transaction - Unsigned transaction as built by transactionBuilder.delegateResource,
+ *   undelegateResource or sendTrx
+ * @param {string} type - The contract the transaction must be (see WALLET_PURPOSES)
+ * @returns {object} { txId, contractAddress: null, from, to, amountSun } - amountSun is the TRX staked or sent
+ * @throws if the transaction is not a single, unsigned contract of that type, or delegates anything but
+ *   unlocked energy
+ */
+const decodeWalletTransaction = (transaction, type) => {
+  const contract = getSingleContract(transaction);
+  if (contract.type !== type) {
+    throw new Error(`Only a single ${type} can be signed`);
+  }
+
+  const value = contract.parameter.value;
+  const isTransfer = type === 'TransferContract';
+
+  if (!isTransfer && value.resource !== 'ENERGY') {
+    throw new Error('Only energy can be delegated');
+  }
+
+  // A locked delegation cannot be taken back for days
+  if (value.lock) {
+    throw new Error('Delegations must not be locked');
+  }
+
+  const amountSun = isTransfer ? value.amount : value.balance;
+  if (!Number.isSafeInteger(amountSun) || amountSun <= 0) {
+    throw new Error('Invalid amount');
+  }
+
+  return {
+    txId: transaction.txID,
+    contractAddress: null,
+    from: TronWeb.utils.address.fromHex(value.owner_address),
+    to: TronWeb.utils.address.fromHex(isTransfer ? value.to_address : value.receiver_address),
+    amountSun,
+  };
+};
+
+/**
+ * Amount signed for a purpose since the start of the UTC day
+ * @param {string} purpose - 'withdrawal' (USDT sun) or 'gas_topup' (TRX sun)
+ * @returns {number}
+ */
+const getSignedTodaySun = (purpose) => {
+  return getDb().prepare(
+    "SELECT COALESCE(SUM(amount_minor), 0) as total FROM signatures WHERE purpose = ? AND created_at >= date('now')"
+  ).get(purpose).total;
+};
+
+/**
+ * Whether an address is one of the platform's own: the master wallet or the deposit address at an index
+ * @param {string} address - Tron address
+ * @param {number|null} derivationIndex - Index the address should be derived at, if it is a deposit address
+ * @returns {boolean}
+ */
+const isOwnAddress = (address, derivationIndex) => {
+  if (address === getKeyAddress('master')) {
+    return true;
+  }
+
+  return Number.isInteger(derivationIndex) && derivationIndex >= 0
+    && hdWallet.deriveAddress(derivationIndex).address === address;
+};
+
+/**
+ * Check a decoded transfer against the signing policy and pick the key to sign it with
+ * @param {object} request - { purpose, derivationIndex }
+ * @param {object} transfer - Decoded transfer (see decodeTransfer)
+ * @param {boolean} alreadySigned - The same txID was signed before (and counted then)
+ * @returns {object} { privateKey } (a buffer for the caller to zero) or { code, error } if refused
+ */
+const checkPolicy = (request, transfer, alreadySigned) => {
+  if (request.purpose === 'sweep') {
+    if (!Number.isInteger(request.derivationIndex) || request.derivationIndex < 0) {
+      return { code: 'invalid_request', error: 'Sweeps need the derivation index of the deposit address' };
+    }
+
+    if (transfer.to !== CONSOLIDATION_ADDRESS) {
+      return { code: 'destination_not_allowed', error: `Deposit address keys only sign transfers to ${CONSOLIDATION_ADDRESS}` };
+    }
+
+    if (hdWallet.deriveAddress(request.derivationIndex).address !== transfer.from) {
+      return { code: 'wrong_key', error: `Transaction is not from the deposit address at index ${request.derivationIndex}` };
+    }
+
+    return { privateKey: hdWallet.derivePrivateKey(request.derivationIndex) };
+  }
+
+  if (request.purpose === 'withdrawal') {
+    if (transfer.contractAddress !== USDT_CONTRACT) {
+      return { code: 'token_not_allowed', error: 'Withdrawals are paid in USDT only' };
+    }
+
+    const masterAddress = getKeyAddress('master');
+    if (!masterAddress) {
+      return { code: 'not_configured', error: 'No master wallet key in the signer keystore or MASTER_WALLET_PRIVATE_KEY' };
+    }
+
+    if (transfer.from !== masterAddress) {
+      return { code: 'wrong_key', error: 'Withdrawals must be sent from the master wallet' };
+    }
+
+    if (WITHDRAWAL_ALLOWLIST.length > 0 && !WITHDRAWAL_ALLOWLIST.includes(transfer.to)) {
+      return { code: 'destination_not_allowed', error: `${transfer.to} is not on the withdrawal allowlist` };
+    }
+
+    const maxSun = money.usdtToSun(MAX_WITHDRAWAL_USDT);
+    if (transfer.amountSun > maxSun) {
+      return { code: 'amount_over_limit', error: `Withdrawal of ${money.formatUsdt(transfer.amountSun)} USDT is above the ${MAX_WITHDRAWAL_USDT} USDT limit` };
+    }
+
+    const dailySun = money.usdtToSun(DAILY_WITHDRAWAL_LIMIT_USDT);
+    if (!alreadySigned && getSignedTodaySun('withdrawal') + transfer.amountSun > dailySun) {
+      return { code: 'daily_limit', error: `Daily withdrawal limit of ${DAILY_WITHDRAWAL_LIMIT_USDT} USDT reached` };
+    }
+
+    return { privateKey: getPrivateKey('master') };
+  }
+
+  if (request.purpose === 'delegate' || request.purpose === 'undelegate') {
+    const stakingAddress = getKeyAddress('staking');
+    if (!stakingAddress) {
+      return { code: 'not_configured', error: 'No energy staking key in the signer keystore or ENERGY_STAKING_PRIVATE_KEY' };
+    }
+
+    if (transfer.from !== stakingAddress) {
+      return { code: 'wrong_key', error: 'Delegations must be made from the staking wallet' };
+    }
+
+    // Taking a delegation back only ever returns the stake to the staking wallet
+    if (request.purpose === 'delegate') {
+      if (!isOwnAddress(transfer.to, request.derivationIndex)) {
+        return { code: 'destination_not_allowed', error: `Energy is only delegated to the master wallet or a deposit address, not ${transfer.to}` };
+      }
+
+      if (transfer.amountSun > money.trxToSun(MAX_DELEGATION_TRX)) {
+        return { code: 'amount_over_limit', error: `Delegation of ${money.sunToTrx(transfer.amountSun)} TRX is above the ${MAX_DELEGATION_TRX} TRX limit` };
+      }
+    }
+
+    return { privateKey: getPrivateKey('staking') };
+  }
+
+  if (request.purpose === 'gas_topup') {
+    const fundingAddress = getKeyAddress('gasFunding');
+    if (!fundingAddress) {
+      return { code: 'not_configured', error: 'No gas-funding key in the signer keystore or GAS_FUNDING_PRIVATE_KEY' };
+    }
+
+    if (transfer.from !== fundingAddress) {
+      return { code: 'wrong_key', error: 'Gas top-ups must be sent from the gas-funding wallet' };
+    }
+
+    if (!Number.isInteger(request.derivationIndex) || request.derivationIndex < 0) {
+      return { code: 'invalid_request', error: 'Gas top-ups need the derivation index of the deposit address' };
+    }
+
+    if (hdWallet.deriveAddress(request.derivationIndex).address !== transfer.to) {
+      return { code: 'destination_not_allowed', error: `Gas is only sent to the deposit address at index ${request.derivationIndex}` };
+    }
+
+    if (transfer.amountSun > money.trxToSun(MAX_GAS_TOPUP_TRX)) {
+      return { code: 'amount_over_limit', error: `Gas top-up of ${money.sunToTrx(transfer.amountSun)} TRX is above the ${MAX_GAS_TOPUP_TRX} TRX limit` };
+    }
+
+    if (!alreadySigned && getSignedTodaySun('gas_topup') + transfer.amountSun > money.trxToSun(DAILY_GAS_TOPUP_LIMIT_TRX)) {
+      return { code: 'daily_limit', error: `Daily gas top-up limit of ${DAILY_GAS_TOPUP_LIMIT_TRX} TRX reached` };
+    }
+
+    return { privateKey: getPrivateKey('gasFunding') };
+  }
+
+  return { code: 'invalid_request', error: `purpose must be one of sweep, withdrawal, ${Object.keys(WALLET_PURPOSES).join(', ')}` };
+};
+
+/**
+ * Check an unsigned transaction against the policy and sign it
+ * Signing the same txID again returns the same signature and is not counted twice
+ * @param {object} request - { purpose: 'sweep'|'withdrawal'|'delegate'|'undelegate'|'gas_topup', transaction,
+ *   derivationIndex (sweeps, gas top-ups and delegations to a deposit address), reference }
+ * @returns {Promise<object>} { success: true, signedTx } or { success: false, code, error }
+ */
+const signTransfer = async ({ purpose, transaction, derivationIndex, reference = null }) => {
+  let transfer;
+  try {
+    transfer = WALLET_PURPOSES[purpose]
+      ? decodeWalletTransaction(transaction, WALLET_PURPOSES[purpose])
+      : decodeTransfer(transaction);
+  } catch (error) {
+    return { success: false, code: 'invalid_transaction', error: error.message };
+  }
+
+  const alreadySigned = Boolean(
+    getDb().prepare('SELECT 1 FROM signatures WHERE tx_id = ?').get(transfer.txId)
+  );
+
+  let policy;
+  try {
+    policy = checkPolicy({ purpose, derivationIndex }, transfer, alreadySigned);
+  } catch (error) {
+    return { success: false, code: 'not_configured', error: error.message };
+  }
+
+  if (policy.error) {
+    console.warn(`🚫 Refused to sign ${purpose} ${reference || transfer.txId}: ${policy.error}`);
+    return { success: false, code: policy.code, error: policy.error };
+  }
+
+  let signedTx;
+  try {
+    signedTx = TronWeb.utils.crypto.signTransaction(policy.privateKey, { ...transaction });
+  } finally {
+    policy.privateKey.fill(0);
+  }
+
+  getDb().prepare(
+    `INSERT OR IGNORE INTO signatures (purpose, tx_id, from_address, to_address, amount_minor, reference, contract_address)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(purpose, transfer.txId, transfer.from, transfer.to, transfer.amountSun, reference, transfer.contractAddress);
+
+  // The signer does not know other tokens' decimals, so their amounts are logged in minor units
+  let amount;
+  if (WALLET_PURPOSES[purpose]) {
+    amount = `${money.sunToTrx(transfer.amountSun)} TRX`;
+  } else if (transfer.contractAddress === USDT_CONTRACT) {
+    amount = `${money.formatUsdt(transfer.amountSun)} USDT`;
+  } else {
+    amount = `${transfer.amountSun} units of ${transfer.contractAddress}`;
+  }
+  console.log(`✍️ Signed ${purpose} ${reference || transfer.txId}: ${amount} ${transfer.from} -> ${transfer.to} (${transfer.txId})`);
+
+  return { success: true, signedTx };
+};
+
+/**
+ * Check the signer has what it needs to sign
+ * @returns {object} { valid: boolean, errors: array }
+ */
+const validateConfig = () => {
+  const errors = [];
+
+  const hd = hdWallet.validateConfig();
+  if (!hd.valid) {
+    errors.push(`HD wallet: ${hd.error}`);
+  } else if (!hd.canSign) {
+    errors.push('HD wallet: a keystore (KEYSTORE_PATH) or HD_MASTER_MNEMONIC is required to sign sweeps');
+  }
+
+  if (!getKeyAddress('master')) {
+    errors.push('No master wallet key: the keystore has none and MASTER_WALLET_PRIVATE_KEY is not set');
+  }
+
+  if (!CONSOLIDATION_ADDRESS) {
+    errors.push('SIGNER_CONSOLIDATION_ADDRESS (or DEPOSIT_ADDRESS) is not set');
+  }
+
+  WITHDRAWAL_ALLOWLIST
+    .filter(address => !TronWeb.utils.address.isAddress(address))
+    .forEach(address => errors.push(`SIGNER_WITHDRAWAL_ALLOWLIST: invalid address ${address}`));
+
+  SWEEP_TOKEN_CONTRACTS
+    .filter(address => !TronWeb.utils.address.isAddress(address))
+    .forEach(address => errors.push(`SIGNER_SWEEP_TOKEN_CONTRACTS: invalid address ${address}`));
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Get signer status and policy
+ */
+const getStatus = () => {
+  return {
+    masterAddress: getKeyAddress('master'),
+    stakingAddress: getKeyAddress('staking'),
+    gasFundingAddress: getKeyAddress('gasFunding'),
+    consolidationAddress: CONSOLIDATION_ADDRESS,
+    policy: {
+      sweepTokenContracts: [USDT_CONTRACT, ...SWEEP_TOKEN_CONTRACTS],
+      maxWithdrawalUsdt: MAX_WITHDRAWAL_USDT,
+      dailyWithdrawalLimitUsdt: DAILY_WITHDRAWAL_LIMIT_USDT,
+      withdrawalAllowlist: WITHDRAWAL_ALLOWLIST,
+      maxDelegationTrx: MAX_DELEGATION_TRX,
+      maxGasTopupTrx: MAX_GAS_TOPUP_TRX,
+      dailyGasTopupLimitTrx: DAILY_GAS_TOPUP_LIMIT_TRX,
+    },
+    withdrawnTodayUsdt: money.sunToUsdt(getSignedTodaySun('withdrawal')),
+    gasToppedUpTodayTrx: money.sunToTrx(getSignedTodaySun('gas_topup')),
+  };
+};
+
+module.exports = {
+  decodeTransfer,
+  decodeWalletTransaction,
+  signTransfer,
+  validateConfig,
+  getStatus,
+};
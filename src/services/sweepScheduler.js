@@ -0,0 +1,394 @@
+/**
+ * Sweep Scheduler
+ * Sweeps user wallets into the master wallet on a timer, following the sweep policy:
+ *   - minSweep (per token, see tokenService): a wallet is swept once it holds at least this much of a token
+ *   - SWEEP_MAX_AGE_HOURS: ...or once it has held any of a token from a deposit for this long
+ *   - SWEEP_QUIET_HOURS: no scheduled runs inside this UTC window (e.g. 22:00-06:00)
+ *   - SWEEP_MAX_PER_RUN: at most this many sweeps are signed per run; the rest wait for the next run
+ *   - GAS_TOPUP_ENABLED: wallets short of TRX are topped up from the gas-funding wallet (see gasTopupService)
+ *
+ * Every run - scheduled or started by an admin, real or dry - is stored in sweep_runs. The pause switch
+ * is kept in the database so a paused scheduler stays paused across restarts; it only stops scheduled
+ * runs, an admin can still sweep by hand.
+ */
+
+const db = require('../config/db');
+const consolidationService = require('./consolidationService');
+const gasTopupService = require('./gasTopupService');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
+
+// Scheduler configuration
+const SCHEDULER_ENABLED = process.env.SWEEP_SCHEDULER_ENABLED === 'true';
+const INTERVAL_MS = parseInt(process.env.SWEEP_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+const MAX_AGE_HOURS = process.env.SWEEP_MAX_AGE_HOURS !== undefined && process.env.SWEEP_MAX_AGE_HOURS !== ''
+  ? parseFloat(process.env.SWEEP_MAX_AGE_HOURS)
+  : 72; // 0 disables
+const QUIET_HOURS = process.env.SWEEP_QUIET_HOURS || '';
+const MAX_PER_RUN = parseInt(process.env.SWEEP_MAX_PER_RUN) || 20;
+const DRY_RUN = process.env.SWEEP_DRY_RUN === 'true'; // Scheduled runs only report what they would sweep
+
+let isRunning = false;
+let pollInterval = null;
+let runInProgress = false;
+let lastScheduledCheckAt = null;
+
+/**
+ * Parse a quiet hours window
+ * @param {string} value - 'HH:MM-HH:MM' in UTC; the window may wrap past midnight. Empty for none
+ * @returns {object|null} { start, end } in minutes after midnight
+ */
+const parseQuietHours = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid SWEEP_QUIET_HOURS "${value}" (expected HH:MM-HH:MM)`);
+  }
+
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+    throw new Error(`Invalid SWEEP_QUIET_HOURS "${value}" (expected HH:MM-HH:MM)`);
+  }
+
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+};
+
+/**
+ * Check whether a time falls inside the quiet hours window
+ * @param {object|null} window - From parseQuietHours
+ * @param {Date} date - Time to check
+ * @returns {boolean}
+ */
+const isQuietTime = (window, date = new Date()) => {
+  if (!window || window.start === window.end) {
+    return false;
+  }
+
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+};
+
+/**
+ * Get the sweep policy in effect
+ * @returns {object} Policy
+ */
+const getPolicy = () => {
+  const tokens = tokenService.getTokens();
+
+  return {
+    minSweepUsdt: tokens.find(t => t.symbol === 'USDT').minSweep,
+    minSweep: tokens.reduce((mins, t) => ({ ...mins, [t.symbol]: t.minSweep }), {}),
+    maxAgeHours: MAX_AGE_HOURS || null,
+    quietHours: QUIET_HOURS || null,
+    maxSweepsPerRun: MAX_PER_RUN,
+    gasTopUp: gasTopupService.isEnabled(),
+  };
+};
+
+/**
+ * Format a sweep_runs row for API responses
+ * @param {object} r - Run row
+ * @param {boolean} includeDetails - Include the per-wallet outcome
+ */
+const formatRun = (r, includeDetails = false) => {
+  const run = {
+    id: r.id,
+    status: r.status,
+    dryRun: r.dry_run === 1,
+    policy: r.policy ? JSON.parse(r.policy) : null,
+    eligible: r.eligible_count,
+    swept: r.swept_count,
+    failed: r.failed_count,
+    needsGas: r.needs_gas_count,
+    deferred: r.deferred_count,
+    usdtAmount: money.sunToUsdt(r.usdt_amount_sun),
+    gasTopupTrx: money.sunToTrx(r.gas_topup_trx_sun || 0),
+    error: r.error,
+    triggeredBy: r.triggered_by,
+    createdBy: r.created_by,
+    startedAt: r.started_at,
+    completedAt: r.completed_at,
+  };
+
+  if (includeDetails) {
+    run.details = r.details ? JSON.parse(r.details) : [];
+  }
+
+  return run;
+};
+
+/**
+ * Sweep every due wallet under the sweep policy and store the run
+ * Quiet hours and the pause switch are checked by the scheduler, not here
+ * @param {object} options - { triggeredBy, createdBy, dryRun }
+ * @returns {Promise<object>} Run, with details
+ */
+const runSweep = async ({ triggeredBy = 'manual', createdBy = null, dryRun = false } = {}) => {
+  if (runInProgress) {
+    throw new Error('A sweep run is already in progress');
+  }
+
+  runInProgress = true;
+
+  // Nothing else runs in this process, so any run still 'running' was cut short by a restart
+  db.prepare(
+    "UPDATE sweep_runs SET status = 'failed', error = 'Interrupted', completed_at = datetime('now') WHERE status = 'running'"
+  ).run();
+
+  const policy = getPolicy();
+
+  const runId = db.prepare(
+    'INSERT INTO sweep_runs (dry_run, policy, triggered_by, created_by) VALUES (?, ?, ?, ?)'
+  ).run(dryRun ? 1 : 0, JSON.stringify(policy), triggeredBy, createdBy).lastInsertRowid;
+
+  console.log(`🧹 Sweep run ${runId} started (${triggeredBy}${dryRun ? ', dry run' : ''})`);
+
+  try {
+    const results = await consolidationService.sweepAll({
+      dryRun,
+      maxSweeps: policy.maxSweepsPerRun,
+      maxAgeHours: policy.maxAgeHours,
+      topUpGas: policy.gasTopUp,
+      sweepRunId: runId,
+    });
+
+    // usdt_amount_sun covers USDT only; the details hold every token
+    const usdtAmountSun = results.details
+      .filter(d => d.token === 'USDT' && (d.status === 'swept' || d.status === 'would_sweep'))
+      .reduce((sum, d) => sum + money.usdtToSun(d.amount, money.ROUNDING.DOWN), 0);
+
+    db.prepare(
+      `UPDATE sweep_runs
+       SET status = 'completed', eligible_count = ?, swept_count = ?, failed_count = ?, needs_gas_count = ?,
+           deferred_count = ?, usdt_amount_sun = ?, gas_topup_trx_sun = ?, details = ?, completed_at = datetime('now')
+       WHERE id = ?`
+    ).run(
+      results.eligible,
+      results.swept,
+      results.failed,
+      results.needsGas,
+      results.deferred,
+      usdtAmountSun,
+      money.trxToSun(results.gasTopupTrx),
+      JSON.stringify(results.details),
+      runId
+    );
+
+    console.log(
+      `🧹 Sweep run ${runId} ${dryRun ? 'would sweep' : 'swept'} ${results.swept} wallet(s), ${money.formatUsdt(usdtAmountSun)} USDT` +
+      ` (${results.failed} failed, ${results.needsGas} need gas, ${results.deferred} deferred, ${results.gasTopupTrx} TRX gas topped up)`
+    );
+  } catch (error) {
+    console.error(`Sweep run ${runId} failed:`, error.message);
+    db.prepare(
+      "UPDATE sweep_runs SET status = 'failed', error = ?, completed_at = datetime('now') WHERE id = ?"
+    ).run(error.message, runId);
+  } finally {
+    runInProgress = false;
+  }
+
+  return getRun(runId);
+};
+
+/**
+ * Get a sweep run with its per-wallet details
+ * @param {number} runId - Run ID
+ * @returns {object|null}
+ */
+const getRun = (runId) => {
+  const run = db.prepare('SELECT * FROM sweep_runs WHERE id = ?').get(runId);
+  return run ? formatRun(run, true) : null;
+};
+
+/**
+ * List sweep runs, newest first
+ * @param {object} filters - { status, dryRun, limit, offset }
+ * @returns {object} { runs, total }
+ */
+const getRuns = ({ status = null, dryRun = null, limit = 20, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (dryRun !== null && dryRun !== undefined) {
+    conditions.push('dry_run = ?');
+    params.push(dryRun ? 1 : 0);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const runs = db.prepare(
+    `SELECT * FROM sweep_runs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset);
+
+  const countResult = db.prepare(`SELECT COUNT(*) as total FROM sweep_runs ${where}`).get(...params);
+
+  return {
+    runs: runs.map(r => formatRun(r)),
+    total: countResult.total,
+  };
+};
+
+/**
+ * Get the pause switch
+ * @returns {object} { paused, pauseReason, updatedBy, updatedAt }
+ */
+const getPauseState = () => {
+  const state = db.prepare('SELECT * FROM sweep_scheduler_state WHERE id = 1').get();
+
+  return {
+    paused: state.paused === 1,
+    pauseReason: state.pause_reason,
+    updatedBy: state.updated_by,
+    updatedAt: state.updated_at,
+  };
+};
+
+/**
+ * Pause scheduled sweeps
+ * @param {number} userId - Admin pausing the scheduler
+ * @param {string} reason - Why (optional)
+ * @returns {object} Pause state
+ */
+const pause = (userId, reason = null) => {
+  db.prepare(
+    "UPDATE sweep_scheduler_state SET paused = 1, pause_reason = ?, updated_by = ?, updated_at = datetime('now') WHERE id = 1"
+  ).run(reason, userId);
+
+  console.log(`⏸️ Sweep scheduler paused by user ${userId}${reason ? `: ${reason}` : ''}`);
+
+  return getPauseState();
+};
+
+/**
+ * Resume scheduled sweeps
+ * @param {number} userId - Admin resuming the scheduler
+ * @returns {object} Pause state
+ */
+const resume = (userId) => {
+  db.prepare(
+    "UPDATE sweep_scheduler_state SET paused = 0, pause_reason = NULL, updated_by = ?, updated_at = datetime('now') WHERE id = 1"
+  ).run(userId);
+
+  console.log(`▶️ Sweep scheduler resumed by user ${userId}`);
+
+  return getPauseState();
+};
+
+/**
+ * Run one scheduled sweep, unless paused or inside quiet hours
+ */
+const runScheduled = async () => {
+  if (!isRunning || runInProgress) return;
+
+  lastScheduledCheckAt = new Date().toISOString();
+
+  if (getPauseState().paused || isQuietTime(parseQuietHours(QUIET_HOURS))) {
+    return;
+  }
+
+  try {
+    await runSweep({ triggeredBy: 'scheduler', dryRun: DRY_RUN });
+  } catch (error) {
+    console.error('Scheduled sweep error:', error.message);
+  }
+};
+
+/**
+ * Start the scheduler (if SWEEP_SCHEDULER_ENABLED=true)
+ */
+const start = () => {
+  if (isRunning) {
+    console.log('Sweep scheduler is already running');
+    return;
+  }
+
+  if (!SCHEDULER_ENABLED) {
+    console.log('🧹 Sweep scheduler disabled - wallets are swept manually');
+    return;
+  }
+
+  try {
+    parseQuietHours(QUIET_HOURS);
+  } catch (error) {
+    console.error(`⚠️ Sweep scheduler disabled: ${error.message}`);
+    return;
+  }
+
+  isRunning = true;
+  console.log(
+    `🧹 Sweep scheduler started (every ${INTERVAL_MS / 1000}s${DRY_RUN ? ', dry run' : ''}` +
+    `${getPauseState().paused ? ', currently paused' : ''})`
+  );
+
+  pollInterval = setInterval(runScheduled, INTERVAL_MS);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+
+  console.log('🛑 Sweep scheduler stopped');
+};
+
+/**
+ * Get scheduler status
+ */
+const getStatus = () => {
+  const lastRun = db.prepare('SELECT * FROM sweep_runs ORDER BY id DESC LIMIT 1').get();
+
+  let quietNow = false;
+  try {
+    quietNow = isQuietTime(parseQuietHours(QUIET_HOURS));
+  } catch (error) {
+    // Reported by start()
+  }
+
+  return {
+    enabled: SCHEDULER_ENABLED,
+    running: isRunning,
+    ...getPauseState(),
+    dryRun: DRY_RUN,
+    intervalMs: INTERVAL_MS,
+    policy: getPolicy(),
+    quietNow,
+    runInProgress,
+    lastScheduledCheckAt,
+    lastRun: lastRun ? formatRun(lastRun) : null,
+  };
+};
+
+module.exports = {
+  parseQuietHours,
+  isQuietTime,
+  getPolicy,
+  runSweep,
+  getRun,
+  getRuns,
+  pause,
+  resume,
+  start,
+  stop,
+  getStatus,
+};
@@ -0,0 +1,240 @@
+/**
+ * Token Service
+ * Registry of the TRC20 tokens accepted as deposits
+ *
+ * Every token is received on the same per-user deposit addresses. A token has its own deposit limits and
+ * sweep threshold, and is credited in KES at the active <rateCurrency>/KES rate (USDC can be priced from a
+ * USDC/KES rate, or from USDT/KES if it is treated as the same dollar). Amounts are stored in the token's
+ * minor unit, the integer the chain reports. Withdrawals are always paid in USDT.
+ *
+ * USDT is registered when the database is initialized (see src/config/db.js). Symbol, contract and decimals
+ * cannot change once a token is added, since stored amounts depend on them; a token that should no longer be
+ * accepted is disabled instead. Funds already deposited in a disabled token are still swept.
+ */
+
+const db = require('../config/db');
+const rateService = require('./rateService');
+const money = require('../utils/money');
+
+/**
+ * Format a tokens row for API responses and callers
+ */
+const formatToken = (t) => ({
+  symbol: t.symbol,
+  contractAddress: t.contract_address,
+  decimals: t.decimals,
+  minDeposit: money.fromMinorUnits(t.min_deposit_minor, t.decimals),
+  maxDeposit: t.max_deposit_minor === null ? null : money.fromMinorUnits(t.max_deposit_minor, t.decimals),
+  minSweep: money.fromMinorUnits(t.min_sweep_minor, t.decimals),
+  rateCurrency: t.rate_currency,
+  enabled: t.is_enabled === 1,
+  createdAt: t.created_at,
+  updatedAt: t.updated_at,
+});
+
+/**
+ * Get registered tokens, USDT first
+ * @param {object} options - { enabledOnly: leave out disabled tokens }
+ * @returns {array} Tokens
+ */
+const getTokens = ({ enabledOnly = false } = {}) => {
+  return db.prepare(
+    `SELECT * FROM tokens ${enabledOnly ? 'WHERE is_enabled = 1' : ''} ORDER BY symbol != 'USDT', symbol`
+  ).all().map(formatToken);
+};
+
+/**
+ * Get a token by symbol
+ * @param {string} symbol - e.g. 'USDT'
+ * @returns {object|null} Token, enabled or not
+ */
+const getToken = (symbol) => {
+  const row = db.prepare('SELECT * FROM tokens WHERE symbol = ?').get(symbol);
+  return row ? formatToken(row) : null;
+};
+
+/**
+ * Get the token issued by a contract
+ * @param {string} contractAddress - Base58 contract address
+ * @returns {object|null} Token, enabled or not
+ */
+const getTokenByContract = (contractAddress) => {
+  const row = db.prepare('SELECT * FROM tokens WHERE contract_address = ?').get(contractAddress);
+  return row ? formatToken(row) : null;
+};
+
+/**
+ * Get the decimals of a registered token
+ * @param {string} symbol - Token symbol
+ * @returns {number|null} Decimals, or null if the token is not registered
+ */
+const getDecimals = (symbol) => {
+  const row = db.prepare('SELECT decimals FROM tokens WHERE symbol = ?').get(symbol);
+  return row ? row.decimals : null;
+};
+
+/**
+ * Convert a decimal token amount to its minor unit
+ * @param {number} amount - Decimal amount
+ * @param {object} token - Token
+ * @param {string} rounding - One of money.ROUNDING (default HALF_UP)
+ * @returns {number}
+ */
+const toMinor = (amount, token, rounding) => money.toMinorUnits(amount, token.decimals, rounding);
+
+/**
+ * Convert a token amount in its minor unit to a decimal amount
+ * @param {number} minor - Minor units
+ * @param {object} token - Token
+ * @returns {number}
+ */
+const fromMinor = (minor, token) => money.fromMinorUnits(minor, token.decimals);
+
+/**
+ * Format a token amount for display, e.g. 10000000 -> '10.000000' for a 6-decimal token
+ * @param {number} minor - Minor units
+ * @param {object} token - Token
+ * @returns {string}
+ */
+const formatAmount = (minor, token) => fromMinor(minor, token).toFixed(token.decimals);
+
+/**
+ * Check a token can be enabled: it needs an active rate to be credited at
+ * @param {string} symbol - Token symbol
+ * @param {string} rateCurrency - Currency the token is priced from
+ * @throws if there is no active <rateCurrency>/KES rate
+ */
+const checkRate = (symbol, rateCurrency) => {
+  try {
+    rateService.getActiveRate(rateCurrency, 'KES');
+  } catch (error) {
+    throw new Error(`Set a ${rateCurrency}/KES rate before enabling ${symbol}`);
+  }
+};
+
+/**
+ * Check deposit limits and sweep threshold
+ * @param {object} limits - { minDeposit, maxDeposit, minSweep } as decimal amounts
+ * @param {number} decimals - The token's decimals
+ */
+const checkLimits = ({ minDeposit, maxDeposit, minSweep }, decimals) => {
+  if (!(minDeposit >= 0) || !(minSweep >= 0)) {
+    throw new Error('minDeposit and minSweep must be zero or more');
+  }
+
+  if (maxDeposit !== null && !(maxDeposit >= minDeposit)) {
+    throw new Error('maxDeposit must be at least minDeposit');
+  }
+
+  for (const amount of [minDeposit, maxDeposit, minSweep]) {
+    if (amount !== null && !Number.isSafeInteger(money.toMinorUnits(amount, decimals))) {
+      throw new Error(`${amount} is too large for a token with ${decimals} decimals`);
+    }
+  }
+};
+
+/**
+ * Register a token
+ * @param {object} params - { symbol, contractAddress, decimals, minDeposit, maxDeposit (null for none), minSweep, rateCurrency (default the symbol), enabled }
+ * @returns {object} Token
+ */
+const addToken = ({
+  symbol,
+  contractAddress,
+  decimals,
+  minDeposit = 0,
+  maxDeposit = null,
+  minSweep = 0,
+  rateCurrency = symbol,
+  enabled = true,
+}) => {
+  if (getToken(symbol)) {
+    throw new Error(`Token ${symbol} is already registered`);
+  }
+
+  const existing = getTokenByContract(contractAddress);
+  if (existing) {
+    throw new Error(`Contract ${contractAddress} is already registered as ${existing.symbol}`);
+  }
+
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > money.MAX_TOKEN_DECIMALS) {
+    throw new Error(`decimals must be an integer from 0 to ${money.MAX_TOKEN_DECIMALS}`);
+  }
+
+  checkLimits({ minDeposit, maxDeposit, minSweep }, decimals);
+
+  if (enabled) {
+    checkRate(symbol, rateCurrency);
+  }
+
+  const token = { decimals };
+
+  db.prepare(
+    `INSERT INTO tokens (symbol, contract_address, decimals, min_deposit_minor, max_deposit_minor, min_sweep_minor, rate_currency, is_enabled)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    symbol,
+    contractAddress,
+    decimals,
+    toMinor(minDeposit, token),
+    maxDeposit === null ? null : toMinor(maxDeposit, token),
+    toMinor(minSweep, token),
+    rateCurrency,
+    enabled ? 1 : 0
+  );
+
+  console.log(`🪙 Token ${symbol} registered (${contractAddress}, ${decimals} decimals, priced from ${rateCurrency}/KES)${enabled ? '' : ' - disabled'}`);
+
+  return getToken(symbol);
+};
+
+/**
+ * Update a token's limits, pricing or enabled flag
+ * @param {string} symbol - Token symbol
+ * @param {object} changes - Any of { minDeposit, maxDeposit, minSweep, rateCurrency, enabled }
+ * @returns {object} Token
+ */
+const updateToken = (symbol, changes) => {
+  const current = getToken(symbol);
+
+  if (!current) {
+    throw new Error(`Token ${symbol} is not registered`);
+  }
+
+  const next = { ...current, ...changes };
+
+  checkLimits(next, current.decimals);
+
+  if (next.enabled) {
+    checkRate(symbol, next.rateCurrency);
+  }
+
+  db.prepare(
+    `UPDATE tokens
+     SET min_deposit_minor = ?, max_deposit_minor = ?, min_sweep_minor = ?, rate_currency = ?, is_enabled = ?, updated_at = datetime('now')
+     WHERE symbol = ?`
+  ).run(
+    toMinor(next.minDeposit, current),
+    next.maxDeposit === null ? null : toMinor(next.maxDeposit, current),
+    toMinor(next.minSweep, current),
+    next.rateCurrency,
+    next.enabled ? 1 : 0,
+    symbol
+  );
+
+  console.log(`🪙 Token ${symbol} updated: ${Object.keys(changes).join(', ')}`);
+
+  return getToken(symbol);
+};
+
+module.exports = {
+  getTokens,
+  getToken,
+  getTokenByContract,
+  getDecimals,
+  toMinor,
+  fromMinor,
+  formatAmount,
+  addToken,
+  updateToken,
+};
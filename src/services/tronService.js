@@ -1,9 +1,10 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const tokenService = require('./tokenService');
+const money = require('../utils/money');
 
 const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
 const TRON_API_KEY = process.env.TRON_API_KEY;
-const USDT_CONTRACT = process.env.USDT_CONTRACT;
 
 // Create axios instance with default config
 const tronApiHeaders = {
@@ -68,6 +69,7 @@ const hexToBase58 = (hexAddress) => {
 
 /**
  * Get TRC20 transaction details by transaction hash
+ * Returns the first Transfer event emitted by a token in the token registry (enabled or not)
  * @param {string} txHash - The transaction hash (TxID)
  * @returns {Promise<object|null>} Transaction data or null if not found
  */
@@ -80,13 +82,17 @@ const getTransactionByHash = async (txHash) => {
       return null;
     }
 
-    const event = eventsResponse.data.data[0];
+    // Check it's a Transfer event from a registered token contract
+    const event = eventsResponse.data.data.find(
+      e => e.event_name === 'Transfer' && e.result && tokenService.getTokenByContract(e.contract_address)
+    );
     
-    // Check if it's a Transfer event from USDT contract
-    if (event.event_name !== 'Transfer' || event.contract_address !== USDT_CONTRACT) {
+    if (!event) {
       return null;
     }
 
+    const token = tokenService.getTokenByContract(event.contract_address);
+
     // Convert hex addresses to base58
     const fromAddress = hexToBase58(event.result.from);
     const toAddress = hexToBase58(event.result.to);
@@ -94,6 +100,8 @@ const getTransactionByHash = async (txHash) => {
     return {
       txHash: event.transaction_id,
       contractAddress: event.contract_address,
+      token: token.symbol,
+      tokenDecimals: token.decimals,
       from: fromAddress,
       to: toAddress,
       value: event.result.value,
@@ -110,19 +118,19 @@ const getTransactionByHash = async (txHash) => {
 /**
  * Get TRC20 transactions for an address
  * @param {string} address - Tron address
- * @param {object} options - Query options
+ * @param {object} options - Query options ({ limit, contractAddress }; every token when contractAddress is omitted)
  * @returns {Promise<array>} Array of transactions
  */
 const getAddressTransactions = async (address, options = {}) => {
+  const { limit = 20, contractAddress = null } = options;
+  
   try {
-    const { limit = 20, contractAddress = USDT_CONTRACT } = options;
-    
     const response = await tronApi.get(
       `/v1/accounts/${address}/transactions/trc20`,
       {
         params: {
           limit,
-          contract_address: contractAddress,
+          ...(contractAddress && { contract_address: contractAddress }),
         },
       }
     );
@@ -136,8 +144,9 @@ const getAddressTransactions = async (address, options = {}) => {
       from: tx.from,
       to: tx.to,
       value: tx.value,
-      tokenSymbol: tx.token_info.symbol,
-      tokenDecimals: tx.token_info.decimals,
+      contractAddress: tx.token_info?.address,
+      tokenSymbol: tx.token_info?.symbol,
+      tokenDecimals: tx.token_info?.decimals,
       blockTimestamp: tx.block_timestamp,
     }));
   } catch (error) {
@@ -163,7 +172,7 @@ const getAddressTransactions = async (address, options = {}) => {
             {
               params: {
                 limit,
-                contract_address: contractAddress,
+                ...(contractAddress && { contract_address: contractAddress }),
               },
             }
           );
@@ -174,6 +183,7 @@ const getAddressTransactions = async (address, options = {}) => {
               from: tx.from,
               to: tx.to,
               value: tx.value,
+              contractAddress: tx.token_info?.address,
               tokenSymbol: tx.token_info?.symbol,
               tokenDecimals: tx.token_info?.decimals,
               blockTimestamp: tx.block_timestamp,
@@ -192,18 +202,268 @@ const getAddressTransactions = async (address, options = {}) => {
 };
 
 /**
- * Verify a USDT deposit transaction
+ * Get the latest block number
+ * @param {object} options - { solidified: true } to read the last solidified block
+ * @returns {Promise<object>} { blockNumber, blockTimestamp }
+ */
+const getNowBlock = async (options = {}) => {
+  const { solidified = false } = options;
+  
+  try {
+    const response = await tronApi.post(solidified ? '/walletsolidity/getnowblock' : '/wallet/getnowblock');
+    const header = response.data.block_header.raw_data;
+    
+    return {
+      blockNumber: header.number,
+      blockTimestamp: header.timestamp,
+    };
+  } catch (error) {
+    console.error('Error fetching latest block:', error.message);
+    throw new Error('Failed to fetch latest block from blockchain');
+  }
+};
+
+/**
+ * Get all TRC20 Transfer events emitted by a contract in a single block
+ * Follows TronGrid's fingerprint cursor until the block is exhausted
+ * @param {number} blockNumber - Block number to read
+ * @param {object} options - Query options ({ contractAddress (required), pageSize })
+ * @returns {Promise<array>} Array of transfers
+ */
+const getBlockTransferEvents = async (blockNumber, options = {}) => {
+  const { contractAddress, pageSize = 200 } = options;
+  
+  if (!contractAddress) {
+    throw new Error('getBlockTransferEvents needs a contractAddress');
+  }
+  
+  const transfers = [];
+  let fingerprint = null;
+  
+  try {
+    do {
+      const params = {
+        event_name: 'Transfer',
+        block_number: blockNumber,
+        only_confirmed: true,
+        limit: pageSize,
+      };
+      
+      if (fingerprint) {
+        params.fingerprint = fingerprint;
+      }
+      
+      const response = await tronApi.get(`/v1/contracts/${contractAddress}/events`, { params });
+      
+      if (!response.data.success) {
+        throw new Error('TronGrid returned an unsuccessful response');
+      }
+      
+      for (const event of response.data.data) {
+        if (event.event_name !== 'Transfer' || !event.result) continue;
+        
+        transfers.push({
+          txHash: event.transaction_id,
+          contractAddress: event.contract_address,
+          from: hexToBase58(event.result.from),
+          to: hexToBase58(event.result.to),
+          value: event.result.value,
+          blockNumber: event.block_number,
+          blockTimestamp: event.block_timestamp,
+        });
+      }
+      
+      fingerprint = response.data.meta && response.data.meta.fingerprint;
+    } while (fingerprint);
+    
+    return transfers;
+  } catch (error) {
+    console.error(`Error fetching transfer events for block ${blockNumber}:`, error.message);
+    throw new Error(`Failed to fetch transfer events for block ${blockNumber}`);
+  }
+};
+
+/**
+ * Get the execution receipt of a transaction
+ * @param {string} txHash - The transaction hash (TxID)
+ * @param {object} options - { solidified: true } to only see solidified transactions
+ * @returns {Promise<object>} Receipt data ({ found: false } if the node does not know the transaction)
+ */
+const getTransactionInfo = async (txHash, options = {}) => {
+  const { solidified = false } = options;
+  
+  try {
+    const response = await tronApi.post(
+      solidified ? '/walletsolidity/gettransactioninfobyid' : '/wallet/gettransactioninfobyid',
+      { value: txHash }
+    );
+    const info = response.data;
+    
+    if (!info || !info.id) {
+      return { found: false, txHash };
+    }
+    
+    const receipt = info.receipt || {};
+    const result = receipt.result || (info.result === 'FAILED' ? 'FAILED' : 'SUCCESS');
+    
+    return {
+      found: true,
+      txHash: info.id,
+      blockNumber: info.blockNumber,
+      blockTimestamp: info.blockTimeStamp,
+      success: result === 'SUCCESS' && info.result !== 'FAILED',
+      result,
+      errorMessage: info.resMessage ? Buffer.from(info.resMessage, 'hex').toString('utf8') : null,
+      fee: info.fee || 0,
+      energyUsed: receipt.energy_usage_total || 0,
+      bandwidthUsed: receipt.net_usage || 0,
+    };
+  } catch (error) {
+    console.error('Error fetching transaction info:', error.message);
+    throw new Error('Failed to fetch transaction info from blockchain');
+  }
+};
+
+/**
+ * Get one page of incoming TRC20 transfers for an address, oldest first
+ * @param {string} address - Tron address
+ * @param {object} options - { minTimestamp, fingerprint, limit, contractAddress (every token when omitted) }
+ * @returns {Promise<object>} { transactions, fingerprint } - fingerprint is null on the last page
+ */
+const getIncomingTransfersPage = async (address, options = {}) => {
+  const { minTimestamp = 0, fingerprint = null, limit = 200, contractAddress = null } = options;
+  
+  const params = {
+    limit,
+    ...(contractAddress && { contract_address: contractAddress }),
+    only_to: true,
+    order_by: 'block_timestamp,asc',
+    min_timestamp: minTimestamp,
+  };
+  
+  if (fingerprint) {
+    params.fingerprint = fingerprint;
+  }
+  
+  try {
+    const response = await tronApi.get(`/v1/accounts/${address}/transactions/trc20`, { params });
+    
+    if (!response.data.success) {
+      throw new Error('TronGrid returned an unsuccessful response');
+    }
+    
+    return {
+      transactions: response.data.data.map((tx) => ({
+        txHash: tx.transaction_id,
+        from: tx.from,
+        to: tx.to,
+        value: tx.value,
+        contractAddress: tx.token_info?.address,
+        tokenSymbol: tx.token_info?.symbol,
+        tokenDecimals: tx.token_info?.decimals,
+        blockTimestamp: tx.block_timestamp,
+      })),
+      fingerprint: (response.data.meta && response.data.meta.fingerprint) || null,
+    };
+  } catch (error) {
+    console.error(`Error fetching transfers for ${address}:`, error.message);
+    throw new Error(`Failed to fetch transfers for ${address}`);
+  }
+};
+
+/**
+ * Get one page of outgoing TRC20 transfers from an address, oldest first
+ * @param {string} address - Tron address
+ * @param {object} options - { minTimestamp, fingerprint, limit, contractAddress (every token when omitted) }
+ * @returns {Promise<object>} { transactions, fingerprint } - fingerprint is null on the last page
+ */
+const getOutgoingTransfersPage = async (address, options = {}) => {
+  const { minTimestamp = 0, fingerprint = null, limit = 200, contractAddress = null } = options;
+  
+  const params = {
+    limit,
+    ...(contractAddress && { contract_address: contractAddress }),
+    only_from: true,
+    order_by: 'block_timestamp,asc',
+    min_timestamp: minTimestamp,
+  };
+  
+  if (fingerprint) {
+    params.fingerprint = fingerprint;
+  }
+  
+  try {
+    const response = await tronApi.get(`/v1/accounts/${address}/transactions/trc20`, { params });
+    
+    if (!response.data.success) {
+      throw new Error('TronGrid returned an unsuccessful response');
+    }
+    
+    return {
+      transactions: response.data.data.map((tx) => ({
+        txHash: tx.transaction_id,
+        from: tx.from,
+        to: tx.to,
+        value: tx.value,
+        contractAddress: tx.token_info?.address,
+        blockTimestamp: tx.block_timestamp,
+      })),
+      fingerprint: (response.data.meta && response.data.meta.fingerprint) || null,
+    };
+  } catch (error) {
+    console.error(`Error fetching outgoing transfers for ${address}:`, error.message);
+    throw new Error(`Failed to fetch outgoing transfers for ${address}`);
+  }
+};
+
+/**
+ * Count the transactions an address has taken part in, up to a limit
+ * Native transactions (TRX transfers, contract calls) and TRC20 transfers of any token are counted
+ * separately, in either direction. Enough to tell whether an address has ever been used.
+ * @param {string} address - Tron address
+ * @param {object} options - { limit: most to count of each kind }
+ * @returns {Promise<object>} { transactions, trc20Transfers, more } - more is true if either count hit the limit
+ */
+const getTransactionCount = async (address, options = {}) => {
+  const { limit = 50 } = options;
+  
+  try {
+    const [native, trc20] = await Promise.all([
+      tronApi.get(`/v1/accounts/${address}/transactions`, { params: { limit } }),
+      tronApi.get(`/v1/accounts/${address}/transactions/trc20`, { params: { limit } }),
+    ]);
+    
+    if (!native.data.success || !trc20.data.success) {
+      throw new Error('TronGrid returned an unsuccessful response');
+    }
+    
+    const transactions = native.data.data.length;
+    const trc20Transfers = trc20.data.data.length;
+    
+    return {
+      transactions,
+      trc20Transfers,
+      more: transactions >= limit || trc20Transfers >= limit,
+    };
+  } catch (error) {
+    console.error(`Error counting transactions for ${address}:`, error.message);
+    throw new Error(`Failed to count transactions for ${address}`);
+  }
+};
+
+/**
+ * Verify a token deposit transaction
  * @param {string} txHash - Transaction hash to verify
  * @param {string} expectedAddress - Expected recipient address (user's personal deposit address)
  * @returns {Promise<object>} Verification result
  */
-const verifyUsdtDeposit = async (txHash, expectedAddress) => {
+const verifyTokenDeposit = async (txHash, expectedAddress) => {
   const tx = await getTransactionByHash(txHash);
   
   if (!tx) {
     return {
       valid: false,
-      error: 'Transaction not found or not a valid USDT transfer',
+      error: 'Transaction not found or not a transfer of a supported token',
     };
   }
 
@@ -216,16 +476,25 @@ const verifyUsdtDeposit = async (txHash, expectedAddress) => {
     };
   }
 
-  // Check if it's from USDT contract
-  if (tx.contractAddress !== USDT_CONTRACT) {
+  // Check the token is still accepted
+  const token = tokenService.getToken(tx.token);
+  if (!token.enabled) {
     return {
       valid: false,
-      error: 'Transaction is not a USDT transfer',
+      error: `${token.symbol} deposits are not accepted`,
     };
   }
 
-  // Calculate USDT amount (6 decimals)
-  const usdtAmount = Number(tx.value) / 1_000_000;
+  // Transfer value is in the token's minor unit
+  let amountMinor;
+  try {
+    amountMinor = money.parseMinorUnits(tx.value);
+  } catch (error) {
+    return {
+      valid: false,
+      error: `Transfer amount cannot be processed: ${error.message}`,
+    };
+  }
 
   return {
     valid: true,
@@ -233,7 +502,9 @@ const verifyUsdtDeposit = async (txHash, expectedAddress) => {
       txHash: tx.txHash,
       from: tx.from,
       to: tx.to,
-      usdtAmount,
+      token,
+      amountMinor,
+      amount: money.fromMinorUnits(amountMinor, token.decimals),
       blockTimestamp: tx.blockTimestamp,
       blockNumber: tx.blockNumber,
     },
@@ -243,6 +514,12 @@ const verifyUsdtDeposit = async (txHash, expectedAddress) => {
 module.exports = {
   getTransactionByHash,
   getAddressTransactions,
-  verifyUsdtDeposit,
+  getIncomingTransfersPage,
+  getOutgoingTransfersPage,
+  getTransactionCount,
+  verifyTokenDeposit,
+  getNowBlock,
+  getBlockTransferEvents,
+  getTransactionInfo,
   hexToBase58,
 };
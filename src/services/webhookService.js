@@ -0,0 +1,386 @@
+/**
+ * Webhook Service
+ * Notifies registered endpoints when money moves (deposits, withdrawals, sweeps)
+ *
+ * Events are written to an outbox table by enqueueEvent(), which must be called inside
+ * the same db.transaction() as the balance change it describes. A background worker then
+ * delivers them with an HMAC-SHA256 signature and retries failures with exponential backoff.
+ * A delivery is claimed ('delivering') before each attempt, so the worker and a manual redeliver
+ * never send the same delivery at the same time.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const db = require('../config/db');
+
+// Supported event types
+const EVENT_TYPES = [
+  'deposit.completed',
+  'deposit.rejected',
+  'withdrawal.completed',
+  'withdrawal.failed',
+  'withdrawal.rejected',
+  'sweep.completed',
+  'sweep.failed',
+  'rate.alert',
+  'reconciliation.mismatch',
+];
+
+// Delivery configuration
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_SECONDS) || 30;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_SECONDS) || 6 * 60 * 60; // 6 hours
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+let isRunning = false;
+let pollInterval = null;
+let cycleInProgress = false;
+
+/**
+ * Write an event to the outbox and queue a delivery for every subscribed endpoint
+ * Synchronous so it can run inside the caller's db.transaction()
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {object} data - Event data
+ * @returns {number} Event ID
+ */
+const enqueueEvent = (eventType, data) => {
+  if (!EVENT_TYPES.includes(eventType)) {
+    throw new Error(`Unknown webhook event type: ${eventType}`);
+  }
+
+  const eventResult = db.prepare(
+    'INSERT INTO webhook_events (event_type, payload) VALUES (?, ?)'
+  ).run(eventType, JSON.stringify(data));
+
+  const eventId = eventResult.lastInsertRowid;
+
+  const endpoints = db.prepare('SELECT id, events FROM webhook_endpoints WHERE is_active = 1').all();
+
+  for (const endpoint of endpoints) {
+    if (!endpoint.events.split(',').includes(eventType)) continue;
+
+    db.prepare(
+      'INSERT INTO webhook_deliveries (event_id, endpoint_id) VALUES (?, ?)'
+    ).run(eventId, endpoint.id);
+  }
+
+  return eventId;
+};
+
+/**
+ * Sign a payload for delivery
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex signature
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+const getBackoffSeconds = (attempts) => {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+};
+
+/**
+ * Attempt a single delivery and record the outcome
+ * The caller must have claimed the delivery (status 'delivering'); recording the outcome releases it
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object>} { delivered, statusCode, error }
+ */
+const attemptDelivery = async (deliveryId) => {
+  const delivery = db.prepare(
+    `SELECT d.id, d.attempts, e.id as event_id, e.event_type, e.payload, e.created_at as event_created_at,
+            w.url, w.secret
+     FROM webhook_deliveries d
+     JOIN webhook_events e ON d.event_id = e.id
+     JOIN webhook_endpoints w ON d.endpoint_id = w.id
+     WHERE d.id = ?`
+  ).get(deliveryId);
+
+  if (!delivery) {
+    throw new Error('Delivery not found');
+  }
+
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.event_type,
+    createdAt: delivery.event_created_at,
+    data: JSON.parse(delivery.payload),
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptNumber = db.prepare(
+    'SELECT COUNT(*) as count FROM webhook_delivery_attempts WHERE delivery_id = ?'
+  ).get(deliveryId).count + 1;
+
+  let statusCode = null;
+  let responseBody = null;
+  let error = null;
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': String(delivery.event_id),
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`,
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true,
+      maxRedirects: 0,
+    });
+
+    statusCode = response.status;
+    responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Endpoint responded with HTTP ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const delivered = error === null;
+  const attempts = delivery.attempts + 1;
+
+  const recordAttempt = db.transaction(() => {
+    db.prepare(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, attempt_number, status_code, error, response_body, duration_ms)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(deliveryId, attemptNumber, statusCode, error, responseBody ? responseBody.slice(0, 1000) : null, durationMs);
+
+    if (delivered) {
+      db.prepare(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = datetime('now'), updated_at = datetime('now')
+         WHERE id = ?`
+      ).run(attempts, statusCode, deliveryId);
+    } else if (attempts >= MAX_ATTEMPTS) {
+      db.prepare(
+        `UPDATE webhook_deliveries
+         SET status = 'failed', attempts = ?, last_status_code = ?, last_error = ?, updated_at = datetime('now')
+         WHERE id = ?`
+      ).run(attempts, statusCode, error, deliveryId);
+    } else {
+      db.prepare(
+        `UPDATE webhook_deliveries
+         SET status = 'pending', attempts = ?, last_status_code = ?, last_error = ?,
+             next_attempt_at = datetime('now', ?), updated_at = datetime('now')
+         WHERE id = ?`
+      ).run(attempts, statusCode, error, `+${getBackoffSeconds(attempts)} seconds`, deliveryId);
+    }
+  });
+
+  recordAttempt();
+
+  if (!delivered) {
+    console.warn(`⚠️ Webhook delivery ${deliveryId} (${delivery.event_type}) attempt ${attemptNumber} failed: ${error}`);
+  }
+
+  return { delivered, statusCode, error };
+};
+
+/**
+ * Attempt a claimed delivery, putting it back to 'pending' if the attempt could not be recorded
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object>} See attemptDelivery()
+ */
+const attemptClaimed = async (deliveryId) => {
+  try {
+    return await attemptDelivery(deliveryId);
+  } catch (error) {
+    db.prepare(
+      "UPDATE webhook_deliveries SET status = 'pending', updated_at = datetime('now') WHERE id = ? AND status = 'delivering'"
+    ).run(deliveryId);
+    throw error;
+  }
+};
+
+/**
+ * Deliver all pending deliveries that are due
+ * Each is claimed just before it is attempted; one claimed by a manual redeliver in the meantime is skipped
+ */
+const processDueDeliveries = async () => {
+  if (cycleInProgress) return;
+
+  cycleInProgress = true;
+
+  try {
+    const due = db.prepare(
+      `SELECT d.id FROM webhook_deliveries d
+       JOIN webhook_endpoints w ON d.endpoint_id = w.id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now') AND w.is_active = 1
+       ORDER BY d.next_attempt_at ASC
+       LIMIT ?`
+    ).all(BATCH_SIZE);
+
+    const claim = db.prepare(
+      `UPDATE webhook_deliveries SET status = 'delivering', updated_at = datetime('now')
+       WHERE id = ? AND status = 'pending' AND next_attempt_at <= datetime('now')`
+    );
+
+    for (const delivery of due) {
+      if (!isRunning) break;
+
+      if (claim.run(delivery.id).changes !== 1) {
+        continue;
+      }
+
+      try {
+        await attemptClaimed(delivery.id);
+      } catch (error) {
+        console.error(`Error delivering webhook ${delivery.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Webhook delivery cycle error:', error.message);
+  } finally {
+    cycleInProgress = false;
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ * @param {object} params - { url, events, description }
+ * @returns {object} Endpoint including its signing secret (only returned here)
+ */
+const createEndpoint = ({ url, events, description = null }) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const result = db.prepare(
+    'INSERT INTO webhook_endpoints (url, secret, events, description) VALUES (?, ?, ?, ?)'
+  ).run(url, secret, events.join(','), description);
+
+  return {
+    id: result.lastInsertRowid,
+    url,
+    events,
+    description,
+    secret,
+    isActive: true,
+  };
+};
+
+/**
+ * List registered endpoints (secrets are not returned)
+ * @returns {array} Endpoints
+ */
+const listEndpoints = () => {
+  return db.prepare(
+    'SELECT id, url, events, description, is_active, created_at FROM webhook_endpoints ORDER BY id'
+  ).all().map(e => ({
+    id: e.id,
+    url: e.url,
+    events: e.events.split(','),
+    description: e.description,
+    isActive: e.is_active === 1,
+    createdAt: e.created_at,
+  }));
+};
+
+/**
+ * Disable an endpoint - pending deliveries are kept but no longer attempted
+ * @param {number} endpointId - Endpoint ID
+ * @returns {boolean} True if the endpoint existed
+ */
+const disableEndpoint = (endpointId) => {
+  const result = db.prepare(
+    "UPDATE webhook_endpoints SET is_active = 0, updated_at = datetime('now') WHERE id = ?"
+  ).run(endpointId);
+
+  return result.changes > 0;
+};
+
+/**
+ * Attempt a delivery again right away, whatever its current status, unless an attempt is already under way
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object>} Attempt result
+ * @throws 'Delivery not found', or 'Delivery is already being attempted' (error.inProgress)
+ */
+const redeliver = async (deliveryId) => {
+  const delivery = db.prepare('SELECT id FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+
+  if (!delivery) {
+    throw new Error('Delivery not found');
+  }
+
+  // Claim it and reset the retry budget so a failed manual attempt is retried with backoff again
+  const claimed = db.prepare(
+    `UPDATE webhook_deliveries
+     SET status = 'delivering', attempts = 0, next_attempt_at = datetime('now'), updated_at = datetime('now')
+     WHERE id = ? AND status != 'delivering'`
+  ).run(deliveryId);
+
+  if (claimed.changes !== 1) {
+    const error = new Error('Delivery is already being attempted');
+    error.inProgress = true;
+    throw error;
+  }
+
+  return attemptClaimed(deliveryId);
+};
+
+/**
+ * Start the delivery worker
+ */
+const start = () => {
+  if (isRunning) {
+    console.log('Webhook worker is already running');
+    return;
+  }
+
+  isRunning = true;
+
+  // Claims left by a process that stopped mid-attempt; the endpoint may have received it, and
+  // receivers deduplicate on X-Webhook-Id
+  const released = db.prepare(
+    "UPDATE webhook_deliveries SET status = 'pending', updated_at = datetime('now') WHERE status = 'delivering'"
+  ).run().changes;
+
+  console.log(`📨 Webhook worker started (polling every ${POLL_INTERVAL_MS / 1000}s)` +
+    `${released > 0 ? `, ${released} interrupted deliveries requeued` : ''}`);
+
+  processDueDeliveries();
+  pollInterval = setInterval(processDueDeliveries, POLL_INTERVAL_MS);
+};
+
+/**
+ * Stop the delivery worker
+ */
+const stop = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+
+  console.log('🛑 Webhook worker stopped');
+};
+
+module.exports = {
+  EVENT_TYPES,
+  enqueueEvent,
+  signPayload,
+  createEndpoint,
+  listEndpoints,
+  disableEndpoint,
+  redeliver,
+  start,
+  stop,
+};
@@ -0,0 +1,399 @@
+/**
+ * Withdrawal Broadcaster
+ * Background worker that signs, broadcasts and confirms queued withdrawals
+ *
+ * Each withdrawal is claimed ('pending' -> 'processing'), signed, and its txid stored
+ * before the transaction is broadcast. A recovery pass (on startup and every cycle) resolves
+ * rows left in 'processing' by a crash or a lost broadcast response by looking the stored
+ * txid up on chain. Rows the old synchronous flow left 'pending' were marked 'unverified' when
+ * the queue was introduced and are only queued once no transfer paying them is found. Broadcast withdrawals are only 'confirmed' once their solidified receipt
+ * shows success; a failed receipt (e.g. OUT_OF_ENERGY) refunds the user.
+ */
+
+const db = require('../config/db');
+const tronService = require('./tronService');
+const withdrawalService = require('./withdrawalService');
+const energyService = require('./energyService');
+const signerClient = require('./signerClient');
+const money = require('../utils/money');
+
+// Worker configuration
+const POLL_INTERVAL_MS = parseInt(process.env.WITHDRAWAL_POLL_INTERVAL_MS) || 10000;
+const BATCH_SIZE = parseInt(process.env.WITHDRAWAL_BATCH_SIZE) || 10;
+const MAX_BROADCAST_ATTEMPTS = parseInt(process.env.WITHDRAWAL_MAX_BROADCAST_ATTEMPTS) || 5;
+const EXPIRY_GRACE_MS = parseInt(process.env.WITHDRAWAL_EXPIRY_GRACE_MS) || 2 * 60 * 1000; // Wait past tx expiration before re-signing
+const MASTER_WALLET_ADDRESS = process.env.DEPOSIT_ADDRESS;
+
+let isRunning = false;
+let pollInterval = null;
+let cycleInProgress = false;
+
+/**
+ * Return a withdrawal to the queue, or refund it once it has used up its attempts
+ * Only safe when no signed transaction for it can still land on chain
+ * @param {object} withdrawal - Withdrawal row
+ * @param {string} reason - Why the attempt failed
+ */
+const requeueOrRefund = (withdrawal, reason) => {
+  if (withdrawal.broadcast_attempts >= MAX_BROADCAST_ATTEMPTS) {
+    withdrawalService.refundWithdrawal(withdrawal.id, reason);
+    return;
+  }
+
+  db.prepare(
+    `UPDATE withdrawals SET status = 'pending', tx_hash = NULL, tx_expiration = NULL, broadcast_at = NULL, failure_reason = ?, updated_at = datetime('now')
+     WHERE id = ? AND status IN ('processing', 'broadcast')`
+  ).run(reason, withdrawal.id);
+
+  console.warn(`⚠️ Withdrawal ${withdrawal.id} re-queued (attempt ${withdrawal.broadcast_attempts}/${MAX_BROADCAST_ATTEMPTS}): ${reason}`);
+};
+
+/**
+ * Put a claimed withdrawal back in the queue without counting the attempt
+ * For failures that are not the withdrawal's fault and clear up by themselves; any energy delegated
+ * for it is kept for the next attempt
+ * @param {object} withdrawal - Withdrawal row
+ * @param {string} reason - Why it could not be sent now
+ */
+const releaseClaim = (withdrawal, reason) => {
+  db.prepare(
+    `UPDATE withdrawals SET status = 'pending', broadcast_attempts = broadcast_attempts - 1, failure_reason = ?, updated_at = datetime('now')
+     WHERE id = ? AND status = 'processing'`
+  ).run(reason, withdrawal.id);
+
+  // It is retried every cycle, so only say so when the reason changes
+  if (withdrawal.failure_reason !== reason) {
+    console.warn(`⏸️ Withdrawal ${withdrawal.id} waiting: ${reason}`);
+  }
+};
+
+/**
+ * Claim, sign and broadcast a single pending withdrawal
+ * @param {number} withdrawalId - Withdrawal ID
+ */
+const broadcastWithdrawal = async (withdrawalId) => {
+  // Claim the row so no other pass picks it up
+  const claim = db.prepare(
+    `UPDATE withdrawals SET status = 'processing', broadcast_attempts = broadcast_attempts + 1, updated_at = datetime('now')
+     WHERE id = ? AND status = 'pending'`
+  ).run(withdrawalId);
+
+  if (claim.changes === 0) {
+    return;
+  }
+
+  const withdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(withdrawalId);
+  const usdtAmount = money.sunToUsdt(withdrawal.usdt_amount_sun);
+
+  // Delegate energy to the master wallet so the transfer does not burn TRX
+  const energy = await energyService.acquireEnergy({
+    purpose: 'withdrawal',
+    referenceId: withdrawalId,
+    fromAddress: MASTER_WALLET_ADDRESS,
+    toAddress: withdrawal.to_address,
+    usdtSun: withdrawal.usdt_amount_sun,
+  });
+
+  try {
+    await withdrawalService.checkMasterWalletFunds(withdrawal.to_address, usdtAmount, { hasEnergy: energy.mode !== 'burn' });
+  } catch (error) {
+    if (error.invalidAddress) {
+      // The only check that will never pass - refund
+      withdrawalService.refundWithdrawal(withdrawalId, error.message);
+      await energyService.reclaimFor('withdrawal', withdrawalId);
+    } else if (error.retryable) {
+      // Node outage or a low hot wallet - wait for it to clear up or for an operator to top up
+      releaseClaim(withdrawal, error.message);
+    } else {
+      requeueOrRefund(withdrawal, error.message);
+    }
+    return;
+  }
+
+  let signed;
+  try {
+    signed = await withdrawalService.signUsdtTransfer(withdrawalId, withdrawal.to_address, withdrawal.usdt_amount_sun);
+  } catch (error) {
+    // Nothing was signed, so nothing can land on chain
+    const reason = `Signing failed: ${error.message}`;
+
+    if (error.retryable) {
+      // Signer down or daily limit reached - wait without using up an attempt
+      releaseClaim(withdrawal, reason);
+    } else if (error.refused) {
+      // The signer's policy will refuse it every time
+      withdrawalService.refundWithdrawal(withdrawalId, reason);
+      await energyService.reclaimFor('withdrawal', withdrawalId);
+    } else {
+      requeueOrRefund(withdrawal, reason);
+    }
+    return;
+  }
+
+  // Persist the txid before broadcasting so recovery can always find the transaction
+  db.prepare(
+    `UPDATE withdrawals SET tx_hash = ?, tx_expiration = ?, updated_at = datetime('now') WHERE id = ?`
+  ).run(signed.txHash, signed.expiration, withdrawalId);
+
+  if (energy.delegationId) {
+    energyService.recordTransfer(energy.delegationId, { txHash: signed.txHash });
+  }
+
+  let result;
+  try {
+    result = await withdrawalService.broadcastTransaction(signed.signedTx);
+  } catch (error) {
+    // Unknown whether the node accepted it - leave it for the recovery pass
+    console.error(`Broadcast of withdrawal ${withdrawalId} returned an error, will reconcile by txid:`, error.message);
+    return;
+  }
+
+  if (!result.accepted) {
+    // Explicitly rejected by the node, so the transaction will never land
+    requeueOrRefund(withdrawal, `Broadcast rejected: ${result.message}`);
+    return;
+  }
+
+  withdrawalService.markWithdrawalBroadcast(withdrawalId, signed.txHash);
+
+  console.log(`📡 Broadcast withdrawal ${withdrawalId}: ${usdtAmount} USDT to ${withdrawal.to_address} - TX: ${signed.txHash}`);
+};
+
+/**
+ * Whether a signed transaction can no longer be included in a block
+ * @param {object} withdrawal - Withdrawal row
+ * @returns {boolean}
+ */
+const isExpired = (withdrawal) => {
+  return Boolean(withdrawal.tx_expiration) && Date.now() > withdrawal.tx_expiration + EXPIRY_GRACE_MS;
+};
+
+/**
+ * Resolve withdrawals left 'pending' by the old synchronous flow (marked 'unverified' by the migration)
+ * That flow could crash after sending and before storing the txid, so the master wallet's history is
+ * searched first: a matching transfer is handed to the confirmation pass, otherwise the row is queued
+ * @returns {Promise<object>} { found, queued }
+ */
+const verifyUnverifiedWithdrawals = async () => {
+  const unverified = db.prepare("SELECT * FROM withdrawals WHERE status = 'unverified' ORDER BY id").all();
+  const summary = { found: 0, queued: 0 };
+
+  for (const withdrawal of unverified) {
+    try {
+      const txHash = await withdrawalService.findMasterWalletTransfer(withdrawal);
+
+      if (txHash) {
+        withdrawalService.markWithdrawalBroadcast(withdrawal.id, txHash);
+        console.log(`🔎 Withdrawal ${withdrawal.id} was already sent - TX: ${txHash}`);
+        summary.found++;
+        continue;
+      }
+
+      db.prepare(
+        `UPDATE withdrawals SET status = 'pending', updated_at = datetime('now') WHERE id = ? AND status = 'unverified'`
+      ).run(withdrawal.id);
+      summary.queued++;
+    } catch (error) {
+      // Left 'unverified' and checked again next cycle
+      console.error(`Error verifying withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Resolve withdrawals stuck in 'processing' by checking whether their transaction was broadcast
+ * Transactions found on chain are handed to the confirmation pass
+ * @returns {Promise<object>} { broadcast, requeued }
+ */
+const recoverStuckWithdrawals = async () => {
+  const stuck = db.prepare("SELECT * FROM withdrawals WHERE status = 'processing' ORDER BY id").all();
+  const summary = { broadcast: 0, requeued: 0 };
+
+  for (const withdrawal of stuck) {
+    try {
+      // Never signed - nothing can be on chain
+      if (!withdrawal.tx_hash) {
+        requeueOrRefund(withdrawal, 'Interrupted before signing');
+        summary.requeued++;
+        continue;
+      }
+
+      const info = await tronService.getTransactionInfo(withdrawal.tx_hash);
+
+      if (info.found) {
+        withdrawalService.markWithdrawalBroadcast(withdrawal.id, withdrawal.tx_hash);
+        summary.broadcast++;
+        continue;
+      }
+
+      // Not on chain yet - only safe to retry once the signed transaction can no longer be included
+      if (isExpired(withdrawal)) {
+        requeueOrRefund(withdrawal, `Transaction ${withdrawal.tx_hash} expired without being included`);
+        summary.requeued++;
+      }
+    } catch (error) {
+      console.error(`Error recovering withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Check the receipts of broadcast withdrawals and confirm or refund them
+ * @returns {Promise<object>} { confirmed, refunded, requeued }
+ */
+const confirmBroadcastWithdrawals = async () => {
+  const broadcast = db.prepare("SELECT * FROM withdrawals WHERE status = 'broadcast' ORDER BY id").all();
+  const summary = { confirmed: 0, refunded: 0, requeued: 0 };
+
+  for (const withdrawal of broadcast) {
+    try {
+      const receipt = await tronService.getTransactionInfo(withdrawal.tx_hash, { solidified: true });
+
+      if (receipt.found) {
+        if (receipt.success) {
+          withdrawalService.confirmWithdrawal(withdrawal.id, receipt);
+          await energyService.reclaimFor('withdrawal', withdrawal.id, receipt);
+          summary.confirmed++;
+        } else {
+          const detail = receipt.errorMessage ? `${receipt.result}: ${receipt.errorMessage}` : receipt.result;
+          withdrawalService.refundWithdrawal(withdrawal.id, `Transaction failed on chain (${detail})`, receipt);
+          await energyService.reclaimFor('withdrawal', withdrawal.id, receipt);
+          summary.refunded++;
+        }
+        continue;
+      }
+
+      if (!isExpired(withdrawal)) continue;
+
+      // Expired and not solidified - if the full node has not seen it either, it was dropped
+      const unsolidified = await tronService.getTransactionInfo(withdrawal.tx_hash);
+      if (!unsolidified.found) {
+        requeueOrRefund(withdrawal, `Transaction ${withdrawal.tx_hash} was dropped without being included`);
+        summary.requeued++;
+      }
+    } catch (error) {
+      console.error(`Error confirming withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run one broadcaster cycle
+ */
+const runCycle = async () => {
+  if (!isRunning || cycleInProgress) return;
+
+  cycleInProgress = true;
+
+  try {
+    await verifyUnverifiedWithdrawals();
+    await recoverStuckWithdrawals();
+    await confirmBroadcastWithdrawals();
+    await energyService.reclaimExpired();
+
+    const pending = db.prepare(
+      "SELECT id FROM withdrawals WHERE status = 'pending' ORDER BY id LIMIT ?"
+    ).all(BATCH_SIZE);
+
+    for (const withdrawal of pending) {
+      if (!isRunning) break;
+
+      try {
+        await broadcastWithdrawal(withdrawal.id);
+      } catch (error) {
+        console.error(`Error broadcasting withdrawal ${withdrawal.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Withdrawal broadcaster cycle error:', error.message);
+  } finally {
+    cycleInProgress = false;
+  }
+};
+
+/**
+ * Start the broadcaster (runs the startup recovery pass first)
+ */
+const start = async () => {
+  if (isRunning) {
+    console.log('Withdrawal broadcaster is already running');
+    return;
+  }
+
+  if (!signerClient.isConfigured()) {
+    console.log('⚠️ SIGNER_AUTH_TOKEN not configured - withdrawal broadcaster disabled');
+    return;
+  }
+
+  isRunning = true;
+  console.log(`📤 Withdrawal broadcaster started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+  try {
+    const verified = await verifyUnverifiedWithdrawals();
+    if (verified.found || verified.queued) {
+      console.log(`🔎 Verified legacy withdrawals: ${verified.found} already sent, ${verified.queued} queued`);
+    }
+  } catch (error) {
+    console.error('Withdrawal verification pass failed:', error.message);
+  }
+
+  try {
+    const summary = await recoverStuckWithdrawals();
+    if (summary.broadcast || summary.requeued) {
+      console.log(`🔧 Recovered stuck withdrawals: ${summary.broadcast} found on chain, ${summary.requeued} re-queued`);
+    }
+  } catch (error) {
+    console.error('Withdrawal recovery pass failed:', error.message);
+  }
+
+  runCycle();
+  pollInterval = setInterval(runCycle, POLL_INTERVAL_MS);
+};
+
+/**
+ * Stop the broadcaster
+ */
+const stop = () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+
+  console.log('🛑 Withdrawal broadcaster stopped');
+};
+
+/**
+ * Get broadcaster status
+ */
+const getStatus = () => {
+  const counts = db.prepare(
+    "SELECT status, COUNT(*) as count FROM withdrawals WHERE status IN ('unverified', 'pending', 'processing', 'broadcast') GROUP BY status"
+  ).all();
+
+  return {
+    running: isRunning,
+    pollIntervalMs: POLL_INTERVAL_MS,
+    queued: counts.reduce((acc, row) => ({ ...acc, [row.status]: row.count }), { unverified: 0, pending: 0, processing: 0, broadcast: 0 }),
+  };
+};
+
+module.exports = {
+  start,
+  stop,
+  getStatus,
+  verifyUnverifiedWithdrawals,
+  recoverStuckWithdrawals,
+  confirmBroadcastWithdrawals,
+};
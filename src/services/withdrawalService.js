@@ -1,28 +1,33 @@
 /**
  * Withdrawal Service
  * Handles USDT withdrawals from user KES balance
+ * Transfers from the master wallet are signed by the signer (see signerClient); its key is not held here
  */
 
 const TronWeb = require('tronweb');
 const db = require('../config/db');
+const webhookService = require('./webhookService');
+const rateService = require('./rateService');
+const quoteService = require('./quoteService');
+const ledger = require('./ledgerService');
+const energyService = require('./energyService');
+const tronService = require('./tronService');
+const signerClient = require('./signerClient');
+const money = require('../utils/money');
 
 const TRON_API_URL = process.env.TRON_API_URL || 'https://api.trongrid.io';
 const TRON_API_KEY = process.env.TRON_API_KEY;
 const USDT_CONTRACT = process.env.USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
-const MASTER_WALLET_PRIVATE_KEY = process.env.MASTER_WALLET_PRIVATE_KEY; // Private key for master wallet
 const MASTER_WALLET_ADDRESS = process.env.DEPOSIT_ADDRESS; // Master wallet address
-const USDT_TO_KES_RATE = parseFloat(process.env.USDT_TO_KES_RATE) || 130;
 const MIN_WITHDRAWAL_USDT = parseFloat(process.env.MIN_WITHDRAWAL_USDT) || 1;
 const MAX_WITHDRAWAL_USDT = parseFloat(process.env.MAX_WITHDRAWAL_USDT) || 10000;
+const APPROVAL_THRESHOLD_USDT = parseFloat(process.env.WITHDRAWAL_APPROVAL_THRESHOLD_USDT) || 0; // 0 disables approval
+const REQUIRED_APPROVALS = parseInt(process.env.WITHDRAWAL_REQUIRED_APPROVALS) || 1;
 
 /**
- * Create TronWeb instance with master wallet private key
+ * Create TronWeb instance for reading the master wallet and building and broadcasting its transfers
  */
 const createTronWeb = () => {
-  if (!MASTER_WALLET_PRIVATE_KEY) {
-    throw new Error('MASTER_WALLET_PRIVATE_KEY not configured in environment variables');
-  }
-
   const headers = { 'Content-Type': 'application/json' };
   if (TRON_API_KEY && TRON_API_KEY.trim() !== '') {
     headers['TRON-PRO-API-KEY'] = TRON_API_KEY;
@@ -31,7 +36,6 @@ const createTronWeb = () => {
   return new TronWeb({
     fullHost: TRON_API_URL,
     headers,
-    privateKey: MASTER_WALLET_PRIVATE_KEY,
   });
 };
 
@@ -60,233 +64,645 @@ const getMasterTrxBalance = async () => {
     return balance / 1_000_000; // Convert sun to TRX
   } catch (error) {
     console.error('Error getting master TRX balance:', error.message);
-    return 0;
+    throw new Error('Failed to check master TRX balance');
   }
 };
 
 /**
- * Send USDT from master wallet to user address
+ * Check the master wallet can cover a withdrawal (USDT and TRX for gas)
  * @param {string} toAddress - Recipient address
  * @param {number} usdtAmount - Amount in USDT
- * @returns {Promise<object>} Transaction result
+ * @param {object} options - { hasEnergy: the transfer's energy is covered, so only bandwidth is paid in TRX }
+ * @throws with `invalidAddress` set if the recipient can never be paid, or `retryable` set if a balance
+ *   lookup failed or the hot wallet is short (both clear up without touching the withdrawal)
  */
-const sendUsdt = async (toAddress, usdtAmount) => {
-  try {
-    // Validate address format
-    if (!toAddress || typeof toAddress !== 'string' || !toAddress.startsWith('T') || toAddress.length !== 34) {
-      throw new Error('Invalid Tron address format');
-    }
-
-    // Check master wallet balance
-    const masterBalance = await getMasterWalletBalance();
-    if (masterBalance < usdtAmount) {
-      throw new Error(`Insufficient master wallet balance. Available: ${masterBalance} USDT, Required: ${usdtAmount} USDT`);
-    }
+const checkMasterWalletFunds = async (toAddress, usdtAmount, { hasEnergy = false } = {}) => {
+  const fail = (message, flag) => {
+    const error = new Error(message);
+    error[flag] = true;
+    return error;
+  };
+
+  // Validate address format
+  if (!toAddress || typeof toAddress !== 'string' || !toAddress.startsWith('T') || toAddress.length !== 34) {
+    throw fail('Invalid Tron address format', 'invalidAddress');
+  }
 
-    // Check TRX balance for gas
-    const trxBalance = await getMasterTrxBalance();
-    if (trxBalance < 10) {
-      throw new Error(`Insufficient TRX for gas. Available: ${trxBalance} TRX, Needs: ~10 TRX`);
-    }
+  let masterBalance;
+  let trxBalance;
+  try {
+    masterBalance = await getMasterWalletBalance();
+    trxBalance = await getMasterTrxBalance();
+  } catch (error) {
+    throw fail(error.message, 'retryable');
+  }
 
-    // Create TronWeb instance
-    const tronWeb = createTronWeb();
+  // Check master wallet balance
+  if (masterBalance < usdtAmount) {
+    throw fail(`Insufficient master wallet balance. Available: ${masterBalance} USDT, Required: ${usdtAmount} USDT`, 'retryable');
+  }
 
-    // Get USDT contract
-    const contract = await tronWeb.contract().at(USDT_CONTRACT);
+  // Check TRX balance for gas
+  const requiredTrx = hasEnergy ? energyService.getRequiredTrx(10) : 10;
+  if (trxBalance < requiredTrx) {
+    throw fail(`Insufficient TRX for gas. Available: ${trxBalance} TRX, Needs: ~${requiredTrx} TRX`, 'retryable');
+  }
+};
 
-    // Convert amount to smallest unit (6 decimals)
-    const amountInSun = Math.floor(usdtAmount * 1_000_000);
+/**
+ * Build a USDT transfer from the master wallet and have the signer sign it, without broadcasting it
+ * The txid is known before broadcast so it can be persisted first
+ * @param {number} withdrawalId - Withdrawal ID, passed to the signer as the reference
+ * @param {string} toAddress - Recipient address
+ * @param {number} amountInSun - Amount in USDT sun (6 decimals)
+ * @returns {Promise<object>} { txHash, expiration, signedTx }
+ * @throws if building or signing fails; a signer error carries `refused` (its policy said no) and
+ *   `retryable` (the transfer may be signed later) from signerClient
+ */
+const signUsdtTransfer = async (withdrawalId, toAddress, amountInSun) => {
+  const tronWeb = createTronWeb();
 
-    // Send USDT
-    const tx = await contract.methods.transfer(toAddress, amountInSun).send({
+  const { transaction } = await tronWeb.transactionBuilder.triggerSmartContract(
+    USDT_CONTRACT,
+    'transfer(address,uint256)',
+    {
       feeLimit: 100_000_000, // 100 TRX max fee
       callValue: 0,
-    });
-
-    console.log(`✅ Sent ${usdtAmount} USDT to ${toAddress} - TX: ${tx}`);
+    },
+    [
+      { type: 'address', value: toAddress },
+      { type: 'uint256', value: amountInSun },
+    ],
+    MASTER_WALLET_ADDRESS
+  );
+
+  const result = await signerClient.signTransaction({
+    purpose: 'withdrawal',
+    transaction,
+    reference: `withdrawal:${withdrawalId}`,
+  });
 
-    return {
-      success: true,
-      txHash: tx,
-      amount: usdtAmount,
-      from: MASTER_WALLET_ADDRESS,
-      to: toAddress,
-    };
-  } catch (error) {
-    console.error('Error sending USDT:', error.message);
+  if (!result.success) {
+    const error = new Error(result.error);
+    error.refused = result.refused;
+    error.retryable = result.retryable;
     throw error;
   }
+
+  const { signedTx } = result;
+
+  return {
+    txHash: signedTx.txID,
+    expiration: signedTx.raw_data.expiration,
+    signedTx,
+  };
 };
 
 /**
- * Process withdrawal request
+ * Broadcast a signed transaction
+ * Throws on network errors, where it is unknown whether the node accepted the transaction
+ * @param {object} signedTx - Signed transaction
+ * @returns {Promise<object>} { accepted, code?, message? }
+ */
+const broadcastTransaction = async (signedTx) => {
+  const tronWeb = createTronWeb();
+  const receipt = await tronWeb.trx.sendRawTransaction(signedTx);
+
+  if (receipt.result) {
+    return { accepted: true };
+  }
+
+  let message = receipt.message || '';
+  if (/^[0-9a-fA-F]+$/.test(message)) {
+    message = Buffer.from(message, 'hex').toString('utf8');
+  }
+
+  return {
+    accepted: false,
+    code: receipt.code,
+    message: message || receipt.code || 'Transaction rejected by node',
+  };
+};
+
+/**
+ * Reserve funds and queue a withdrawal for the broadcaster
+ * Withdrawals at or above WITHDRAWAL_APPROVAL_THRESHOLD_USDT are held in 'awaiting_approval' instead
  * @param {number} userId - User ID
  * @param {string} toAddress - Recipient Tron address
- * @param {number} kesAmount - Amount in KES to withdraw
- * @returns {Promise<object>} Withdrawal result
+ * @param {number|null} kesAmount - Amount in KES to withdraw (optional with a quote)
+ * @param {number|null} quoteId - Withdrawal quote whose rate and amount to honour
+ * @returns {Promise<object>} Queued withdrawal
  */
-const processWithdrawal = async (userId, toAddress, kesAmount) => {
-  // Validate amount
-  if (kesAmount < MIN_WITHDRAWAL_USDT * USDT_TO_KES_RATE) {
-    throw new Error(`Minimum withdrawal is ${MIN_WITHDRAWAL_USDT} USDT (${MIN_WITHDRAWAL_USDT * USDT_TO_KES_RATE} KES)`);
-  }
+const processWithdrawal = async (userId, toAddress, kesAmount, quoteId = null) => {
+  // Withdrawals are paid out at the sell rate - the quoted one if a quote is used
+  let rate;
+  let kesCents = kesAmount != null ? money.kesToCents(kesAmount) : null;
+  let usdtSun;
+
+  if (quoteId) {
+    const quote = quoteService.getUsableWithdrawalQuote(userId, quoteId);
+    const quotedCents = money.kesToCents(quote.kesAmount);
+
+    if (kesCents !== null && kesCents !== quotedCents) {
+      throw new Error(`Amount does not match quote ${quoteId} (${money.formatKes(quotedCents)} KES)`);
+    }
+
+    kesCents = quotedCents;
+    usdtSun = money.usdtToSun(quote.usdtAmount);
+    rate = { id: quote.rateId, sellRate: quote.rate };
+  } else {
+    const activeRate = rateService.getActiveRate();
+    rate = { id: activeRate.id, sellRate: activeRate.sellRate };
 
-  if (kesAmount > MAX_WITHDRAWAL_USDT * USDT_TO_KES_RATE) {
-    throw new Error(`Maximum withdrawal is ${MAX_WITHDRAWAL_USDT} USDT (${MAX_WITHDRAWAL_USDT * USDT_TO_KES_RATE} KES)`);
+    // Convert KES to USDT - rounded down so the payout never exceeds what is debited
+    usdtSun = money.kesCentsToUsdtSun(kesCents, rate.sellRate, money.ROUNDING.DOWN);
   }
 
-  // Convert KES to USDT
-  const usdtAmount = kesAmount / USDT_TO_KES_RATE;
+  const usdtAmount = money.sunToUsdt(usdtSun);
 
-  // Validate USDT amount
-  if (usdtAmount < MIN_WITHDRAWAL_USDT) {
-    throw new Error(`Minimum withdrawal is ${MIN_WITHDRAWAL_USDT} USDT`);
+  // Validate amount
+  if (usdtSun < money.usdtToSun(MIN_WITHDRAWAL_USDT)) {
+    throw new Error(`Minimum withdrawal is ${MIN_WITHDRAWAL_USDT} USDT (${(MIN_WITHDRAWAL_USDT * rate.sellRate).toFixed(2)} KES)`);
   }
 
-  if (usdtAmount > MAX_WITHDRAWAL_USDT) {
-    throw new Error(`Maximum withdrawal is ${MAX_WITHDRAWAL_USDT} USDT`);
+  if (usdtSun > money.usdtToSun(MAX_WITHDRAWAL_USDT)) {
+    throw new Error(`Maximum withdrawal is ${MAX_WITHDRAWAL_USDT} USDT (${(MAX_WITHDRAWAL_USDT * rate.sellRate).toFixed(2)} KES)`);
   }
 
+  const status = APPROVAL_THRESHOLD_USDT > 0 && usdtAmount >= APPROVAL_THRESHOLD_USDT
+    ? 'awaiting_approval'
+    : 'pending';
+
   // Process withdrawal (atomic transaction)
   const processWithdrawalTx = db.transaction(() => {
-    // Get user balance
-    const user = db.prepare('SELECT balance_kes FROM users WHERE id = ?').get(userId);
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    const currentBalance = parseFloat(user.balance_kes);
+    const currentBalance = ledger.getUserBalance(userId);
 
     // Check sufficient balance
-    if (currentBalance < kesAmount) {
-      throw new Error(`Insufficient balance. Available: ${currentBalance.toFixed(2)} KES, Requested: ${kesAmount.toFixed(2)} KES`);
+    if (currentBalance < kesCents) {
+      throw new Error(`Insufficient balance. Available: ${money.formatKes(currentBalance)} KES, Requested: ${money.formatKes(kesCents)} KES`);
     }
 
-    // Calculate new balance
-    const newBalance = currentBalance - kesAmount;
-
-    // Update user balance
-    db.prepare('UPDATE users SET balance_kes = ?, updated_at = datetime(\'now\') WHERE id = ?')
-      .run(newBalance, userId);
+    // Use the quote up in the same transaction, so it can only pay out once
+    if (quoteId) {
+      quoteService.consumeWithdrawalQuote(quoteId);
+    }
 
     // Create withdrawal record
     const withdrawalResult = db.prepare(
-      `INSERT INTO withdrawals (user_id, to_address, kes_amount, usdt_amount, exchange_rate, status, created_at)
-       VALUES (?, ?, ?, ?, ?, 'pending', datetime('now'))`
-    ).run(userId, toAddress, kesAmount, usdtAmount, USDT_TO_KES_RATE);
+      `INSERT INTO withdrawals (user_id, to_address, kes_amount_cents, usdt_amount_sun, exchange_rate, exchange_rate_id, quote_id, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+    ).run(userId, toAddress, kesCents, usdtSun, rate.sellRate, rate.id, quoteId, status);
 
     const withdrawalId = withdrawalResult.lastInsertRowid;
 
-    // Record transaction
-    db.prepare(
-      `INSERT INTO transactions (user_id, type, amount, balance_before, balance_after, reference_id, reference_type, description)
-       VALUES (?, 'withdrawal', ?, ?, ?, ?, 'withdrawal', ?)`
-    ).run(
-      userId,
-      kesAmount,
-      currentBalance,
-      newBalance,
-      withdrawalId,
-      `USDT withdrawal: ${usdtAmount.toFixed(6)} USDT @ ${USDT_TO_KES_RATE}`
-    );
+    // Debit the user - the USDT is owed through withdrawal clearing until it settles on chain
+    ledger.post({
+      type: 'withdrawal',
+      legs: ledger.withdrawalLegs({ userId, kesCents, usdtSun, midRate: rateService.getMidRate(rate.id, rate.sellRate) }),
+      referenceType: 'withdrawal',
+      referenceId: withdrawalId,
+      description: `USDT withdrawal: ${money.formatUsdt(usdtSun)} USDT @ ${rate.sellRate}`,
+    });
+
+    const newBalance = ledger.getUserBalance(userId);
 
     return {
       withdrawalId,
-      currentBalance,
       newBalance,
-      kesAmount,
-      usdtAmount,
     };
   });
 
   const { withdrawalId, newBalance } = processWithdrawalTx();
 
-  // Send USDT on blockchain
-  try {
-    const sendResult = await sendUsdt(toAddress, usdtAmount);
+  if (status === 'awaiting_approval') {
+    console.log(`✋ Withdrawal ${withdrawalId} held for approval: ${money.formatUsdt(usdtSun)} USDT to ${toAddress}`);
+  } else {
+    console.log(`📤 Queued withdrawal ${withdrawalId}: ${money.formatUsdt(usdtSun)} USDT to ${toAddress}`);
+  }
+
+  return {
+    withdrawalId,
+    status,
+    kesAmount: money.centsToKes(kesCents),
+    usdtAmount,
+    exchangeRate: rate.sellRate,
+    quoteId,
+    newBalance: money.centsToKes(newBalance),
+    toAddress,
+  };
+};
+
+/**
+ * Look for a USDT transfer from the master wallet that pays a withdrawal, made after it was requested
+ * For withdrawals that may have been sent without their transaction hash being stored
+ * @param {object} withdrawal - Withdrawal row
+ * @returns {Promise<string|null>} Hash of the first matching transfer no other withdrawal has claimed
+ * @throws if the master wallet's transfer history cannot be read
+ */
+const findMasterWalletTransfer = async (withdrawal) => {
+  const requestedAt = new Date(`${withdrawal.created_at}Z`).getTime();
+  const claimed = db.prepare('SELECT id FROM withdrawals WHERE tx_hash = ?');
+  let fingerprint = null;
+
+  do {
+    const page = await tronService.getOutgoingTransfersPage(MASTER_WALLET_ADDRESS, {
+      minTimestamp: requestedAt,
+      fingerprint,
+      contractAddress: USDT_CONTRACT,
+    });
+
+    const match = page.transactions.find(tx => tx.to === withdrawal.to_address
+      && String(tx.value) === String(withdrawal.usdt_amount_sun)
+      && !claimed.get(tx.txHash));
+
+    if (match) {
+      return match.txHash;
+    }
+
+    fingerprint = page.fingerprint;
+  } while (fingerprint);
+
+  return null;
+};
+
+/**
+ * Mark a withdrawal as broadcast - accepted by the node but not yet confirmed on chain
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {string} txHash - Transaction hash
+ * @returns {boolean} True if the withdrawal was updated
+ */
+const markWithdrawalBroadcast = (withdrawalId, txHash) => {
+  const result = db.prepare(
+    `UPDATE withdrawals
+     SET tx_hash = ?, status = 'broadcast', broadcast_at = datetime('now'), updated_at = datetime('now')
+     WHERE id = ? AND status IN ('unverified', 'pending', 'processing')`
+  ).run(txHash, withdrawalId);
+
+  return result.changes > 0;
+};
+
+/**
+ * Mark a withdrawal as confirmed from its solidified receipt and notify webhooks
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {object} receipt - Result of tronService.getTransactionInfo()
+ * @returns {boolean} True if the withdrawal was updated
+ */
+const confirmWithdrawal = (withdrawalId, receipt) => {
+  const confirmTx = db.transaction(() => {
+    const withdrawal = db.prepare(
+      "SELECT * FROM withdrawals WHERE id = ? AND status IN ('processing', 'broadcast')"
+    ).get(withdrawalId);
+
+    if (!withdrawal) {
+      return false;
+    }
 
-    // Update withdrawal record with transaction hash
     db.prepare(
-      `UPDATE withdrawals 
-       SET tx_hash = ?, status = 'completed', completed_at = datetime('now')
+      `UPDATE withdrawals
+       SET tx_hash = ?, status = 'confirmed', block_number = ?, energy_used = ?, bandwidth_used = ?, fee_sun = ?,
+           confirmed_at = datetime('now'), completed_at = datetime('now'), updated_at = datetime('now')
        WHERE id = ?`
-    ).run(sendResult.txHash, withdrawalId);
+    ).run(receipt.txHash, receipt.blockNumber, receipt.energyUsed, receipt.bandwidthUsed, receipt.fee, withdrawalId);
+
+    // The USDT has left the hot wallet, and so has the TRX burned to send it
+    ledger.post({
+      type: 'withdrawal_settlement',
+      legs: [...ledger.settlementLegs(withdrawal.usdt_amount_sun), ...ledger.networkFeeLegs(receipt.fee)],
+      referenceType: 'withdrawal',
+      referenceId: withdrawalId,
+      description: `USDT withdrawal settled: ${receipt.txHash}`,
+    });
 
-    return {
-      success: true,
+    webhookService.enqueueEvent('withdrawal.completed', {
       withdrawalId,
-      txHash: sendResult.txHash,
-      kesAmount,
-      usdtAmount,
-      newBalance,
-      toAddress,
-    };
-  } catch (error) {
-    // Revert balance if blockchain send fails
-    const revertTx = db.transaction(() => {
-      const user = db.prepare('SELECT balance_kes FROM users WHERE id = ?').get(userId);
-      const currentBalance = parseFloat(user.balance_kes);
-      const revertedBalance = currentBalance + kesAmount;
+      userId: withdrawal.user_id,
+      txHash: receipt.txHash,
+      blockNumber: receipt.blockNumber,
+      toAddress: withdrawal.to_address,
+      kesAmount: money.centsToKes(withdrawal.kes_amount_cents),
+      usdtAmount: money.sunToUsdt(withdrawal.usdt_amount_sun),
+      exchangeRate: parseFloat(withdrawal.exchange_rate),
+    });
 
-      db.prepare('UPDATE users SET balance_kes = ?, updated_at = datetime(\'now\') WHERE id = ?')
-        .run(revertedBalance, userId);
+    return true;
+  });
 
-      db.prepare(
-        `UPDATE withdrawals SET status = 'failed', failure_reason = ?, failed_at = datetime('now') WHERE id = ?`
-      ).run(error.message, withdrawalId);
+  const confirmed = confirmTx();
+
+  if (confirmed) {
+    console.log(`✅ Withdrawal ${withdrawalId} confirmed in block ${receipt.blockNumber} - TX: ${receipt.txHash}`);
+  }
+
+  return confirmed;
+};
+
+/**
+ * Return a withdrawal's reserved KES to the user's balance by reversing its ledger entry
+ * Must run inside a db.transaction()
+ * @param {object} withdrawal - Withdrawal row
+ * @param {string} description - Refund entry description
+ * @returns {number} User's balance after the refund (KES cents)
+ */
+const refundReservedFunds = (withdrawal, description) => {
+  const entry = ledger.findEntry('withdrawal', 'withdrawal', withdrawal.id);
+
+  if (!entry) {
+    throw new Error(`No ledger entry found for withdrawal ${withdrawal.id}`);
+  }
+
+  ledger.reverse(entry.id, { type: 'refund', description });
+
+  return ledger.getUserBalance(withdrawal.user_id);
+};
+
+/**
+ * Fail a withdrawal and refund the reserved KES to the user
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {string} reason - Failure reason
+ * @param {object} receipt - Optional receipt of a transaction that failed on chain (resources are still recorded)
+ * @returns {boolean} True if a refund was made
+ */
+const refundWithdrawal = (withdrawalId, reason, receipt = null) => {
+  const revertTx = db.transaction(() => {
+    const withdrawal = db.prepare(
+      "SELECT * FROM withdrawals WHERE id = ? AND status IN ('pending', 'processing', 'broadcast')"
+    ).get(withdrawalId);
+
+    // Already confirmed or refunded
+    if (!withdrawal) {
+      return null;
+    }
+
+    const revertedBalance = refundReservedFunds(withdrawal, `Withdrawal failed - refunded: ${reason}`);
 
-      // Record reversal transaction
+    db.prepare(
+      `UPDATE withdrawals SET status = 'failed', failure_reason = ?, failed_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`
+    ).run(reason, withdrawalId);
+
+    // A reverted transaction still burns energy and bandwidth
+    if (receipt) {
       db.prepare(
-        `INSERT INTO transactions (user_id, type, amount, balance_before, balance_after, reference_id, reference_type, description)
-         VALUES (?, 'refund', ?, ?, ?, ?, 'withdrawal', ?)`
-      ).run(
-        userId,
-        kesAmount,
-        currentBalance,
-        revertedBalance,
-        withdrawalId,
-        `Withdrawal failed - refunded: ${error.message}`
-      );
+        'UPDATE withdrawals SET block_number = ?, energy_used = ?, bandwidth_used = ?, fee_sun = ? WHERE id = ?'
+      ).run(receipt.blockNumber, receipt.energyUsed, receipt.bandwidthUsed, receipt.fee, withdrawalId);
+
+      if (receipt.fee > 0) {
+        ledger.post({
+          type: 'network_fee',
+          legs: ledger.networkFeeLegs(receipt.fee),
+          referenceType: 'withdrawal',
+          referenceId: withdrawalId,
+          description: `Network fee for reverted withdrawal: ${receipt.txHash}`,
+        });
+      }
+    }
+
+    webhookService.enqueueEvent('withdrawal.failed', {
+      withdrawalId,
+      userId: withdrawal.user_id,
+      toAddress: withdrawal.to_address,
+      kesAmount: money.centsToKes(withdrawal.kes_amount_cents),
+      usdtAmount: money.sunToUsdt(withdrawal.usdt_amount_sun),
+      exchangeRate: parseFloat(withdrawal.exchange_rate),
+      reason,
+      refunded: true,
+      newBalance: money.centsToKes(revertedBalance),
     });
 
-    revertTx();
+    return revertedBalance;
+  });
 
-    throw error;
+  const revertedBalance = revertTx();
+
+  if (revertedBalance !== null) {
+    console.log(`↩️ Withdrawal ${withdrawalId} failed and was refunded: ${reason}`);
   }
+
+  return revertedBalance !== null;
 };
 
+/**
+ * Load a withdrawal an admin is deciding on and check the decision is allowed
+ * Must run inside a db.transaction()
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {number} adminId - Deciding admin's user ID
+ * @returns {object} Withdrawal row
+ */
+const getWithdrawalForDecision = (withdrawalId, adminId) => {
+  const withdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(withdrawalId);
+
+  if (!withdrawal) {
+    throw new Error('Withdrawal not found');
+  }
+
+  if (withdrawal.status !== 'awaiting_approval') {
+    throw new Error(`Withdrawal is not awaiting approval (status: ${withdrawal.status})`);
+  }
+
+  if (withdrawal.user_id === adminId) {
+    throw new Error('You cannot decide on your own withdrawal');
+  }
+
+  const existing = db.prepare(
+    'SELECT decision FROM withdrawal_approvals WHERE withdrawal_id = ? AND admin_id = ?'
+  ).get(withdrawalId, adminId);
+
+  if (existing) {
+    throw new Error(`You have already ${existing.decision} this withdrawal`);
+  }
+
+  return withdrawal;
+};
+
+/**
+ * Approve a withdrawal held for approval
+ * Once WITHDRAWAL_REQUIRED_APPROVALS distinct admins have approved, it is queued for the broadcaster
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {number} adminId - Approving admin's user ID
+ * @returns {object} { withdrawalId, status, approvals, requiredApprovals }
+ */
+const approveWithdrawal = (withdrawalId, adminId) => {
+  const approveTx = db.transaction(() => {
+    getWithdrawalForDecision(withdrawalId, adminId);
+
+    db.prepare(
+      "INSERT INTO withdrawal_approvals (withdrawal_id, admin_id, decision) VALUES (?, ?, 'approved')"
+    ).run(withdrawalId, adminId);
+
+    const approvals = db.prepare(
+      "SELECT COUNT(*) as count FROM withdrawal_approvals WHERE withdrawal_id = ? AND decision = 'approved'"
+    ).get(withdrawalId).count;
+
+    let status = 'awaiting_approval';
+    if (approvals >= REQUIRED_APPROVALS) {
+      db.prepare(
+        "UPDATE withdrawals SET status = 'pending', updated_at = datetime('now') WHERE id = ?"
+      ).run(withdrawalId);
+      status = 'pending';
+    }
+
+    return { withdrawalId, status, approvals, requiredApprovals: REQUIRED_APPROVALS };
+  });
+
+  const result = approveTx();
+
+  console.log(`👍 Withdrawal ${withdrawalId} approved by admin ${adminId} (${result.approvals}/${REQUIRED_APPROVALS})`);
+
+  return result;
+};
+
+/**
+ * Reject a withdrawal held for approval and refund the reserved KES
+ * @param {number} withdrawalId - Withdrawal ID
+ * @param {number} adminId - Rejecting admin's user ID
+ * @param {string} reason - Rejection reason (shown to the user)
+ * @returns {object} { withdrawalId, status, newBalance }
+ */
+const rejectWithdrawal = (withdrawalId, adminId, reason) => {
+  const rejectTx = db.transaction(() => {
+    const withdrawal = getWithdrawalForDecision(withdrawalId, adminId);
+
+    db.prepare(
+      "INSERT INTO withdrawal_approvals (withdrawal_id, admin_id, decision, reason) VALUES (?, ?, 'rejected', ?)"
+    ).run(withdrawalId, adminId, reason);
+
+    const revertedBalance = refundReservedFunds(withdrawal, `Withdrawal rejected - refunded: ${reason}`);
+
+    db.prepare(
+      `UPDATE withdrawals SET status = 'rejected', failure_reason = ?, failed_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`
+    ).run(reason, withdrawalId);
+
+    webhookService.enqueueEvent('withdrawal.rejected', {
+      withdrawalId,
+      userId: withdrawal.user_id,
+      toAddress: withdrawal.to_address,
+      kesAmount: money.centsToKes(withdrawal.kes_amount_cents),
+      usdtAmount: money.sunToUsdt(withdrawal.usdt_amount_sun),
+      exchangeRate: parseFloat(withdrawal.exchange_rate),
+      reason,
+      refunded: true,
+      newBalance: money.centsToKes(revertedBalance),
+    });
+
+    return { withdrawalId, status: 'rejected', newBalance: money.centsToKes(revertedBalance) };
+  });
+
+  const result = rejectTx();
+
+  console.log(`🚫 Withdrawal ${withdrawalId} rejected by admin ${adminId} and refunded: ${reason}`);
+
+  return result;
+};
+
+/**
+ * Get the configured approval policy
+ * @returns {object} { thresholdUsdt, requiredApprovals } - thresholdUsdt is null when approval is disabled
+ */
+const getApprovalPolicy = () => ({
+  thresholdUsdt: APPROVAL_THRESHOLD_USDT > 0 ? APPROVAL_THRESHOLD_USDT : null,
+  requiredApprovals: REQUIRED_APPROVALS,
+});
+
+/**
+ * Get the approval decisions recorded for a withdrawal
+ * @param {number} withdrawalId - Withdrawal ID
+ * @returns {array} Decisions, oldest first
+ */
+const getWithdrawalApprovals = (withdrawalId) => {
+  return db.prepare(
+    `SELECT a.admin_id, u.username, a.decision, a.reason, a.created_at
+     FROM withdrawal_approvals a
+     JOIN users u ON a.admin_id = u.id
+     WHERE a.withdrawal_id = ?
+     ORDER BY a.id ASC`
+  ).all(withdrawalId).map(a => ({
+    adminId: a.admin_id,
+    adminUsername: a.username,
+    decision: a.decision,
+    reason: a.reason,
+    decidedAt: a.created_at,
+  }));
+};
+
+/**
+ * Format a withdrawal row for API responses
+ */
+const formatWithdrawal = (w) => ({
+  id: w.id,
+  toAddress: w.to_address,
+  token: w.token,
+  kesAmount: money.centsToKes(w.kes_amount_cents),
+  usdtAmount: money.sunToUsdt(w.usdt_amount_sun),
+  exchangeRate: parseFloat(w.exchange_rate),
+  exchangeRateId: w.exchange_rate_id,
+  quoteId: w.quote_id,
+  status: w.status,
+  txHash: w.tx_hash,
+  blockNumber: w.block_number,
+  energyUsed: w.energy_used,
+  bandwidthUsed: w.bandwidth_used,
+  feeTrx: w.fee_sun === null ? null : money.sunToTrx(w.fee_sun),
+  failureReason: w.failure_reason,
+  createdAt: w.created_at,
+  broadcastAt: w.broadcast_at,
+  confirmedAt: w.confirmed_at,
+  completedAt: w.completed_at,
+  failedAt: w.failed_at,
+});
+
 /**
  * Get withdrawal history for a user
  */
 const getWithdrawalHistory = (userId, limit = 20, offset = 0) => {
   const withdrawals = db.prepare(
-    `SELECT id, to_address, kes_amount, usdt_amount, exchange_rate, status, tx_hash, failure_reason, created_at, completed_at, failed_at
+    `SELECT id, to_address, token, kes_amount_cents, usdt_amount_sun, exchange_rate, exchange_rate_id, quote_id, status, tx_hash, block_number, energy_used, bandwidth_used, fee_sun,
+            failure_reason, created_at, broadcast_at, confirmed_at, completed_at, failed_at
      FROM withdrawals
      WHERE user_id = ?
      ORDER BY created_at DESC
      LIMIT ? OFFSET ?`
   ).all(userId, limit, offset);
 
-  return withdrawals.map(w => ({
-    id: w.id,
-    toAddress: w.to_address,
-    kesAmount: parseFloat(w.kes_amount),
-    usdtAmount: parseFloat(w.usdt_amount),
-    exchangeRate: parseFloat(w.exchange_rate),
-    status: w.status,
-    txHash: w.tx_hash,
-    failureReason: w.failure_reason,
-    createdAt: w.created_at,
-    completedAt: w.completed_at,
-    failedAt: w.failed_at,
-  }));
+  return withdrawals.map(formatWithdrawal);
+};
+
+/**
+ * Get a single withdrawal belonging to a user
+ * @param {number} userId - User ID
+ * @param {number} withdrawalId - Withdrawal ID
+ * @returns {object|null} Withdrawal or null if not found
+ */
+const getWithdrawal = (userId, withdrawalId) => {
+  const withdrawal = db.prepare(
+    `SELECT id, to_address, token, kes_amount_cents, usdt_amount_sun, exchange_rate, exchange_rate_id, quote_id, status, tx_hash, block_number, energy_used, bandwidth_used, fee_sun,
+            failure_reason, created_at, broadcast_at, confirmed_at, completed_at, failed_at
+     FROM withdrawals
+     WHERE id = ? AND user_id = ?`
+  ).get(withdrawalId, userId);
+
+  return withdrawal ? formatWithdrawal(withdrawal) : null;
 };
 
 module.exports = {
   processWithdrawal,
+  findMasterWalletTransfer,
+  markWithdrawalBroadcast,
+  confirmWithdrawal,
+  refundWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  getWithdrawalApprovals,
+  getApprovalPolicy,
+  formatWithdrawal,
   getWithdrawalHistory,
+  getWithdrawal,
   getMasterWalletBalance,
   getMasterTrxBalance,
-  sendUsdt,
+  checkMasterWalletFunds,
+  signUsdtTransfer,
+  broadcastTransaction,
 };
@@ -0,0 +1,202 @@
+/**
+ * Money
+ * Conversion and rounding for amounts stored as integers in minor units
+ *
+ * KES is stored in cents (2 decimals) and USDT in sun (6 decimals, the token's on-chain unit);
+ * other deposit tokens in their own on-chain unit (see tokenService) and TRX fees in sun as reported by the chain.
+ * Exchange rates stay decimal (KES per USDT) and conversions between the two are done with
+ * exact BigInt arithmetic, rounded once at the end.
+ *
+ * Rounding policy:
+ *   - Amounts entered by users or read from decimal sources round HALF_UP to the nearest minor unit
+ *   - USDT received -> KES credited rounds DOWN (a deposit never credits more than it is worth)
+ *   - KES debited -> USDT paid out rounds DOWN (a withdrawal never pays more than was debited)
+ *   - USDT requested -> KES debited rounds UP (the user pays at least the value of what is sent)
+ */
+
+const KES_DECIMALS = 2;
+const USDT_DECIMALS = 6;
+const TRX_DECIMALS = 6;
+const RATE_DECIMALS = 8; // Precision rates are held to during conversion
+// Most decimals a deposit token may have: minor units are JS numbers and SQLite integers, which hold whole
+// amounts exactly only up to Number.MAX_SAFE_INTEGER (~90 million tokens at 8 decimals)
+const MAX_TOKEN_DECIMALS = 8;
+
+const ROUNDING = {
+  HALF_UP: 'half_up', // Nearest, ties away from zero
+  DOWN: 'down', // Towards negative infinity
+  UP: 'up', // Towards positive infinity
+};
+
+/**
+ * Divide two BigInts, rounding the result according to a rounding mode
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Must be positive
+ * @param {string} rounding - One of ROUNDING
+ * @returns {bigint}
+ */
+const divideRounded = (numerator, denominator, rounding) => {
+  const quotient = numerator / denominator; // Truncates towards zero
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const negative = numerator < 0n;
+
+  switch (rounding) {
+    case ROUNDING.DOWN:
+      return negative ? quotient - 1n : quotient;
+    case ROUNDING.UP:
+      return negative ? quotient : quotient + 1n;
+    case ROUNDING.HALF_UP: {
+      const twiceRemainder = (negative ? -remainder : remainder) * 2n;
+      if (twiceRemainder < denominator) return quotient;
+      return negative ? quotient - 1n : quotient + 1n;
+    }
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+};
+
+/**
+ * Convert a decimal amount to integer minor units
+ * Shifts the decimal point on the number's string form, so 1.005 KES is 100.5 cents exactly
+ * @param {number|string} amount - Decimal amount
+ * @param {number} decimals - Minor unit decimals
+ * @param {string} rounding - One of ROUNDING (default HALF_UP)
+ * @returns {number} Integer minor units
+ */
+const toMinorUnits = (amount, decimals, rounding = ROUNDING.HALF_UP) => {
+  const [mantissa, exponent = '0'] = String(amount).trim().toLowerCase().split('e');
+  const shifted = Number(`${mantissa}e${Number(exponent) + decimals}`);
+
+  if (!Number.isFinite(shifted)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  switch (rounding) {
+    case ROUNDING.DOWN:
+      return Math.floor(shifted);
+    case ROUNDING.UP:
+      return Math.ceil(shifted);
+    case ROUNDING.HALF_UP:
+      return Math.sign(shifted) * Math.round(Math.abs(shifted));
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+};
+
+/**
+ * Convert integer minor units to a decimal number (for API responses and logs)
+ * @param {number} minor - Integer minor units
+ * @param {number} decimals - Minor unit decimals
+ * @returns {number}
+ */
+const fromMinorUnits = (minor, decimals) => {
+  return Number(`${minor}e-${decimals}`);
+};
+
+/**
+ * Read an integer amount reported by the chain (decimal or hex string, bigint or number) as minor units
+ * @param {string|bigint|number} value - Raw on-chain amount
+ * @returns {number} Amount in minor units
+ * @throws if the value is not a non-negative integer or is too large to hold exactly; it is never rounded
+ */
+const parseMinorUnits = (value) => {
+  let minor;
+  try {
+    minor = BigInt(value);
+  } catch (error) {
+    throw new Error(`Invalid on-chain amount: ${value}`);
+  }
+
+  if (minor < 0n || minor > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error(`On-chain amount ${minor} is out of range`);
+  }
+
+  return Number(minor);
+};
+
+const kesToCents = (kes, rounding) => toMinorUnits(kes, KES_DECIMALS, rounding);
+const centsToKes = (cents) => fromMinorUnits(cents, KES_DECIMALS);
+const usdtToSun = (usdt, rounding) => toMinorUnits(usdt, USDT_DECIMALS, rounding);
+const sunToUsdt = (sun) => fromMinorUnits(sun, USDT_DECIMALS);
+const trxToSun = (trx, rounding) => toMinorUnits(trx, TRX_DECIMALS, rounding);
+const sunToTrx = (sun) => fromMinorUnits(sun, TRX_DECIMALS);
+
+/**
+ * Convert a token amount to KES at a rate
+ * @param {number} minor - Token amount in its minor unit
+ * @param {number} decimals - The token's decimals
+ * @param {number} rate - KES per token
+ * @param {string} rounding - One of ROUNDING
+ * @returns {number} KES cents
+ */
+const tokenToKesCents = (minor, decimals, rate, rounding) => {
+  const scaledRate = BigInt(toMinorUnits(rate, RATE_DECIMALS));
+  const numerator = BigInt(minor) * scaledRate;
+  const denominator = 10n ** BigInt(decimals - KES_DECIMALS + RATE_DECIMALS);
+
+  return Number(divideRounded(numerator, denominator, rounding));
+};
+
+/**
+ * Convert a USDT amount to KES at a rate
+ * @param {number} sun - USDT amount in sun
+ * @param {number} rate - KES per USDT
+ * @param {string} rounding - One of ROUNDING
+ * @returns {number} KES cents
+ */
+const usdtSunToKesCents = (sun, rate, rounding) => tokenToKesCents(sun, USDT_DECIMALS, rate, rounding);
+
+/**
+ * Convert a KES amount to USDT at a rate
+ * @param {number} cents - KES amount in cents
+ * @param {number} rate - KES per USDT
+ * @param {string} rounding - One of ROUNDING
+ * @returns {number} USDT sun
+ */
+const kesCentsToUsdtSun = (cents, rate, rounding) => {
+  const scaledRate = BigInt(toMinorUnits(rate, RATE_DECIMALS));
+  const numerator = BigInt(cents) * 10n ** BigInt(USDT_DECIMALS - KES_DECIMALS + RATE_DECIMALS);
+
+  return Number(divideRounded(numerator, scaledRate, rounding));
+};
+
+/**
+ * Format KES cents for display, e.g. 130050 -> '1300.50'
+ * @param {number} cents - KES cents
+ * @returns {string}
+ */
+const formatKes = (cents) => centsToKes(cents).toFixed(KES_DECIMALS);
+
+/**
+ * Format USDT sun for display, e.g. 10000000 -> '10.000000'
+ * @param {number} sun - USDT sun
+ * @returns {string}
+ */
+const formatUsdt = (sun) => sunToUsdt(sun).toFixed(USDT_DECIMALS);
+
+module.exports = {
+  KES_DECIMALS,
+  USDT_DECIMALS,
+  TRX_DECIMALS,
+  MAX_TOKEN_DECIMALS,
+  ROUNDING,
+  toMinorUnits,
+  fromMinorUnits,
+  parseMinorUnits,
+  kesToCents,
+  centsToKes,
+  usdtToSun,
+  sunToUsdt,
+  trxToSun,
+  sunToTrx,
+  tokenToKesCents,
+  usdtSunToKesCents,
+  kesCentsToUsdtSun,
+  formatKes,
+  formatUsdt,
+};